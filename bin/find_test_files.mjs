@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+/**
+ * Discover and run tests; see src/cli.mjs for options:
+ *
+ *     find_test_files -s tests -p 'test_*.mjs' -v
+ */
+
+import { main } from "../src/cli.mjs";
+
+process.exitCode = await main(process.argv.slice(2));
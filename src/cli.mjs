@@ -0,0 +1,738 @@
+/**
+ * Command line test runner, roughly equivalent to
+ *
+ *     python -m unittest discover -s <dir> -p 'test_*.py'
+ *
+ * Usage:
+ *     find_test_files [-h] [-v | -q] [-s START_DIR] [-p PATTERN]
+ *                     [--include GLOB] [-x GLOB] [--all-dirs] [--follow-symlinks]
+ *                     [--junit-xml PATH] [--tap] [--reporter NAME]
+ *                     [--no-color] [-k KEYWORD] [--list] [-f]
+ *                     [--last-failed | --failed-first] [-j N]
+ *                     [--file-timeout SECS] [--watch] [--coverage]
+ *                     [--coverage-include GLOB] [--coverage-exclude GLOB]
+ *                     [--coverage-dir DIR] [--coverage-threshold PCT]
+ *                     [--update-snapshots] [--ci]
+ *                     [start_dir [pattern]] [test_id ...]
+ *
+ * Finds test modules under the start directory, imports
+ * them, and runs every exported subclass of TestCase.
+ * Test ids, such as test_waitlist.mjs::WaitlistTests::test_timeout,
+ * and -k select which tests run; see selection.mjs.
+ * Failed tests are recorded in .unittest_cache, for
+ * --last-failed and --failed-first; see last_failed.mjs.
+ * --coverage reports which code the tests ran; see coverage.mjs.
+ * Exit status is 0 if all tests passed, 1 if any failed,
+ * 2 for usage errors, and 5 if no tests were found.
+ */
+
+import os from "os";
+import path from "path";
+import { parseArgs } from "util";
+import { pathToFileURL } from "url";
+
+import { Unittest, TestCase } from "./unittest.mjs";
+import { TestResult } from "./result.mjs";
+import { TextTestResult } from "./runner.mjs";
+import { JUnitXmlReporter } from "./junit.mjs";
+import { TapReporter } from "./tap.mjs";
+import { DotReporter, SpecReporter, JsonReporter } from "./reporters.mjs";
+import { TestSelector } from "./selection.mjs";
+import { LastFailed } from "./last_failed.mjs";
+import { ParallelRunner } from "./parallel.mjs";
+import { Watcher } from "./watch.mjs";
+import { CoverageCollector, CoverageReport } from "./coverage.mjs";
+import { TestLoader } from "./loader.mjs";
+import { SnapshotStore } from "./snapshot.mjs";
+
+const USAGE = `Usage: find_test_files [-h] [-v | -q] [-s START_DIR] [-p PATTERN]
+                       [--include GLOB] [-x GLOB] [--all-dirs] [--follow-symlinks]
+                       [--junit-xml PATH] [--tap] [--reporter NAME]
+                       [--no-color] [-k KEYWORD] [--list] [-f]
+                       [--last-failed | --failed-first] [-j N]
+                       [--file-timeout SECS] [--watch] [--coverage]
+                       [--coverage-include GLOB] [--coverage-exclude GLOB]
+                       [--coverage-dir DIR] [--coverage-threshold PCT]
+                       [--update-snapshots] [--ci]
+                       [start_dir [pattern]] [test_id ...]
+
+Discover and run the TestCase subclasses exported by test modules.
+Test ids have the form file::Class::method; the file may omit leading
+directories, and the method or the class and method may be left out.
+
+Options:
+  -h, --help                  show this help and exit
+  -v, --verbose               one line per test
+  -q, --quiet                 only print the summary
+  -s, --start-directory DIR   directory to start discovery (default: .)
+  -p, --pattern PATTERN       glob for test file names (default: ${Unittest.DEFAULT_PATTERN})
+  --include GLOB              only run test files whose relative path matches;
+                              may be repeated
+  -x, --exclude GLOB          skip files and directories that match; may be repeated
+  --all-dirs                  also search node_modules and hidden directories
+  --follow-symlinks           descend into symlinked directories
+  --junit-xml PATH            also write a JUnit XML report to PATH
+  --tap                       write results to stdout in TAP version 14 format;
+                              same as --reporter tap
+  --reporter NAME             report with dot, spec, json, or tap, or with the
+                              default export of a module, such as
+                              ./my_reporter.mjs; may be repeated
+  --no-color                  do not color the output, even on a terminal;
+                              so does setting NO_COLOR
+  -k KEYWORD                  only run tests whose ids contain KEYWORD, or
+                              match it if it is a glob; may be repeated
+  --list                      print the ids of the selected tests, and
+                              exit without running them
+  -f, --failfast              stop at the first failure or error
+  --last-failed               only run the tests that failed in the last run;
+                              all tests if none did
+  --failed-first              run the tests that failed in the last run before
+                              the others
+  -j, --jobs N                run N test files at once, each in a worker
+                              thread; 'auto' for one per CPU (default: 1)
+  --file-timeout SECS         with --jobs, stop the worker of a test file
+                              that takes longer, and report an error
+  --watch                     rerun the tests affected by each change to the
+                              test files, or to the modules they import
+  --coverage                  print the line, branch, and function coverage of
+                              the files below the current directory, and write
+                              lcov.info and coverage-summary.json
+  --coverage-include GLOB     with --coverage, only cover files whose relative
+                              path matches; may be repeated
+  --coverage-exclude GLOB     with --coverage, do not cover files that match, in
+                              addition to test files and node_modules; may be
+                              repeated
+  --coverage-dir DIR          where --coverage writes its reports
+                              (default: coverage)
+  --coverage-threshold PCT    with --coverage, fail if the coverage of lines,
+                              branches, or functions is below PCT percent; or
+                              per metric, as in lines=80,branches=70
+  --update-snapshots          rewrite the snapshots that no longer match, and
+                              remove stale ones, instead of failing
+  --ci                        fail tests whose snapshots are missing, rather
+                              than write them; the default if the CI
+                              environment variable is set
+`;
+
+// Reporters selected by name with --reporter:
+const REPORTERS = {
+	dot  : DotReporter,
+	spec : SpecReporter,
+	json : JsonReporter,
+	tap  : TapReporter,
+};
+
+// Fake timers in tests must not distort the run's duration:
+const real_now = performance.now.bind(performance);
+
+const EXIT_OK        = 0;
+const EXIT_FAILED    = 1;
+const EXIT_USAGE     = 2;
+const EXIT_NO_TESTS  = 5;
+
+/*------------------------------
+| parseCommandLine
+--------------------*/
+
+/**
+ * Turn the command line arguments into an options object.
+ * Positional arguments are test ids, which contain '::',
+ * and the start directory and pattern, as for Python's
+ * 'unittest discover'.
+ *
+ * @param {string[]} argv - arguments without node and script path
+ * @returns {object} options
+ * @throws {TypeError} for unknown options or extra arguments
+ */
+function parseCommandLine(argv) {
+	const { values, positionals } = parseArgs({
+		args    : argv,
+		options : {
+			'help'            : { type : 'boolean', short : 'h' },
+			'verbose'         : { type : 'boolean', short : 'v' },
+			'quiet'           : { type : 'boolean', short : 'q' },
+			'start-directory' : { type : 'string',  short : 's' },
+			'pattern'         : { type : 'string',  short : 'p' },
+			'include'         : { type : 'string',  multiple : true },
+			'exclude'         : { type : 'string',  short : 'x', multiple : true },
+			'all-dirs'        : { type : 'boolean' },
+			'follow-symlinks' : { type : 'boolean' },
+			'junit-xml'       : { type : 'string' },
+			'tap'             : { type : 'boolean' },
+			'reporter'        : { type : 'string',  multiple : true },
+			'no-color'        : { type : 'boolean' },
+			'keyword'         : { type : 'string',  short : 'k', multiple : true },
+			'list'            : { type : 'boolean' },
+			'failfast'        : { type : 'boolean', short : 'f' },
+			'last-failed'     : { type : 'boolean' },
+			'failed-first'    : { type : 'boolean' },
+			'jobs'            : { type : 'string',  short : 'j' },
+			'file-timeout'    : { type : 'string' },
+			'watch'           : { type : 'boolean' },
+			'coverage'        : { type : 'boolean' },
+			'coverage-include'   : { type : 'string', multiple : true },
+			'coverage-exclude'   : { type : 'string', multiple : true },
+			'coverage-dir'       : { type : 'string' },
+			'coverage-threshold' : { type : 'string' },
+			'update-snapshots'   : { type : 'boolean' },
+			'ci'                 : { type : 'boolean' },
+		},
+		allowPositionals : true,
+	});
+	const test_ids = positionals.filter(arg => TestSelector.isId(arg));
+	const dir_args = positionals.filter(arg => !TestSelector.isId(arg));
+	if (dir_args.length > 2) {
+		throw new TypeError(`Unexpected arguments: ${dir_args.slice(2).join(' ')}`);
+	}
+	if (values['last-failed'] && values['failed-first']) {
+		throw new TypeError('Only one of --last-failed and --failed-first may be given');
+	}
+	let jobs = 1;
+	if (values.jobs === 'auto') {
+		jobs = os.availableParallelism();
+	} else if (values.jobs !== undefined) {
+		jobs = Number(values.jobs);
+		if (!Number.isInteger(jobs) || jobs < 1) {
+			throw new TypeError(`--jobs must be a positive integer or 'auto', not '${values.jobs}'`);
+		}
+	}
+	let file_timeout = null;
+	if (values['file-timeout'] !== undefined) {
+		file_timeout = Number(values['file-timeout']) * 1000;
+		if (!(file_timeout > 0)) {
+			throw new TypeError(`--file-timeout must be a positive number of seconds, not '${values['file-timeout']}'`);
+		}
+	}
+	let thresholds = {};
+	if (values['coverage-threshold'] !== undefined) {
+		thresholds = parseThresholds(values['coverage-threshold']);
+	}
+	let verbosity = 1;
+	if (values.verbose) verbosity = 2;
+	if (values.quiet) verbosity = 0;
+
+	return {
+		help      : values.help || false,
+		verbosity : verbosity,
+		start_dir : values['start-directory'] || dir_args[0] || '.',
+		pattern   : values.pattern || dir_args[1] || Unittest.DEFAULT_PATTERN,
+		discovery : {
+			include          : values.include || [],
+			exclude          : values.exclude || [],
+			default_excludes : !values['all-dirs'],
+			follow_symlinks  : values['follow-symlinks'] || false,
+		},
+		junit_xml : values['junit-xml'] || null,
+		reporters : [...(values.tap ? ['tap'] : []), ...(values.reporter || [])],
+		color     : !values['no-color'],
+		list      : values.list || false,
+		// Throws for malformed ids:
+		selector  : new TestSelector({keywords : values.keyword || [], ids : test_ids}),
+		selecting : (values.keyword || []).length > 0 || test_ids.length > 0,
+		failfast     : values.failfast || false,
+		last_failed  : values['last-failed'] || false,
+		failed_first : values['failed-first'] || false,
+		jobs         : jobs,
+		file_timeout : file_timeout,
+		watch        : values.watch || false,
+		coverage     : !values.coverage ? null : {
+			include    : values['coverage-include'] || [],
+			exclude    : values['coverage-exclude'] || [],
+			dir        : values['coverage-dir'] || 'coverage',
+			thresholds : thresholds,
+		},
+		update_snapshots : values['update-snapshots'] || false,
+		ci               : values.ci || SnapshotStore.isCI(),
+	};
+}
+
+/*------------------------------
+| parseThresholds
+--------------------*/
+
+/**
+ * Parse the argument of --coverage-threshold: a percentage
+ * for all metrics, or percentages per metric, separated
+ * by commas.
+ *
+ * @param {string} arg - such as '80', or 'lines=80,branches=70'
+ * @returns {object} percentages by metric
+ * @throws {TypeError} for unknown metrics, or bad percentages
+ */
+function parseThresholds(arg) {
+	const metrics    = ['lines', 'branches', 'functions'];
+	const thresholds = {};
+	for (const part of arg.split(',')) {
+		let [metric, pct] = part.includes('=') ? part.split('=') : [null, part];
+		pct = Number(pct);
+		if (metric !== null && !metrics.includes(metric.trim())) {
+			throw new TypeError(`--coverage-threshold metrics are ${metrics.join(', ')}, not '${metric}'`);
+		}
+		if (!(pct >= 0 && pct <= 100)) {
+			throw new TypeError(`--coverage-threshold must give percentages from 0 to 100, not '${arg}'`);
+		}
+		for (const name of metric === null ? metrics : [metric.trim()]) {
+			thresholds[name] = pct;
+		}
+	}
+	return thresholds;
+}
+
+/*------------------------------
+| loadTestClasses
+--------------------*/
+
+/**
+ * Import a test module, and return the TestCase
+ * subclasses it exports.
+ *
+ * @param {string} file_path - absolute path of the module
+ * @returns {Promise<Function[]>} the exported test classes
+ */
+async function loadTestClasses(file_path) {
+	const module = await TestLoader.importModule(file_path);
+	return Object.values(module).filter(exported => Unittest.isTestCaseClass(exported));
+}
+
+/*------------------------------
+| firstThose
+--------------------*/
+
+/**
+ * Returns the items for which predicate returns true,
+ * followed by the others, each in their original order.
+ */
+function firstThose(items, predicate) {
+	return [...items.filter(item => predicate(item)),
+			...items.filter(item => !predicate(item))];
+}
+
+/*------------------------------
+| runTestFile
+--------------------*/
+
+/**
+ * Import a test file, and run the selected tests of the
+ * TestCase subclasses it exports. A failed import is
+ * recorded as an error.
+ *
+ * @param {string} file_path - absolute path of the module
+ * @param {TestResult} result - where outcomes are recorded
+ * @param {object} plan
+ * @param {TestSelector} [plan.selector] - which tests to run;
+ *     all if null
+ * @param {TestSelector} [plan.failed] - tests to run first,
+ *     with their classes, or null
+ * @param {Set<Function>} [plan.classes_run] - classes already
+ *     run, which are not run again; updated
+ */
+async function runTestFile(file_path, result, {selector=null, failed=null, classes_run=new Set()}) {
+	const rel_path = path.relative(process.cwd(), file_path);
+	result.startTestFile(rel_path);
+	let test_classes;
+	try {
+		test_classes = await loadTestClasses(file_path);
+	} catch(e) {
+		result.addError({id         : `import (${rel_path})`,
+						 file       : rel_path,
+						 className  : rel_path,
+						 methodName : 'import'}, e);
+		return;
+	}
+	const failedOf = test_class => failed === null ? null : failed.forClass(rel_path, test_class.name);
+	if (failed !== null) {
+		test_classes = firstThose(test_classes, test_class =>
+			Unittest.testMethods(test_class, failedOf(test_class)).length > 0);
+	}
+	for (const test_class of test_classes) {
+		if (result.shouldStop) break;
+		if (classes_run.has(test_class)) continue;
+		classes_run.add(test_class);
+		const by_name = selector !== null ? selector.forClass(rel_path, test_class.name) : null;
+		// Classes none of whose tests were selected do
+		// not even get their class fixtures run:
+		if (by_name !== null && Unittest.testMethods(test_class, by_name).length == 0) {
+			continue;
+		}
+		const inst = Unittest.instantiate(test_class);
+		await inst.run_tests(inst, result, by_name, failedOf(test_class));
+	}
+}
+
+/*------------------------------
+| catchStrayErrors
+--------------------*/
+
+/**
+ * Until the returned function is called, record the errors
+ * that escape the tests of a serial run, such as rejections
+ * that no test awaited, as errors of the test that is running,
+ * or else of the current file, instead of letting them end
+ * the process. Workers report theirs as crashes.
+ *
+ * @param {TestResult} result - where errors are recorded
+ * @returns {Function} removes the handlers
+ */
+function catchStrayErrors(result) {
+	const record = error => {
+		const rel_path = result._file ?? '';
+		const test = result._test !== null ? result._test : {id         : `process (${rel_path})`,
+															 file       : rel_path,
+															 className  : result._class ?? rel_path,
+															 methodName : 'process'};
+		result.addError(test, error);
+	};
+	process.on('unhandledRejection', record);
+	process.on('uncaughtException', record);
+	return () => {
+		process.off('unhandledRejection', record);
+		process.off('uncaughtException', record);
+	};
+}
+
+/*------------------------------
+| listTests
+--------------------*/
+
+/**
+ * Print the ids of the selected tests in the given files
+ * to stdout, one per line, without running them.
+ *
+ * @param {string[]} test_files - absolute paths of test modules
+ * @param {TestSelector} selector - which tests to list
+ * @param {stream.Writable} stream - where to report import errors
+ * @returns {Promise<number>} process exit status
+ */
+async function listTests(test_files, selector, stream) {
+	let listed    = 0;
+	let exit_code = EXIT_OK;
+	const classes_seen = new Set();
+	for (const file_path of test_files) {
+		const rel_path = path.relative(process.cwd(), file_path);
+		let test_classes;
+		try {
+			test_classes = await loadTestClasses(file_path);
+		} catch(e) {
+			stream.write(`Cannot import ${rel_path}: ${e.message}\n`);
+			exit_code = EXIT_FAILED;
+			continue;
+		}
+		for (const test_class of test_classes) {
+			if (classes_seen.has(test_class)) continue;
+			classes_seen.add(test_class);
+			const by_name = selector.forClass(rel_path, test_class.name);
+			for (const method of Unittest.testMethods(test_class, by_name)) {
+				process.stdout.write(`${TestSelector.testId(rel_path, test_class.name, method.name)}\n`);
+				listed += 1;
+			}
+		}
+	}
+	if (exit_code == EXIT_OK && listed == 0) return EXIT_NO_TESTS;
+	return exit_code;
+}
+
+/*------------------------------
+| loadReporter
+--------------------*/
+
+/**
+ * Returns the reporter that --reporter names: a built-in
+ * one, or the default export of a module. Paths are taken
+ * relative to the current directory; other names are
+ * imported as packages. A module may export a reporter
+ * class, which is instantiated with options, or a ready
+ * reporter object.
+ *
+ * @param {string} name - built-in name, path, or package
+ * @param {object} options - {verbosity} for the constructor
+ * @returns {Promise<object>} the reporter
+ * @throws {TypeError} if the module exports no reporter
+ */
+async function loadReporter(name, options) {
+	if (Object.hasOwn(REPORTERS, name)) {
+		return new REPORTERS[name](options);
+	}
+	const is_path  = name.startsWith('.') || path.isAbsolute(name) || /\.[cm]?js$/.test(name);
+	const module   = await import(is_path ? pathToFileURL(path.resolve(name)).href : name);
+	const exported = module.default;
+	if (typeof(exported) == 'function') {
+		return new exported(options);
+	}
+	if (typeof(exported) == 'object' && exported !== null) {
+		return exported;
+	}
+	throw new TypeError(`Reporter module '${name}' has no default export of a reporter`);
+}
+
+/*------------------------------
+| main
+--------------------*/
+
+/**
+ * Discover, import and run tests, and print the outcome.
+ *
+ * @param {string[]} argv - arguments without node and script path
+ * @param {stream.Writable} [stream] - where to write output
+ * @returns {Promise<number>} process exit status
+ */
+async function main(argv, stream=process.stderr) {
+	let opts;
+	try {
+		opts = parseCommandLine(argv);
+	} catch(e) {
+		stream.write(`${e.message}\n\n${USAGE}`);
+		return EXIT_USAGE;
+	}
+	if (opts.help) {
+		stream.write(USAGE);
+		return EXIT_OK;
+	}
+
+	let test_files;
+	try {
+		test_files = Unittest.discover(opts.start_dir, opts.pattern, opts.discovery);
+	} catch(e) {
+		stream.write(`${e.message}\n`);
+		return EXIT_USAGE;
+	}
+	if (opts.watch && !opts.list) {
+		const watcher = new Watcher({
+			start_dir : opts.start_dir,
+			pattern   : opts.pattern,
+			discovery : opts.discovery,
+			mode      : {failed_only : opts.last_failed},
+			stream    : stream,
+			// Workers import changed modules afresh:
+			run       : (files, mode) => runAndReport(files, opts, stream, {...mode, isolate : true}),
+		});
+		await watcher.watch();
+		return EXIT_OK;
+	}
+	return await runAndReport(test_files, opts, stream, {failed_only : opts.last_failed});
+}
+
+/*------------------------------
+| runAndReport
+--------------------*/
+
+/**
+ * Run the selected tests of the given files, report the
+ * outcome, and record the failed tests in the cache.
+ *
+ * @param {string[]} test_files - absolute paths of test modules
+ * @param {object} opts - as returned by parseCommandLine()
+ * @param {stream.Writable} stream - where to write output
+ * @param {object} [mode]
+ * @param {boolean} [mode.failed_only] - only run the tests that
+ *     failed last time, if any
+ * @param {string} [mode.keyword] - replaces the -k keywords
+ * @param {boolean} [mode.isolate] - run each file in a worker
+ *     thread, even without --jobs
+ * @returns {Promise<number>} process exit status
+ */
+async function runAndReport(test_files, opts, stream, {failed_only=false, keyword=null, isolate=false}={}) {
+	const last_failed = new LastFailed();
+	let selector  = opts.selector;
+	let selecting = opts.selecting;
+	if (keyword !== null) {
+		selector  = TestSelector.fromSpec({...selector.spec, keywords : [keyword]});
+		selecting = true;
+	}
+	// Only files imported in this process are checked for
+	// renamed tests; workers import their files afresh:
+	const loader = isolate ? null : loadTestClasses;
+	// Selects the tests that failed last time:
+	let failed     = null;
+	let failed_ids = [];
+	if (failed_only || opts.failed_first) {
+		failed_ids = await last_failed.prune(last_failed.ids, loader);
+		if (failed_ids.length > 0) {
+			failed = new TestSelector({ids : failed_ids});
+		} else if (failed_only) {
+			stream.write('No failed tests recorded by the last run; running all tests\n');
+		}
+	}
+	if (failed_only && failed !== null) {
+		selector  = selector.withIds(failed_ids);
+		selecting = true;
+	}
+	// Files that no test id names need not be imported:
+	test_files = test_files.filter(file_path =>
+		selector.matchesFile(path.relative(process.cwd(), file_path)));
+	if (opts.failed_first && failed !== null) {
+		test_files = firstThose(test_files, file_path =>
+			failed.matchesFile(path.relative(process.cwd(), file_path)));
+	}
+
+	if (opts.list) {
+		return await listTests(test_files, selector, stream);
+	}
+
+	// Reporters replace the Python style output:
+	const result = opts.reporters.length > 0
+		? new TestResult()
+		: new TextTestResult(stream, opts.verbosity,
+							 opts.color ? {} : {color : false});
+	for (const name of opts.reporters) {
+		try {
+			result.addReporter(await loadReporter(name, {verbosity : opts.verbosity}));
+		} catch(e) {
+			stream.write(`Cannot load reporter '${name}': ${e.message}\n`);
+			return EXIT_USAGE;
+		}
+	}
+	result.addReporter(last_failed);
+	const snapshots = TestCase.snapshots;
+	snapshots.update = opts.update_snapshots;
+	snapshots.ci     = opts.ci;
+	result.failfast = opts.failfast;
+	// The XML report includes what each test printed:
+	result.captureOutput = opts.junit_xml !== null;
+	// Tests import the covered modules, so collect first:
+	let collector = null;
+	let coverage  = null;
+	if (opts.coverage !== null) {
+		coverage = new CoverageReport({include : opts.coverage.include,
+									   exclude : [opts.pattern, ...opts.coverage.exclude]});
+		if (!(opts.jobs > 1 || isolate)) {
+			collector = new CoverageCollector();
+			await collector.start();
+		}
+	}
+	const start  = real_now();
+	result.startTestRun({files : test_files.map(file_path => path.relative(process.cwd(), file_path))});
+	const plan = {selector  : selecting ? selector : null,
+				  failed    : opts.failed_first ? failed : null,
+				  // A module may re-export another module's test
+				  // classes; run each class only once:
+				  classes_run : new Set()};
+
+	if (opts.jobs > 1 || isolate) {
+		const runner = new ParallelRunner({jobs         : opts.jobs,
+										   file_timeout : opts.file_timeout,
+										   coverage     : coverage,
+										   snapshots    : snapshots});
+		await runner.run(test_files, result, plan);
+	} else {
+		result.addReporter(snapshots);
+		const stopCatching = catchStrayErrors(result);
+		try {
+			for (const file_path of test_files) {
+				if (result.shouldStop) break;
+				await runTestFile(file_path, result, plan);
+			}
+		} finally {
+			stopCatching();
+		}
+	}
+	result.stopTestRun();
+	const elapsed = real_now() - start;
+	if (collector !== null) {
+		coverage.add(await collector.stop());
+	}
+	let snapshot_summary;
+	try {
+		snapshot_summary = snapshots.finish({complete : plan.selector === null && !result.shouldStop});
+	} catch(e) {
+		stream.write(`Could not update the snapshot files: ${e.message}\n`);
+		snapshot_summary = null;
+	}
+
+	try {
+		await last_failed.save(loader);
+	} catch(e) {
+		stream.write(`Could not write the cache of failed tests: ${e.message}\n`);
+	}
+
+	if (result instanceof TextTestResult) {
+		result.printErrors();
+		result.printSummary(elapsed);
+	}
+	if (snapshot_summary !== null) {
+		writeSnapshotSummary(snapshot_summary, stream);
+	}
+
+	if (opts.junit_xml !== null) {
+		try {
+			JUnitXmlReporter.write(result, opts.junit_xml, {elapsed : elapsed});
+		} catch(e) {
+			stream.write(`Could not write the JUnit XML report: ${e.message}\n`);
+			return EXIT_FAILED;
+		}
+	}
+
+	if (coverage !== null && !writeCoverage(coverage, opts.coverage, stream)) {
+		return result.testsRun == 0 ? EXIT_NO_TESTS : EXIT_FAILED;
+	}
+
+	if (!result.wasSuccessful()) return EXIT_FAILED;
+	if (result.testsRun == 0) return EXIT_NO_TESTS;
+	return EXIT_OK;
+}
+
+/*------------------------------
+| writeSnapshotSummary
+--------------------*/
+
+/**
+ * Report the snapshots that the run wrote, updated, and
+ * removed, and list the stale ones. Nothing is written
+ * if snapshots were merely compared.
+ *
+ * @param {object} summary - as returned by SnapshotStore.finish()
+ * @param {stream.Writable} stream - where to write
+ */
+function writeSnapshotSummary(summary, stream) {
+	const counts = ['written', 'updated', 'removed', 'stale']
+		.filter(kind => summary[kind].length > 0)
+		.map(kind => `${summary[kind].length} ${kind}`);
+	if (counts.length == 0) return;
+	stream.write(`\nSnapshots: ${counts.join(', ')}\n`);
+	if (summary.stale.length == 0) return;
+	stream.write('Stale snapshots, which no test takes any more; ' +
+				 'remove them with --update-snapshots:\n');
+	for (const {file, key} of summary.stale) {
+		stream.write(`  ${file}: ${key}\n`);
+	}
+}
+
+/*------------------------------
+| writeCoverage
+--------------------*/
+
+/**
+ * Print the coverage table, write the lcov and JSON
+ * reports, and check the thresholds. Coverage files that
+ * node processes started by the tests wrote to the
+ * directory named by NODE_V8_COVERAGE are included.
+ *
+ * @param {CoverageReport} coverage - coverage of the run
+ * @param {object} options - opts.coverage of parseCommandLine()
+ * @param {stream.Writable} stream - where to write the table
+ * @returns {boolean} false if the reports could not be
+ *     written, or a threshold was not met
+ */
+function writeCoverage(coverage, options, stream) {
+	if (process.env.NODE_V8_COVERAGE) {
+		try {
+			coverage.addDirectory(process.env.NODE_V8_COVERAGE);
+		} catch(e) {
+			stream.write(`Could not read NODE_V8_COVERAGE: ${e.message}\n`);
+		}
+	}
+	stream.write(`\n${coverage.table()}`);
+	try {
+		coverage.writeLcov(path.join(options.dir, 'lcov.info'));
+		coverage.writeSummary(path.join(options.dir, 'coverage-summary.json'));
+	} catch(e) {
+		stream.write(`Could not write the coverage reports: ${e.message}\n`);
+		return false;
+	}
+	const shortfalls = coverage.checkThresholds(options.thresholds);
+	for (const message of shortfalls) {
+		stream.write(`${message}\n`);
+	}
+	return shortfalls.length == 0;
+}
+
+export { main, parseCommandLine, runTestFile };
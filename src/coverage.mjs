@@ -0,0 +1,417 @@
+/**
+ * Code coverage of test runs, from the precise coverage
+ * that V8 collects. A CoverageCollector gathers the raw
+ * data of the current thread through the inspector's
+ * Profiler; a CoverageReport maps it back to the lines,
+ * branches, and functions of the source files:
+ *
+ *     const collector = new CoverageCollector();
+ *     await collector.start();
+ *     ... run tests ...
+ *     const report = new CoverageReport({exclude : ['test_*.mjs']});
+ *     report.add(await collector.stop());
+ *     process.stderr.write(report.table());
+ *     report.writeLcov('coverage/lcov.info');
+ *
+ * Files that a process started with NODE_V8_COVERAGE=<dir>
+ * left in that directory are added with addDirectory().
+ *
+ * A line counts as run if the innermost function or block
+ * that contains its last character ran; the last, so that
+ * the line that opens a function or block belongs to it.
+ * Functions, and the blocks that V8 reports within them,
+ * are branches, as with c8. V8 only reports blocks whose
+ * counts differ from those of the enclosing code, so the
+ * branches are those that were, or could have been,
+ * skipped.
+ */
+
+import fs from "fs";
+import path from "path";
+import inspector from "inspector";
+import { fileURLToPath } from "url";
+
+import { Unittest } from "./unittest.mjs";
+
+// Lines that hold no code of their own:
+const BLANK_RE = /^\s*(?:$|\/\/|\/\*|\*|[{}()[\];,]+\s*$)/;
+
+const METRICS = ['lines', 'branches', 'functions'];
+
+/* ------------------ Class CoverageCollector ------------ */
+
+class CoverageCollector {
+
+	constructor() {
+		this._session = null;
+	}
+
+   /*------------------------------
+    | start
+    ----------------*/
+
+	/**
+	 * Start precise coverage with call counts and blocks.
+	 * Only code compiled from now on is covered in full,
+	 * so start before the tests are imported.
+	 */
+	async start() {
+		this._session = new inspector.Session();
+		this._session.connect();
+		await this._post('Profiler.enable');
+		await this._post('Profiler.startPreciseCoverage', {callCount : true, detailed : true});
+	}
+
+   /*------------------------------
+    | stop
+    ----------------*/
+
+	/**
+	 * Stop collecting, and return the coverage of the
+	 * scripts loaded from files.
+	 *
+	 * @returns {Promise<object[]>} V8 ScriptCoverage entries:
+	 *     {url, functions : [{functionName, ranges, ...}]}
+	 */
+	async stop() {
+		const { result } = await this._post('Profiler.takePreciseCoverage');
+		await this._post('Profiler.stopPreciseCoverage');
+		await this._post('Profiler.disable');
+		this._session.disconnect();
+		this._session = null;
+		return result.filter(entry => entry.url.startsWith('file:'));
+	}
+
+	_post(method, params={}) {
+		return new Promise((resolve, reject) => {
+			this._session.post(method, params, (err, res) => err ? reject(err) : resolve(res));
+		});
+	}
+}
+
+/* ------------------ Class CoverageReport ------------ */
+
+class CoverageReport {
+
+   /*------------------------------
+    | Constructor
+    ----------------*/
+
+	/**
+	 * @param {object} [options]
+	 * @param {string} [options.root] - directory whose files are
+	 *     reported, and to which paths are relative; default
+	 *     the current directory
+	 * @param {string[]} [options.include] - globs of the files to
+	 *     report; all files below root if empty
+	 * @param {string[]} [options.exclude] - globs of files not to
+	 *     report, in addition to those in node_modules
+	 */
+	constructor({root=process.cwd(), include=[], exclude=[]}={}) {
+		this.root     = path.resolve(root);
+		this._include = include.length > 0 ? Unittest._globsMatcher(include) : null;
+		this._exclude = Unittest._globsMatcher(['node_modules', 'node_modules/**', '**/node_modules/**',
+												...exclude]);
+		// Relative path to {lines : Map(line => count),
+		//                   branches : Map(key => {line, count}),
+		//                   functions : Map(key => {name, line, count})}:
+		this._files   = new Map();
+	}
+
+   /*------------------------------
+    | add
+    ----------------*/
+
+	/**
+	 * Add raw V8 coverage. Counts of the same code from
+	 * several threads or processes are summed.
+	 *
+	 * @param {object[]} entries - V8 ScriptCoverage entries
+	 */
+	add(entries) {
+		for (const {url, functions} of entries) {
+			if (!url.startsWith('file:')) continue;
+			const file_path = fileURLToPath(url);
+			const rel_path  = path.relative(this.root, file_path).split(path.sep).join('/');
+			if (rel_path.startsWith('..') || path.isAbsolute(rel_path)) continue;
+			if (this._include !== null && !this._include(rel_path)) continue;
+			if (this._exclude(rel_path)) continue;
+			let source;
+			try {
+				source = fs.readFileSync(file_path, 'utf8');
+			} catch(e) {
+				continue;
+			}
+			this._merge(rel_path, CoverageReport._analyze(source, functions));
+		}
+	}
+
+   /*------------------------------
+    | addDirectory
+    ----------------*/
+
+	/**
+	 * Add the coverage files that Node writes to the
+	 * directory named by NODE_V8_COVERAGE.
+	 *
+	 * @param {string} dir - the coverage directory
+	 */
+	addDirectory(dir) {
+		for (const name of fs.readdirSync(dir).sort()) {
+			if (!name.endsWith('.json')) continue;
+			const { result } = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+			this.add(result || []);
+		}
+	}
+
+   /*------------------------------
+    | summary
+    ----------------*/
+
+	/**
+	 * Returns the totals per file, and for all files:
+	 *
+	 *     {total : {lines : {total, covered, pct}, branches : ..., functions : ...},
+	 *      files : {'src/utils.mjs' : {lines : ..., ..., uncovered : [12, 13]}}}
+	 *
+	 * Percentages of nothing are 100.
+	 */
+	summary() {
+		const total = {};
+		for (const metric of METRICS) {
+			total[metric] = {total : 0, covered : 0};
+		}
+		const files = {};
+		for (const rel_path of [...this._files.keys()].sort()) {
+			const data  = this._files.get(rel_path);
+			const stats = {
+				lines     : CoverageReport._stats([...data.lines.values()]),
+				branches  : CoverageReport._stats([...data.branches.values()].map(branch => branch.count)),
+				functions : CoverageReport._stats([...data.functions.values()].map(func => func.count)),
+				uncovered : [...data.lines].filter(([, count]) => count == 0).map(([line]) => line),
+			};
+			for (const metric of METRICS) {
+				total[metric].total   += stats[metric].total;
+				total[metric].covered += stats[metric].covered;
+			}
+			files[rel_path] = stats;
+		}
+		for (const metric of METRICS) {
+			total[metric].pct = CoverageReport._pct(total[metric].covered, total[metric].total);
+		}
+		return {total : total, files : files};
+	}
+
+   /*------------------------------
+    | table
+    ----------------*/
+
+	/**
+	 * Returns a text table of the coverage per file, with
+	 * the ranges of lines that did not run.
+	 */
+	table() {
+		const {total, files} = this.summary();
+		const rows = Object.entries(files).map(([rel_path, stats]) =>
+			[rel_path, ...METRICS.map(metric => stats[metric].pct.toFixed(2)),
+			 CoverageReport._ranges(stats.uncovered)]);
+		rows.push(['All files', ...METRICS.map(metric => total[metric].pct.toFixed(2)), '']);
+		const header = ['File', '% Lines', '% Branches', '% Funcs', 'Uncovered lines'];
+		const widths = header.map((title, col) =>
+			Math.max(title.length, ...rows.map(row => row[col].length)));
+		const format = (row) => row.map((cell, col) =>
+			col == 0 || col == 4 ? cell.padEnd(widths[col]) : cell.padStart(widths[col])).join(' | ').trimEnd();
+		const rule = widths.map(width => '-'.repeat(width)).join('-|-');
+		return [rule, format(header), rule,
+				...rows.slice(0, -1).map(format),
+				rule, format(rows[rows.length - 1]), rule, ''].join('\n');
+	}
+
+   /*------------------------------
+    | writeLcov
+    ----------------*/
+
+	/**
+	 * Write the coverage in lcov's tracefile format,
+	 * creating the file's directory if needed.
+	 */
+	writeLcov(file_path) {
+		const records = [];
+		for (const rel_path of [...this._files.keys()].sort()) {
+			const data  = this._files.get(rel_path);
+			const lines = ['TN:', `SF:${path.join(this.root, rel_path)}`];
+			const functions = [...data.functions.values()];
+			for (const func of functions) {
+				lines.push(`FN:${func.line},${func.name}`);
+			}
+			for (const func of functions) {
+				lines.push(`FNDA:${func.count},${func.name}`);
+			}
+			lines.push(`FNF:${functions.length}`,
+					   `FNH:${functions.filter(func => func.count > 0).length}`);
+			// One block per branch, with a single branch:
+			let block = 0;
+			for (const branch of data.branches.values()) {
+				lines.push(`BRDA:${branch.line},${block++},0,${branch.count}`);
+			}
+			const branches = [...data.branches.values()];
+			lines.push(`BRF:${branches.length}`,
+					   `BRH:${branches.filter(branch => branch.count > 0).length}`);
+			for (const [line, count] of [...data.lines].sort(([line1], [line2]) => line1 - line2)) {
+				lines.push(`DA:${line},${count}`);
+			}
+			lines.push(`LF:${data.lines.size}`,
+					   `LH:${[...data.lines.values()].filter(count => count > 0).length}`,
+					   'end_of_record');
+			records.push(lines.join('\n'));
+		}
+		CoverageReport._writeFile(file_path, records.join('\n') + '\n');
+	}
+
+   /*------------------------------
+    | writeSummary
+    ----------------*/
+
+	/**
+	 * Write the summary() as JSON, creating the file's
+	 * directory if needed.
+	 */
+	writeSummary(file_path) {
+		CoverageReport._writeFile(file_path, JSON.stringify(this.summary(), null, 2) + '\n');
+	}
+
+   /*------------------------------
+    | checkThresholds
+    ----------------*/
+
+	/**
+	 * Returns a message for each metric whose total
+	 * percentage is below its threshold.
+	 *
+	 * @param {object} thresholds - percentages by metric,
+	 *     as in {lines : 80, branches : 70}
+	 * @returns {string[]} the messages; empty if all are met
+	 */
+	checkThresholds(thresholds) {
+		const {total} = this.summary();
+		return Object.entries(thresholds)
+			.filter(([metric, threshold]) => total[metric].pct < threshold)
+			.map(([metric, threshold]) =>
+				`Coverage of ${metric} (${total[metric].pct.toFixed(2)}%) ` +
+				`is below the threshold of ${threshold}%`);
+	}
+
+   /*------------------------------
+    | _analyze
+    ----------------*/
+
+	/**
+	 * Map the V8 function coverage of one script to
+	 * counts per line, branch, and function.
+	 */
+	static _analyze(source, functions) {
+		const line_starts = [0];
+		for (let idx = source.indexOf('\n'); idx >= 0; idx = source.indexOf('\n', idx + 1)) {
+			line_starts.push(idx + 1);
+		}
+		const line_of = (offset) => {
+			let low = 0;
+			let high = line_starts.length - 1;
+			while (low < high) {
+				const mid = (low + high + 1) >> 1;
+				if (line_starts[mid] <= offset) low = mid; else high = mid - 1;
+			}
+			return low + 1;
+		};
+
+		const result = {lines : new Map(), branches : new Map(), functions : new Map()};
+		const ranges = [];
+		for (const {functionName, ranges : func_ranges} of functions) {
+			const [whole, ...blocks] = func_ranges;
+			ranges.push(...func_ranges);
+			// The module's own scope is not a function:
+			const is_module = whole.startOffset == 0 && functionName == '';
+			if (!is_module) {
+				const line = line_of(whole.startOffset);
+				const name = functionName || '(anonymous)';
+				result.functions.set(`${line}:${whole.startOffset}:${name}`,
+									 {name : name, line : line, count : whole.count});
+			}
+			for (const block of is_module ? blocks : func_ranges) {
+				result.branches.set(`${block.startOffset}:${block.endOffset}`,
+									{line : line_of(block.startOffset), count : block.count});
+			}
+		}
+		// Outer ranges first, so that inner ones override them:
+		ranges.sort((range1, range2) =>
+			range1.startOffset - range2.startOffset || range2.endOffset - range1.endOffset);
+
+		const source_lines = source.split('\n');
+		source_lines.forEach((text, idx) => {
+			if (BLANK_RE.test(text)) return;
+			const offset = line_starts[idx] + text.trimEnd().length - 1;
+			let count = null;
+			for (const range of ranges) {
+				if (range.startOffset > offset) break;
+				if (offset < range.endOffset) count = range.count;
+			}
+			if (count !== null) result.lines.set(idx + 1, count);
+		});
+		return result;
+	}
+
+	_merge(rel_path, analyzed) {
+		const data = this._files.get(rel_path);
+		if (data === undefined) {
+			this._files.set(rel_path, analyzed);
+			return;
+		}
+		for (const [line, count] of analyzed.lines) {
+			data.lines.set(line, (data.lines.get(line) || 0) + count);
+		}
+		for (const kind of ['branches', 'functions']) {
+			for (const [key, entry] of analyzed[kind]) {
+				const known = data[kind].get(key);
+				if (known === undefined) {
+					data[kind].set(key, entry);
+				} else {
+					known.count += entry.count;
+				}
+			}
+		}
+	}
+
+	static _stats(counts) {
+		const covered = counts.filter(count => count > 0).length;
+		return {total : counts.length, covered : covered, pct : CoverageReport._pct(covered, counts.length)};
+	}
+
+	static _pct(covered, total) {
+		return total == 0 ? 100 : Math.floor(covered / total * 10000) / 100;
+	}
+
+	/**
+	 * Returns line numbers as ranges, as in '3-5, 9'.
+	 */
+	static _ranges(line_numbers) {
+		const parts = [];
+		let first = null;
+		let last  = null;
+		for (const line of [...line_numbers, null]) {
+			if (line !== null && last !== null && line == last + 1) {
+				last = line;
+				continue;
+			}
+			if (first !== null) parts.push(first == last ? `${first}` : `${first}-${last}`);
+			first = last = line;
+		}
+		return parts.join(', ');
+	}
+
+	static _writeFile(file_path, text) {
+		fs.mkdirSync(path.dirname(path.resolve(file_path)), {recursive : true});
+		fs.writeFileSync(file_path, text);
+	}
+}
+
+export { CoverageCollector, CoverageReport };
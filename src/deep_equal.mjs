@@ -0,0 +1,426 @@
+/**
+ * Structural comparison of arbitrary values, used by
+ * TestCase.assertDeepEqual(). Handles plain objects, class
+ * instances, arrays, Map, Set, Date, RegExp, Error, boxed
+ * primitives, typed arrays, ArrayBuffer, DataView, and
+ * cyclic object graphs.
+ *
+ * Rather than just answering yes or no, DeepEqual.difference()
+ * reports where the first difference lies:
+ *
+ *     DeepEqual.difference({users : [{tags : new Set(['a'])}]},
+ *                          {users : [{tags : new Set(['a', 'b'])}]})
+ *
+ *     ==> {path    : "obj.users[0].tags",
+ *          message : "obj.users[0].tags has Set{'a'} vs Set{'a', 'b'}",
+ *          ...}
+ *
+ * Options:
+ *     strict          : if true (default), primitives are compared
+ *                       with ===, else with ==. NaN equals NaN
+ *                       in either mode.
+ *     check_prototype : if true, objects must also have the same
+ *                       prototype, i.e. be instances of the same
+ *                       class. Default: false.
+ *     root            : name of the compared values in paths.
+ *                       Default: 'obj'
+ */
+
+import util from "util";
+
+// Stands in for a property or entry that one side lacks:
+const MISSING = Symbol('missing');
+
+const IDENTIFIER_RE = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/* ------------------ Class DeepEqual ------------ */
+
+class DeepEqual {
+
+   /*------------------------------
+    | equal
+    ----------------*/
+
+	/**
+	 * Returns true if actual and expected are structurally equal.
+	 *
+	 * @param {*} actual - first value
+	 * @param {*} expected - second value
+	 * @param {object} [options] - see module header
+	 * @returns {boolean}
+	 */
+	static equal(actual, expected, options={}) {
+		return DeepEqual.difference(actual, expected, options) === null;
+	}
+
+   /*------------------------------
+    | difference
+    ----------------*/
+
+	/**
+	 * Returns null if actual and expected are structurally equal.
+	 * Else returns the first difference found:
+	 *
+	 *     {path, actual, expected, message}
+	 *
+	 * where actual and expected are the differing values at path,
+	 * or the MISSING marker where one side lacks a property.
+	 *
+	 * @param {*} actual - first value
+	 * @param {*} expected - second value
+	 * @param {object} [options] - see module header
+	 * @returns {(object | null)} the difference, or null
+	 */
+	static difference(actual, expected, {strict=true, check_prototype=false, root='obj'}={}) {
+		const comparer = new DeepEqual({strict, check_prototype});
+		return comparer._compare(actual, expected, root);
+	}
+
+   /*------------------------------
+    | repr
+    ----------------*/
+
+	/**
+	 * Short, single line rendering of a value for
+	 * difference messages.
+	 */
+	static repr(value) {
+		if (value === MISSING) {
+			return '<missing>';
+		}
+		if (value instanceof Set) {
+			return `Set{${[...value].map(member => DeepEqual.repr(member)).join(', ')}}`;
+		}
+		if (value instanceof Map) {
+			const entries = [...value].map(
+				([key, val]) => `${DeepEqual.repr(key)} => ${DeepEqual.repr(val)}`);
+			return `Map{${entries.join(', ')}}`;
+		}
+		return util.inspect(value, {depth           : 2,
+									breakLength     : Infinity,
+									maxArrayLength  : 20,
+									maxStringLength : 200});
+	}
+
+   /*------------------------------
+    | Constructor
+    ----------------*/
+
+	constructor({strict=true, check_prototype=false}={}) {
+		this.strict          = strict;
+		this.check_prototype = check_prototype;
+		// Pairs of objects under comparison; a pair met
+		// again is part of a cycle, and assumed equal:
+		this._in_progress = new Map();
+	}
+
+   /*------------------------------
+    | _compare
+    ----------------*/
+
+	/**
+	 * Compare two values found at path; returns the
+	 * first difference, or null.
+	 */
+	_compare(actual, expected, path) {
+		if (this._primitivesEqual(actual, expected)) {
+			return null;
+		}
+		const is_obj1 = actual !== null && typeof(actual) == 'object';
+		const is_obj2 = expected !== null && typeof(expected) == 'object';
+		if (!is_obj1 || !is_obj2) {
+			// Two primitives, functions, or a primitive
+			// and an object that are not equal:
+			return this._differ(path, actual, expected);
+		}
+
+		const tag1 = Object.prototype.toString.call(actual);
+		const tag2 = Object.prototype.toString.call(expected);
+		if (tag1 != tag2 || Array.isArray(actual) != Array.isArray(expected)) {
+			return this._differ(path, actual, expected);
+		}
+		if (this.check_prototype &&
+			Object.getPrototypeOf(actual) !== Object.getPrototypeOf(expected)) {
+			return this._differ(path, actual, expected,
+				`${path} has prototype ${DeepEqual._protoName(actual)} ` +
+				`vs ${DeepEqual._protoName(expected)}`);
+		}
+
+		// Cycle detection:
+		let partners = this._in_progress.get(actual);
+		if (partners !== undefined && partners.has(expected)) {
+			return null;
+		}
+		if (partners === undefined) {
+			partners = new Set();
+			this._in_progress.set(actual, partners);
+		}
+		partners.add(expected);
+		try {
+			return this._compareObjects(actual, expected, path);
+		} finally {
+			partners.delete(expected);
+		}
+	}
+
+   /*------------------------------
+    | _compareObjects
+    ----------------*/
+
+	/**
+	 * Compare two objects of the same kind, dispatching
+	 * on that kind.
+	 */
+	_compareObjects(actual, expected, path) {
+		if (actual instanceof Date) {
+			if (!Object.is(actual.getTime(), expected.getTime())) {
+				return this._differ(path, actual, expected);
+			}
+		} else if (actual instanceof RegExp) {
+			if (actual.source != expected.source || actual.flags != expected.flags) {
+				return this._differ(path, actual, expected);
+			}
+		} else if (actual instanceof Error) {
+			if (actual.name != expected.name || actual.message != expected.message) {
+				return this._differ(path, actual, expected);
+			}
+		} else if (util.types.isBoxedPrimitive(actual)) {
+			if (!this._primitivesEqual(actual.valueOf(), expected.valueOf())) {
+				return this._differ(path, actual, expected);
+			}
+		} else if (actual instanceof ArrayBuffer || actual instanceof DataView) {
+			return this._compareBytes(actual, expected, path);
+		} else if (ArrayBuffer.isView(actual)) {
+			// Typed arrays
+			const diff = this._compareSequences(actual, expected, path);
+			if (diff !== null) return diff;
+			// Properties, such as 'length', are covered:
+			return null;
+		} else if (actual instanceof Map) {
+			const diff = this._compareMaps(actual, expected, path);
+			if (diff !== null) return diff;
+		} else if (actual instanceof Set) {
+			if (!this._setsEqual(actual, expected)) {
+				return this._differ(path, actual, expected);
+			}
+		} else if (Array.isArray(actual)) {
+			const diff = this._compareSequences(actual, expected, path);
+			if (diff !== null) return diff;
+		}
+		// Own enumerable properties, for arrays beyond
+		// the indexes:
+		return this._compareProperties(actual, expected, path, Array.isArray(actual));
+	}
+
+   /*------------------------------
+    | _compareSequences
+    ----------------*/
+
+	_compareSequences(actual, expected, path) {
+		if (actual.length != expected.length) {
+			return this._differ(path, actual, expected,
+				`${path} has length ${actual.length} vs ${expected.length}`);
+		}
+		for (let i = 0; i < actual.length; i++) {
+			const diff = this._compare(actual[i], expected[i], `${path}[${i}]`);
+			if (diff !== null) return diff;
+		}
+		return null;
+	}
+
+   /*------------------------------
+    | _compareBytes
+    ----------------*/
+
+	_compareBytes(actual, expected, path) {
+		const bytes1 = actual instanceof DataView
+			? new Uint8Array(actual.buffer, actual.byteOffset, actual.byteLength)
+			: new Uint8Array(actual);
+		const bytes2 = expected instanceof DataView
+			? new Uint8Array(expected.buffer, expected.byteOffset, expected.byteLength)
+			: new Uint8Array(expected);
+		return this._compareSequences(bytes1, bytes2, path);
+	}
+
+   /*------------------------------
+    | _compareProperties
+    ----------------*/
+
+	/**
+	 * Compare own enumerable properties, including those
+	 * keyed by symbols. For arrays, the index properties
+	 * are skipped; they were compared already.
+	 */
+	_compareProperties(actual, expected, path, skip_indexes) {
+		const keys1 = DeepEqual._ownKeys(actual, skip_indexes);
+		const keys2 = DeepEqual._ownKeys(expected, skip_indexes);
+		const keys2_set = new Set(keys2);
+
+		for (const key of keys1) {
+			const key_path = DeepEqual._propertyPath(path, key);
+			if (!keys2_set.has(key)) {
+				return this._differ(key_path, actual[key], MISSING);
+			}
+			const diff = this._compare(actual[key], expected[key], key_path);
+			if (diff !== null) return diff;
+		}
+		if (keys1.length != keys2.length) {
+			const keys1_set = new Set(keys1);
+			const extra = keys2.find(key => !keys1_set.has(key));
+			return this._differ(DeepEqual._propertyPath(path, extra), MISSING, expected[extra]);
+		}
+		return null;
+	}
+
+   /*------------------------------
+    | _compareMaps
+    ----------------*/
+
+	_compareMaps(actual, expected, path) {
+		for (const [key, val1] of actual) {
+			const key2 = this._findKey(expected, key);
+			const entry_path = `${path}.get(${DeepEqual.repr(key)})`;
+			if (key2 === MISSING) {
+				return this._differ(entry_path, val1, MISSING);
+			}
+			const diff = this._compare(val1, expected.get(key2), entry_path);
+			if (diff !== null) return diff;
+		}
+		if (actual.size != expected.size) {
+			for (const [key, val2] of expected) {
+				if (this._findKey(actual, key) === MISSING) {
+					return this._differ(`${path}.get(${DeepEqual.repr(key)})`, MISSING, val2);
+				}
+			}
+		}
+		return null;
+	}
+
+   /*------------------------------
+    | _setsEqual
+    ----------------*/
+
+	/**
+	 * Sets are equal if each member of one has an equal
+	 * member in the other. Object members are matched
+	 * structurally, and each may match only once.
+	 */
+	_setsEqual(set1, set2) {
+		if (set1.size != set2.size) return false;
+		const unmatched = [];
+		for (const member of set2) {
+			if (member !== null && typeof(member) == 'object') {
+				unmatched.push(member);
+			}
+		}
+		for (const member of set1) {
+			if (set2.has(member)) {
+				const idx = unmatched.indexOf(member);
+				if (idx >= 0) unmatched.splice(idx, 1);
+				continue;
+			}
+			if (member === null || typeof(member) != 'object') {
+				// In loose mode, 1 matches '1':
+				if (!this.strict && [...set2].some(other => this._primitivesEqual(member, other))) {
+					continue;
+				}
+				return false;
+			}
+			const idx = unmatched.findIndex(
+				other => this._compare(member, other, '') === null);
+			if (idx < 0) return false;
+			unmatched.splice(idx, 1);
+		}
+		return true;
+	}
+
+   /*------------------------------
+    | _findKey
+    ----------------*/
+
+	/**
+	 * Returns the key of map that equals key: the key
+	 * itself if present, else a structurally equal
+	 * object key. Returns MISSING if there is none.
+	 */
+	_findKey(map, key) {
+		if (map.has(key)) return key;
+		if (key === null || typeof(key) != 'object') {
+			return MISSING;
+		}
+		for (const other of map.keys()) {
+			if (other !== null && typeof(other) == 'object' &&
+				this._compare(key, other, '') === null) {
+				return other;
+			}
+		}
+		return MISSING;
+	}
+
+   /*------------------------------
+    | _primitivesEqual
+    ----------------*/
+
+	_primitivesEqual(val1, val2) {
+		if (val1 === val2) return true;
+		// NaN is equal to itself for our purposes:
+		if (typeof(val1) == 'number' && typeof(val2) == 'number' &&
+			Number.isNaN(val1) && Number.isNaN(val2)) {
+			return true;
+		}
+		if (this.strict) return false;
+		// Loose mode: only compare primitives with ==, so that
+		// objects never equal strings through their toString():
+		const is_prim1 = val1 === null || (typeof(val1) != 'object' && typeof(val1) != 'function');
+		const is_prim2 = val2 === null || (typeof(val2) != 'object' && typeof(val2) != 'function');
+		return is_prim1 && is_prim2 && val1 == val2;
+	}
+
+   /*------------------------------
+    | _differ
+    ----------------*/
+
+	_differ(path, actual, expected, message=null) {
+		if (message === null) {
+			message = `${path} has ${DeepEqual.repr(actual)} vs ${DeepEqual.repr(expected)}`;
+		}
+		return {path : path, actual : actual, expected : expected, message : message};
+	}
+
+   /*------------------------------
+    | _ownKeys
+    ----------------*/
+
+	static _ownKeys(obj, skip_indexes) {
+		const keys = Reflect.ownKeys(obj).filter(key =>
+			Object.prototype.propertyIsEnumerable.call(obj, key));
+		if (!skip_indexes) return keys;
+		return keys.filter(key => typeof(key) != 'string' || !/^(0|[1-9][0-9]*)$/.test(key));
+	}
+
+   /*------------------------------
+    | _propertyPath
+    ----------------*/
+
+	static _propertyPath(path, key) {
+		if (typeof(key) == 'symbol') {
+			return `${path}[${key.toString()}]`;
+		}
+		if (IDENTIFIER_RE.test(key)) {
+			return `${path}.${key}`;
+		}
+		return `${path}[${util.inspect(key)}]`;
+	}
+
+   /*------------------------------
+    | _protoName
+    ----------------*/
+
+	static _protoName(obj) {
+		const proto = Object.getPrototypeOf(obj);
+		if (proto === null) return 'null';
+		return (proto.constructor && proto.constructor.name) || '<anonymous>';
+	}
+}
+
+export { DeepEqual, MISSING };
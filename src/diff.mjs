@@ -0,0 +1,344 @@
+/**
+ * Human readable differences between two values, for
+ * the failure messages of equality assertions:
+ *
+ *   - multi-line strings get a unified line diff:
+ *
+ *         --- first
+ *         +++ second
+ *         @@ -1,3 +1,3 @@
+ *          {
+ *         -  "id": 1,
+ *         +  "id": 2,
+ *
+ *   - single-line strings get character level markers:
+ *
+ *         - hello world
+ *         ?       ^^^^^
+ *         + hello there
+ *         ?       ^^^^^
+ *
+ *   - objects are pretty printed, and the printouts
+ *     compared line by line.
+ *
+ * Line and character differences are computed with Myers'
+ * O(ND) algorithm. Very large, very different inputs are
+ * diffed coarsely, to bound time and memory. Given a
+ * max_length, the search stops as soon as the diff is
+ * sure to be longer, so that long diffs that would not
+ * be shown are not computed either.
+ */
+
+import util from "util";
+
+// Beyond this many items between the common prefix and
+// suffix, the middle is reported as wholly replaced. The
+// search takes time and memory quadratic in this number:
+const MAX_DIFF_ITEMS = 2000;
+
+/* ------------------ Class Diff ------------ */
+
+class Diff {
+
+   /*------------------------------
+    | explain
+    ----------------*/
+
+	/**
+	 * Returns a readable account of how first and second
+	 * differ, or the empty string if no diff would help, as
+	 * for two unequal numbers.
+	 *
+	 * @param {*} first - first compared value
+	 * @param {*} second - second compared value
+	 * @param {object} [options]
+	 * @param {number} [options.max_length] - longest diff wanted
+	 * @param {string} [options.from_label] - name of first; given
+	 *     names head character markers as well
+	 * @param {string} [options.to_label] - name of second
+	 * @returns {string|null} the diff, '', or null if the diff
+	 *     would be longer than max_length
+	 */
+	static explain(first, second, {max_length=null, from_label=null, to_label=null}={}) {
+		const labels = from_label === null ? {} : {from_label : from_label, to_label : to_label};
+		let diff = '';
+		if (typeof(first) == 'string' && typeof(second) == 'string') {
+			if (first.includes('\n') || second.includes('\n')) {
+				diff = Diff.unified(first, second, {max_length : max_length, ...labels});
+			} else {
+				diff = Diff.markChars(first, second, {max_length : max_length});
+				if (diff !== null && from_label !== null) {
+					diff = `--- ${from_label}\n+++ ${to_label}\n${diff}`;
+				}
+			}
+		} else if (Diff._isStructured(first) && Diff._isStructured(second)) {
+			const rendered1 = Diff.render(first);
+			const rendered2 = Diff.render(second);
+			if (rendered1 == rendered2) return '';
+			diff = Diff.unified(rendered1, rendered2, {max_length : max_length, ...labels});
+		}
+		if (diff !== null && max_length !== null && diff.length > max_length) return null;
+		return diff;
+	}
+
+   /*------------------------------
+    | render
+    ----------------*/
+
+	/**
+	 * Pretty print a value, one property or element per
+	 * line, with object keys sorted so that key order
+	 * does not show up as a difference.
+	 */
+	static render(value) {
+		return util.inspect(value, {depth           : 8,
+									compact         : false,
+									sorted          : true,
+									breakLength     : 80,
+									maxArrayLength  : 500,
+									maxStringLength : 10000});
+	}
+
+   /*------------------------------
+    | unified
+    ----------------*/
+
+	/**
+	 * Unified diff of the lines of two strings.
+	 *
+	 * @param {string} text1 - first text
+	 * @param {string} text2 - second text
+	 * @param {object} [options]
+	 * @param {number} [options.context] - unchanged lines shown
+	 *     around changes; default 3
+	 * @param {string} [options.from_label] - name of text1 in the header
+	 * @param {string} [options.to_label] - name of text2 in the header
+	 * @param {number} [options.max_length] - longest diff wanted
+	 * @returns {string|null} the diff, '' if the texts are equal, or
+	 *     null if the diff is sure to be longer than max_length
+	 */
+	static unified(text1, text2, {context=3, from_label='first', to_label='second', max_length=null}={}) {
+		// Each changed line takes at least its marker and a newline:
+		const max_edits = max_length === null ? Infinity : Math.floor(max_length / 2);
+		const ops = Diff.ops(text1.split('\n'), text2.split('\n'), max_edits);
+		if (ops === null) return null;
+		const changed = [];
+		ops.forEach((op, i) => { if (op[0] != '=') changed.push(i) });
+		if (changed.length == 0) return '';
+
+		// Line numbers in text1 and text2 at which each op starts:
+		const pos1 = [];
+		const pos2 = [];
+		let line1 = 0;
+		let line2 = 0;
+		for (const [kind] of ops) {
+			pos1.push(line1);
+			pos2.push(line2);
+			if (kind != '+') line1 += 1;
+			if (kind != '-') line2 += 1;
+		}
+
+		// Group changes that are close together into hunks
+		// of [start, end) op indexes:
+		const hunks = [];
+		let start = Math.max(0, changed[0] - context);
+		let end   = Math.min(ops.length, changed[0] + context + 1);
+		for (const idx of changed.slice(1)) {
+			if (idx - context <= end) {
+				end = Math.min(ops.length, idx + context + 1);
+			} else {
+				hunks.push([start, end]);
+				start = idx - context;
+				end   = Math.min(ops.length, idx + context + 1);
+			}
+		}
+		hunks.push([start, end]);
+
+		const out = [`--- ${from_label}`, `+++ ${to_label}`];
+		for (const [hunk_start, hunk_end] of hunks) {
+			const hunk_ops = ops.slice(hunk_start, hunk_end);
+			const count1 = hunk_ops.filter(([kind]) => kind != '+').length;
+			const count2 = hunk_ops.filter(([kind]) => kind != '-').length;
+			out.push(`@@ -${pos1[hunk_start] + 1},${count1} +${pos2[hunk_start] + 1},${count2} @@`);
+			for (const [kind, line] of hunk_ops) {
+				out.push(`${kind == '=' ? ' ' : kind}${line}`);
+			}
+		}
+		return out.join('\n');
+	}
+
+   /*------------------------------
+    | markChars
+    ----------------*/
+
+	/**
+	 * Show two single-line strings one above the other,
+	 * each followed by a line of '^' markers under the
+	 * characters that the other string lacks.
+	 *
+	 * @param {string} str1 - first string
+	 * @param {string} str2 - second string
+	 * @param {object} [options]
+	 * @param {number} [options.max_length] - longest result wanted
+	 * @returns {string|null} the annotated strings, or null if
+	 *     they would be longer than max_length
+	 */
+	static markChars(str1, str2, {max_length=null}={}) {
+		// Both strings are shown in full, with their '- ' and '+ ':
+		if (max_length !== null && str1.length + str2.length + 5 > max_length) return null;
+		const ops = Diff.ops([...str1], [...str2]);
+		let marks1 = '';
+		let marks2 = '';
+		for (const [kind, ch] of ops) {
+			// Keep markers aligned under wide characters:
+			const width = ch.length;
+			if (kind == '=') {
+				marks1 += ' '.repeat(width);
+				marks2 += ' '.repeat(width);
+			} else if (kind == '-') {
+				marks1 += '^'.repeat(width);
+			} else {
+				marks2 += '^'.repeat(width);
+			}
+		}
+		const out = [`- ${str1}`];
+		if (marks1.trim() != '') out.push(`? ${marks1.trimEnd()}`);
+		out.push(`+ ${str2}`);
+		if (marks2.trim() != '') out.push(`? ${marks2.trimEnd()}`);
+		return out.join('\n');
+	}
+
+   /*------------------------------
+    | ops
+    ----------------*/
+
+	/**
+	 * Shortest edit script that turns seq1 into seq2, as a
+	 * list of [kind, item] pairs. Kind is '=' for items in
+	 * both, '-' for items only in seq1, and '+' for items
+	 * only in seq2. Items are compared with ===.
+	 *
+	 * @param {Array} seq1 - first sequence
+	 * @param {Array} seq2 - second sequence
+	 * @param {number} [max_edits] - most '-' and '+' items wanted
+	 * @returns {Array[]|null} the edit script, or null if it
+	 *     would have more than max_edits changes
+	 */
+	static ops(seq1, seq2, max_edits=Infinity) {
+		// Common prefix and suffix need no search:
+		let prefix = 0;
+		while (prefix < seq1.length && prefix < seq2.length && seq1[prefix] === seq2[prefix]) {
+			prefix += 1;
+		}
+		let suffix = 0;
+		while (suffix < seq1.length - prefix && suffix < seq2.length - prefix &&
+			   seq1[seq1.length - 1 - suffix] === seq2[seq2.length - 1 - suffix]) {
+			suffix += 1;
+		}
+		const mid1 = seq1.slice(prefix, seq1.length - suffix);
+		const mid2 = seq2.slice(prefix, seq2.length - suffix);
+
+		// No script has fewer changes than the difference in length:
+		if (Math.abs(mid1.length - mid2.length) > max_edits) return null;
+		let middle;
+		if (mid1.length + mid2.length > MAX_DIFF_ITEMS) {
+			if (mid1.length + mid2.length > max_edits) return null;
+			middle = [...mid1.map(item => ['-', item]), ...mid2.map(item => ['+', item])];
+		} else {
+			middle = Diff._myers(mid1, mid2, max_edits);
+			if (middle === null) return null;
+		}
+		return [...seq1.slice(0, prefix).map(item => ['=', item]),
+				...middle,
+				...seq1.slice(seq1.length - suffix).map(item => ['=', item])];
+	}
+
+   /*------------------------------
+    | _myers
+    ----------------*/
+
+	/**
+	 * Myers' greedy search, returning the edit script, or
+	 * null if it has more than max_edits changes. v holds,
+	 * per diagonal k = x - y, the furthest x reached; round
+	 * d reaches diagonals -d..d only, so that is all of v
+	 * that is kept of each round for backtracking.
+	 */
+	static _myers(seq1, seq2, max_edits=Infinity) {
+		const n      = seq1.length;
+		const m      = seq2.length;
+		const max    = Math.min(n + m, max_edits);
+		const offset = max + 1;
+		const v      = new Int32Array(2 * max + 3);
+		// Diagonals -d-1..d+1 of v before each round d:
+		const trace  = [];
+		let found    = false;
+
+		search:
+		for (let d = 0; d <= max; d++) {
+			trace.push(v.slice(offset - d - 1, offset + d + 2));
+			for (let k = -d; k <= d; k += 2) {
+				let x;
+				if (k == -d || (k != d && v[k - 1 + offset] < v[k + 1 + offset])) {
+					x = v[k + 1 + offset];
+				} else {
+					x = v[k - 1 + offset] + 1;
+				}
+				let y = x - k;
+				while (x < n && y < m && seq1[x] === seq2[y]) {
+					x += 1;
+					y += 1;
+				}
+				v[k + offset] = x;
+				if (x >= n && y >= m) {
+					found = true;
+					break search;
+				}
+			}
+		}
+		if (!found) return null;
+
+		const ops = [];
+		let x = n;
+		let y = m;
+		for (let d = trace.length - 1; d >= 0; d--) {
+			const prev_v = trace[d];
+			// Diagonal k is at index k + d + 1 of prev_v:
+			const shift  = d + 1;
+			const k = x - y;
+			let prev_k;
+			if (k == -d || (k != d && prev_v[k - 1 + shift] < prev_v[k + 1 + shift])) {
+				prev_k = k + 1;
+			} else {
+				prev_k = k - 1;
+			}
+			const prev_x = prev_v[prev_k + shift];
+			const prev_y = prev_x - prev_k;
+			while (x > prev_x && y > prev_y) {
+				ops.push(['=', seq1[x - 1]]);
+				x -= 1;
+				y -= 1;
+			}
+			if (d > 0) {
+				if (x == prev_x) {
+					ops.push(['+', seq2[y - 1]]);
+				} else {
+					ops.push(['-', seq1[x - 1]]);
+				}
+			}
+			x = prev_x;
+			y = prev_y;
+		}
+		return ops.reverse();
+	}
+
+   /*------------------------------
+    | _isStructured
+    ----------------*/
+
+	static _isStructured(value) {
+		return value !== null && typeof(value) == 'object';
+	}
+}
+
+export { Diff };
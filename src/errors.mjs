@@ -0,0 +1,29 @@
+/**
+ * Errors of the test framework: AssertionError, which
+ * failing assertions throw, and NotFoundError, for files
+ * and directories that do not exist.
+ *
+ * Usage:
+ *     import { AssertionError } from "./errors.mjs";
+ *     throw new AssertionError(`${first} !== ${second}`);
+ */
+
+/* ------------------ Class AssertionError ------------ */
+
+class AssertionError extends Error {
+	constructor(message, options) {
+		super(message, options);
+		this.name = 'AssertionError';
+	}
+}
+
+/* ------------------ Class NotFoundError ------------ */
+
+class NotFoundError extends Error {
+	constructor(message, options) {
+		super(message, options);
+		this.name = 'NotFoundError';
+	}
+}
+
+export { AssertionError, NotFoundError };
@@ -0,0 +1,306 @@
+/**
+ * A controllable clock that stands in for the timer
+ * functions, so that code built on timeouts can be tested
+ * without waiting. While installed, setTimeout(),
+ * setInterval(), and their clear functions only schedule
+ * callbacks; time passes, and callbacks run, only when
+ * the test says so:
+ *
+ *     const clock = this.useFakeTimers();
+ *     waitlist.add(key, resolve, reject, {delay : 5000});
+ *     clock.tick(4999);
+ *     this.assertFalse(reject.called);
+ *     clock.tick(1);
+ *     reject.assertCalledOnce();
+ *
+ * Date.now() and performance.now() report the fake time.
+ * Other sources of time, such as 'new Date()', and other
+ * scheduling, such as setImmediate() and promises, are
+ * left alone.
+ */
+
+import { Patch } from "./mock.mjs";
+
+// Guard against intervals, and timers that keep
+// scheduling new timers, in runAll():
+const MAX_LOOPS = 1000;
+
+/* ------------------ Class FakeTimer ------------ */
+
+/**
+ * What the fake setTimeout() and setInterval() return.
+ * Mimics Node's Timeout objects enough for code that
+ * unrefs its timers, or uses them as numbers.
+ */
+class FakeTimer {
+
+	constructor(clock, id) {
+		this._clock = clock;
+		this._id    = id;
+		this._ref   = true;
+	}
+
+	ref() {
+		this._ref = true;
+		return this;
+	}
+
+	unref() {
+		this._ref = false;
+		return this;
+	}
+
+	hasRef() {
+		return this._ref;
+	}
+
+	refresh() {
+		this._clock._refresh(this._id);
+		return this;
+	}
+
+	[Symbol.toPrimitive]() {
+		return this._id;
+	}
+}
+
+/* ------------------ Class FakeClock ------------ */
+
+class FakeClock {
+
+   /*------------------------------
+    | Constructor
+    ----------------*/
+
+	/**
+	 * @param {object} [options]
+	 * @param {(number | Date)} [options.now] - what Date.now()
+	 *     reports initially; default the current time
+	 */
+	constructor({now=Date.now()}={}) {
+		// Fake Date.now() value; performance.now()
+		// advances in step, from its real value:
+		this._now        = now instanceof Date ? now.getTime() : now;
+		this._perf_start = performance.now();
+		this._elapsed    = 0;
+		// Timer id to {id, callback, args, when, interval, seq}:
+		this._timers     = new Map();
+		this._next_id    = 1;
+		// Orders timers that are due at the same time:
+		this._next_seq   = 0;
+		this._patches    = [];
+	}
+
+   /*------------------------------
+    | now
+    ----------------*/
+
+	/**
+	 * The fake time, in msecs since the epoch.
+	 */
+	get now() {
+		return this._now + this._elapsed;
+	}
+
+   /*------------------------------
+    | pendingCount
+    ----------------*/
+
+	/**
+	 * Number of timers that have yet to fire.
+	 */
+	get pendingCount() {
+		return this._timers.size;
+	}
+
+   /*------------------------------
+    | install
+    ----------------*/
+
+	/**
+	 * Replace the global timer functions, Date.now(),
+	 * and performance.now() with this clock's.
+	 *
+	 * @returns {FakeClock} this clock
+	 */
+	install() {
+		if (this._patches.length > 0) return this;
+		const fakes = [
+			[globalThis,  'setTimeout',    (callback, delay, ...args) => this._add(callback, delay, args, false)],
+			[globalThis,  'setInterval',   (callback, delay, ...args) => this._add(callback, delay, args, true)],
+			[globalThis,  'clearTimeout',  timer => this._clear(timer)],
+			[globalThis,  'clearInterval', timer => this._clear(timer)],
+			[Date,        'now',           () => this.now],
+			[performance, 'now',           () => this._perf_start + this._elapsed],
+		];
+		for (const [target, attr, fake] of fakes) {
+			this._patches.push(Patch.object(target, attr, fake));
+		}
+		return this;
+	}
+
+   /*------------------------------
+    | uninstall
+    ----------------*/
+
+	/**
+	 * Restore the real timer functions and clocks. Timers
+	 * that have not fired are dropped.
+	 */
+	uninstall() {
+		while (this._patches.length > 0) {
+			this._patches.pop().stop();
+		}
+		this._timers.clear();
+	}
+
+   /*------------------------------
+    | tick
+    ----------------*/
+
+	/**
+	 * Advance the clock by ms, running the callbacks of
+	 * timers that become due on the way, in order. Timers
+	 * scheduled by those callbacks run as well, if they
+	 * are due by the end. If a callback throws, the clock
+	 * stops at that callback's time, and the error
+	 * propagates.
+	 *
+	 * @param {number} ms - msecs to advance
+	 * @returns {number} the number of callbacks that ran
+	 */
+	tick(ms) {
+		if (typeof(ms) != 'number' || !(ms >= 0)) {
+			throw new TypeError(`Can only tick forward by a number of msecs, not '${ms}'`);
+		}
+		const end = this._elapsed + ms;
+		let ran = 0;
+		let timer;
+		while ((timer = this._firstDue()) !== null && timer.when <= end) {
+			this._fire(timer);
+			ran += 1;
+		}
+		this._elapsed = end;
+		return ran;
+	}
+
+   /*------------------------------
+    | runAll
+    ----------------*/
+
+	/**
+	 * Run timers, advancing the clock to each, until none
+	 * are left, including timers that callbacks schedule.
+	 *
+	 * @returns {number} the number of callbacks that ran
+	 * @throws {Error} if timers keep rescheduling themselves,
+	 *     as intervals do
+	 */
+	runAll() {
+		let ran = 0;
+		let timer;
+		while ((timer = this._firstDue()) !== null) {
+			if (ran >= MAX_LOOPS) {
+				throw new Error(`Aborting after running ${MAX_LOOPS} timers, ` +
+								'assuming an infinite loop of timers');
+			}
+			this._fire(timer);
+			ran += 1;
+		}
+		return ran;
+	}
+
+   /*------------------------------
+    | runOnlyPending
+    ----------------*/
+
+	/**
+	 * Run the timers that are pending now, once each,
+	 * advancing the clock to each. Timers that their
+	 * callbacks schedule, and the next round of intervals,
+	 * are left pending.
+	 *
+	 * @returns {number} the number of callbacks that ran
+	 */
+	runOnlyPending() {
+		const pending = [...this._timers.values()].sort(FakeClock._byDueTime);
+		let ran = 0;
+		for (const timer of pending) {
+			// Earlier callbacks may have cleared it:
+			if (this._timers.get(timer.id) !== timer) continue;
+			this._fire(timer);
+			ran += 1;
+		}
+		return ran;
+	}
+
+   /*------------------------------
+    | _add
+    ----------------*/
+
+	_add(callback, delay, args, is_interval) {
+		if (typeof(callback) != 'function') {
+			throw new TypeError(`The callback must be a function, not '${callback}'`);
+		}
+		delay = Number(delay);
+		if (!(delay >= 0)) delay = 0;
+		const id = this._next_id++;
+		this._timers.set(id, {id       : id,
+							  callback : callback,
+							  args     : args,
+							  delay    : delay,
+							  interval : is_interval,
+							  when     : this._elapsed + delay,
+							  seq      : this._next_seq++});
+		return new FakeTimer(this, id);
+	}
+
+	_clear(timer) {
+		if (timer === null || timer === undefined) return;
+		this._timers.delete(Number(timer));
+	}
+
+	_refresh(id) {
+		const timer = this._timers.get(id);
+		if (timer === undefined) return;
+		timer.when = this._elapsed + timer.delay;
+		timer.seq  = this._next_seq++;
+	}
+
+   /*------------------------------
+    | _fire
+    ----------------*/
+
+	/**
+	 * Advance to the timer's due time, and run its
+	 * callback. Intervals are rescheduled first, so
+	 * that the callback may clear them.
+	 */
+	_fire(timer) {
+		this._elapsed = Math.max(this._elapsed, timer.when);
+		if (timer.interval) {
+			// Zero intervals would never let time pass:
+			timer.when = this._elapsed + Math.max(timer.delay, 1);
+			timer.seq  = this._next_seq++;
+		} else {
+			this._timers.delete(timer.id);
+		}
+		timer.callback(...timer.args);
+	}
+
+	_firstDue() {
+		let first = null;
+		for (const timer of this._timers.values()) {
+			if (first === null || FakeClock._byDueTime(timer, first) < 0) {
+				first = timer;
+			}
+		}
+		return first;
+	}
+
+	static _byDueTime(timer1, timer2) {
+		return timer1.when - timer2.when || timer1.seq - timer2.seq;
+	}
+}
+
+export { FakeClock, FakeTimer };
@@ -0,0 +1,284 @@
+/**
+ * JUnit XML report of a test run, as read by CI servers
+ * such as Jenkins and GitLab. Each TestCase class becomes
+ * a <testsuite>, and each test method a <testcase>:
+ *
+ *     <testsuites name="find_test_files" tests="3" failures="1" errors="0" skipped="1" time="0.012">
+ *       <testsuite name="MyTester" file="tests/test_my.mjs" tests="3" failures="1" errors="0" skipped="1" time="0.012">
+ *         <testcase classname="MyTester" name="test_parse" file="tests/test_my.mjs" time="0.004">
+ *           <failure message="1 !== 2" type="AssertionError">AssertionError: 1 !== 2
+ *         at ...</failure>
+ *           <system-out>parsing...</system-out>
+ *         </testcase>
+ *         ...
+ *
+ * Classes of the same name in different files are separate
+ * suites. The report is built from a TestResult after the run. For
+ * <system-out> and <system-err>, set the result's
+ * captureOutput before running.
+ *
+ * Usage:
+ *     result.captureOutput = true;
+ *     ... run tests ...
+ *     JUnitXmlReporter.write(result, 'reports/junit.xml');
+ */
+
+import fs from "fs";
+import path from "path";
+
+/* ------------------ Class JUnitXmlReporter ------------ */
+
+class JUnitXmlReporter {
+
+   /*------------------------------
+    | write
+    ----------------*/
+
+	/**
+	 * Write the report of a finished run to a file,
+	 * creating its directory if needed.
+	 *
+	 * @param {TestResult} result - outcome of the run
+	 * @param {string} file_path - where to write the XML
+	 * @param {object} [options] - as for render()
+	 */
+	static write(result, file_path, options={}) {
+		fs.mkdirSync(path.dirname(path.resolve(file_path)), {recursive : true});
+		fs.writeFileSync(file_path, JUnitXmlReporter.render(result, options));
+	}
+
+   /*------------------------------
+    | render
+    ----------------*/
+
+	/**
+	 * Returns the XML text of a report.
+	 *
+	 * @param {TestResult} result - outcome of the run
+	 * @param {object} [options]
+	 * @param {string} [options.name] - name of the run, for
+	 *     the root element
+	 * @param {number} [options.elapsed] - msecs of the whole run;
+	 *     default the sum of the tests' durations
+	 * @returns {string} the XML document
+	 */
+	static render(result, {name='find_test_files', elapsed=null}={}) {
+		const suites = JUnitXmlReporter._collect(result);
+		const totals = {tests : 0, failures : 0, errors : 0, skipped : 0, time : 0};
+		const suite_lines = [];
+		for (const {className, file, cases} of suites.values()) {
+			const counts = JUnitXmlReporter._count(cases);
+			for (const key of Object.keys(totals)) {
+				totals[key] += counts[key];
+			}
+			const names = {name : className, ...JUnitXmlReporter._fileAttr(file)};
+			suite_lines.push(`  <testsuite${JUnitXmlReporter._attrs({...names, ...counts})}>`);
+			for (const test_case of cases) {
+				suite_lines.push(...JUnitXmlReporter._renderCase(test_case));
+			}
+			suite_lines.push('  </testsuite>');
+		}
+		if (elapsed !== null) {
+			totals.time = elapsed / 1000;
+		}
+		return ['<?xml version="1.0" encoding="UTF-8"?>',
+				`<testsuites${JUnitXmlReporter._attrs({name : name, ...totals})}>`,
+				...suite_lines,
+				'</testsuites>',
+				''].join('\n');
+	}
+
+   /*------------------------------
+    | _collect
+    ----------------*/
+
+	/**
+	 * Gather the outcomes recorded in result into a Map
+	 * whose values are the suites, {className, file, cases},
+	 * with the cases of each class and file in the order in
+	 * which the tests ran. A case is:
+	 *
+	 *     {test, time, passed, failures, errors, skipped, stdout, stderr}
+	 *
+	 * where failures and errors are lists of {error, traceback},
+	 * and skipped is the skip message, or null.
+	 */
+	static _collect(result) {
+		const cases   = new Map();
+		const case_of = (test) => {
+			const key = JUnitXmlReporter._key(test.file, test.id);
+			let test_case = cases.get(key);
+			if (test_case === undefined) {
+				test_case = {test     : test,
+							 time     : 0,
+							 failures : [],
+							 errors   : [],
+							 skipped  : null,
+							 passed   : false};
+				cases.set(key, test_case);
+			}
+			return test_case;
+		};
+		for (const {test, elapsed} of result.durations) {
+			case_of(test).time = elapsed / 1000;
+		}
+		for (const test of result.successes) {
+			case_of(test).passed = true;
+		}
+		for (const entry of result.failures) {
+			case_of(entry.test).failures.push(entry);
+		}
+		for (const entry of result.errors) {
+			case_of(entry.test).errors.push(entry);
+		}
+		for (const {test, reason} of result.skipped) {
+			case_of(test).skipped = reason;
+		}
+		for (const {test} of result.expectedFailures) {
+			case_of(test).skipped = 'expected failure';
+		}
+		for (const test of result.unexpectedSuccesses) {
+			case_of(test).failures.push({error     : null,
+										traceback : 'Test was expected to fail, but passed'});
+		}
+
+		const suites = new Map();
+		for (const test_case of cases.values()) {
+			// Tests whose subtests failed have no outcome of their
+			// own; the subtests are reported instead:
+			if (!test_case.passed && test_case.skipped === null &&
+				test_case.failures.length == 0 && test_case.errors.length == 0) {
+				continue;
+			}
+			const output = result.output.get(test_case.test.id) || {stdout : '', stderr : ''};
+			test_case.stdout = output.stdout;
+			test_case.stderr = output.stderr;
+			const {className, file=null} = test_case.test;
+			const key = JUnitXmlReporter._key(file, className);
+			if (!suites.has(key)) suites.set(key, {className : className, file : file, cases : []});
+			suites.get(key).cases.push(test_case);
+		}
+		return suites;
+	}
+
+	/**
+	 * Tests and classes are told apart by file as well,
+	 * as ids of class fixtures, and of tests run without
+	 * a file, do not name it.
+	 */
+	static _key(file, name) {
+		return JSON.stringify([file ?? null, name]);
+	}
+
+	static _count(cases) {
+		return {tests    : cases.length,
+				failures : cases.filter(test_case => test_case.failures.length > 0).length,
+				errors   : cases.filter(test_case => test_case.errors.length > 0 &&
+												  test_case.failures.length == 0).length,
+				skipped  : cases.filter(test_case => test_case.skipped !== null).length,
+				time     : cases.reduce((sum, test_case) => sum + test_case.time, 0)};
+	}
+
+   /*------------------------------
+    | _renderCase
+    ----------------*/
+
+	static _renderCase(test_case) {
+		const test   = test_case.test;
+		// Subtests are named after their method, plus params:
+		const params = test.parent === undefined ? '' : test.id.slice(test.parent.length);
+		const attrs  = JUnitXmlReporter._attrs({classname : test.className,
+												name      : `${test.methodName}${params}`,
+												...JUnitXmlReporter._fileAttr(test.file),
+												time      : test_case.time});
+		const children = [];
+		if (test_case.skipped !== null) {
+			children.push(`<skipped${JUnitXmlReporter._attrs({message : test_case.skipped})}/>`);
+		}
+		for (const [tag, entries] of [['failure', test_case.failures], ['error', test_case.errors]]) {
+			for (const {error, traceback} of entries) {
+				const err_attrs = JUnitXmlReporter._attrs(JUnitXmlReporter._errorInfo(error, traceback));
+				children.push(`<${tag}${err_attrs}>${JUnitXmlReporter.escape(traceback)}</${tag}>`);
+			}
+		}
+		if (test_case.stdout != '') {
+			children.push(`<system-out>${JUnitXmlReporter.escape(test_case.stdout)}</system-out>`);
+		}
+		if (test_case.stderr != '') {
+			children.push(`<system-err>${JUnitXmlReporter.escape(test_case.stderr)}</system-err>`);
+		}
+		if (children.length == 0) {
+			return [`    <testcase${attrs}/>`];
+		}
+		return [`    <testcase${attrs}>`,
+				...children.map(child => `      ${child}`),
+				'    </testcase>'];
+	}
+
+	static _fileAttr(file) {
+		return typeof(file) == 'string' ? {file : file.split(path.sep).join('/')} : {};
+	}
+
+	/**
+	 * Returns the message and type attributes of
+	 * a failure or error element.
+	 */
+	static _errorInfo(error, traceback) {
+		if (error instanceof Error) {
+			return {message : error.message, type : error.name};
+		}
+		if (error === null) {
+			return {message : traceback, type : 'UnexpectedSuccess'};
+		}
+		return {message : String(error), type : typeof(error)};
+	}
+
+   /*------------------------------
+    | _attrs
+    ----------------*/
+
+	/**
+	 * Render an object as XML attributes, with a leading
+	 * space. Times are given in seconds, to the msec.
+	 */
+	static _attrs(attrs) {
+		return Object.entries(attrs).map(([key, val]) => {
+			const text = key == 'time' ? val.toFixed(3) : String(val);
+			return ` ${key}="${JUnitXmlReporter.escape(text, true)}"`;
+		}).join('');
+	}
+
+   /*------------------------------
+    | escape
+    ----------------*/
+
+	/**
+	 * Escape text for use in XML content, or in attribute
+	 * values. Characters that XML 1.0 does not allow at
+	 * all, such as the escape that starts terminal color
+	 * codes, are shown as \u001b and the like.
+	 *
+	 * @param {string} text - text to escape
+	 * @param {boolean} [in_attribute] - also escape quotes,
+	 *     and line breaks
+	 * @returns {string} the escaped text
+	 */
+	static escape(text, in_attribute=false) {
+		let escaped = String(text)
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g,
+					 ch => `\\u${ch.charCodeAt(0).toString(16).padStart(4, '0')}`);
+		if (in_attribute) {
+			escaped = escaped
+				.replace(/"/g, '&quot;')
+				.replace(/\n/g, '&#10;')
+				.replace(/\r/g, '&#13;')
+				.replace(/\t/g, '&#9;');
+		}
+		return escaped;
+	}
+}
+
+export { JUnitXmlReporter };
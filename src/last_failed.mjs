@@ -0,0 +1,183 @@
+/**
+ * Cache of the tests that failed in earlier runs, kept in
+ * .unittest_cache/lastfailed.json as a list of test ids (see
+ * selection.mjs). The cache backs the --last-failed and
+ * --failed-first options of find_test_files.
+ *
+ * A LastFailed instance is a reporter: added to the result
+ * of a run, it notes which tests ran and which failed.
+ * save() then writes the failures of this run, along with
+ * those of earlier runs whose tests did not run this time.
+ * Failed class fixtures are recorded under the id of their
+ * class, and failed imports under the id of their file.
+ *
+ * Ids of tests that no longer exist, because their file,
+ * class, or method was renamed or removed, are dropped by
+ * prune().
+ *
+ * Usage:
+ *     const last_failed = new LastFailed();
+ *     const ids = await last_failed.prune(last_failed.ids, loader);
+ *     result.addReporter(last_failed);
+ *     ... run tests ...
+ *     await last_failed.save(loader);
+ */
+
+import fs from "fs";
+import path from "path";
+
+import { Unittest } from "./unittest.mjs";
+import { TestSelector } from "./selection.mjs";
+
+/* ------------------ Class LastFailed ------------ */
+
+class LastFailed {
+
+	// Directory of the cache, relative to
+	// the current directory:
+	static DEFAULT_DIR = '.unittest_cache';
+
+   /*------------------------------
+    | Constructor
+    ----------------*/
+
+	/**
+	 * @param {string} [cache_dir] - directory of lastfailed.json
+	 */
+	constructor(cache_dir=LastFailed.DEFAULT_DIR) {
+		this.file_path = path.join(cache_dir, 'lastfailed.json');
+		// Ids recorded by earlier runs:
+		this.ids       = this._read();
+
+		// Ids of files, classes, and tests that ran,
+		// and of those that failed in this run:
+		this._ran      = new Set();
+		this._failed   = new Set();
+		this._file     = null;
+		this._class    = null;
+	}
+
+   /*------------------------------
+    | Reporter events
+    ----------------*/
+
+	fileStart({file}) {
+		this._class = null;
+		if (file === null) {
+			this._file = null;
+			return;
+		}
+		// Ids use '/' on all platforms:
+		this._file  = file.split(path.sep).join('/');
+		this._ran.add(this._file);
+	}
+
+	classStart({className}) {
+		this._class = className;
+		this._ran.add(this._classId());
+	}
+
+	classEnd() {
+		this._class = null;
+	}
+
+	testStart({test}) {
+		this._ran.add(this._testId(test.methodName));
+	}
+
+	testFail({test}) {
+		if (this._file === null) return;
+		if (this._class === null) {
+			// Such as a failed import of the test file:
+			this._failed.add(this._file);
+			return;
+		}
+		// Subtests are recorded under their test method,
+		// class fixtures under their class:
+		const method_id = this._testId(test.methodName);
+		this._failed.add(this._ran.has(method_id) ? method_id : this._classId());
+	}
+
+   /*------------------------------
+    | prune
+    ----------------*/
+
+	/**
+	 * Returns the ids whose files, classes, and methods
+	 * still exist. Ids in files that fail to import are
+	 * kept, since whether they exist cannot be told.
+	 * Without load_classes, only ids of missing files
+	 * are dropped.
+	 *
+	 * @param {string[]} ids - test ids
+	 * @param {function} [load_classes] - async load_classes(file_path)
+	 *     returns the test classes of a file, given its absolute path
+	 * @returns {Promise<string[]>} the ids that still exist
+	 */
+	async prune(ids, load_classes=null) {
+		const kept = [];
+		for (const test_id of ids) {
+			const {file, className, methodName} = TestSelector.parseId(test_id);
+			if (file === null || !fs.existsSync(file)) continue;
+			if (className !== null && load_classes !== null) {
+				let test_classes;
+				try {
+					test_classes = await load_classes(path.resolve(file));
+				} catch(e) {
+					kept.push(test_id);
+					continue;
+				}
+				const test_class = test_classes.find(cls => cls.name == className);
+				if (test_class === undefined) continue;
+				if (methodName !== null &&
+					!Unittest.testMethods(test_class).some(method => method.name == methodName)) {
+					continue;
+				}
+			}
+			kept.push(test_id);
+		}
+		return kept;
+	}
+
+   /*------------------------------
+    | save
+    ----------------*/
+
+	/**
+	 * Write the ids of the tests that failed in this run,
+	 * and of those that failed earlier, did not run this
+	 * time, and still exist.
+	 *
+	 * @param {function} [load_classes] - as for prune()
+	 */
+	async save(load_classes=null) {
+		const earlier = this.ids.filter(test_id => !this._ran.has(test_id) && !this._failed.has(test_id));
+		const ids     = [...await this.prune(earlier, load_classes), ...this._failed].sort();
+		fs.mkdirSync(path.dirname(this.file_path), {recursive : true});
+		fs.writeFileSync(this.file_path, JSON.stringify(ids, null, 2) + '\n');
+	}
+
+	/**
+	 * Returns the recorded ids, or an empty list if there
+	 * is no cache, or it cannot be read.
+	 */
+	_read() {
+		try {
+			const ids = JSON.parse(fs.readFileSync(this.file_path, 'utf8'));
+			if (!Array.isArray(ids)) return [];
+			return ids.filter(test_id => typeof(test_id) == 'string' && test_id.split('::').length <= 3);
+		} catch(e) {
+			return [];
+		}
+	}
+
+	_classId() {
+		return `${this._file}::${this._class}`;
+	}
+
+	_testId(method_name) {
+		return `${this._classId()}::${method_name}`;
+	}
+}
+
+export { LastFailed };
@@ -0,0 +1,258 @@
+/**
+ * Collects tests into suites, as Python's unittest.TestLoader
+ * does: the tests of a class, of a module, of a name, or of
+ * all test modules below a directory.
+ *
+ * Modules are imported with constructor-driven runs held
+ * back, so that test classes whose constructors call
+ * run_tests(), as in the header of unittest.mjs, do not run
+ * as a side effect of loading. A module that fails to
+ * import yields a test that reports the import error when
+ * run, and the error is also kept in the loader's errors.
+ *
+ * Modules may take charge of their own loading, as in
+ * Python, by exporting load_tests(loader, tests, pattern),
+ * which returns the suite to use in place of tests.
+ *
+ * Usage:
+ *     const loader = new TestLoader();
+ *     const suite  = await loader.discover('tests');
+ *     suite.addTest(await loader.loadTestsFromName('test_parser.mjs::ParserTests::test_empty'));
+ *     await new TextTestRunner({verbosity : 2}).run(suite);
+ */
+
+import path from "path";
+import { pathToFileURL } from "url";
+
+import { Unittest } from "./unittest.mjs";
+import { TestSuite, TestMethod } from "./suite.mjs";
+import { TestSelector } from "./selection.mjs";
+
+/* ------------------ Class FailedTest ------------ */
+
+/**
+ * Stands in for the tests of a module that could not
+ * be imported, and reports the import error when run,
+ * as one test.
+ */
+class FailedTest {
+
+	constructor(file, error) {
+		this.file  = file;
+		this.error = error;
+	}
+
+	countTestCases() {
+		return 1;
+	}
+
+	async run(result) {
+		const rel_path = path.relative(process.cwd(), this.file);
+		const test     = {id         : `import (${rel_path})`,
+						  file       : rel_path,
+						  className  : rel_path,
+						  methodName : 'import'};
+		result.startTest(test);
+		try {
+			result.addError(test, this.error);
+		} finally {
+			result.stopTest(test);
+		}
+		return result;
+	}
+
+	toString() {
+		return `import (${path.relative(process.cwd(), this.file)})`;
+	}
+}
+
+/* ------------------ Class TestLoader ------------ */
+
+class TestLoader {
+
+   /*------------------------------
+    | Constructor
+    ----------------*/
+
+	constructor() {
+		// Errors of modules that failed to import:
+		this.errors = [];
+	}
+
+   /*------------------------------
+    | loadTestsFromTestCase
+    ----------------*/
+
+	/**
+	 * Returns a suite of the test methods of a class,
+	 * in the order of their definition.
+	 *
+	 * @param {Function} test_class - TestCase subclass
+	 * @param {string} [file] - absolute path of the class' module
+	 * @returns {TestSuite} one TestMethod per test method
+	 * @throws {TypeError} if test_class is not a TestCase subclass
+	 */
+	loadTestsFromTestCase(test_class, file=null) {
+		if (!Unittest.isTestCaseClass(test_class)) {
+			throw new TypeError(`Tests are loaded from TestCase subclasses, not from '${TestSuite._name(test_class)}'`);
+		}
+		return new TestSuite(Unittest.testMethods(test_class).map(
+			method => new TestMethod(test_class, method.name, file)));
+	}
+
+   /*------------------------------
+    | loadTestsFromModule
+    ----------------*/
+
+	/**
+	 * Returns a suite with a suite for each TestCase
+	 * subclass that a module exports, or what the module's
+	 * load_tests() returns.
+	 *
+	 * @param {object} module - the module's namespace object
+	 * @param {object} [options]
+	 * @param {string} [options.file] - absolute path of the module
+	 * @param {string} [options.pattern] - passed on to load_tests()
+	 * @returns {TestSuite} the module's tests
+	 */
+	loadTestsFromModule(module, {file=null, pattern=null}={}) {
+		const tests = new TestSuite(TestLoader._testClasses(module).map(
+			test_class => this.loadTestsFromTestCase(test_class, file)));
+		if (typeof(module.load_tests) == 'function') {
+			return module.load_tests(this, tests, pattern);
+		}
+		return tests;
+	}
+
+   /*------------------------------
+    | loadTestsFromName
+    ----------------*/
+
+	/**
+	 * Returns the tests a name stands for. Without a module,
+	 * the name is a test id, as used on the command line: a
+	 * module's path, relative to the current directory, to
+	 * which '::Class' and '::Class::method' may be added.
+	 * Given a module, the name is 'Class' or 'Class.method'.
+	 *
+	 * @param {string} name - test id, or name within module
+	 * @param {object} [module] - namespace object of a module
+	 * @returns {Promise<TestSuite>} the tests
+	 * @throws {TypeError} if there is no such class or method
+	 */
+	async loadTestsFromName(name, module=null) {
+		let file = null;
+		let class_name;
+		let method_name;
+		if (module === null) {
+			const parsed = TestSelector.parseId(name);
+			if (parsed.file === null) {
+				throw new TypeError(`Test ids start with the path of a module, unlike '${name}'`);
+			}
+			file   = path.resolve(parsed.file);
+			module = await this._import(file);
+			if (module === null) return new TestSuite([new FailedTest(file, this.errors.at(-1))]);
+			if (parsed.className === null) return this.loadTestsFromModule(module, {file : file});
+			[class_name, method_name] = [parsed.className, parsed.methodName];
+		} else {
+			[class_name, method_name=null] = name.split('.');
+		}
+		const test_class = TestLoader._testClasses(module).find(cls => cls.name == class_name);
+		if (test_class === undefined) {
+			throw new TypeError(`No exported TestCase subclass named '${class_name}'`);
+		}
+		if (method_name === null) return this.loadTestsFromTestCase(test_class, file);
+		return new TestSuite([new TestMethod(test_class, method_name, file)]);
+	}
+
+   /*------------------------------
+    | loadTestsFromNames
+    ----------------*/
+
+	/**
+	 * Returns a suite with the tests of each name;
+	 * see loadTestsFromName().
+	 */
+	async loadTestsFromNames(names, module=null) {
+		const suite = new TestSuite();
+		for (const name of names) {
+			suite.addTest(await this.loadTestsFromName(name, module));
+		}
+		return suite;
+	}
+
+   /*------------------------------
+    | discover
+    ----------------*/
+
+	/**
+	 * Returns a suite of the tests in all modules below
+	 * start_dir whose names match pattern, found as by
+	 * Unittest.discover(). A class that several modules
+	 * export is loaded from the first one only.
+	 *
+	 * @param {string} [start_dir] - directory to search
+	 * @param {string} [pattern] - glob for module file names
+	 * @param {object} [options] - as for Unittest.discover()
+	 * @returns {Promise<TestSuite>} a suite per module
+	 */
+	async discover(start_dir='.', pattern=Unittest.DEFAULT_PATTERN, options={}) {
+		const suite = new TestSuite();
+		const classes_seen = new Set();
+		for (const file of Unittest.discover(start_dir, pattern, options)) {
+			const module = await this._import(file);
+			if (module === null) {
+				suite.addTest(new FailedTest(file, this.errors.at(-1)));
+				continue;
+			}
+			// Re-exported classes are left to their own module:
+			const exported = Object.fromEntries(Object.entries(module).filter(
+				([, value]) => !classes_seen.has(value)));
+			TestLoader._testClasses(module).forEach(test_class => classes_seen.add(test_class));
+			suite.addTest(this.loadTestsFromModule(exported, {file : file, pattern : pattern}));
+		}
+		return suite;
+	}
+
+   /*------------------------------
+    | importModule
+    ----------------*/
+
+	/**
+	 * Import a test module without running the tests of
+	 * classes that run themselves when instantiated.
+	 *
+	 * @param {string} file_path - absolute path of the module
+	 * @returns {Promise<object>} the module's namespace object
+	 */
+	static async importModule(file_path) {
+		const prev_defer = Unittest._deferRuns;
+		// Modules may instantiate their test classes at
+		// top level; runners run the classes themselves:
+		Unittest._deferRuns = true;
+		try {
+			return await import(pathToFileURL(file_path).href);
+		} finally {
+			Unittest._deferRuns = prev_defer;
+		}
+	}
+
+	/**
+	 * Import a module, noting the error and returning
+	 * null if it fails.
+	 */
+	async _import(file_path) {
+		try {
+			return await TestLoader.importModule(file_path);
+		} catch(e) {
+			this.errors.push(e);
+			return null;
+		}
+	}
+
+	static _testClasses(module) {
+		return Object.values(module).filter(exported => Unittest.isTestCaseClass(exported));
+	}
+}
+
+export { TestLoader, FailedTest };
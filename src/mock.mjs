@@ -0,0 +1,484 @@
+/**
+ * Mock objects and attribute patching, roughly equivalent
+ * to Python's unittest.mock.
+ *
+ * A Mock is a function that records how it is called, and
+ * returns a configured value:
+ *
+ *     const send = new Mock({returnValue : true});
+ *     server.send = send;
+ *     my_client.connect(server);
+ *     send.assertCalledOnceWith({req : 'login'});
+ *     this.assertEqual(send.callCount, 1);
+ *
+ * A side effect replaces the return value. It may be a
+ * function to call with the mock's arguments, an exception
+ * to throw, or a list of values to return (or throw) on
+ * successive calls:
+ *
+ *     const fetch_it = new Mock({sideEffect : [new TimeoutError(), 'data']});
+ *
+ * Patching temporarily replaces an attribute of an object,
+ * by default with a new Mock. Within tests, this.patch()
+ * undoes the patch when the test ends, whatever its outcome:
+ *
+ *     const now = this.patch(Date, 'now', () => 0);
+ *     const dispatch = this.patch(my_listenable, 'dispatchEvent');
+ *
+ * Elsewhere, patches are undone explicitly:
+ *
+ *     const patcher = Patch.object(console, 'log');
+ *     ...
+ *     patcher.stop();
+ */
+
+import { AssertionError } from "./errors.mjs";
+import { DeepEqual } from "./deep_equal.mjs";
+
+/* ------------------ Class Mock ------------ */
+
+class Mock extends Function {
+
+   /*------------------------------
+    | Constructor
+    ----------------*/
+
+	/**
+	 * Returns a callable mock. Since the mock is a function,
+	 * it may stand in for functions, methods, and callbacks.
+	 *
+	 * @param {object} [options]
+	 * @param {*} [options.returnValue] - what calls return; default undefined
+	 * @param {*} [options.sideEffect] - function, exception, or list
+	 *     of values; see sideEffect
+	 * @param {string} [options.name] - name used in failure messages
+	 */
+	constructor({returnValue=undefined, sideEffect=null, name='mock'}={}) {
+		// Not calling super(): the mock is a plain function
+		// that takes on the Mock prototype:
+		const mock = function(...args) {
+			return mock._mockCall(this, args);
+		};
+		Object.setPrototypeOf(mock, new.target.prototype);
+		Object.defineProperty(mock, 'name', {value : name, configurable : true});
+		mock.returnValue  = returnValue;
+		mock.sideEffect   = sideEffect;
+		// Arguments of each call, oldest first:
+		mock.callArgsList = [];
+		return mock;
+	}
+
+   /*------------------------------
+    | sideEffect
+    ----------------*/
+
+	/**
+	 * What happens when the mock is called, instead of
+	 * returning returnValue:
+	 *
+	 *   - a function is called with the mock's 'this' and
+	 *     arguments, and its result returned
+	 *   - an exception instance or class is thrown
+	 *   - each call takes the next value of an array or other
+	 *     iterable; exceptions among the values are thrown
+	 *   - null restores returning returnValue
+	 */
+	get sideEffect() {
+		return this._side_effect;
+	}
+
+	set sideEffect(side_effect) {
+		this._side_effect = side_effect;
+		this._side_effect_iter = Mock._isIterable(side_effect)
+			? side_effect[Symbol.iterator]()
+			: null;
+	}
+
+   /*------------------------------
+    | callCount
+    ----------------*/
+
+	get callCount() {
+		return this.callArgsList.length;
+	}
+
+   /*------------------------------
+    | called
+    ----------------*/
+
+	get called() {
+		return this.callArgsList.length > 0;
+	}
+
+   /*------------------------------
+    | callArgs
+    ----------------*/
+
+	/**
+	 * Arguments of the most recent call, or null
+	 * if the mock was not called.
+	 */
+	get callArgs() {
+		return this.called ? this.callArgsList[this.callArgsList.length - 1] : null;
+	}
+
+   /*------------------------------
+    | resetMock
+    ----------------*/
+
+	/**
+	 * Forget all calls. The return value and side
+	 * effect are kept.
+	 */
+	resetMock() {
+		this.callArgsList = [];
+	}
+
+   /*------------------------------
+    | assertCalled
+    ----------------*/
+
+	assertCalled() {
+		if (!this.called) {
+			throw new AssertionError(`Expected '${this.name}' to have been called`);
+		}
+	}
+
+   /*------------------------------
+    | assertNotCalled
+    ----------------*/
+
+	assertNotCalled() {
+		if (this.called) {
+			throw new AssertionError(
+				`Expected '${this.name}' not to have been called. ${this._callsDescription()}`);
+		}
+	}
+
+   /*------------------------------
+    | assertCalledOnce
+    ----------------*/
+
+	assertCalledOnce() {
+		if (this.callCount != 1) {
+			throw new AssertionError(
+				`Expected '${this.name}' to have been called once. ${this._callsDescription()}`);
+		}
+	}
+
+   /*------------------------------
+    | assertCalledWith
+    ----------------*/
+
+	/**
+	 * Confirms that the most recent call passed the given
+	 * arguments. Arguments are compared as by assertDeepEqual().
+	 *
+	 * @param {...*} args - the expected arguments
+	 */
+	assertCalledWith(...args) {
+		if (!this.called) {
+			throw new AssertionError(
+				`Expected call: ${this._callRepr(args)}\nNot called`);
+		}
+		if (!DeepEqual.equal(this.callArgs, args)) {
+			throw new AssertionError(
+				`Expected call: ${this._callRepr(args)}\nActual call: ${this._callRepr(this.callArgs)}`);
+		}
+	}
+
+   /*------------------------------
+    | assertCalledOnceWith
+    ----------------*/
+
+	assertCalledOnceWith(...args) {
+		this.assertCalledOnce();
+		this.assertCalledWith(...args);
+	}
+
+   /*------------------------------
+    | assertAnyCall
+    ----------------*/
+
+	/**
+	 * Confirms that some call, not necessarily the most
+	 * recent one, passed the given arguments.
+	 *
+	 * @param {...*} args - the expected arguments
+	 */
+	assertAnyCall(...args) {
+		if (!this.callArgsList.some(call_args => DeepEqual.equal(call_args, args))) {
+			throw new AssertionError(
+				`${this._callRepr(args)} call not found. ${this._callsDescription()}`);
+		}
+	}
+
+   /*------------------------------
+    | _mockCall
+    ----------------*/
+
+	_mockCall(this_arg, args) {
+		this.callArgsList.push(args);
+		const side_effect = this._side_effect;
+		if (side_effect === null || side_effect === undefined) {
+			return this.returnValue;
+		}
+		if (Mock._isException(side_effect)) {
+			throw Mock._instantiate(side_effect);
+		}
+		if (this._side_effect_iter !== null) {
+			const next = this._side_effect_iter.next();
+			if (next.done) {
+				throw new Error(`Side effect values of '${this.name}' are exhausted`);
+			}
+			if (Mock._isException(next.value)) {
+				throw Mock._instantiate(next.value);
+			}
+			return next.value;
+		}
+		if (typeof(side_effect) == 'function') {
+			return side_effect.apply(this_arg, args);
+		}
+		throw new TypeError(`Side effect of '${this.name}' must be a function, exception, ` +
+							`or iterable, not ${DeepEqual.repr(side_effect)}`);
+	}
+
+   /*------------------------------
+    | _callRepr
+    ----------------*/
+
+	_callRepr(args) {
+		return `${this.name}(${args.map(arg => DeepEqual.repr(arg)).join(', ')})`;
+	}
+
+	_callsDescription() {
+		const count = this.callCount;
+		if (count == 0) return 'Not called.';
+		const calls = this.callArgsList.map(args => this._callRepr(args)).join(', ');
+		return `Called ${count} time${count == 1 ? '' : 's'}: ${calls}.`;
+	}
+
+	static _isException(value) {
+		return value instanceof Error ||
+			(typeof(value) == 'function' && (value === Error || value.prototype instanceof Error));
+	}
+
+	static _instantiate(exc) {
+		return typeof(exc) == 'function' ? new exc() : exc;
+	}
+
+	static _isIterable(value) {
+		return value !== null && value !== undefined &&
+			typeof(value) != 'string' && typeof(value) != 'function' &&
+			typeof(value[Symbol.iterator]) == 'function';
+	}
+}
+
+/* ------------------ Class Patch ------------ */
+
+/**
+ * Temporarily replaces one attribute of an object. The
+ * attribute may be the object's own, or inherited, as
+ * for methods; stop() restores the prior state exactly.
+ */
+class Patch {
+
+	// Patches started and not yet stopped; see stopAll():
+	static _active = [];
+
+   /*------------------------------
+    | Constructor
+    ----------------*/
+
+	/**
+	 * @param {(object | function)} target - object to patch
+	 * @param {(string | symbol)} attr - name of the attribute
+	 * @param {*} [replacement] - value to install; if omitted,
+	 *     a new Mock named after attr
+	 * @param {object} [options]
+	 * @param {boolean} [options.create] - allow patching an
+	 *     attribute the target does not have; default false
+	 */
+	constructor(target, attr, replacement, {create=false}={}) {
+		if (target === null || (typeof(target) != 'object' && typeof(target) != 'function')) {
+			throw new TypeError(`Can only patch objects and functions, not ${DeepEqual.repr(target)}`);
+		}
+		if (!create && !(attr in target)) {
+			throw new TypeError(`${Patch._targetName(target)} has no attribute '${String(attr)}'`);
+		}
+		this.target      = target;
+		this.attr        = attr;
+		this.replacement = arguments.length < 3 ? new Mock({name : String(attr)}) : replacement;
+		this._original   = null;
+		this._started    = false;
+	}
+
+   /*------------------------------
+    | start
+    ----------------*/
+
+	/**
+	 * Install the replacement.
+	 *
+	 * @returns {*} the replacement
+	 */
+	start() {
+		if (this._started) return this.replacement;
+		const target = this.target;
+		const attr   = this.attr;
+		this._original = Object.getOwnPropertyDescriptor(target, attr) || null;
+		if (this._original !== null && !this._original.configurable) {
+			if (!this._original.writable) {
+				throw new TypeError(
+					`Cannot patch read-only attribute '${String(attr)}' of ${Patch._targetName(target)}`);
+			}
+			target[attr] = this.replacement;
+		} else {
+			Object.defineProperty(target, attr, {
+				value        : this.replacement,
+				writable     : true,
+				configurable : true,
+				// Don't let a patched inherited method show
+				// up among the target's own keys:
+				enumerable   : this._original !== null ? this._original.enumerable : !(attr in target),
+			});
+		}
+		this._started = true;
+		Patch._active.push(this);
+		return this.replacement;
+	}
+
+   /*------------------------------
+    | stop
+    ----------------*/
+
+	/**
+	 * Restore the attribute as it was before start().
+	 * Stopping a patch more than once has no effect.
+	 */
+	stop() {
+		if (!this._started) return;
+		const original = this._original;
+		if (original === null) {
+			delete this.target[this.attr];
+		} else if (!original.configurable) {
+			this.target[this.attr] = original.value;
+		} else {
+			Object.defineProperty(this.target, this.attr, original);
+		}
+		this._started = false;
+		Patch._active.splice(Patch._active.indexOf(this), 1);
+	}
+
+   /*------------------------------
+    | object
+    ----------------*/
+
+	/**
+	 * Patch target[attr] right away, like Python's
+	 * patch.object(). Call stop() on the returned
+	 * patch to undo.
+	 *
+	 * @param {(object | function)} target - object to patch
+	 * @param {(string | symbol)} attr - name of the attribute
+	 * @param {*} [replacement] - value to install; if omitted,
+	 *     a new Mock, available as the patch's replacement
+	 * @param {object} [options] - as for the constructor
+	 * @returns {Patch} the started patch
+	 */
+	static object(target, attr, replacement, options={}) {
+		const patcher = arguments.length < 3
+			? new Patch(target, attr)
+			: new Patch(target, attr, replacement, options);
+		patcher.start();
+		return patcher;
+	}
+
+   /*------------------------------
+    | dict
+    ----------------*/
+
+	/**
+	 * Set keys of a plain object, such as process.env,
+	 * right away, like Python's patch.dict(). Call stop()
+	 * on the returned patch to restore all keys.
+	 *
+	 * @param {object} obj - object to modify
+	 * @param {object} values - keys and values to set
+	 * @param {object} [options]
+	 * @param {boolean} [options.clear] - first remove all keys
+	 * @returns {DictPatch} the started patch
+	 */
+	static dict(obj, values, {clear=false}={}) {
+		const patcher = new DictPatch(obj, values, {clear : clear});
+		patcher.start();
+		return patcher;
+	}
+
+   /*------------------------------
+    | stopAll
+    ----------------*/
+
+	/**
+	 * Stop all patches that are active, most recent first.
+	 */
+	static stopAll() {
+		for (const patcher of [...Patch._active].reverse()) {
+			patcher.stop();
+		}
+	}
+
+	static _targetName(target) {
+		if (typeof(target) == 'function') return target.name || 'function';
+		// Built-in namespaces, such as Math and JSON:
+		if (typeof(target[Symbol.toStringTag]) == 'string') return target[Symbol.toStringTag];
+		return target.constructor && target.constructor.name
+			? `${target.constructor.name} instance`
+			: 'object';
+	}
+}
+
+/* ------------------ Class DictPatch ------------ */
+
+/**
+ * Temporarily sets keys of an object; made by Patch.dict().
+ */
+class DictPatch {
+
+	constructor(obj, values, {clear=false}={}) {
+		if (obj === null || typeof(obj) != 'object') {
+			throw new TypeError(`Can only patch the keys of objects, not ${DeepEqual.repr(obj)}`);
+		}
+		this.target   = obj;
+		this.values   = values;
+		this.clear    = clear;
+		this._saved   = null;
+	}
+
+	start() {
+		if (this._saved !== null) return this.target;
+		this._saved = {...this.target};
+		if (this.clear) {
+			DictPatch._clear(this.target);
+		}
+		Object.assign(this.target, this.values);
+		Patch._active.push(this);
+		return this.target;
+	}
+
+	stop() {
+		if (this._saved === null) return;
+		DictPatch._clear(this.target);
+		Object.assign(this.target, this._saved);
+		this._saved = null;
+		Patch._active.splice(Patch._active.indexOf(this), 1);
+	}
+
+	static _clear(obj) {
+		for (const key of Object.keys(obj)) {
+			delete obj[key];
+		}
+	}
+}
+
+export { Mock, Patch, DictPatch };
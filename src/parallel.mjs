@@ -0,0 +1,367 @@
+/**
+ * Runs test files in parallel, each in a worker thread of
+ * its own, as 'find_test_files --jobs N' does.
+ *
+ * Workers record outcomes in a RemoteTestResult, which
+ * forwards each call, along with what the tests write to
+ * stdout and stderr, to the main thread. There, the calls
+ * are replayed on the run's TestResult, one file after the
+ * other in the order of the files. Reporters thus see the
+ * same ordered run as without workers; the output of a
+ * file is held back until the files before it are done.
+ *
+ * A worker that crashes, or that exceeds the file timeout,
+ * is recorded as an error of the test that was running, or
+ * of the file if none was. The other files are unaffected.
+ *
+ * Given a CoverageReport, workers collect coverage, and
+ * send it to the main thread before they finish. So they
+ * do with what happened to their test files' snapshots.
+ *
+ * Usage:
+ *     const runner = new ParallelRunner({jobs : 4, file_timeout : 60000});
+ *     await runner.run(test_files, result, {selector : selector});
+ */
+
+import path from "path";
+import { Worker } from "worker_threads";
+
+import { TestResult } from "./result.mjs";
+import { TestTimeoutError } from "./unittest.mjs";
+
+// The worker's clock; tests may install fake timers:
+const real_now = performance.now.bind(performance);
+
+// TestResult methods whose calls workers forward:
+const FORWARDED = ['startTestFile', 'startTestClass', 'stopTestClass', 'startTest', 'stopTest',
+				   'addSuccess', 'addFailure', 'addError', 'addSkip',
+				   'addExpectedFailure', 'addUnexpectedSuccess'];
+
+/* ------------------ Class ParallelRunner ------------ */
+
+class ParallelRunner {
+
+   /*------------------------------
+    | Constructor
+    ----------------*/
+
+	/**
+	 * @param {object} [options]
+	 * @param {number} [options.jobs] - number of files run at once
+	 * @param {number} [options.file_timeout] - msecs after which a
+	 *     file's worker is stopped; null for no limit
+	 * @param {CoverageReport} [options.coverage] - where to add the
+	 *     coverage of the workers; null to collect none
+	 * @param {SnapshotStore} [options.snapshots] - where to merge
+	 *     the workers' snapshot summaries, and whose update flag
+	 *     they use
+	 */
+	constructor({jobs=2, file_timeout=null, coverage=null, snapshots=null}={}) {
+		this.jobs         = jobs;
+		this.file_timeout = file_timeout;
+		this.coverage     = coverage;
+		this.snapshots    = snapshots;
+	}
+
+   /*------------------------------
+    | run
+    ----------------*/
+
+	/**
+	 * Run the tests of the given files, recording their
+	 * outcomes in result. Once result.shouldStop is set, as
+	 * by failfast, no more files are started, and the files
+	 * after the one being replayed are abandoned.
+	 *
+	 * @param {string[]} test_files - absolute paths of test modules
+	 * @param {TestResult} result - where outcomes are recorded
+	 * @param {object} [plan] - as for runTestFile() in cli.mjs,
+	 *     but without classes_run
+	 * @returns {Promise<TestResult>} result, once all files are done
+	 */
+	run(test_files, result, {selector=null, failed=null}={}) {
+		const worker_data = {selector : selector === null ? null : selector.spec,
+							 failed   : failed === null ? null : failed.spec,
+							 failfast : result.failfast,
+							 coverage : this.coverage !== null,
+							 update_snapshots : this.snapshots !== null && this.snapshots.update,
+							 ci               : this.snapshots !== null && this.snapshots.ci};
+		// Per file: {file_path, rel_path, messages, done, worker, timer},
+		// and replay once its messages are applied:
+		const files = test_files.map(file_path => ({file_path : file_path,
+													rel_path  : path.relative(process.cwd(), file_path),
+													messages  : [],
+													done      : false,
+													worker    : null,
+													timer     : null}));
+		let next    = 0;
+		let head    = 0;
+		let running = 0;
+
+		return new Promise(resolve => {
+			// Replay the messages of the file at the head, and
+			// move on to the next file once it is done:
+			const advance = () => {
+				while (head < files.length) {
+					const file = files[head];
+					if (file.replay === undefined) {
+						file.replay = new Replay(result, file.rel_path);
+					}
+					while (file.messages.length > 0) {
+						file.replay.apply(file.messages.shift());
+					}
+					if (result.shouldStop) {
+						abandon(head + 1);
+					}
+					if (!file.done) return;
+					head += 1;
+				}
+				resolve(result);
+			};
+			const abandon = (from) => {
+				for (const file of files.slice(from)) {
+					if (file.done) continue;
+					file.done = true;
+					file.messages = [];
+					if (file.worker !== null) this._stop(file);
+				}
+				next = files.length;
+			};
+			const receive = (idx, message) => {
+				const file = files[idx];
+				if (file.done) return;
+				if (message.type == 'coverage') {
+					this.coverage.add(message.entries);
+					return;
+				}
+				if (message.type == 'snapshots') {
+					if (this.snapshots !== null) this.snapshots.merge(message.summary);
+					return;
+				}
+				file.messages.push(message);
+				if (message.type == 'done' || message.type == 'crash') {
+					file.done = true;
+					this._stop(file);
+					running -= 1;
+					start();
+				}
+				if (idx == head) advance();
+			};
+			const start = () => {
+				while (running < this.jobs && next < files.length && !result.shouldStop) {
+					const idx = next++;
+					running += 1;
+					this._start(files[idx], worker_data, message => receive(idx, message));
+				}
+				// Nothing started, or every file done already:
+				if (head < files.length) advance();
+				else resolve(result);
+			};
+			start();
+		});
+	}
+
+   /*------------------------------
+    | _start
+    ----------------*/
+
+	/**
+	 * Start the worker of one file. Its messages, and a
+	 * final 'crash' message if it fails, go to receive().
+	 */
+	_start(file, worker_data, receive) {
+		const worker = new Worker(new URL('./worker.mjs', import.meta.url),
+								  {workerData : {...worker_data, file_path : file.file_path}});
+		file.worker = worker;
+		worker.on('message', receive);
+		worker.on('error', err => receive({type : 'crash', error : err}));
+		worker.on('exit', code => receive({
+			type  : 'crash',
+			error : new Error(`Worker running ${file.rel_path} exited with code ${code}`)}));
+		if (this.file_timeout !== null) {
+			file.timer = setTimeout(() => receive({
+				type  : 'crash',
+				error : new TestTimeoutError(
+					`${file.rel_path} did not finish within ${this.file_timeout / 1000}s`)}),
+									this.file_timeout);
+		}
+	}
+
+	_stop(file) {
+		clearTimeout(file.timer);
+		if (file.worker !== null) {
+			file.worker.removeAllListeners();
+			file.worker.terminate();
+			file.worker = null;
+		}
+	}
+}
+
+/* ------------------ Class Replay ------------ */
+
+/**
+ * Applies the messages of one file's worker to the
+ * run's result, keeping track of the test and class that
+ * are open, to which a crash is attributed.
+ */
+class Replay {
+
+	constructor(result, rel_path) {
+		this.result     = result;
+		this.rel_path   = rel_path;
+		this.started    = false;
+		this.open_test  = null;
+		this.open_class = null;
+	}
+
+	apply(message) {
+		if (message.type == 'write') {
+			process[message.stream].write(message.chunk);
+		} else if (message.type == 'call') {
+			this._call(message);
+		} else if (message.type == 'crash') {
+			this._crash(message.error);
+		}
+	}
+
+	_call({method, args, at}) {
+		args = args.map(arg => RemoteTestResult.revive(arg));
+		if (method == 'startTestFile') this.started = true;
+		if (method == 'startTestClass') this.open_class = args[0];
+		if (method == 'stopTestClass') this.open_class = null;
+		if (method == 'startTest') this.open_test = args[0];
+		if (method == 'stopTest') this.open_test = null;
+		// Durations are those measured in the worker:
+		const real_clock = this.result.clock;
+		this.result.clock = () => at - performance.timeOrigin;
+		try {
+			this.result[method](...args);
+		} finally {
+			this.result.clock = real_clock;
+		}
+	}
+
+	_crash(error) {
+		if (!this.started) {
+			this.result.startTestFile(this.rel_path);
+		}
+		const test = this.open_test !== null ? this.open_test : {id         : `worker (${this.rel_path})`,
+																 file       : this.rel_path,
+																 className  : this.open_class || this.rel_path,
+																 methodName : 'worker'};
+		this.result.addError(test, error);
+		if (this.open_test !== null) this.result.stopTest(this.open_test);
+		if (this.open_class !== null) this.result.stopTestClass(this.open_class);
+		this.open_test  = null;
+		this.open_class = null;
+	}
+}
+
+/* ------------------ Class RemoteTestResult ------------ */
+
+/**
+ * TestResult of a worker, which also forwards each
+ * recording call to the main thread. Values that cannot
+ * be sent between threads, such as thrown errors with
+ * extra properties, or functions passed to subTest(),
+ * are sent as their closest plain equivalent.
+ */
+class RemoteTestResult extends TestResult {
+
+	/**
+	 * @param {MessagePort} port - port to the main thread
+	 */
+	constructor(port) {
+		super();
+		this.port = port;
+	}
+
+   /*------------------------------
+    | forwardOutput
+    ----------------*/
+
+	/**
+	 * Send what is written to stdout and stderr to the main
+	 * thread, in order with the results, instead of writing it.
+	 */
+	forwardOutput() {
+		for (const stream_name of ['stdout', 'stderr']) {
+			process[stream_name].write = (chunk, encoding, callback) => {
+				const text = typeof(chunk) == 'string' ? chunk : Buffer.from(chunk).toString();
+				this.port.postMessage({type : 'write', stream : stream_name, chunk : text});
+				if (typeof(encoding) == 'function') encoding();
+				if (typeof(callback) == 'function') callback();
+				return true;
+			};
+		}
+	}
+
+	_forward(method, args) {
+		this.port.postMessage({type   : 'call',
+							   method : method,
+							   args   : args.map(arg => RemoteTestResult.portable(arg)),
+							   at     : performance.timeOrigin + real_now()});
+	}
+
+   /*------------------------------
+    | portable
+    ----------------*/
+
+	/**
+	 * Returns a version of value that can be posted to
+	 * another thread. Errors become {__error__ : {...}},
+	 * which revive() turns back into errors.
+	 */
+	static portable(value) {
+		if (value instanceof Error) {
+			const error = {name : value.name, message : value.message, stack : value.stack};
+			if ('actual' in value && 'expected' in value) {
+				error.actual   = RemoteTestResult.portable(value.actual);
+				error.expected = RemoteTestResult.portable(value.expected);
+			}
+			return {__error__ : error};
+		}
+		try {
+			return structuredClone(value);
+		} catch(e) {
+			// Functions, or objects that contain them:
+		}
+		if (typeof(value) == 'object' && value !== null && !Array.isArray(value)) {
+			return Object.fromEntries(Object.entries(value).map(
+				([key, val]) => [key, RemoteTestResult.portable(val)]));
+		}
+		if (Array.isArray(value)) {
+			return value.map(val => RemoteTestResult.portable(val));
+		}
+		return String(value);
+	}
+
+	/**
+	 * Inverse of portable(), as far as possible.
+	 */
+	static revive(value) {
+		if (typeof(value) != 'object' || value === null || value.__error__ === undefined) {
+			return value;
+		}
+		const info  = value.__error__;
+		const error = new Error(info.message);
+		error.name  = info.name;
+		error.stack = info.stack;
+		if ('actual' in info) {
+			error.actual   = RemoteTestResult.revive(info.actual);
+			error.expected = RemoteTestResult.revive(info.expected);
+		}
+		return error;
+	}
+}
+
+// Each recording method forwards its call, then
+// records as usual, so that failfast works locally:
+for (const method of FORWARDED) {
+	RemoteTestResult.prototype[method] = function(...args) {
+		this._forward(method, args);
+		return TestResult.prototype[method].apply(this, args);
+	};
+}
+
+export { ParallelRunner, RemoteTestResult };
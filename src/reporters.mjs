@@ -0,0 +1,252 @@
+/**
+ * Reporters that follow a test run through the lifecycle
+ * events of its TestResult (see result.mjs), and the base
+ * class for custom reporters:
+ *
+ *   - DotReporter: one character per test, then a summary
+ *   - SpecReporter: one line per test, grouped by class
+ *   - JsonReporter: one JSON document at the end of the run
+ *
+ * A reporter only needs methods for the events it cares
+ * about. A custom reporter module, as loaded by
+ * 'find_test_files --reporter ./my_reporter.mjs', default
+ * exports a reporter class, whose constructor is passed
+ * {verbosity}, or a ready reporter object:
+ *
+ *     import { Reporter } from '@paepcke/unittest';
+ *
+ *     export default class MyReporter extends Reporter {
+ *         testFail({test, traceback}) {
+ *             this.stream.write(`${test.id} failed:\n${traceback}\n`);
+ *         }
+ *         runEnd({result, elapsed}) {
+ *             this.stream.write(`${result.testsRun} tests in ${elapsed}ms\n`);
+ *         }
+ *     }
+ */
+
+/* ------------------ Class Reporter ------------ */
+
+class Reporter {
+
+   /*------------------------------
+    | Constructor
+    ----------------*/
+
+	/**
+	 * @param {object} [options]
+	 * @param {stream.Writable} [options.stream] - where to
+	 *     write; default stdout
+	 * @param {number} [options.verbosity] - 0, 1, or 2
+	 */
+	constructor({stream=process.stdout, verbosity=1}={}) {
+		this.stream    = stream;
+		this.verbosity = verbosity;
+		// Bound now, so that our own output bypasses
+		// the capture of the tests' output:
+		this._write    = stream.write.bind(stream);
+	}
+
+   /*------------------------------
+    | describe
+    ----------------*/
+
+	/**
+	 * Name of a test within its class: the method name,
+	 * followed by the parameters of subtests, as in
+	 * 'test_parse [i=3]'.
+	 */
+	static describe(test) {
+		const params = test.parent === undefined ? '' : test.id.slice(test.parent.length);
+		return `${test.methodName}${params}`;
+	}
+
+   /*------------------------------
+    | _writeFailures
+    ----------------*/
+
+	/**
+	 * List numbered failures and errors, each with
+	 * its traceback.
+	 *
+	 * @param {object[]} failures - testFail event payloads
+	 */
+	_writeFailures(failures) {
+		failures.forEach(({test, kind, traceback}, idx) => {
+			const what = kind == 'unexpectedSuccess' ? 'unexpected success' : kind;
+			this._write(`\n  ${idx + 1}) ${test.id} (${what})\n`);
+			if (traceback !== null) {
+				this._write(`${traceback.replace(/^/gm, '     ')}\n`);
+			}
+		});
+	}
+
+   /*------------------------------
+    | _writeSummary
+    ----------------*/
+
+	_writeSummary(result, elapsed) {
+		const passing = result.successes.length;
+		const failing = result.failures.length + result.errors.length + result.unexpectedSuccesses.length;
+		const skipped = result.skipped.length + result.expectedFailures.length;
+		this._write(`\n  ${passing} passing (${Math.round(elapsed)}ms)\n`);
+		if (failing > 0) this._write(`  ${failing} failing\n`);
+		if (skipped > 0) this._write(`  ${skipped} skipped\n`);
+	}
+}
+
+/* ------------------ Class DotReporter ------------ */
+
+/**
+ * Writes '.' for each passed test, 'F' for failures,
+ * 'E' for errors, 's' for skips, 'x' for expected failures,
+ * and 'u' for unexpected successes. At the end, lists the
+ * failures, and counts the outcomes.
+ */
+class DotReporter extends Reporter {
+
+	constructor(options={}) {
+		super(options);
+		this._failures = [];
+	}
+
+	testPass() {
+		this._write('.');
+	}
+
+	testFail(payload) {
+		this._failures.push(payload);
+		this._write({failure : 'F', error : 'E', unexpectedSuccess : 'u'}[payload.kind]);
+	}
+
+	testSkip({kind}) {
+		this._write(kind == 'skip' ? 's' : 'x');
+	}
+
+	runEnd({result, elapsed}) {
+		this._write('\n');
+		this._writeSummary(result, elapsed);
+		this._writeFailures(this._failures);
+	}
+}
+
+/* ------------------ Class SpecReporter ------------ */
+
+/**
+ * Writes each class name, followed by one indented line
+ * per test, with the duration of tests that passed:
+ *
+ *     MyTester
+ *       ✓ test_feature1 (3ms)
+ *       1) test_feature2
+ *       - test_feature3 (skipped: not on Windows)
+ *
+ * At the end, lists the numbered failures.
+ */
+class SpecReporter extends Reporter {
+
+	constructor(options={}) {
+		super(options);
+		this._failures = [];
+		this._indent   = '';
+	}
+
+	classStart({className}) {
+		this._write(`\n${className}\n`);
+		this._indent = '  ';
+	}
+
+	classEnd() {
+		this._indent = '';
+	}
+
+	testPass({test, elapsed}) {
+		this._write(`${this._indent}✓ ${Reporter.describe(test)} (${Math.round(elapsed)}ms)\n`);
+	}
+
+	testFail(payload) {
+		this._failures.push(payload);
+		const what = payload.kind == 'unexpectedSuccess' ? ' (unexpected success)' : '';
+		this._write(`${this._indent}${this._failures.length}) ${Reporter.describe(payload.test)}${what}\n`);
+	}
+
+	testSkip({test, kind, reason}) {
+		const why = kind == 'skip' ? `skipped: ${reason}` : 'expected failure';
+		this._write(`${this._indent}- ${Reporter.describe(test)} (${why})\n`);
+	}
+
+	runEnd({result, elapsed}) {
+		this._writeSummary(result, elapsed);
+		this._writeFailures(this._failures);
+	}
+}
+
+/* ------------------ Class JsonReporter ------------ */
+
+/**
+ * Writes one JSON document when the run ends:
+ *
+ *     {"stats" : {"tests"      : 3, "passes" : 1, "failures" : 1,
+ *                 "errors"     : 0, "skipped" : 1, ...,
+ *                 "duration"   : 12.5, "successful" : false},
+ *      "tests" : [{"id"        : "tests/test_my.mjs::MyTester::test_feature1",
+ *                  "className" : "MyTester",
+ *                  "methodName": "test_feature1",
+ *                  "file"      : "tests/test_my.mjs",
+ *                  "outcome"   : "pass",
+ *                  "elapsed"   : 3.1},
+ *                 ...]}
+ *
+ * Outcomes are those of the testPass, testFail, and testSkip
+ * events: 'pass', 'failure', 'error', 'unexpectedSuccess',
+ * 'skip', and 'expectedFailure'. Failed tests also have
+ * message and stack, and skipped ones a reason.
+ */
+class JsonReporter extends Reporter {
+
+	constructor(options={}) {
+		super(options);
+		this._tests = [];
+		this._file  = null;
+	}
+
+	fileStart({file}) {
+		this._file = file;
+	}
+
+	testPass({test, elapsed}) {
+		this._add(test, {outcome : 'pass', elapsed : elapsed});
+	}
+
+	testFail({test, kind, error, traceback, elapsed}) {
+		const message = error instanceof Error ? error.message : (error === null ? null : String(error));
+		this._add(test, {outcome : kind, elapsed : elapsed, message : message, stack : traceback});
+	}
+
+	testSkip({test, kind, reason}) {
+		this._add(test, {outcome : kind, reason : reason});
+	}
+
+	runEnd({result, elapsed, successful}) {
+		const stats = {tests               : result.testsRun,
+					   passes              : result.successes.length,
+					   failures            : result.failures.length,
+					   errors              : result.errors.length,
+					   skipped             : result.skipped.length,
+					   expectedFailures    : result.expectedFailures.length,
+					   unexpectedSuccesses : result.unexpectedSuccesses.length,
+					   duration            : elapsed,
+					   successful          : successful};
+		this._write(JSON.stringify({stats : stats, tests : this._tests}, null, 2) + '\n');
+	}
+
+	_add(test, outcome) {
+		this._tests.push({id         : test.id,
+						  className  : test.className,
+						  methodName : test.methodName,
+						  file       : this._file,
+						  ...outcome});
+	}
+}
+
+export { Reporter, DotReporter, SpecReporter, JsonReporter };
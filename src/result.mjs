@@ -0,0 +1,513 @@
+/**
+ * Accumulates the outcome of running test methods.
+ * Roughly equivalent to Python's unittest.TestResult.
+ *
+ * Each test is identified by a small descriptor object:
+ *
+ *     {id         : 'tests/test_my.mjs::MyTester::test_feature1',
+ *      file       : 'tests/test_my.mjs',
+ *      className  : 'MyTester',
+ *      methodName : 'test_feature1'}
+ *
+ * The file is relative to the current directory, as passed
+ * to startTestFile(). Tests run without one, as by a class
+ * that runs itself, have a null file and an id such as
+ * 'MyTester.test_feature1'.
+ *
+ * As in Python, a failure is a test whose assertion did not
+ * hold (an AssertionError), while an error is any other exception
+ * that escaped the test method.
+ *
+ * If captureOutput is set, whatever a test writes to
+ * stdout and stderr is recorded as well, in output. The
+ * text still reaches the console.
+ *
+ * Reporters follow a run through the lifecycle events that
+ * a TestResult dispatches as the runner informs it:
+ *
+ *     runStart    {files}
+ *     fileStart   {file}
+ *     classStart  {className, file, testCount}
+ *     testStart   {test, file}
+ *     testPass    {test, elapsed}
+ *     testFail    {test, kind, error, traceback, elapsed}
+ *                 kind: 'failure', 'error', or 'unexpectedSuccess'
+ *     testSkip    {test, kind, reason}
+ *                 kind: 'skip', or 'expectedFailure'
+ *     classEnd    {className, file}
+ *     runEnd      {result, elapsed, successful}
+ *
+ * Times are in msecs. A reporter is any object with methods
+ * named after the events it wants; see addReporter(). Single
+ * events may be subscribed to with addEventListener().
+ *
+ * Usage:
+ *     const result = await my_tester.run_tests(my_tester);
+ *     if (!result.wasSuccessful()) {
+ *         for (const failure of result.failures)
+ *             console.log(failure.traceback);
+ *     }
+ */
+
+import { EventListenable } from "./utils.mjs";
+
+// Durations must be real even while a test
+// has fake timers installed:
+const real_now = performance.now.bind(performance);
+
+/* ------------------ Class TestResult ------------ */
+
+class TestResult extends EventListenable {
+
+	// Names of the lifecycle events, in the order
+	// in which they first occur:
+	static EVENTS = ['runStart', 'fileStart', 'classStart', 'testStart',
+					 'testPass', 'testFail', 'testSkip', 'classEnd', 'runEnd'];
+
+   /*------------------------------
+    | Constructor
+    ----------------*/
+
+	constructor() {
+		super();
+		// Number of tests started:
+		this.testsRun   = 0;
+		// Descriptors of tests that passed:
+		this.successes  = [];
+		// Lists of {test, error, traceback}:
+		this.failures   = [];
+		this.errors     = [];
+		// List of {test, reason}:
+		this.skipped    = [];
+		// Tests declared as expected failures that failed
+		// ({test, error, traceback}), and that passed:
+		this.expectedFailures    = [];
+		this.unexpectedSuccesses = [];
+		// List of {test, elapsed}, with elapsed in msecs:
+		this.durations  = [];
+		// Set to true to ask the runner to stop early:
+		this.shouldStop = false;
+		// Set to true to stop at the first failure, error,
+		// or unexpected success, like Python's -f:
+		this.failfast   = false;
+		// Set to true to record what each test writes to
+		// stdout and stderr in output, a Map from test id
+		// to {stdout, stderr}:
+		this.captureOutput = false;
+		this.output        = new Map();
+		// Returns the current time in msecs, for durations.
+		// Runners that replay results from other threads
+		// substitute the times at which they were recorded:
+		this.clock         = real_now;
+
+		this._start_times = new Map();
+		this._run_start   = null;
+		// Test file, class, and test that are running, to
+		// which runners attribute errors that escape tests:
+		this._file        = null;
+		this._class       = null;
+		this._test        = null;
+		// Original write methods of stdout and stderr
+		// while output is captured:
+		this._real_writes = null;
+	}
+
+   /*------------------------------
+    | startTestRun
+    ----------------*/
+
+	/**
+	 * Called by the runner once, before any test runs.
+	 * Override for output that precedes the tests.
+	 *
+	 * @param {object} [info]
+	 * @param {string[]} [info.files] - test files to be run
+	 */
+	startTestRun({files=[]}={}) {
+		this._run_start = this.clock();
+		this.dispatchEvent('runStart', {files : files});
+	}
+
+   /*------------------------------
+    | stopTestRun
+    ----------------*/
+
+	/**
+	 * Called by the runner once, after all tests ran.
+	 */
+	stopTestRun() {
+		const elapsed = this._run_start === null ? 0 : this.clock() - this._run_start;
+		this.dispatchEvent('runEnd', {result     : this,
+									  elapsed    : elapsed,
+									  successful : this.wasSuccessful()});
+	}
+
+   /*------------------------------
+    | startTestFile
+    ----------------*/
+
+	/**
+	 * Called by the runner before it imports a test file,
+	 * and with null before tests that have no file follow
+	 * those of a file.
+	 *
+	 * @param {string|null} file - path of the file, relative
+	 *     to the current directory
+	 */
+	startTestFile(file) {
+		this._file  = file;
+		this._class = null;
+		this.dispatchEvent('fileStart', {file : file});
+	}
+
+   /*------------------------------
+    | startTestClass
+    ----------------*/
+
+	/**
+	 * Called by run_tests() before the class fixtures
+	 * and tests of a TestCase subclass run.
+	 *
+	 * @param {string} class_name - name of the class
+	 * @param {number} test_count - number of its test methods
+	 */
+	startTestClass(class_name, test_count) {
+		this._class = class_name;
+		this.dispatchEvent('classStart', {className : class_name,
+										  file      : this._file,
+										  testCount : test_count});
+	}
+
+   /*------------------------------
+    | stopTestClass
+    ----------------*/
+
+	stopTestClass(class_name) {
+		this._class = null;
+		this.dispatchEvent('classEnd', {className : class_name, file : this._file});
+	}
+
+   /*------------------------------
+    | startTest
+    ----------------*/
+
+	/**
+	 * Called by the runner just before a test method
+	 * is invoked.
+	 *
+	 * @param {object} test - descriptor of the test about to run
+	 */
+	startTest(test) {
+		this.testsRun += 1;
+		this._test = test;
+		this._start_times.set(test.id, this.clock());
+		if (this.captureOutput) {
+			this._startCapture(test);
+		}
+		this.dispatchEvent('testStart', {test : test, file : this._file});
+	}
+
+   /*------------------------------
+    | stopTest
+    ----------------*/
+
+	/**
+	 * Called by the runner after a test method finished,
+	 * whatever its outcome. Records the test's duration.
+	 *
+	 * @param {object} test - descriptor of the test that finished
+	 */
+	stopTest(test) {
+		this._test = null;
+		this._stopCapture();
+		const start = this._start_times.get(test.id);
+		if (start === undefined) return;
+		this._start_times.delete(test.id);
+		this.durations.push({test : test, elapsed : this.clock() - start});
+	}
+
+   /*------------------------------
+    | addSuccess
+    ----------------*/
+
+	addSuccess(test) {
+		this.successes.push(test);
+		this.dispatchEvent('testPass', {test : test, elapsed : this._elapsed(test)});
+	}
+
+   /*------------------------------
+    | addFailure
+    ----------------*/
+
+	/**
+	 * Record a test whose assertion did not hold.
+	 *
+	 * @param {object} test - descriptor of the failed test
+	 * @param {Error} err - the AssertionError that was thrown
+	 */
+	addFailure(test, err) {
+		const entry = {test      : test,
+					   error     : err,
+					   traceback : TestResult.formatError(err)};
+		this.failures.push(entry);
+		this._stopIfFailfast();
+		this.dispatchEvent('testFail', {kind : 'failure', ...entry, elapsed : this._elapsed(test)});
+	}
+
+   /*------------------------------
+    | addError
+    ----------------*/
+
+	/**
+	 * Record a test that threw an unexpected exception.
+	 *
+	 * @param {object} test - descriptor of the test
+	 * @param {*} err - whatever was thrown
+	 */
+	addError(test, err) {
+		const entry = {test      : test,
+					   error     : err,
+					   traceback : TestResult.formatError(err)};
+		this.errors.push(entry);
+		this._stopIfFailfast();
+		this.dispatchEvent('testFail', {kind : 'error', ...entry, elapsed : this._elapsed(test)});
+	}
+
+   /*------------------------------
+    | addSkip
+    ----------------*/
+
+	addSkip(test, reason) {
+		this.skipped.push({test : test, reason : reason});
+		this.dispatchEvent('testSkip', {test : test, kind : 'skip', reason : reason});
+	}
+
+   /*------------------------------
+    | addSubTest
+    ----------------*/
+
+	/**
+	 * Record the outcome of a subTest() within a test.
+	 * Failed subtests are added to the failures or errors,
+	 * under the subtest's descriptor; passing ones are 
+	 * not recorded.
+	 *
+	 * @param {object} test - descriptor of the enclosing test
+	 * @param {object} subtest - descriptor of the subtest; its
+	 *     params property holds the values passed to subTest()
+	 * @param {*} err - what the subtest threw, or null if it passed
+	 * @param {boolean} [is_failure] - whether err is a failed assertion,
+	 *     rather than an unexpected exception
+	 */
+	addSubTest(test, subtest, err, is_failure=true) {
+		if (err === null) return;
+		if (is_failure) {
+			this.addFailure(subtest, err);
+		} else {
+			this.addError(subtest, err);
+		}
+	}
+
+   /*------------------------------
+    | addExpectedFailure
+    ----------------*/
+
+	/**
+	 * Record a test that was declared as an expected
+	 * failure, and did fail.
+	 *
+	 * @param {object} test - descriptor of the test
+	 * @param {*} err - whatever the test threw
+	 */
+	addExpectedFailure(test, err) {
+		const entry = {test      : test,
+					   error     : err,
+					   traceback : TestResult.formatError(err)};
+		this.expectedFailures.push(entry);
+		this.dispatchEvent('testSkip', {kind : 'expectedFailure', ...entry, reason : 'expected failure'});
+	}
+
+   /*------------------------------
+    | addUnexpectedSuccess
+    ----------------*/
+
+	/**
+	 * Record a test that was declared as an expected
+	 * failure, but passed.
+	 */
+	addUnexpectedSuccess(test) {
+		this.unexpectedSuccesses.push(test);
+		this._stopIfFailfast();
+		this.dispatchEvent('testFail', {test      : test,
+										kind      : 'unexpectedSuccess',
+										error     : null,
+										traceback : null,
+										elapsed   : this._elapsed(test)});
+	}
+
+   /*------------------------------
+    | wasSuccessful
+    ----------------*/
+
+	/**
+	 * Returns true if no failures, no errors, and
+	 * no unexpected successes were recorded.
+	 */
+	wasSuccessful() {
+		return this.failures.length == 0 && 
+			   this.errors.length == 0 &&
+			   this.unexpectedSuccesses.length == 0;
+	}
+
+   /*------------------------------
+    | stop
+    ----------------*/
+
+	/**
+	 * Ask the runner to stop running further tests.
+	 */
+	stop() {
+		this.shouldStop = true;
+	}
+
+	_stopIfFailfast() {
+		if (this.failfast) this.stop();
+	}
+
+   /*------------------------------
+    | addReporter
+    ----------------*/
+
+	/**
+	 * Subscribe a reporter to the events for which it has
+	 * a method of the same name. For example, a reporter
+	 * with methods testFail() and runEnd() is passed the
+	 * payloads of testFail and runEnd events. Reporters are
+	 * called synchronously, in the order they were added.
+	 *
+	 * @param {object} reporter - object with event methods
+	 * @returns {object} reporter
+	 */
+	addReporter(reporter) {
+		for (const event_name of TestResult.EVENTS) {
+			if (typeof(reporter[event_name]) == 'function') {
+				this.addEventListener(event_name, payload => reporter[event_name](payload));
+			}
+		}
+		return reporter;
+	}
+
+   /*------------------------------
+    | addEventListener
+    ----------------*/
+
+	/**
+	 * Call callback with the payload of each event_name
+	 * event. Unlike EventListenable, which skips callbacks 
+	 * whose source text matches a registered one, only the
+	 * very same function is registered just once: two 
+	 * reporters register callbacks of the same text.
+	 *
+	 * @param {string} event_name - one of TestResult.EVENTS
+	 * @param {function} callback - called with the payload
+	 */
+	addEventListener(event_name, callback) {
+		this.events[event_name] = this.events[event_name] || [];
+		if (!this.events[event_name].includes(callback)) {
+			this.events[event_name].push(callback);
+		}
+	}
+
+   /*------------------------------
+    | removeEventListener
+    ----------------*/
+
+	removeEventListener(event_name, callback) {
+		const callbacks = this.events[event_name];
+		if (callbacks === undefined) return;
+		const idx = callbacks.indexOf(callback);
+		if (idx >= 0) callbacks.splice(idx, 1);
+	}
+
+   /*------------------------------
+    | dispatchEvent
+    ----------------*/
+
+	/**
+	 * Call the callbacks registered for event_name.
+	 *
+	 * @param {string} event_name - one of TestResult.EVENTS
+	 * @param {object} payload - passed to each callback
+	 */
+	dispatchEvent(event_name, payload) {
+		for (const callback of this.events[event_name] || []) {
+			callback(payload);
+		}
+	}
+
+	/**
+	 * Msecs since test, or the test that a subtest is
+	 * part of, started.
+	 */
+	_elapsed(test) {
+		const start = this._start_times.get(test.parent === undefined ? test.id : test.parent);
+		return start === undefined ? 0 : this.clock() - start;
+	}
+
+   /*------------------------------
+    | _startCapture
+    ----------------*/
+
+	/**
+	 * Tee writes to process.stdout and process.stderr
+	 * into the output entry of test, until _stopCapture().
+	 */
+	_startCapture(test) {
+		this._stopCapture();
+		const captured = {stdout : '', stderr : ''};
+		this.output.set(test.id, captured);
+		this._real_writes = {};
+		for (const name of ['stdout', 'stderr']) {
+			const stream     = process[name];
+			const real_write = stream.write;
+			this._real_writes[name] = real_write;
+			stream.write = function(chunk, ...rest) {
+				captured[name] += typeof(chunk) == 'string' ? chunk : Buffer.from(chunk).toString();
+				return real_write.call(stream, chunk, ...rest);
+			};
+		}
+	}
+
+   /*------------------------------
+    | _stopCapture
+    ----------------*/
+
+	_stopCapture() {
+		if (this._real_writes === null) return;
+		for (const [name, real_write] of Object.entries(this._real_writes)) {
+			process[name].write = real_write;
+		}
+		this._real_writes = null;
+	}
+
+   /*------------------------------
+    | formatError
+    ----------------*/
+
+	/**
+	 * Turn whatever was thrown into a printable traceback.
+	 * Non-Error values, as in throw 'oops', have no stack,
+	 * so they are rendered as strings.
+	 *
+	 * @param {*} err - the thrown value
+	 * @returns {string} traceback text
+	 */
+	static formatError(err) {
+		if (err instanceof Error && typeof(err.stack) == 'string') {
+			return err.stack;
+		}
+		return `Thrown non-Error value: ${String(err)}`;
+	}
+}
+
+export { TestResult };
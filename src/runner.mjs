@@ -0,0 +1,378 @@
+/**
+ * Text output for test runs, modeled on Python's
+ * unittest.TextTestResult.
+ *
+ * Depending on verbosity, progress is written while the
+ * tests run:
+ *     0: nothing
+ *     1: one character per test: '.', 'F', 'E', 's', 
+ *        'x' for expected failures, 'u' for unexpected successes
+ *     2: one line per test, with its duration:
+ *        'test_foo (MyTester) ... ok (0.003s)'
+ *        Outcomes of subtests follow their test's line,
+ *        indented.
+ *
+ * After the run, printErrors() lists each failure and
+ * error with its traceback, and printSummary() closes with
+ * the 'Ran N tests' line, and 'OK' or 'FAILED (...)'.
+ *
+ * Outcomes are colored if the stream is a terminal, unless
+ * the NO_COLOR environment variable is set to a non-empty
+ * value (see https://no-color.org).
+ *
+ * A TextTestRunner runs a suite with such a result, as
+ * Python's unittest.TextTestRunner does:
+ *
+ *     const suite  = await new TestLoader().discover('tests');
+ *     const result = await new TextTestRunner({verbosity : 2}).run(suite);
+ */
+
+import { TestResult } from "./result.mjs";
+
+// Fake timers in tests must not distort the run's duration:
+const real_now = performance.now.bind(performance);
+
+const SEPARATOR1 = '='.repeat(70);
+const SEPARATOR2 = '-'.repeat(70);
+
+// ANSI escapes for the colors of outcomes:
+const COLORS = {
+	green  : '\x1b[32m',
+	red    : '\x1b[31m',
+	yellow : '\x1b[33m',
+	reset  : '\x1b[0m',
+};
+
+/* ------------------ Class TextTestResult ------------ */
+
+class TextTestResult extends TestResult {
+
+   /*------------------------------
+    | Constructor
+    ----------------*/
+
+	/**
+	 * @param {stream.Writable} stream - where to write;
+	 *     typically process.stderr, as in Python
+	 * @param {number} verbosity - 0, 1, or 2
+	 * @param {object} [options]
+	 * @param {boolean} [options.color] - whether to color the
+	 *     output; default: see useColor()
+	 */
+	constructor(stream=process.stderr, verbosity=1, {color=TextTestResult.useColor(stream)}={}) {
+		super();
+		this.stream    = stream;
+		this.verbosity = verbosity;
+		this.color     = color;
+		// Bound now, so that our own progress output
+		// bypasses the capture of the tests' output:
+		this._write    = stream.write.bind(stream);
+		// Id of the test whose line awaits its outcome
+		// in verbose mode, and the lines of its subtests,
+		// written once it has its outcome, or has ended
+		// without one:
+		this._open_line = null;
+		this._held      = [];
+	}
+
+   /*------------------------------
+    | startTest
+    ----------------*/
+
+	startTest(test) {
+		super.startTest(test);
+		this._announce(test);
+	}
+
+   /*------------------------------
+    | stopTest
+    ----------------*/
+
+	/**
+	 * A test whose subtests failed ends without an outcome
+	 * of its own; its line is closed by those of the subtests.
+	 */
+	stopTest(test) {
+		super.stopTest(test);
+		if (this._open_line !== test.id) return;
+		this._write('\n');
+		this._write(this._held.join(''));
+		this._held      = [];
+		this._open_line = null;
+	}
+
+   /*------------------------------
+    | addSuccess
+    ----------------*/
+
+	addSuccess(test) {
+		this._announce(test);
+		super.addSuccess(test);
+		this._report(test, 'ok', '.', 'green');
+	}
+
+   /*------------------------------
+    | addFailure
+    ----------------*/
+
+	addFailure(test, err) {
+		this._announce(test);
+		super.addFailure(test, err);
+		this._report(test, 'FAIL', 'F', 'red');
+	}
+
+   /*------------------------------
+    | addError
+    ----------------*/
+
+	addError(test, err) {
+		this._announce(test);
+		super.addError(test, err);
+		this._report(test, 'ERROR', 'E', 'red');
+	}
+
+   /*------------------------------
+    | addSkip
+    ----------------*/
+
+	addSkip(test, reason) {
+		this._announce(test);
+		super.addSkip(test, reason);
+		this._report(test, `skipped '${reason}'`, 's', 'yellow');
+	}
+
+   /*------------------------------
+    | addExpectedFailure
+    ----------------*/
+
+	addExpectedFailure(test, err) {
+		this._announce(test);
+		super.addExpectedFailure(test, err);
+		this._report(test, 'expected failure', 'x', 'yellow');
+	}
+
+   /*------------------------------
+    | addUnexpectedSuccess
+    ----------------*/
+
+	addUnexpectedSuccess(test) {
+		this._announce(test);
+		super.addUnexpectedSuccess(test);
+		this._report(test, 'unexpected success', 'u', 'red');
+	}
+
+   /*------------------------------
+    | printErrors
+    ----------------*/
+
+	/**
+	 * List errors, then failures, each with its traceback.
+	 */
+	printErrors() {
+		if (this.verbosity == 1) {
+			this._write('\n');
+		}
+		this._printErrorList('ERROR', this.errors);
+		this._printErrorList('FAIL', this.failures);
+		for (const test of this.unexpectedSuccesses) {
+			this._write(`${SEPARATOR1}\n`);
+			this._write(`${this._paint('UNEXPECTED SUCCESS', 'red')}: ${test.id}\n`);
+		}
+	}
+
+   /*------------------------------
+    | printSummary
+    ----------------*/
+
+	/**
+	 * Write the closing lines of a run.
+	 *
+	 * @param {number} elapsed - msecs the whole run took
+	 */
+	printSummary(elapsed) {
+		const run = this.testsRun;
+		this._write(`${SEPARATOR2}\n`);
+		this._write(`Ran ${run} test${run == 1 ? '' : 's'} in ${(elapsed / 1000).toFixed(3)}s\n\n`);
+
+		const infos = [];
+		if (this.failures.length > 0) infos.push(`failures=${this.failures.length}`);
+		if (this.errors.length > 0) infos.push(`errors=${this.errors.length}`);
+		if (this.skipped.length > 0) infos.push(`skipped=${this.skipped.length}`);
+		if (this.expectedFailures.length > 0) {
+			infos.push(`expected failures=${this.expectedFailures.length}`);
+		}
+		if (this.unexpectedSuccesses.length > 0) {
+			infos.push(`unexpected successes=${this.unexpectedSuccesses.length}`);
+		}
+
+		let status;
+		if (!this.wasSuccessful()) {
+			status = this._paint('FAILED', 'red');
+		} else if (run == 0) {
+			status = this._paint('NO TESTS RAN', 'yellow');
+		} else {
+			status = this._paint('OK', 'green');
+		}
+		this._write(infos.length > 0 ? `${status} (${infos.join(', ')})\n` : `${status}\n`);
+	}
+
+   /*------------------------------
+    | _printErrorList
+    ----------------*/
+
+	_printErrorList(flavor, entries) {
+		for (const entry of entries) {
+			this._write(`${SEPARATOR1}\n`);
+			this._write(`${this._paint(flavor, 'red')}: ${entry.test.id}\n`);
+			this._write(`${SEPARATOR2}\n`);
+			this._write(`${entry.traceback}\n\n`);
+		}
+	}
+
+   /*------------------------------
+    | _announce
+    ----------------*/
+
+	/**
+	 * In verbose mode, start the line on which the outcome
+	 * of test will be reported, unless it is already started.
+	 * Outcomes of class fixtures and of subtests arrive 
+	 * without a startTest() of their own, so they are 
+	 * announced here as well; subtests of the test whose
+	 * line is open are held back until the test's outcome.
+	 */
+	_announce(test) {
+		if (this.verbosity < 2 || this._open_line === test.id) return;
+		if (test.parent !== undefined && this._open_line === test.parent) return;
+		if (this._open_line !== null) {
+			this._write('\n');
+		}
+		this._write(`${TextTestResult.describe(test)} ... `);
+		this._open_line = test.id;
+	}
+
+   /*------------------------------
+    | describe
+    ----------------*/
+
+	/**
+	 * Returns the Python style name of a test, such as 
+	 * 'test_parse (MyTester)', followed by the parameters
+	 * of subtests: 'test_parse (MyTester) [i=3]'.
+	 */
+	static describe(test) {
+		const params = test.parent === undefined ? '' : test.id.slice(test.parent.length);
+		return `${test.methodName} (${test.className})${params}`;
+	}
+
+   /*------------------------------
+    | _report
+    ----------------*/
+
+	/**
+	 * Write the outcome of one test in the form
+	 * appropriate to the verbosity. The long form is
+	 * followed by the time since the test started.
+	 */
+	_report(test, long_form, short_form, color) {
+		if (this.verbosity > 1) {
+			const secs    = (this._elapsed(test) / 1000).toFixed(3);
+			const outcome = `${this._paint(long_form, color)} (${secs}s)\n`;
+			if (test.parent !== undefined && this._open_line === test.parent) {
+				this._held.push(`  ${TextTestResult.describe(test)} ... ${outcome}`);
+				return;
+			}
+			this._write(outcome);
+			this._write(this._held.join(''));
+			this._held      = [];
+			this._open_line = null;
+		} else if (this.verbosity == 1) {
+			this._write(this._paint(short_form, color));
+		}
+	}
+
+   /*------------------------------
+    | _paint
+    ----------------*/
+
+	/**
+	 * Returns text in the given color, or unchanged
+	 * if output is not colored.
+	 */
+	_paint(text, color) {
+		if (!this.color) return text;
+		return `${COLORS[color]}${text}${COLORS.reset}`;
+	}
+
+   /*------------------------------
+    | useColor
+    ----------------*/
+
+	/**
+	 * Whether output to stream should be colored by
+	 * default: only terminals get color, and not if the
+	 * NO_COLOR environment variable is set and not empty.
+	 *
+	 * @param {stream.Writable} stream - where output goes
+	 * @returns {boolean} true if output should be colored
+	 */
+	static useColor(stream) {
+		const no_color = process.env.NO_COLOR;
+		if (no_color !== undefined && no_color !== '') return false;
+		return stream.isTTY === true;
+	}
+}
+
+/* ------------------ Class TextTestRunner ------------ */
+
+class TextTestRunner {
+
+   /*------------------------------
+    | Constructor
+    ----------------*/
+
+	/**
+	 * @param {object} [options]
+	 * @param {stream.Writable} [options.stream] - where to write
+	 * @param {number} [options.verbosity] - 0, 1, or 2
+	 * @param {boolean} [options.failfast] - stop at the first
+	 *     failure or error
+	 * @param {boolean} [options.color] - whether to color the
+	 *     output; default: see TextTestResult.useColor()
+	 */
+	constructor({stream=process.stderr, verbosity=1, failfast=false, color=null}={}) {
+		this.stream    = stream;
+		this.verbosity = verbosity;
+		this.failfast  = failfast;
+		this.color     = color;
+	}
+
+   /*------------------------------
+    | run
+    ----------------*/
+
+	/**
+	 * Run a suite, or any other test with a run(result)
+	 * method, and print the failures and the summary.
+	 *
+	 * @param {object} test - suite or test to run
+	 * @returns {Promise<TextTestResult>} the outcome
+	 */
+	async run(test) {
+		const result = new TextTestResult(this.stream, this.verbosity,
+										  this.color === null ? {} : {color : this.color});
+		result.failfast = this.failfast;
+		const start = real_now();
+		result.startTestRun();
+		try {
+			await test.run(result);
+		} finally {
+			result.stopTestRun();
+		}
+		result.printErrors();
+		result.printSummary(real_now() - start);
+		return result;
+	}
+}
+
+export { TextTestResult, TextTestRunner };
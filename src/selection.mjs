@@ -0,0 +1,218 @@
+/**
+ * Selection of the tests to run, by test id. The id of a
+ * test method names its file, relative to the current
+ * directory, its class, and the method:
+ *
+ *     tests/test_waitlist.mjs::WaitlistTests::test_timeout
+ *
+ * Tests may be selected by keywords, as with Python's
+ * 'unittest -k', and by ids:
+ *
+ *   - A keyword without wildcards selects the tests whose
+ *     ids contain it. A keyword with '*', '?', or '[...]'
+ *     is a glob that must match the whole id, where '*'
+ *     also matches '/' and '::'.
+ *   - An id selects the tests of a file, of a class in
+ *     a file, or a single method. Its file part may leave
+ *     out leading directories: 'test_waitlist.mjs::WaitlistTests'.
+ *
+ * A test is selected if it matches any of the keywords, if
+ * there are any, and any of the ids, if there are any.
+ * Selectors narrowed with withIds() also require a match
+ * with one of the added ids.
+ *
+ * Usage:
+ *     const selector = new TestSelector({keywords : ['timeout']});
+ *     const by_name  = selector.forClass('tests/test_waitlist.mjs', 'WaitlistTests');
+ *     await inst.run_tests(inst, result, by_name);
+ */
+
+import path from "path";
+
+import { Unittest } from "./unittest.mjs";
+
+const ID_SEPARATOR = '::';
+
+/* ------------------ Class TestSelector ------------ */
+
+class TestSelector {
+
+   /*------------------------------
+    | Constructor
+    ----------------*/
+
+	/**
+	 * @param {object} [options]
+	 * @param {string[]} [options.keywords] - substrings or globs
+	 * @param {string[]} [options.ids] - ids of files, classes,
+	 *     or methods
+	 */
+	constructor({keywords=[], ids=[]}={}) {
+		this._init(keywords, ids.length > 0 ? [ids] : []);
+	}
+
+	_init(keywords, id_groups) {
+		// Kept for spec:
+		this._keyword_texts = keywords;
+		this._id_texts      = id_groups;
+		this._keywords      = keywords.map(keyword => TestSelector._keywordMatcher(keyword));
+		// Lists of parsed ids; tests must match
+		// an id of every list:
+		this._id_groups     = id_groups.map(ids => ids.map(test_id => TestSelector.parseId(test_id)));
+	}
+
+   /*------------------------------
+    | spec
+    ----------------*/
+
+	/**
+	 * Plain object from which fromSpec() recreates this
+	 * selector, as when passing it to a worker thread.
+	 */
+	get spec() {
+		return {keywords : this._keyword_texts, idGroups : this._id_texts};
+	}
+
+	static fromSpec({keywords, idGroups}) {
+		const selector = Object.create(TestSelector.prototype);
+		selector._init(keywords, idGroups);
+		return selector;
+	}
+
+   /*------------------------------
+    | withIds
+    ----------------*/
+
+	/**
+	 * Returns a selector that selects the tests this one
+	 * selects, but only those that also match any of ids.
+	 *
+	 * @param {string[]} ids - ids of files, classes, or methods
+	 * @returns {TestSelector} the narrower selector
+	 */
+	withIds(ids) {
+		return TestSelector.fromSpec({keywords : this._keyword_texts,
+									  idGroups : [...this._id_texts, ids]});
+	}
+
+   /*------------------------------
+    | testId
+    ----------------*/
+
+	/**
+	 * Returns the id of a test method.
+	 *
+	 * @param {string} file - path of the test file, relative
+	 *     to the current directory
+	 * @param {string} class_name - name of the TestCase subclass
+	 * @param {string} method_name - name of the test method
+	 * @returns {string} the id
+	 */
+	static testId(file, class_name, method_name) {
+		const posix_file = file.split(path.sep).join('/');
+		return [posix_file, class_name, method_name].join(ID_SEPARATOR);
+	}
+
+   /*------------------------------
+    | isId
+    ----------------*/
+
+	/**
+	 * Whether a command line argument is a test id,
+	 * rather than a directory or file name pattern.
+	 */
+	static isId(arg) {
+		return arg.includes(ID_SEPARATOR);
+	}
+
+   /*------------------------------
+    | parseId
+    ----------------*/
+
+	/**
+	 * Split an id into its file, class, and method
+	 * parts. Missing parts are null.
+	 *
+	 * @param {string} test_id - such as 'test_x.mjs::MyTests'
+	 * @returns {object} {file, className, methodName}
+	 * @throws {TypeError} for ids with more than three parts
+	 */
+	static parseId(test_id) {
+		const parts = test_id.split(ID_SEPARATOR);
+		if (parts.length > 3) {
+			throw new TypeError(`Test ids have the form 'file::Class::method', not '${test_id}'`);
+		}
+		const [file, class_name, method_name] = parts;
+		return {file       : file ? path.posix.normalize(file.split(path.sep).join('/')) : null,
+				className  : class_name || null,
+				methodName : method_name || null};
+	}
+
+   /*------------------------------
+    | matches
+    ----------------*/
+
+	/**
+	 * Whether the test method with the given id
+	 * is selected.
+	 *
+	 * @param {string} test_id - as returned by testId()
+	 * @returns {boolean} true if the test is to run
+	 */
+	matches(test_id) {
+		if (this._keywords.length > 0 && !this._keywords.some(matcher => matcher(test_id))) {
+			return false;
+		}
+		const [file, class_name, method_name] = test_id.split(ID_SEPARATOR);
+		return this._id_groups.every(specs => specs.some(spec =>
+			TestSelector._fileMatches(spec.file, file) &&
+			(spec.className === null || spec.className == class_name) &&
+			(spec.methodName === null || spec.methodName == method_name)));
+	}
+
+   /*------------------------------
+    | matchesFile
+    ----------------*/
+
+	/**
+	 * Whether any test of a file may be selected. Files
+	 * that no id names need not be imported.
+	 *
+	 * @param {string} file - path relative to the current directory
+	 */
+	matchesFile(file) {
+		const posix_file = file.split(path.sep).join('/');
+		return this._id_groups.every(specs =>
+			specs.some(spec => TestSelector._fileMatches(spec.file, posix_file)));
+	}
+
+   /*------------------------------
+    | forClass
+    ----------------*/
+
+	/**
+	 * Returns a selector of the test methods of one class,
+	 * as run_tests() and Unittest.testMethods() take it.
+	 *
+	 * @param {string} file - path of the class' test file
+	 * @param {string} class_name - name of the class
+	 * @returns {function} selector(method_name) => boolean
+	 */
+	forClass(file, class_name) {
+		return (method_name) => this.matches(TestSelector.testId(file, class_name, method_name));
+	}
+
+	static _fileMatches(spec_file, file) {
+		return spec_file === null || file == spec_file || file.endsWith(`/${spec_file}`);
+	}
+
+	static _keywordMatcher(keyword) {
+		if (/[*?[]/.test(keyword)) {
+			const keyword_re = Unittest.globToRegExp(keyword, {match_slash : true});
+			return (test_id) => keyword_re.test(test_id);
+		}
+		return (test_id) => test_id.includes(keyword);
+	}
+}
+
+export { TestSelector };
@@ -0,0 +1,350 @@
+/**
+ * Snapshots for TestCase.assertMatchesSnapshot(): values
+ * serialized on first use, and compared with on later runs.
+ * The snapshots of a test module live next to it, in
+ * __snapshots__/<module file name>.snap, in the format
+ * that Jest uses:
+ *
+ *     exports[`MessageTests.test_login 1`] = `
+ *     {
+ *       id: 1,
+ *       req: 'login'
+ *     }
+ *     `;
+ *
+ * Entries are named after the test's class and method,
+ * followed by the name passed to the assertion, or by a
+ * count of the test's unnamed snapshots. The file is left
+ * out, so that names do not depend on the current
+ * directory. Strings are kept as they are, within double
+ * quotes; all else is pretty printed, with object keys
+ * sorted.
+ *
+ * New snapshots are written as they are first taken. With
+ * update set, as by 'find_test_files --update-snapshots',
+ * snapshots that no longer match are rewritten instead of
+ * failing their test. With ci set, as by default when the
+ * CI environment variable is, missing snapshots fail their
+ * test instead of being written, unless update is set too,
+ * as with Jest's --ci.
+ *
+ * A SnapshotStore is also a reporter. Added to the result
+ * of a run, it notes which tests ran and passed, and then
+ * finish() names the stale entries: those that a passing
+ * test no longer takes, and, for runs of whole files, those
+ * of tests that no longer exist. With update set, stale
+ * entries are removed.
+ *
+ * Usage:
+ *     const store = new SnapshotStore({update : true});
+ *     result.addReporter(store);
+ *     ... run tests ...
+ *     const summary = store.finish({complete : true});
+ */
+
+import fs from "fs";
+import path from "path";
+import util from "util";
+import { fileURLToPath } from "url";
+
+const SNAPSHOT_DIR = '__snapshots__';
+
+const HEADER = '// Snapshots of assertMatchesSnapshot(); review changes as you would code.\n' +
+			   '// Rewrite with find_test_files --update-snapshots.\n';
+
+const ENTRY_RE = /^exports\[`((?:[^`\\]|\\.)*)`\] = `((?:[^`\\]|\\.)*)`;$/gms;
+
+// Frames of this directory are the test framework's,
+// not those of the module whose test takes a snapshot:
+const SRC_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+/* ------------------ Class SnapshotStore ------------ */
+
+class SnapshotStore {
+
+   /*------------------------------
+    | Constructor
+    ----------------*/
+
+	/**
+	 * @param {object} [options]
+	 * @param {boolean} [options.update] - rewrite mismatching
+	 *     snapshots, and remove stale ones
+	 * @param {boolean} [options.ci] - do not write missing
+	 *     snapshots, unless update is set; default: see isCI()
+	 */
+	constructor({update=false, ci=SnapshotStore.isCI()}={}) {
+		this.update = update;
+		this.ci     = ci;
+		// Path of a .snap file to its Map of entries:
+		this._files   = new Map();
+		// Path of a .snap file to the keys matched this run:
+		this._seen    = new Map();
+		// Per test module: {started, passed}, sets of test ids:
+		this._ran     = new Map();
+		this._module  = null;
+		this._summary = SnapshotStore.emptySummary();
+	}
+
+   /*------------------------------
+    | Reporter events
+    ----------------*/
+
+	fileStart({file}) {
+		this._module = file === null ? null : path.resolve(file);
+		if (this._module !== null) this._ran.set(this._module, {started : new Set(), passed : new Set()});
+	}
+
+	testStart({test}) {
+		if (this._module !== null) this._ran.get(this._module).started.add(SnapshotStore.testName(test));
+	}
+
+	testPass({test}) {
+		if (this._module !== null) this._ran.get(this._module).passed.add(SnapshotStore.testName(test));
+	}
+
+   /*------------------------------
+    | match
+    ----------------*/
+
+	/**
+	 * Compare a value with its snapshot. Snapshots that do
+	 * not exist yet, unless ci is set, and with update set,
+	 * those that do not match, are written.
+	 *
+	 * @param {string} module_path - absolute path of the test module
+	 * @param {string} key - name of the entry
+	 * @param {*} value - value to compare
+	 * @returns {object} {matched, actual, expected, snapPath}, with
+	 *     actual and expected in their serialized form; expected
+	 *     is null if there was no snapshot
+	 */
+	match(module_path, key, value) {
+		const snap_path = SnapshotStore.pathFor(module_path);
+		const entries   = this._entries(snap_path);
+		const actual    = SnapshotStore.serialize(value);
+		const expected  = entries.has(key) ? entries.get(key) : null;
+		if (!this._seen.has(snap_path)) this._seen.set(snap_path, new Set());
+		this._seen.get(snap_path).add(key);
+
+		const outcome = {matched : true, actual : actual, expected : expected, snapPath : snap_path};
+		if (expected === actual) return outcome;
+		if (!this.update && (expected !== null || this.ci)) {
+			outcome.matched = false;
+			return outcome;
+		}
+		entries.set(key, actual);
+		SnapshotStore._write(snap_path, entries);
+		this._summary[expected === null ? 'written' : 'updated'].push(
+			{file : SnapshotStore._relPath(snap_path), key : key});
+		return outcome;
+	}
+
+   /*------------------------------
+    | finish
+    ----------------*/
+
+	/**
+	 * Returns what happened to snapshots since the last
+	 * call, along with the summaries merged into this
+	 * store. With update set, stale entries are removed.
+	 *
+	 * @param {object} [options]
+	 * @param {boolean} [options.complete] - whether all tests
+	 *     of the modules that ran were selected, so that
+	 *     entries of tests that did not start are stale
+	 * @returns {object} {written, updated, removed, stale}: lists
+	 *     of {file, key}, with file relative to the current directory
+	 */
+	finish({complete=false}={}) {
+		for (const [module_path, {started, passed}] of this._ran) {
+			const snap_path = SnapshotStore.pathFor(module_path);
+			const entries   = this._entries(snap_path);
+			const seen      = this._seen.get(snap_path) || new Set();
+			const stale     = [...entries.keys()].filter(key => {
+				if (seen.has(key)) return false;
+				const test_id = SnapshotStore._testId(key);
+				return passed.has(test_id) || (complete && !started.has(test_id));
+			});
+			if (stale.length == 0) continue;
+			const listed = stale.map(key => ({file : SnapshotStore._relPath(snap_path), key : key}));
+			if (this.update) {
+				for (const key of stale) entries.delete(key);
+				SnapshotStore._write(snap_path, entries);
+				this._summary.removed.push(...listed);
+			} else {
+				this._summary.stale.push(...listed);
+			}
+		}
+		const summary = this._summary;
+		this._summary = SnapshotStore.emptySummary();
+		this._seen.clear();
+		this._ran.clear();
+		this._module  = null;
+		return summary;
+	}
+
+   /*------------------------------
+    | merge
+    ----------------*/
+
+	/**
+	 * Add a summary that finish() returned elsewhere, as
+	 * in a worker thread, to the next one of this store.
+	 */
+	merge(summary) {
+		for (const kind of Object.keys(this._summary)) {
+			this._summary[kind].push(...summary[kind]);
+		}
+	}
+
+	static emptySummary() {
+		return {written : [], updated : [], removed : [], stale : []};
+	}
+
+   /*------------------------------
+    | isCI
+    ----------------*/
+
+	/**
+	 * Whether the CI environment variable, which CI servers
+	 * set, is set to anything but '', '0', or 'false'.
+	 */
+	static isCI() {
+		const ci = process.env.CI;
+		return ci !== undefined && !['', '0', 'false'].includes(ci.toLowerCase());
+	}
+
+   /*------------------------------
+    | pathFor
+    ----------------*/
+
+	/**
+	 * Returns the path of the snapshot file of a test module.
+	 */
+	static pathFor(module_path) {
+		return path.join(path.dirname(module_path), SNAPSHOT_DIR, `${path.basename(module_path)}.snap`);
+	}
+
+	/**
+	 * Returns the name under which the entries of a
+	 * test are kept: 'MessageTests.test_login'.
+	 *
+	 * @param {object} test - the test's descriptor
+	 */
+	static testName(test) {
+		return `${test.className}.${test.methodName}`;
+	}
+
+   /*------------------------------
+    | callerModule
+    ----------------*/
+
+	/**
+	 * Returns the absolute path of the module from which
+	 * the test framework was called, or null if there is
+	 * none, as for code run with 'node -e'.
+	 */
+	static callerModule() {
+		const prepare = Error.prepareStackTrace;
+		const limit   = Error.stackTraceLimit;
+		let frames;
+		try {
+			Error.prepareStackTrace = (err, call_sites) => call_sites;
+			Error.stackTraceLimit   = 50;
+			frames = new Error().stack;
+		} finally {
+			Error.prepareStackTrace = prepare;
+			Error.stackTraceLimit   = limit;
+		}
+		for (const frame of frames) {
+			let file_name = frame.getFileName();
+			if (!file_name) continue;
+			if (file_name.startsWith('file:')) file_name = fileURLToPath(file_name);
+			if (!path.isAbsolute(file_name) || path.dirname(file_name) == SRC_DIR) continue;
+			return file_name;
+		}
+		return null;
+	}
+
+   /*------------------------------
+    | serialize
+    ----------------*/
+
+	static serialize(value) {
+		if (typeof(value) == 'string') {
+			return `"${value.replace(/["\\]/g, '\\$&')}"`;
+		}
+		return util.inspect(value, {depth           : Infinity,
+									compact         : false,
+									sorted          : true,
+									breakLength     : Infinity,
+									maxArrayLength  : Infinity,
+									maxStringLength : Infinity});
+	}
+
+	/**
+	 * Returns the entries of a snapshot file, read once.
+	 */
+	_entries(snap_path) {
+		if (!this._files.has(snap_path)) {
+			this._files.set(snap_path, SnapshotStore._read(snap_path));
+		}
+		return this._files.get(snap_path);
+	}
+
+	static _read(snap_path) {
+		const entries = new Map();
+		let text;
+		try {
+			text = fs.readFileSync(snap_path, 'utf8');
+		} catch(e) {
+			if (e.code == 'ENOENT') return entries;
+			throw e;
+		}
+		for (const [, key, body] of text.matchAll(ENTRY_RE)) {
+			// Bodies start and end with a newline of their own:
+			entries.set(SnapshotStore._unescape(key), SnapshotStore._unescape(body).slice(1, -1));
+		}
+		return entries;
+	}
+
+	/**
+	 * Write the entries of a snapshot file, sorted by
+	 * key, or remove the file if there are none.
+	 */
+	static _write(snap_path, entries) {
+		if (entries.size == 0) {
+			fs.rmSync(snap_path, {force : true});
+			return;
+		}
+		const keys   = [...entries.keys()].sort((key1, key2) => key1.localeCompare(key2, 'en', {numeric : true}));
+		const blocks = keys.map(key =>
+			`exports[\`${SnapshotStore._escape(key)}\`] = \`\n${SnapshotStore._escape(entries.get(key))}\n\`;\n`);
+		fs.mkdirSync(path.dirname(snap_path), {recursive : true});
+		fs.writeFileSync(snap_path, [HEADER, ...blocks].join('\n'));
+	}
+
+	static _escape(text) {
+		return text.replace(/[\\`]/g, '\\$&').replace(/\$\{/g, '\\${');
+	}
+
+	static _unescape(text) {
+		return text.replace(/\\([\\`$])/g, '$1');
+	}
+
+	/**
+	 * Returns the id of the test that took a snapshot:
+	 * the key up to the first space.
+	 */
+	static _testId(key) {
+		const space = key.indexOf(' ');
+		return space < 0 ? key : key.slice(0, space);
+	}
+
+	static _relPath(snap_path) {
+		return path.relative(process.cwd(), snap_path);
+	}
+}
+
+export { SnapshotStore };
@@ -0,0 +1,230 @@
+/**
+ * Collections of tests that can be built up, counted, and
+ * run as a whole, as with Python's unittest.TestSuite.
+ * A TestSuite holds TestMethods, each naming one test
+ * method of a TestCase subclass, and other suites:
+ *
+ *     const suite = new TestSuite([new TestMethod(ParserTests, 'test_empty'),
+ *                                  loader.loadTestsFromTestCase(LexerTests)]);
+ *     suite.countTestCases();
+ *     for (const test of suite) { ... }
+ *     await new TextTestRunner().run(suite);
+ *
+ * Suites are usually made by a TestLoader; see loader.mjs.
+ * Any object with run(result) and countTestCases() methods
+ * may be added as well.
+ *
+ * When a suite runs, consecutive tests of the same class
+ * run together, between one call of the class' setUpClass()
+ * and tearDownClass(), on one instance of the class, and in
+ * the order in which the class defines them. A test added
+ * more than once runs as often.
+ */
+
+import path from "path";
+
+import { TestResult } from "./result.mjs";
+import { Unittest } from "./unittest.mjs";
+import { TestSelector } from "./selection.mjs";
+
+/* ------------------ Class TestMethod ------------ */
+
+class TestMethod {
+
+   /*------------------------------
+    | Constructor
+    ----------------*/
+
+	/**
+	 * @param {Function} test_class - TestCase subclass
+	 * @param {string} method_name - name of one of its test methods
+	 * @param {string} [file] - absolute path of the module the
+	 *     class came from, if known
+	 * @throws {TypeError} if test_class has no such test method
+	 */
+	constructor(test_class, method_name, file=null) {
+		if (!Unittest.isTestCaseClass(test_class)) {
+			throw new TypeError(`Tests are methods of TestCase subclasses, not of '${TestSuite._name(test_class)}'`);
+		}
+		if (!Unittest.testMethods(test_class).some(method => method.name == method_name)) {
+			throw new TypeError(`${test_class.name} has no test method '${method_name}'`);
+		}
+		this.testClass  = test_class;
+		this.methodName = method_name;
+		this.file       = file;
+	}
+
+	/**
+	 * The id under which the test's outcome is recorded:
+	 * 'tests/test_x.mjs::MyTester::test_a', or without a
+	 * file, 'MyTester.test_a'.
+	 */
+	get id() {
+		if (this.file === null) return `${this.testClass.name}.${this.methodName}`;
+		return TestSelector.testId(path.relative(process.cwd(), this.file), this.testClass.name, this.methodName);
+	}
+
+	countTestCases() {
+		return 1;
+	}
+
+	/**
+	 * Run just this test, with its class fixtures.
+	 */
+	async run(result=new TestResult()) {
+		return await new TestSuite([this]).run(result);
+	}
+
+	toString() {
+		return this.id;
+	}
+}
+
+/* ------------------ Class TestSuite ------------ */
+
+class TestSuite {
+
+   /*------------------------------
+    | Constructor
+    ----------------*/
+
+	/**
+	 * @param {Iterable<object>} [tests] - TestMethods, suites, or
+	 *     other runnable tests
+	 */
+	constructor(tests=[]) {
+		this._tests = [];
+		this.addTests(tests);
+	}
+
+   /*------------------------------
+    | addTest
+    ----------------*/
+
+	/**
+	 * @param {object} test - a TestMethod, a suite, or any
+	 *     object with run() and countTestCases()
+	 * @throws {TypeError} for anything else, such as a
+	 *     TestCase subclass itself
+	 */
+	addTest(test) {
+		if (typeof(test) == 'function') {
+			throw new TypeError(`Add the tests of ${test.name} with TestLoader.loadTestsFromTestCase(), ` +
+								'not the class itself');
+		}
+		if (test === null || typeof(test) != 'object' ||
+			typeof(test.run) != 'function' || typeof(test.countTestCases) != 'function') {
+			throw new TypeError(`Suites hold tests and other suites, not '${test}'`);
+		}
+		this._tests.push(test);
+	}
+
+   /*------------------------------
+    | addTests
+    ----------------*/
+
+	addTests(tests) {
+		if (typeof(tests) == 'string' || tests === null || typeof(tests[Symbol.iterator]) != 'function') {
+			throw new TypeError(`addTests() takes an iterable of tests, not '${tests}'`);
+		}
+		for (const test of tests) {
+			this.addTest(test);
+		}
+	}
+
+	/**
+	 * Iterates over the tests and suites added to
+	 * this suite, without descending into suites.
+	 */
+	[Symbol.iterator]() {
+		return this._tests[Symbol.iterator]();
+	}
+
+   /*------------------------------
+    | countTestCases
+    ----------------*/
+
+	/**
+	 * Returns the number of tests in this suite,
+	 * and in the suites it holds.
+	 */
+	countTestCases() {
+		return this._tests.reduce((count, test) => count + test.countTestCases(), 0);
+	}
+
+   /*------------------------------
+    | run
+    ----------------*/
+
+	/**
+	 * Run the tests, recording their outcomes in result.
+	 * Files whose tests run are announced to result by
+	 * startTestFile(), as is, with null, the end of a file
+	 * when tests without one follow. Stops early once
+	 * result.shouldStop is set, as by failfast.
+	 *
+	 * @param {TestResult} [result] - where outcomes are recorded
+	 * @returns {Promise<TestResult>} result
+	 */
+	async run(result=new TestResult()) {
+		const tests = [...this._flatten()];
+		let file = null;
+		let idx  = 0;
+		while (idx < tests.length && !result.shouldStop) {
+			const test = tests[idx];
+			// Tests whose file is null, as of classes given
+			// directly, end the file of the tests before them:
+			if (test.file !== undefined && test.file !== file) {
+				file = test.file;
+				result.startTestFile(file === null ? null : path.relative(process.cwd(), file));
+			}
+			if (!(test instanceof TestMethod)) {
+				await test.run(result);
+				idx += 1;
+				continue;
+			}
+			// Tests of the same class that follow each other
+			// share the class fixtures; a repeated test
+			// starts another round:
+			const names = new Set([test.methodName]);
+			let end = idx + 1;
+			while (end < tests.length && tests[end] instanceof TestMethod &&
+				   tests[end].testClass === test.testClass && tests[end].file === test.file &&
+				   !names.has(tests[end].methodName)) {
+				names.add(tests[end].methodName);
+				end += 1;
+			}
+			const inst  = Unittest.instantiate(test.testClass);
+			await inst.run_tests(inst, result, method_name => names.has(method_name));
+			idx = end;
+		}
+		return result;
+	}
+
+	/**
+	 * Yields the tests of this suite and of the suites
+	 * it holds, depth first.
+	 */
+	*_flatten() {
+		for (const test of this._tests) {
+			if (test instanceof TestSuite) {
+				yield* test._flatten();
+			} else {
+				yield test;
+			}
+		}
+	}
+
+	/**
+	 * Names a class by its name, rather than its source.
+	 */
+	static _name(value) {
+		return typeof(value) == 'function' ? value.name : String(value);
+	}
+
+	toString() {
+		return `TestSuite(${this._tests.map(test => String(test)).join(', ')})`;
+	}
+}
+
+export { TestSuite, TestMethod };
@@ -0,0 +1,303 @@
+/**
+ * Test Anything Protocol (TAP) version 14 output for
+ * test runs. Each TestCase class is a subtest, whose test
+ * points are its test methods. Results are written as
+ * each test finishes; plans follow the test points they
+ * count:
+ *
+ *     TAP version 14
+ *         # Subtest: MyTester
+ *         ok 1 - test_feature1
+ *         not ok 2 - test_feature2
+ *           ---
+ *           message: "1 !== 2"
+ *           severity: "fail"
+ *           expected: "2"
+ *           actual: "1"
+ *           stack: |-
+ *             AssertionError: 1 !== 2
+ *                 at MyTester.test_feature2 (file:///.../test_my.mjs:12:8)
+ *           ...
+ *         ok 3 - test_feature3 # SKIP not on Windows
+ *         not ok 4 - test_known_bug # TODO expected failure
+ *         1..4
+ *     not ok 1 - MyTester
+ *     1..1
+ *
+ * As in Python, unexpected successes are failures.
+ *
+ * Whatever else is written to the reporter's stream while
+ * the run lasts, such as the tests' console.log() output,
+ * becomes TAP comments, so that consumers can still parse
+ * the stream:
+ *
+ *         # Subtest: MyTester
+ *         # connecting to localhost:8080
+ *         ok 1 - test_feature1
+ */
+
+import { Reporter } from "./reporters.mjs";
+import { DeepEqual } from "./deep_equal.mjs";
+
+const INDENT = '    ';
+
+/* ------------------ Class TapReporter ------------ */
+
+class TapReporter extends Reporter {
+
+   /*------------------------------
+    | Constructor
+    ----------------*/
+
+	/**
+	 * @param {object} [options]
+	 * @param {stream.Writable} [options.stream] - where to write;
+	 *     TAP consumers expect stdout
+	 */
+	constructor(options={}) {
+		super(options);
+		// Test points written at the top level, one per class:
+		this._class_count = 0;
+		// The class whose subtest is open, its number of
+		// test points so far, and whether all were ok:
+		this._open_class  = null;
+		this._point_count = 0;
+		this._class_ok    = true;
+		// The stream's write method while the run lasts,
+		// and the start of a comment line not yet written:
+		this._diverted    = null;
+		this._partial     = '';
+	}
+
+   /*------------------------------
+    | runStart
+    ----------------*/
+
+	runStart() {
+		this._divertOutput();
+		this._out('TAP version 14\n');
+	}
+
+   /*------------------------------
+    | runEnd
+    ----------------*/
+
+	runEnd() {
+		this._closeClass();
+		this._out(`1..${this._class_count}\n`);
+		this._restoreOutput();
+	}
+
+   /*------------------------------
+    | classStart
+    ----------------*/
+
+	classStart({className}) {
+		this._enterClass(className);
+	}
+
+	classEnd() {
+		this._closeClass();
+	}
+
+   /*------------------------------
+    | testPass
+    ----------------*/
+
+	testPass({test}) {
+		this._point(test, true);
+	}
+
+   /*------------------------------
+    | testFail
+    ----------------*/
+
+	testFail({test, kind, error, traceback}) {
+		if (kind == 'unexpectedSuccess') {
+			this._point(test, false, '', [['message', 'Test was expected to fail, but passed'],
+										  ['severity', 'fail']]);
+		} else {
+			const severity = kind == 'failure' ? 'fail' : 'error';
+			this._point(test, false, '', TapReporter._diagnostics(error, traceback, severity));
+		}
+	}
+
+   /*------------------------------
+    | testSkip
+    ----------------*/
+
+	testSkip({test, kind, reason, error, traceback}) {
+		if (kind == 'skip') {
+			this._point(test, true, ` # SKIP ${TapReporter._escape(reason)}`.trimEnd());
+		} else {
+			this._point(test, false, ' # TODO expected failure',
+						TapReporter._diagnostics(error, traceback, 'todo'));
+		}
+	}
+
+   /*------------------------------
+    | _point
+    ----------------*/
+
+	/**
+	 * Write one test point within the subtest of the
+	 * test's class, followed by its YAML diagnostics.
+	 *
+	 * @param {object} test - descriptor of the test
+	 * @param {boolean} ok - whether the point is 'ok'
+	 * @param {string} [directive] - ' # SKIP ...' or ' # TODO ...'
+	 * @param {Array[]} [diagnostics] - [key, value] pairs
+	 */
+	_point(test, ok, directive='', diagnostics=[]) {
+		this._enterClass(test.className);
+		this._point_count += 1;
+		// Failing TODO tests do not fail their class:
+		if (!ok && !directive.startsWith(' # TODO')) {
+			this._class_ok = false;
+		}
+		const params = test.parent === undefined ? '' : test.id.slice(test.parent.length);
+		const description = TapReporter._escape(`${test.methodName}${params}`);
+		this._out(`${INDENT}${ok ? 'ok' : 'not ok'} ${this._point_count} - ${description}${directive}\n`);
+		if (diagnostics.length > 0) {
+			this._out(TapReporter._yaml(diagnostics, `${INDENT}  `));
+		}
+	}
+
+   /*------------------------------
+    | _enterClass
+    ----------------*/
+
+	/**
+	 * Open the subtest of a class, closing that of the
+	 * previous class, unless it is already open. Outcomes
+	 * outside any class, such as failed imports of test
+	 * files, come through here as well.
+	 */
+	_enterClass(class_name) {
+		if (this._open_class === class_name) return;
+		this._closeClass();
+		this._open_class  = class_name;
+		this._point_count = 0;
+		this._class_ok    = true;
+		this._out(`${INDENT}# Subtest: ${class_name}\n`);
+	}
+
+	_closeClass() {
+		if (this._open_class === null) return;
+		this._class_count += 1;
+		this._out(`${INDENT}1..${this._point_count}\n`);
+		this._out(`${this._class_ok ? 'ok' : 'not ok'} ${this._class_count} - ` +
+					`${TapReporter._escape(this._open_class)}\n`);
+		this._open_class = null;
+	}
+
+   /*------------------------------
+    | _divertOutput
+    ----------------*/
+
+	/**
+	 * Until _restoreOutput(), write what others write
+	 * to the stream as comments, one per line.
+	 */
+	_divertOutput() {
+		this._diverted = this.stream.write;
+		this.stream.write = (chunk, encoding, callback) => {
+			this._partial += typeof(chunk) == 'string' ? chunk : Buffer.from(chunk).toString();
+			const lines = this._partial.split('\n');
+			this._partial = lines.pop();
+			for (const line of lines) {
+				this._comment(line);
+			}
+			if (typeof(encoding) == 'function') encoding();
+			if (typeof(callback) == 'function') callback();
+			return true;
+		};
+	}
+
+	_restoreOutput() {
+		if (this._diverted === null) return;
+		this._flushComment();
+		this.stream.write = this._diverted;
+		this._diverted = null;
+	}
+
+	/**
+	 * Write one line of others' output as a comment, within
+	 * the subtest of the class that is running, if any.
+	 */
+	_comment(line) {
+		const indent = this._open_class === null ? '' : INDENT;
+		this._write(`${indent}# ${line.replace(/\r$/, '')}\n`);
+	}
+
+	_flushComment() {
+		if (this._partial == '') return;
+		this._comment(this._partial);
+		this._partial = '';
+	}
+
+	/**
+	 * Write TAP, after any comment line that was begun.
+	 */
+	_out(text) {
+		this._flushComment();
+		this._write(text);
+	}
+
+   /*------------------------------
+    | _diagnostics
+    ----------------*/
+
+	/**
+	 * Returns the [key, value] pairs of the YAML block
+	 * that describes a failure or error. Failed comparisons
+	 * carry the compared values in actual and expected.
+	 */
+	static _diagnostics(err, traceback, severity) {
+		const pairs = [['message', err instanceof Error ? err.message : String(err)],
+					   ['severity', severity]];
+		if (err instanceof Error && 'expected' in err && 'actual' in err) {
+			pairs.push(['expected', DeepEqual.repr(err.expected)]);
+			pairs.push(['actual', DeepEqual.repr(err.actual)]);
+		}
+		pairs.push(['stack', traceback]);
+		return pairs;
+	}
+
+   /*------------------------------
+    | _yaml
+    ----------------*/
+
+	/**
+	 * Render [key, value] pairs of strings as a YAML block
+	 * between '---' and '...', as TAP requires. Multi-line
+	 * values become literal block scalars.
+	 */
+	static _yaml(pairs, indent) {
+		const lines = [`${indent}---`];
+		for (const [key, value] of pairs) {
+			const text = String(value);
+			if (text.includes('\n') && !/^\s/.test(text)) {
+				lines.push(`${indent}${key}: |-`);
+				for (const line of text.split('\n')) {
+					lines.push(line == '' ? '' : `${indent}  ${line}`);
+				}
+			} else {
+				// JSON strings are valid YAML:
+				lines.push(`${indent}${key}: ${JSON.stringify(text)}`);
+			}
+		}
+		lines.push(`${indent}...`);
+		return lines.join('\n') + '\n';
+	}
+
+	/**
+	 * Descriptions and directive reasons may not contain
+	 * '#', which starts a directive, or line breaks.
+	 */
+	static _escape(text) {
+		return String(text).replace(/\\/g, '\\\\').replace(/#/g, '\\#').replace(/\r?\n/g, ' ');
+	}
+}
+
+export { TapReporter };
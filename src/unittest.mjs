@@ -11,37 +11,492 @@
  *  		this.some_val1    	= 'foo';
  *  		this.some_val2      = 'bar';
 
- *  		super.run_tests(this);
- *  		console.log("Tests done");
+ *  		super.run_tests(this)
+ *  			.then(result => console.log("Tests done"));
  *  	}
+ *
+ *      // Optional fixtures, as in Python:
+ *      static setUpClass()    { ... once, before all tests }
+ *      static tearDownClass() { ... once, after all tests }
+ *
+ *      setUp() {
+ *          this.tmp_dir = fs.mkdtempSync('/tmp/my_tests');
+ *          this.addCleanup(fs.rmSync, this.tmp_dir, {recursive : true});
+ *      }
+ *      tearDown() { ... after each test }
  * 
  *      test_feature1() {
  *          super.assertEqual(1,1);
- *          super.assertObjsEqual({'foo', 10, 'bar' :20},
- * 								  {'foo', 10, 'bar' :20})
+ *          super.assertDeepEqual({'foo' : 10, 'bar' : [20]},
+ * 								  {'foo' : 10, 'bar' : [20]})
  *          super.assertTrue(1==1);
  * 			super.assertDefined(this.some_val1);
- * 			super.raises(my_func(3), TypeError)
+ * 			super.assertRaises(TypeError, () => my_func(3))
   *      }
+ *
+ *      // Tests, fixtures and cleanups may be async. They
+ *      // fail if they do not settle within the timeout:
+ *      async test_feature2() {
+ *          const res = await my_async_func();
+ *          this.assertEqual(res, 'done');
+ *      }
  * }
+ *
+ *   // Optional timeouts in msecs: for all classes, for one
+ *   // class, or for one method:
+ *   TestCase.timeout = 30000;
+ *   MyTester.timeout = 2000;
+ *   Unittest.timeout(100)(MyTester.prototype.test_feature2);
+ *
+ *   // Skip tests, or mark them as known to fail. Within
+ *   // tests and setUp(), this.skipTest(reason) skips as well:
+ *   Unittest.skipIf(process.platform == 'win32', 'POSIX only')(MyTester);
+ *   Unittest.expectedFailure(MyTester.prototype.test_feature1);
+ *
+ *   // Every assertion takes an optional trailing message,
+ *   // shown along with the standard failure message. For
+ *   // assertions with variable arguments, wrap it:
+ *   this.assertEqual(user.name, 'Ann', 'after rename');
+ *   this.assertRaises(TypeError, my_func, 3, Unittest.msg('bad input accepted'));
+ *
+ *   // Mocks record their calls. this.patch() replaces an
+ *   // attribute, by default with a Mock, until the test ends:
+ *   const send = this.patch(server, 'send');
+ *   my_client.login();
+ *   send.assertCalledOnceWith({req : 'login'});
+ *
+ *   // Fake timers: time only passes when the test says so:
+ *   const clock = this.useFakeTimers();
+ *   clock.tick(5000);
+ *
+ *   // Compare with the value stored on the first run, in
+ *   // __snapshots__/ next to the test module:
+ *   this.assertMatchesSnapshot(Message.fromJson(json));
+ * 
+ * Tests may also be collected into suites, and run as
+ * in Python, without constructors that run them:
+ *
+ *   const loader = new TestLoader();
+ *   const suite  = new TestSuite([loader.loadTestsFromTestCase(MyTester),
+ *                                 await loader.discover('tests')]);
+ *   console.log(`${suite.countTestCases()} tests`);
+ *   await new TextTestRunner({verbosity : 2}).run(suite);
  * 
  * Utilities used only for testing, such as finding
  * tests in the file hierarchy.
  */
 
 import fs from "fs";
+import path from "path";
+import util from "util";
+
+import { AssertionError, NotFoundError } from "./errors.mjs";
+import { Utils, Stack } from "./utils.mjs";
+import { TestResult } from "./result.mjs";
+import { DeepEqual } from "./deep_equal.mjs";
+import { Diff } from "./diff.mjs";
+import { Mock, Patch } from "./mock.mjs";
+import { FakeClock } from "./fake_timers.mjs";
+import { Reporter } from "./reporters.mjs";
+import { SnapshotStore } from "./snapshot.mjs";
+import { TextTestRunner } from "./runner.mjs";
+import { TestSuite, TestMethod } from "./suite.mjs";
+import { TestLoader } from "./loader.mjs";
+import { TestSelector } from "./selection.mjs";
+
+// Test timeouts must keep working while a test
+// has fake timers installed:
+const real_set_timeout   = setTimeout;
+const real_clear_timeout = clearTimeout;
+
+/* ------------------ Class TestTimeoutError ------------ */
+
+/**
+ * Thrown when a test, fixture, or cleanup does not
+ * settle within its allotted time.
+ */
+class TestTimeoutError extends Error {
+	constructor(msg) {
+		super(msg);
+		this.name = 'TestTimeoutError';
+	}
+}
+
+/* ------------------ Class SkipTest ------------ */
+
+/**
+ * Thrown to skip a test; see TestCase.skipTest().
+ */
+class SkipTest extends Error {
+	constructor(reason='') {
+		super(reason);
+		this.name = 'SkipTest';
+	}
+}
+
+/* ------------------ Class AssertMessage ------------ */
 
-import { AssertionError, NotFoundError } from "../common/errors.mjs";
-import { Utils } from "../common/utils.mjs";
+/**
+ * Message for an assertion that takes variable arguments,
+ * such as assertRaises(), where a plain trailing string 
+ * would be passed on to the function under test. Made 
+ * by Unittest.msg().
+ */
+class AssertMessage {
+	constructor(text) {
+		this.text = text;
+	}
+}
 
 /* ------------------ Class TestCase ------------ */
 
 class TestCase {
 	
+	// Exceptions of this class count as test failures;
+	// all others count as errors:
+	static failureException = AssertionError;
+
+	// Msecs a test, fixture or cleanup may take before
+	// it fails; null for no limit. Subclasses may override
+	// with their own static timeout; single methods
+	// may be given a timeout via Unittest.timeout():
+	static timeout = 10000;
+
+	// Maximum length of diffs in failure messages of 
+	// equality assertions; null for no limit. As in Python,
+	// may also be set per instance: this.maxDiff = null
+	static maxDiff = 80 * 8;
+
+	// How a msg passed to an assertion combines with the
+	// standard failure message: if true, msg is appended
+	// to it; if false, msg replaces it. May also be set
+	// per instance: this.longMessage = false
+	static longMessage = true;
+
+	// Snapshots of assertMatchesSnapshot(); runners set
+	// its update flag for --update-snapshots, and its ci
+	// flag for --ci:
+	static snapshots = new SnapshotStore();
+
 	constructor() {
+		// Functions registered via addCleanup():
+		this._cleanups = new Stack();
+	}
+
+	/* -------------- Fixtures ----------------	
+
+	/*------------------------------ 
+	 | setUpClass
+	 ----------------*/
+
+	/**
+	 * Called once before any of the class' tests run.
+	 * Override as a static method in subclasses. If it
+	 * throws, none of the class' tests are run.
+	 */
+	static setUpClass() {
+	}
+
+	/*------------------------------ 
+	 | tearDownClass
+	 ----------------*/
+
+	/**
+	 * Called once after all of the class' tests ran.
+	 * Override as a static method in subclasses.
+	 */
+	static tearDownClass() {
+	}
+
+	/*------------------------------ 
+	 | setUp
+	 ----------------*/
+
+	/**
+	 * Called before each test method. If it throws,
+	 * the test is recorded as an error and not run;
+	 * cleanups registered so far are still run.
+	 */
+	setUp() {
+	}
+
+	/*------------------------------ 
+	 | tearDown
+	 ----------------*/
+
+	/**
+	 * Called after each test method whose setUp()
+	 * succeeded, whether or not the test passed.
+	 */
+	tearDown() {
+	}
+
+	/*------------------------------ 
+	 | addCleanup
+	 ----------------*/
+
+	/**
+	 * Register a function to be called as fn(...args) after
+	 * tearDown(). Cleanups run in LIFO order, even if setUp(),
+	 * the test, or tearDown() threw.
+	 *
+	 * @param {function} fn - function to call
+	 * @param {...*} args - arguments to pass to fn
+	 */
+	addCleanup(fn, ...args) {
+		if (typeof(fn) != 'function') {
+			throw new TypeError(`Cleanup must be a function, not '${fn}'`);
+		}
+		// Subclasses that do not call super() in their
+		// constructor have no stack yet:
+		if (this._cleanups === undefined) {
+			this._cleanups = new Stack();
+		}
+		this._cleanups.push({fn : fn, args : args});
+	}
+
+	/*------------------------------ 
+	 | doCleanups
+	 ----------------*/
+
+	/**
+	 * Pop and run all registered cleanup functions,
+	 * awaiting those that return a promise. A throwing
+	 * cleanup does not prevent the remaining ones from
+	 * running. 
+	 *
+	 * @param {(number | null)} [timeout_ms] - msecs each cleanup
+	 *     may take; null for no limit
+	 * @returns {Promise<Array>} the values thrown by cleanup functions
+	 */
+	async doCleanups(timeout_ms=null) {
+		const thrown = [];
+		if (this._cleanups === undefined) return thrown;
+		while (!this._cleanups.isEmpty()) {
+			const cleanup = this._cleanups.pop();
+			try {
+				await Unittest.callWithTimeout(
+					cleanup.fn, this, cleanup.args, timeout_ms, 'Cleanup');
+			} catch(e) {
+				thrown.push(e);
+			}
+		}
+		return thrown;
+	}
+
+	/*------------------------------ 
+	 | subTest
+	 ----------------*/
+
+	/**
+	 * Run fn as a distinct part of the current test, like
+	 * Python's 'with self.subTest(i=i):'. If fn fails, the 
+	 * failure is recorded under the test's id, extended with 
+	 * params, and subTest() returns normally, so that a loop
+	 * over many inputs continues:
+	 *
+	 *     for (const [i, input] of inputs.entries()) {
+	 *         await this.subTest({i : i}, () => {
+	 *             this.assertEqual(parse(input), expected[i]);
+	 *         });
+	 *     }
+	 *
+	 * A failing case shows up as the test's id followed by
+	 * its params: 'tests/test_x.mjs::MyTester::test_parse [i=3]'.
+	 * As in Python, the test as a whole then has no outcome
+	 * of its own: it is neither a success nor counted among
+	 * the failures, which hold its subtests instead. Outside
+	 * of a test run, fn is simply called.
+	 *
+	 * @param {(object | string)} params - values that identify
+	 *     this case, or a message string
+	 * @param {function} fn - the checks to run; may be async
+	 * @returns {Promise<boolean>} true if fn passed
+	 */
+	async subTest(params, fn) {
+		const outcome = this._outcome;
+		if (outcome === undefined || outcome === null) {
+			await fn.call(this);
+			return true;
+		}
+		const parent  = outcome.test;
+		const subtest = {...parent,
+						 id     : `${parent.id} ${TestCase._subTestDescription(params)}`,
+						 params : params,
+						 parent : parent.id};
+		try {
+			await fn.call(this);
+			outcome.result.addSubTest(parent, subtest, null);
+			return true;
+		} catch(e) {
+			if (e instanceof SkipTest) {
+				outcome.result.addSkip(subtest, e.message);
+				return false;
+			}
+			if (outcome.expecting_failure) {
+				if (outcome.expected_exc === null) outcome.expected_exc = e;
+				return false;
+			}
+			outcome.subtests_failed = true;
+			outcome.result.addSubTest(parent, subtest, e, this._isFailure(e));
+			return false;
+		}
+	}
+
+	/*------------------------------ 
+	 | _subTestDescription
+	 ----------------*/
+
+	/**
+	 * Render subTest() params as they appear in test ids:
+	 * {i : 3, name : 'a'} becomes "[i=3, name='a']".
+	 */
+	static _subTestDescription(params) {
+		if (typeof(params) == 'string') {
+			return `[${params}]`;
+		}
+		const parts = Object.entries(params || {}).map(
+			([key, val]) => `${key}=${util.inspect(val, {breakLength : Infinity})}`);
+		return `[${parts.join(', ')}]`;
+	}
+
+	/*------------------------------ 
+	 | skipTest
+	 ----------------*/
+
+	/**
+	 * Skip the current test. May be called from setUp(),
+	 * or from within a test. Call from setUpClass() via
+	 * 'throw new SkipTest(reason)' to skip the whole class.
+	 *
+	 * @param {string} reason - explanation shown in the results
+	 * @throws {SkipTest} always
+	 */
+	skipTest(reason) {
+		throw new SkipTest(reason);
+	}
+
+	/* -------------- Patching ----------------
+
+	/*------------------------------
+	 | patch
+	 ----------------*/
+
+	/**
+	 * Replace target[attr] until the current test ends,
+	 * like Python's patch.object(). The original is restored
+	 * during cleanup, even if the test fails. Called from
+	 * setUp(), the patch lasts through the test:
+	 *
+	 *     const send = this.patch(server, 'send');
+	 *     this.patch(Date, 'now', () => 1000);
+	 *
+	 * @param {(object | function)} target - object to patch
+	 * @param {(string | symbol)} attr - name of the attribute
+	 * @param {*} [replacement] - value to install; if omitted,
+	 *     a new Mock
+	 * @returns {*} the replacement
+	 */
+	patch(target, attr, replacement) {
+		const patcher = arguments.length < 3
+			? Patch.object(target, attr)
+			: Patch.object(target, attr, replacement);
+		this.addCleanup(() => patcher.stop());
+		return patcher.replacement;
+	}
+
+	/*------------------------------
+	 | patchDict
+	 ----------------*/
+
+	/**
+	 * Set keys of obj until the current test ends, like
+	 * Python's patch.dict():
+	 *
+	 *     this.patchDict(process.env, {NODE_ENV : 'test'});
+	 *
+	 * @param {object} obj - object to modify
+	 * @param {object} values - keys and values to set
+	 * @param {object} [options]
+	 * @param {boolean} [options.clear] - first remove all keys
+	 * @returns {object} obj
+	 */
+	patchDict(obj, values, options={}) {
+		const patcher = Patch.dict(obj, values, options);
+		this.addCleanup(() => patcher.stop());
+		return obj;
+	}
+
+	/*------------------------------
+	 | useFakeTimers
+	 ----------------*/
+
+	/**
+	 * Replace setTimeout(), setInterval(), their clear
+	 * functions, Date.now(), and performance.now() with a
+	 * fake clock until the current test ends. Time then only
+	 * passes when the test calls the clock's tick(), runAll(),
+	 * or runOnlyPending(). Test timeouts are not affected.
+	 *
+	 * @param {object} [options]
+	 * @param {(number | Date)} [options.now] - initial value 
+	 *     of Date.now(); default the current time
+	 * @returns {FakeClock} the installed clock
+	 */
+	useFakeTimers(options={}) {
+		const clock = new FakeClock(options).install();
+		this.addCleanup(() => clock.uninstall());
+		return clock;
 	}
 
-	/* -------------- Assertion Conveniences ----------------	
+	/* -------------- Assertion Conveniences ----------------
+
+	/*------------------------------ 
+	 | fail
+	 ----------------*/
+
+	 /**
+	  * Fail the test unconditionally.
+	  *
+	  * @param {string} [msg] - explanation of the failure
+	  * @throws {Error} always; an instance of failureException
+	  */
+	 fail(msg=null) {
+		 throw new this.constructor.failureException(msg === null ? 'Test failed' : msg);
+	 }
+
+	/*------------------------------ 
+	 | _failure
+	 ----------------*/
+
+	 /**
+	  * Build the exception that an assertion throws. A msg
+	  * the caller passed to the assertion is appended to the
+	  * standard message, or replaces it if longMessage is false.
+	  *
+	  * @param {(string | null)} msg - the assertion caller's message
+	  * @param {string} standard_msg - the assertion's own account
+	  *     of the failure
+	  * @param {object} [compared] - {actual, expected} of assertions
+	  *     that compare two values; set on the exception for
+	  *     reporters, as node's assert module does
+	  * @returns {Error} an instance of failureException
+	  */
+	 _failure(msg, standard_msg, compared=null) {
+		 const err = new this.constructor.failureException(this._formatMessage(msg, standard_msg));
+		 if (compared !== null) {
+			 err.actual   = compared.actual;
+			 err.expected = compared.expected;
+		 }
+		 return err;
+	 }
+
+	 _formatMessage(msg, standard_msg) {
+		 if (msg === null || msg === undefined) return standard_msg;
+		 const long_message = this.longMessage !== undefined ? this.longMessage : this.constructor.longMessage;
+		 if (!long_message) return String(msg);
+		 return `${standard_msg} : ${msg}`;
+	 }
 
 	/*------------------------------ 
 	 | assertEqual
@@ -49,20 +504,23 @@ class TestCase {
 	 
 	 /** Test equality of non-object items. 
 	  * If strictly is True, '===' is used,
-	  * else '=='
+	  * else '=='. On failure, strings and objects
+	  * are shown with a diff; see _diffMessage().
+	  * As in Python, a message may directly follow
+	  * the compared values: assertEqual(a, b, 'msg')
 	  */
-	 assertEqual(arg1, arg2, strictly=true) {
+	 assertEqual(arg1, arg2, strictly=true, msg=null) {
+		 if (typeof(strictly) == 'string') {
+			 [strictly, msg] = [true, strictly];
+		 }
 		 if (strictly) {
 			 if (arg1 !== arg2) {
-			 	// Empty arrays show up as black space; fix that:
-			 	if (Array.isArray(arg1) && arg1.length == 0) {
-					 arg1 = '[]'
-				 }
-			 	if (Array.isArray(arg2) && arg2.length == 0) {
-					 arg2 = '[]'
-				 }	
-				 	
-			 	throw new AssertionError(`${arg1} !== ${arg2}`)
+				let standard_msg = `${DeepEqual.repr(arg1)} !== ${DeepEqual.repr(arg2)}`;
+				if (typeof(arg1) == 'object' && DeepEqual.equal(arg1, arg2)) {
+					standard_msg += ' (distinct objects with equal contents; see assertDeepEqual())';
+				}
+			 	throw this._failure(msg, this._diffMessage(standard_msg, arg1, arg2),
+									{actual : arg1, expected : arg2});
 			 } else {
 				 // Args are ===
 				 return
@@ -71,63 +529,123 @@ class TestCase {
 		 else {
 			// Caller wants just == comparison:
 		 	if (arg1 != arg2)
-		 		throw new AssertionError(`${arg1} != ${arg2}`)
+		 		throw this._failure(msg, this._diffMessage(
+					`${DeepEqual.repr(arg1)} != ${DeepEqual.repr(arg2)}`, arg1, arg2),
+					{actual : arg1, expected : arg2});
+		 }
+	 }
+
+	/*------------------------------ 
+	 | _diffMessage
+	 ----------------*/
+
+	 /**
+	  * Append a diff of first and second to the standard 
+	  * failure message of an equality assertion: a unified 
+	  * diff for multi-line strings, character markers for 
+	  * single-line strings, and a diff of pretty printed 
+	  * renderings for objects. Diffs longer than maxDiff
+	  * are left out, as in Python, and are not computed
+	  * beyond that length either.
+	  *
+	  * @param {string} standard_msg - message without diff
+	  * @param {*} first - first compared value
+	  * @param {*} second - second compared value
+	  * @param {object} [labels] - {from_label, to_label}, names
+	  *     of first and second in the diff
+	  * @returns {string} the complete message
+	  */
+	 _diffMessage(standard_msg, first, second, labels={}) {
+		 let max_diff = this.maxDiff !== undefined ? this.maxDiff : this.constructor.maxDiff;
+		 if (max_diff === undefined) max_diff = null;
+		 const diff = Diff.explain(first, second, {max_length : max_diff, ...labels});
+		 if (diff === null) {
+			 return `${standard_msg}\n\nDiff is longer than ${max_diff} characters. ` +
+				 'Set maxDiff to null to see it.';
 		 }
+		 if (diff == '') {
+			 return standard_msg;
+		 }
+		 return `${standard_msg}\n\n${diff}`;
 	 }
 
 	/*------------------------------ 
 	 | assertTrue
 	 ----------------*/
 	 
-	 assertTrue(arg1) {
+	 assertTrue(arg1, msg=null) {
 		 if (!arg1)
-		 	throw new AssertionError(`${arg1} is False instead of True`)
+		 	throw this._failure(msg, `${arg1} is False instead of True`)
 	 }
 
 	/*------------------------------ 
 	 | assertFalse
 	 ----------------*/
 	 
-	 assertFalse(arg1) {
+	 assertFalse(arg1, msg=null) {
 		 if (arg1)
-		 	throw new AssertionError(`${arg1} is True instead of False`);
+		 	throw this._failure(msg, `${arg1} is True instead of False`);
 	 }
 
 	/*------------------------------ 
-	 | assertObjsEqual
+	 | assertDeepEqual
 	 ----------------*/
-	 
-	 assertObjsEqual(obj1, obj2) {
 
-		 if (typeof(obj1) == 'undefined' || typeof(obj2) == 'undefined') {
-			 let msg = 'One or both objects are undefined';
-			 throw new AssertionError(msg);
-			 
+	 /**
+	  * Structural equality of arbitrary values, including
+	  * nested objects and arrays, Map, Set, Date, RegExp, 
+	  * typed arrays, and cyclic structures. On failure, the 
+	  * message names the path of the first difference:
+	  *
+	  *     obj.users[2].tags has Set{'a'} vs Set{'a', 'b'}
+	  *
+	  * @param {*} actual - value to check
+	  * @param {*} expected - value it should equal
+	  * @param {object} [options]
+	  * @param {boolean} [options.strict] - compare primitives with ===
+	  *     if true (default), else with ==
+	  * @param {boolean} [options.check_prototype] - also require objects
+	  *     to be instances of the same class; default false
+	  * @param {string} [msg] - shown with the failure message; may
+	  *     take the place of options
+	  */
+	 assertDeepEqual(actual, expected, options={}, msg=null) {
+		 if (typeof(options) == 'string') {
+			 [options, msg] = [{}, options];
 		 }
-		 const obj1_keys = Object.getOwnPropertyNames(obj1);
-		 const obj2_keys = Object.getOwnPropertyNames(obj2);
-		 if (obj1_keys.length != obj2_keys.length) 
-		 	throw new AssertionError(`Number of elements in objects differ`);
-
-		 for (const key of Object.getOwnPropertyNames(obj1))
-		     if (obj1[key] != obj2[key]) {
-		     	// See whether the two values are themselves
-		     	// objects nested under the keys:
-		     	try {
-		     		this.assertObjsEqual(obj1[key], obj2[key]);
-		     	} catch(e) {
-					 throw new AssertionError(`Object value obj1.${key} != obj2.${key}: ${obj1[key]} != ${obj2[key]}`)
-				}
-		     }
+		 const {strict=true, check_prototype=false} = options;
+		 const diff = DeepEqual.difference(actual, expected, 
+										   {strict : strict, check_prototype : check_prototype});
+		 if (diff === null) return;
+		 // Differing strings deep inside are best shown 
+		 // by themselves; anything else in context:
+		 if (typeof(diff.actual) == 'string' && typeof(diff.expected) == 'string') {
+			 throw this._failure(msg, this._diffMessage(diff.message, diff.actual, diff.expected),
+								 {actual : actual, expected : expected});
+		 }
+		 throw this._failure(msg, this._diffMessage(diff.message, actual, expected),
+							 {actual : actual, expected : expected});
+	 }
+
+	/*------------------------------ 
+	 | assertObjsEqual
+	 ----------------*/
+	 
+	 /**
+	  * Deep equality with == comparison of primitives.
+	  * Kept for existing tests; see assertDeepEqual().
+	  */
+	 assertObjsEqual(obj1, obj2, msg=null) {
+		 this.assertDeepEqual(obj1, obj2, {strict : false}, msg);
 	 }		 
 
 	/*------------------------------ 
 	 | assertDefined
 	 ----------------*/
 	 
-	 assertDefined(value) {
+	 assertDefined(value, msg=null) {
 		 if (value === undefined)
-		 	throw new AssertionError(`Value is undefined`);
+		 	throw this._failure(msg, `Value is undefined`);
 	 }
 	 
    /*------------------------------ 
@@ -135,133 +653,1274 @@ class TestCase {
     ----------------*/
     
     /**
-	 * Checks list lengths, and pairwise ===
+	 * Checks that both arguments are arrays, and
+	 * are deeply equal, with === comparison of
+	 * primitives. See assertDeepEqual().
 	 */
-    assertListsEqual(list1, list2) {
+    assertListsEqual(list1, list2, msg=null) {
 		
-		const l1_class = list1.constructor.name;
-		const l2_class = list2.constructor.name;
+		if (!Array.isArray(list1))
+			throw this._failure(msg, `List1 argument is not a list, but: '${DeepEqual.repr(list1)}'`)
 		
-		if (! list1 instanceof Array)
-			throw new AssertionError(`List1 argument is not a list, but: '${l1_class}'`)
-		
-		if (! list2 instanceof Array)
-			throw new AssertionError(`List2 argument is not a list, but: '${l2_class}'`)
+		if (!Array.isArray(list2))
+			throw this._failure(msg, `List2 argument is not a list, but: '${DeepEqual.repr(list2)}'`)
 				
-		if (list1.length != list2.length) {
-			throw new AssertionError(`List length are unequal: ${list1.length} != ${list2.length}`);
-		}
-		
-		for (let i = 0; i < list1.length; i++) {		
-			const el1 = list1[i];
-			const el2 = list2[i];
-			// Is el1 itself a list?
-			if (el1 instanceof Array) {
-				// Recursive comparison (if el2 is not a list we'll throw error)
-				this.assertListsEqual(el1, el2);
-				continue;
-			}
-			if (el1 !== el2) {
-				throw new AssertionError(`Lists differ in element ${idx}: ${list1[idx]} !== ${list2[idx]}}`)
-			}
-		}
+		this.assertDeepEqual(list1, list2, {}, msg);
 	}
 	 
 	 
 	/*------------------------------ 
-	 | assertRaises
+	 | assertNotEqual
 	 ----------------*/
-	 
+
 	 /**
-	  * Confirms that calling func raises an expected
-	  * exception exc. If func does not raise that exception,
-	  * an assertion error is thrown.
+	  * Inverse of assertEqual(): fails if arg1 === arg2,
+	  * or, if strictly is false, if arg1 == arg2.
 	  */
-	 assertRaises(func, exc, ...args) {
-		 
-		 try {
-			 func(...args);
-			 throw new AssertionError(`Should have thrown exception '${exc}'`);
-		 } catch (e) {
-			 try {
-			 	if (e instanceof exc) return;
-			 } catch(TypeError) {
-				 const err_msg = `Usage: assertRaises(function, exceptionClass); but exc was ${exc}`;
-				 throw new SyntaxError(err_msg);
-			 }
-			 throw new AssertionError(`Should have thrown exc type '${exc}', not ${typeof(e)}`);
+	 assertNotEqual(arg1, arg2, strictly=true, msg=null) {
+		 if (typeof(strictly) == 'string') {
+			 [strictly, msg] = [true, strictly];
+		 }
+		 if (strictly ? arg1 === arg2 : arg1 == arg2) {
+			 const op = strictly ? '===' : '==';
+			 throw this._failure(msg, `${DeepEqual.repr(arg1)} ${op} ${DeepEqual.repr(arg2)}`);
 		 }
 	 }
-	 
-	 
 
-	/* ---------------- Test File Finding --------------------
+	/*------------------------------ 
+	 | assertAlmostEqual
+	 ----------------*/
 
-	/*------------------------------
-	| find_test_files
-	--------------------*/
-		
-	/** Call to discover tests, i.e. files under start_dir
-	   whose name starts with 'test_'. Use next_test() to
-	   access found files one by one.
-	*/
-	async find_test_files(start_dir = process.cwd()) {
-		this.test_list = Utils.walkdir(start_dir);
-		return this.test_list;
-	}
-	
-	/*------------------------------
-	| next_test_file
-	--------------------*/
-	
-	next_test_file() {
-		if (this.test_list.length == 0) {
-			 return null;
-		} else {
-			 return this.test_list.pop();
-		}
-	}
-	
-	/*------------------------------
-	| run_tests
-	--------------------*/
-	
-	/** Find test methods in current file, i.e. in
-	    file this class is inherited
-	*/
-	run_tests(test_case_subclass_inst) {
-		let filter=(prop) => prop.startsWith('test')
-		let test_funcs = Unittest.getMethods(test_case_subclass_inst, filter); 
+	 /**
+	  * Numbers are almost equal if their difference, rounded 
+	  * to the given number of decimal places, is zero, or, if
+	  * delta is given, if their difference is at most delta.
+	  * As in Python, places defaults to 7:
+	  *
+	  *     this.assertAlmostEqual(0.1 + 0.2, 0.3);
+	  *     this.assertAlmostEqual(elapsed, 1000, {delta : 50});
+	  *
+	  * @param {number} first - first number
+	  * @param {number} second - second number
+	  * @param {object} [options]
+	  * @param {number} [options.places] - decimal places to compare
+	  * @param {number} [options.delta] - largest acceptable difference
+	  * @param {string} [msg] - shown with the failure message; may
+	  *     take the place of options
+	  */
+	 assertAlmostEqual(first, second, options={}, msg=null) {
+		 if (typeof(options) == 'string') {
+			 [options, msg] = [{}, options];
+		 }
+		 const {places=null, delta=null} = options;
+		 if (first === second) return;
+		 const [is_close, diff, tolerance] = TestCase._closeness(first, second, places, delta);
+		 if (!is_close) {
+			 throw this._failure(msg, 
+				 `${DeepEqual.repr(first)} != ${DeepEqual.repr(second)} within ${tolerance} (${diff} difference)`,
+				 {actual : first, expected : second});
+		 }
+	 }
 
-		for (const test of test_funcs) {
-			// Use call() so we can initialize 'this'
-			// to be the instance of the subclass:
-			test.call(test_case_subclass_inst)
-		}
-	}
-}
+	/*------------------------------ 
+	 | assertNotAlmostEqual
+	 ----------------*/
 
-/* ------------------ Class Unittest ------------ */
+	 /**
+	  * Inverse of assertAlmostEqual(); same options.
+	  */
+	 assertNotAlmostEqual(first, second, options={}, msg=null) {
+		 if (typeof(options) == 'string') {
+			 [options, msg] = [{}, options];
+		 }
+		 const {places=null, delta=null} = options;
+		 const [is_close, diff, tolerance] = first === second
+			 ? [true, 0, TestCase._closeness(first, second, places, delta)[2]]
+			 : TestCase._closeness(first, second, places, delta);
+		 if (is_close) {
+			 throw this._failure(msg, 
+				 `${DeepEqual.repr(first)} == ${DeepEqual.repr(second)} within ${tolerance} (${diff} difference)`);
+		 }
+	 }
 
-class Unittest {
+	 /**
+	  * Returns [is_close, difference, tolerance description]
+	  * for the almost-equal assertions.
+	  */
+	 static _closeness(first, second, places, delta) {
+		 if (places !== null && delta !== null) {
+			 throw new TypeError('Specify places or delta, not both');
+		 }
+		 const diff = Math.abs(first - second);
+		 if (delta !== null) {
+			 return [diff <= delta, diff, `${delta} delta`];
+		 }
+		 if (places === null) places = 7;
+		 return [Number(diff.toFixed(places)) == 0, diff, `${places} places`];
+	 }
 
-	/*------------------------------
-	| getMethods
-	--------------------*/
+	/*------------------------------ 
+	 | assertIn
+	 ----------------*/
 
-	/**
-	 * Given a class, or an instance of a class, return a list of methods
-	 * on the class, or the instance's class.
-	 * If filter is provided, only include props for which
-	 * filter returns true. To search only for methods
-	 * that start with 'test_':
-	 * 
-	 *     my_filter = (prop) => prop.startsWith('test_')
-	 * 	   Util.getMethods(Foo, meth_filter=my_filter)
-	 */
+	 /**
+	  * Confirms that member is in container. Strings are 
+	  * searched for substrings, Maps and plain objects for
+	  * keys, and Sets, arrays and other iterables for
+	  * elements (compared with ===).
+	  */
+	 assertIn(member, container, msg=null) {
+		 if (!TestCase._contains(container, member)) {
+			 throw this._failure(msg, 
+				 `${DeepEqual.repr(member)} not found in ${DeepEqual.repr(container)}`);
+		 }
+	 }
 
-	static getMethods(get_from, meth_filter=null) {
-		let the_class = null;
+	/*------------------------------ 
+	 | assertNotIn
+	 ----------------*/
+
+	 assertNotIn(member, container, msg=null) {
+		 if (TestCase._contains(container, member)) {
+			 throw this._failure(msg, 
+				 `${DeepEqual.repr(member)} unexpectedly found in ${DeepEqual.repr(container)}`);
+		 }
+	 }
+
+	 static _contains(container, member) {
+		 if (typeof(container) == 'string') {
+			 return container.includes(member);
+		 }
+		 if (container instanceof Map || container instanceof Set) {
+			 return container.has(member);
+		 }
+		 if (container !== null && container !== undefined && 
+			 typeof(container[Symbol.iterator]) == 'function') {
+			 return [...container].includes(member);
+		 }
+		 if (container !== null && typeof(container) == 'object') {
+			 return Object.prototype.hasOwnProperty.call(container, member);
+		 }
+		 throw new TypeError(`Container must be a string, iterable, or object, not ${DeepEqual.repr(container)}`);
+	 }
+
+	/*------------------------------ 
+	 | assertIs
+	 ----------------*/
+
+	 /**
+	  * Confirms that first and second are the same value,
+	  * as decided by Object.is().
+	  */
+	 assertIs(first, second, msg=null) {
+		 if (!Object.is(first, second)) {
+			 throw this._failure(msg, `${DeepEqual.repr(first)} is not ${DeepEqual.repr(second)}`,
+								 {actual : first, expected : second});
+		 }
+	 }
+
+	/*------------------------------ 
+	 | assertIsNot
+	 ----------------*/
+
+	 assertIsNot(first, second, msg=null) {
+		 if (Object.is(first, second)) {
+			 throw this._failure(msg, `unexpectedly identical: ${DeepEqual.repr(first)}`);
+		 }
+	 }
+
+	/*------------------------------ 
+	 | assertIsNull
+	 ----------------*/
+
+	 assertIsNull(value, msg=null) {
+		 if (value !== null) {
+			 throw this._failure(msg, `${DeepEqual.repr(value)} is not null`);
+		 }
+	 }
+
+	/*------------------------------ 
+	 | assertIsNotNull
+	 ----------------*/
+
+	 assertIsNotNull(value, msg=null) {
+		 if (value === null) {
+			 throw this._failure(msg, 'unexpectedly null');
+		 }
+	 }
+
+	/*------------------------------ 
+	 | assertIsUndefined
+	 ----------------*/
+
+	 assertIsUndefined(value, msg=null) {
+		 if (value !== undefined) {
+			 throw this._failure(msg, `${DeepEqual.repr(value)} is not undefined`);
+		 }
+	 }
+
+	/*------------------------------ 
+	 | assertIsInstance
+	 ----------------*/
+
+	 /**
+	  * Confirms that obj is an instance of cls, or of one 
+	  * of the classes in a cls list. Primitives count as
+	  * instances of their wrapper classes, so that 
+	  * assertIsInstance('abc', String) passes.
+	  */
+	 assertIsInstance(obj, cls, msg=null) {
+		 if (!TestCase._isInstance(obj, cls)) {
+			 throw this._failure(msg, 
+				 `${DeepEqual.repr(obj)} is not an instance of ${TestCase._classNames(cls)}`);
+		 }
+	 }
+
+	/*------------------------------ 
+	 | assertNotIsInstance
+	 ----------------*/
+
+	 assertNotIsInstance(obj, cls, msg=null) {
+		 if (TestCase._isInstance(obj, cls)) {
+			 throw this._failure(msg, 
+				 `${DeepEqual.repr(obj)} is an instance of ${TestCase._classNames(cls)}`);
+		 }
+	 }
+
+	 static _isInstance(obj, cls) {
+		 const classes = Array.isArray(cls) ? cls : [cls];
+		 for (const a_class of classes) {
+			 if (typeof(a_class) != 'function') {
+				 throw new TypeError(`Expected a class, or a list of classes, not ${DeepEqual.repr(cls)}`);
+			 }
+			 if (obj instanceof a_class) return true;
+			 // Primitives, such as 3, against wrappers, such as Number:
+			 if (obj !== null && obj !== undefined && typeof(obj) != 'object' && 
+				 Object(obj) instanceof a_class) {
+				 return true;
+			 }
+		 }
+		 return false;
+	 }
+
+	 static _classNames(cls) {
+		 return Array.isArray(cls) ? cls.map(a_class => a_class.name).join(' or ') : cls.name;
+	 }
+
+	/*------------------------------ 
+	 | assertGreater
+	 ----------------*/
+
+	 assertGreater(first, second, msg=null) {
+		 if (!(first > second)) {
+			 throw this._failure(msg, `${DeepEqual.repr(first)} not greater than ${DeepEqual.repr(second)}`);
+		 }
+	 }
+
+	/*------------------------------ 
+	 | assertGreaterEqual
+	 ----------------*/
+
+	 assertGreaterEqual(first, second, msg=null) {
+		 if (!(first >= second)) {
+			 throw this._failure(msg, 
+				 `${DeepEqual.repr(first)} not greater than or equal to ${DeepEqual.repr(second)}`);
+		 }
+	 }
+
+	/*------------------------------ 
+	 | assertLess
+	 ----------------*/
+
+	 assertLess(first, second, msg=null) {
+		 if (!(first < second)) {
+			 throw this._failure(msg, `${DeepEqual.repr(first)} not less than ${DeepEqual.repr(second)}`);
+		 }
+	 }
+
+	/*------------------------------ 
+	 | assertLessEqual
+	 ----------------*/
+
+	 assertLessEqual(first, second, msg=null) {
+		 if (!(first <= second)) {
+			 throw this._failure(msg, 
+				 `${DeepEqual.repr(first)} not less than or equal to ${DeepEqual.repr(second)}`);
+		 }
+	 }
+
+	/*------------------------------ 
+	 | assertCountEqual
+	 ----------------*/
+
+	 /**
+	  * Confirms that two iterables hold the same elements
+	  * the same number of times, regardless of order. 
+	  * Elements are compared with assertDeepEqual() semantics:
+	  *
+	  *     this.assertCountEqual([1, {a : 2}, 1], [{a : 2}, 1, 1]);
+	  */
+	 assertCountEqual(first, second, msg=null) {
+		 const remaining = [...second];
+		 const only_first = [];
+		 for (const elem of first) {
+			 const idx = remaining.findIndex(other => DeepEqual.equal(elem, other));
+			 if (idx < 0) {
+				 only_first.push(elem);
+			 } else {
+				 remaining.splice(idx, 1);
+			 }
+		 }
+		 if (only_first.length == 0 && remaining.length == 0) return;
+
+		 const lines = ['Element counts were not equal:'];
+		 for (const [label, elems] of [['first', only_first], ['second', remaining]]) {
+			 for (const [elem, count] of TestCase._tally(elems)) {
+				 lines.push(`Only in ${label}, ${count} time${count == 1 ? '' : 's'}: ${DeepEqual.repr(elem)}`);
+			 }
+		 }
+		 throw this._failure(msg, lines.join('\n'), {actual : first, expected : second});
+	 }
+
+	 /**
+	  * Group structurally equal elements: returns a 
+	  * list of [element, count] pairs.
+	  */
+	 static _tally(elems) {
+		 const tally = [];
+		 for (const elem of elems) {
+			 const entry = tally.find(([other]) => DeepEqual.equal(elem, other));
+			 entry === undefined ? tally.push([elem, 1]) : entry[1] += 1;
+		 }
+		 return tally;
+	 }
+
+	/*------------------------------ 
+	 | assertRegex
+	 ----------------*/
+
+	 /**
+	  * Confirms that regex matches somewhere in text. The
+	  * regex may be a RegExp, or a string pattern.
+	  */
+	 assertRegex(text, regex, msg=null) {
+		 const the_regex = regex instanceof RegExp ? regex : new RegExp(regex);
+		 if (!TestCase._regexTest(the_regex, text)) {
+			 throw this._failure(msg, 
+				 `Regex didn't match: ${the_regex} not found in ${DeepEqual.repr(text)}`);
+		 }
+	 }
+
+	/*------------------------------ 
+	 | assertNotRegex
+	 ----------------*/
+
+	 assertNotRegex(text, regex, msg=null) {
+		 const the_regex = regex instanceof RegExp ? regex : new RegExp(regex);
+		 const match = String(text).match(new RegExp(the_regex.source, the_regex.flags.replace('g', '')));
+		 if (match !== null) {
+			 throw this._failure(msg, 
+				 `Regex matched: ${DeepEqual.repr(match[0])} matches ${the_regex} in ${DeepEqual.repr(text)}`);
+		 }
+	 }
+
+	 /**
+	  * RegExp.test() without the statefulness of global 
+	  * and sticky regexes.
+	  */
+	 static _regexTest(regex, text) {
+		 regex.lastIndex = 0;
+		 const found = regex.test(String(text));
+		 regex.lastIndex = 0;
+		 return found;
+	 }
+
+	/*------------------------------ 
+	 | assertSetsEqual
+	 ----------------*/
+
+	 /**
+	  * Confirms that two Sets have the same members,
+	  * compared as by Utils.setsEqual(). The message 
+	  * lists the members that only one of them has.
+	  */
+	 assertSetsEqual(set1, set2, msg=null) {
+		 if (!(set1 instanceof Set)) {
+			 throw this._failure(msg, `First argument is not a Set: ${DeepEqual.repr(set1)}`);
+		 }
+		 if (!(set2 instanceof Set)) {
+			 throw this._failure(msg, `Second argument is not a Set: ${DeepEqual.repr(set2)}`);
+		 }
+		 if (Utils.setsEqual(set1, set2)) return;
+
+		 const lines = [`${DeepEqual.repr(set1)} != ${DeepEqual.repr(set2)}`];
+		 const only_first  = [...set1].filter(member => !set2.has(member));
+		 const only_second = [...set2].filter(member => !set1.has(member));
+		 if (only_first.length > 0) {
+			 lines.push('Items in the first set but not the second:');
+			 lines.push(...only_first.map(member => DeepEqual.repr(member)));
+		 }
+		 if (only_second.length > 0) {
+			 lines.push('Items in the second set but not the first:');
+			 lines.push(...only_second.map(member => DeepEqual.repr(member)));
+		 }
+		 throw this._failure(msg, lines.join('\n'), {actual : set1, expected : set2});
+	 }
+
+	/*------------------------------ 
+	 | assertMapsEqual
+	 ----------------*/
+
+	 /**
+	  * Confirms that two Maps have the same keys, and 
+	  * deeply equal values under each key. The message
+	  * lists missing keys, and differing values.
+	  */
+	 assertMapsEqual(map1, map2, msg=null) {
+		 if (!(map1 instanceof Map)) {
+			 throw this._failure(msg, `First argument is not a Map: ${DeepEqual.repr(map1)}`);
+		 }
+		 if (!(map2 instanceof Map)) {
+			 throw this._failure(msg, `Second argument is not a Map: ${DeepEqual.repr(map2)}`);
+		 }
+		 const lines = [];
+		 for (const [key, val1] of map1) {
+			 if (!map2.has(key)) {
+				 lines.push(`Key ${DeepEqual.repr(key)} only in the first map`);
+				 continue;
+			 }
+			 const diff = DeepEqual.difference(val1, map2.get(key), {root : `get(${DeepEqual.repr(key)})`});
+			 if (diff !== null) {
+				 lines.push(diff.message);
+			 }
+		 }
+		 for (const key of map2.keys()) {
+			 if (!map1.has(key)) {
+				 lines.push(`Key ${DeepEqual.repr(key)} only in the second map`);
+			 }
+		 }
+		 if (lines.length == 0) return;
+		 throw this._failure(msg, this._diffMessage(
+			 [`${DeepEqual.repr(map1)} != ${DeepEqual.repr(map2)}`, ...lines].join('\n'), map1, map2),
+			 {actual : map1, expected : map2});
+	 }
+
+	/*------------------------------ 
+	 | assertMatchesSnapshot
+	 ----------------*/
+
+	 /**
+	  * Confirms that value, serialized, equals its snapshot
+	  * in the snapshot file of the calling test module. The
+	  * first call stores the snapshot; see snapshot.mjs. On
+	  * failure, the message shows a diff of the serialized
+	  * values. Rerun with --update-snapshots if the change
+	  * is intended. In CI, missing snapshots fail instead of
+	  * being stored.
+	  *
+	  *     this.assertMatchesSnapshot(serialize(msg));
+	  *     this.assertMatchesSnapshot(item_from_json(json), 'from json');
+	  *
+	  * @param {*} value - value to compare
+	  * @param {string} [name] - name of the snapshot; by default,
+	  *     unnamed snapshots of a test are numbered
+	  * @param {string} [msg] - shown with the failure message
+	  * @throws {TypeError} outside of a running test
+	  */
+	 assertMatchesSnapshot(value, name=null, msg=null) {
+		 const outcome = this._outcome;
+		 const module_path = SnapshotStore.callerModule();
+		 if (outcome === undefined || outcome === null || module_path === null) {
+			 throw new TypeError('assertMatchesSnapshot() must be called from a test method of a test module');
+		 }
+		 if (name === null) {
+			 outcome.snapshot_count = (outcome.snapshot_count || 0) + 1;
+		 }
+		 const key = `${SnapshotStore.testName(outcome.test)} ${name === null ? outcome.snapshot_count : name}`;
+		 const {matched, actual, expected, snapPath} = 
+			 this.constructor.snapshots.match(module_path, key, value);
+		 if (matched) return;
+		 const snap_file = path.relative(process.cwd(), snapPath);
+		 if (expected === null) {
+			 throw this._failure(msg,
+				 `Snapshot '${key}' is missing from ${snap_file}, and is not written in CI; ` +
+				 'write it with --update-snapshots, and commit it');
+		 }
+		 throw this._failure(msg, this._diffMessage(
+			 `Snapshot '${key}' in ${snap_file} does not match; ` +
+			 'rerun with --update-snapshots if the change is intended', expected, actual,
+			 {from_label : 'Snapshot', to_label : 'Received'}),
+			 {actual : actual, expected : expected});
+	 }
+
+	/*------------------------------ 
+	 | assertRaises
+	 ----------------*/
+	 
+	 /**
+	  * Confirms that calling func raises an expected
+	  * exception exc, and returns the exception for further
+	  * inspection. If func does not raise that exception,
+	  * an assertion error is thrown. Either argument order
+	  * is accepted:
+	  *
+	  *     const err = this.assertRaises(TypeError, my_func, 3);
+	  *     this.assertRaises(my_func, TypeError, 3);
+	  *
+	  * For async functions and promises, use assertRejects().
+	  *
+	  * @param {function} func - function to call
+	  * @param {(Class | Class[])} exc - expected exception class,
+	  *     or a list of acceptable classes
+	  * @param {...*} args - arguments to pass to func; may end with a
+	  *     failure message from Unittest.msg()
+	  * @returns {*} the exception that func threw
+	  */
+	 assertRaises(func, exc, ...args) {
+		 if (TestCase._isExceptionSpec(func) && !TestCase._isExceptionSpec(exc)) {
+			 [func, exc] = [exc, func];
+		 }
+		 const msg = TestCase._popMessage(args);
+		 return this._checkRaises(exc, null, func, args, 'assertRaises', msg);
+	 }
+
+	/*------------------------------ 
+	 | assertRaisesRegex
+	 ----------------*/
+
+	 /**
+	  * Like assertRaises(), but also requires the exception's
+	  * message to match pattern:
+	  *
+	  *     this.assertRaisesRegex(TypeError, /must be a number/, my_func, 'x');
+	  *
+	  * @param {(Class | Class[])} exc - expected exception class(es)
+	  * @param {(RegExp | string)} pattern - searched for in the message
+	  * @param {function} func - function to call
+	  * @param {...*} args - arguments to pass to func, optionally followed
+	  *     by Unittest.msg()
+	  * @returns {*} the exception that func threw
+	  */
+	 assertRaisesRegex(exc, pattern, func, ...args) {
+		 const msg = TestCase._popMessage(args);
+		 return this._checkRaises(exc, pattern, func, args, 'assertRaisesRegex', msg);
+	 }
+
+	/*------------------------------ 
+	 | assertRejects
+	 ----------------*/
+
+	 /**
+	  * Async counterpart of assertRaises(): confirms that a
+	  * promise, or the promise returned by calling an async 
+	  * function with args, rejects with exc. Resolves to the 
+	  * rejection reason:
+	  *
+	  *     const err = await this.assertRejects(TimeoutError, fetch_it, url);
+	  *     await this.assertRejects(Error, waitlist_promise);
+	  *
+	  * @param {(Class | Class[])} exc - expected exception class(es)
+	  * @param {(Promise | function)} promise_or_func - promise, or 
+	  *     function that returns one
+	  * @param {...*} args - arguments to pass to the function, optionally
+	  *     followed by Unittest.msg()
+	  * @returns {Promise<*>} the rejection reason
+	  */
+	 async assertRejects(exc, promise_or_func, ...args) {
+		 const msg = TestCase._popMessage(args);
+		 return await this._checkRejects(exc, null, promise_or_func, args, 'assertRejects', msg);
+	 }
+
+	/*------------------------------ 
+	 | assertRejectsRegex
+	 ----------------*/
+
+	 /**
+	  * Like assertRejects(), but also requires the rejection
+	  * reason's message to match pattern.
+	  */
+	 async assertRejectsRegex(exc, pattern, promise_or_func, ...args) {
+		 const msg = TestCase._popMessage(args);
+		 return await this._checkRejects(exc, pattern, promise_or_func, args, 'assertRejectsRegex', msg);
+	 }
+
+	/*------------------------------ 
+	 | assertDoesNotThrow
+	 ----------------*/
+
+	 /**
+	  * Confirms that calling func with args does not throw,
+	  * and returns what func returned. If func returns a 
+	  * promise, returns a promise that rejects with an 
+	  * AssertionError if the function's promise rejects.
+	  *
+	  * @param {function} func - function to call
+	  * @param {...*} args - arguments to pass to func, optionally followed
+	  *     by Unittest.msg()
+	  * @returns {*} what func returned
+	  */
+	 assertDoesNotThrow(func, ...args) {
+		 const msg = TestCase._popMessage(args);
+		 let ret;
+		 try {
+			 ret = func(...args);
+		 } catch(e) {
+			 throw this._failure(msg, 
+				 `Expected no exception, but ${TestCase._excDescription(e)} was thrown`);
+		 }
+		 if (TestCase._isThenable(ret)) {
+			 return Promise.resolve(ret).catch(e => {
+				 throw this._failure(msg, 
+					 `Expected no rejection, but promise rejected with ${TestCase._excDescription(e)}`);
+			 });
+		 }
+		 return ret;
+	 }
+
+	/*------------------------------ 
+	 | _checkRaises
+	 ----------------*/
+
+	 /**
+	  * Shared by assertRaises() and assertRaisesRegex().
+	  */
+	 _checkRaises(exc, pattern, func, args, caller, msg) {
+		 TestCase._checkExceptionSpec(exc, caller);
+		 if (typeof(func) != 'function') {
+			 throw new TypeError(`${caller}: expected a function to call, not '${func}'`);
+		 }
+		 let thrown;
+		 let did_throw = false;
+		 let ret;
+		 try {
+			 ret = func(...args);
+		 } catch(e) {
+			 did_throw = true;
+			 thrown    = e;
+		 }
+		 if (!did_throw) {
+			 if (TestCase._isThenable(ret)) {
+				 // Don't let the promise reject unhandled:
+				 ret.then(() => {}, () => {});
+				 throw new TypeError(`${caller}: the function returned a promise; use assertRejects() instead`);
+			 }
+			 throw this._failure(msg, `Expected ${TestCase._excName(exc)} to be thrown, but nothing was thrown`);
+		 }
+		 this._checkException(exc, pattern, thrown, false, msg);
+		 return thrown;
+	 }
+
+	/*------------------------------ 
+	 | _checkRejects
+	 ----------------*/
+
+	 /**
+	  * Shared by assertRejects() and assertRejectsRegex().
+	  */
+	 async _checkRejects(exc, pattern, promise_or_func, args, caller, msg) {
+		 TestCase._checkExceptionSpec(exc, caller);
+		 let promise = promise_or_func;
+		 if (typeof(promise_or_func) == 'function') {
+			 try {
+				 promise = promise_or_func(...args);
+			 } catch(e) {
+				 // Synchronous throw of a function that was 
+				 // to return a promise; treat like a rejection:
+				 promise = Promise.reject(e);
+			 }
+		 }
+		 if (!TestCase._isThenable(promise)) {
+			 throw new TypeError(`${caller}: expected a promise or a function returning one, not '${promise}'`);
+		 }
+		 let reason;
+		 try {
+			 await promise;
+		 } catch(e) {
+			 reason = e;
+			 this._checkException(exc, pattern, reason, true, msg);
+			 return reason;
+		 }
+		 throw this._failure(msg, `Expected rejection with ${TestCase._excName(exc)}, but the promise resolved`);
+	 }
+
+	/*------------------------------ 
+	 | _checkException
+	 ----------------*/
+
+	 /**
+	  * Throws an AssertionError if err is not an instance
+	  * of exc, or if its message does not match pattern.
+	  * Whether err was thrown, or was a promise's rejection
+	  * reason only matters for the message.
+	  */
+	 _checkException(exc, pattern, err, rejected, msg) {
+		 const classes = Array.isArray(exc) ? exc : [exc];
+		 if (!classes.some(cls => err instanceof cls)) {
+			 const what_happened = rejected
+				 ? `the promise rejected with ${TestCase._excDescription(err)}`
+				 : `${TestCase._excDescription(err)} was thrown`;
+			 throw this._failure(msg, `Expected ${TestCase._excName(exc)}, but ${what_happened}`);
+		 }
+		 if (pattern !== null) {
+			 const regex   = pattern instanceof RegExp ? pattern : new RegExp(pattern);
+			 const message = err instanceof Error ? err.message : String(err);
+			 if (!regex.test(message)) {
+				 throw this._failure(msg, 
+					 `${TestCase._excName(exc)} message '${message}' does not match ${regex}`);
+			 }
+		 }
+	 }
+
+	 static _isExceptionSpec(exc) {
+		 if (Array.isArray(exc)) {
+			 return exc.length > 0 && exc.every(cls => TestCase._isExceptionSpec(cls));
+		 }
+		 return typeof(exc) == 'function' && 
+			 (exc === Error || exc.prototype instanceof Error);
+	 }
+
+	 static _checkExceptionSpec(exc, caller) {
+		 if (!TestCase._isExceptionSpec(exc)) {
+			 throw new TypeError(`${caller}: expected an exception class, or a list of them, not '${exc}'`);
+		 }
+	 }
+
+	 static _excName(exc) {
+		 return Array.isArray(exc) ? exc.map(cls => cls.name).join(' or ') : exc.name;
+	 }
+
+	 /**
+	  * Name the class of a thrown value, with its message:
+	  * "TypeError ('x is not a function')".
+	  */
+	 static _excDescription(err) {
+		 if (err instanceof Error) {
+			 return `${err.constructor.name} ('${err.message}')`;
+		 }
+		 return `non-Error value ${DeepEqual.repr(err)}`;
+	 }
+
+	 /**
+	  * Remove and return the message that a caller of an 
+	  * assertion with variable arguments wrapped with 
+	  * Unittest.msg(), or return null if there is none.
+	  */
+	 static _popMessage(args) {
+		 if (args.length > 0 && args[args.length - 1] instanceof AssertMessage) {
+			 return args.pop().text;
+		 }
+		 return null;
+	 }
+
+	 static _isThenable(value) {
+		 return value !== null && 
+			 (typeof(value) == 'object' || typeof(value) == 'function') &&
+			 typeof(value.then) == 'function';
+	 }
+
+	/* ---------------- Test File Finding --------------------
+
+	/*------------------------------
+	| find_test_files
+	--------------------*/
+		
+	/** Call to discover tests, i.e. files under start_dir
+	   whose name matches pattern, by default files whose
+	   name starts with 'test_'. See Unittest.discover() 
+	   for the options. Use next_test_file() to access found
+	   files one by one.
+	*/
+	async find_test_files(start_dir = process.cwd(), pattern = Unittest.DEFAULT_PATTERN, options = {}) {
+		this.test_list = Unittest.discover(start_dir, pattern, options);
+		return this.test_list;
+	}
+	
+	/*------------------------------
+	| next_test_file
+	--------------------*/
+	
+	next_test_file() {
+		if (this.test_list.length == 0) {
+			 return null;
+		} else {
+			 return this.test_list.pop();
+		}
+	}
+	
+	/*------------------------------
+	| run_tests
+	--------------------*/
+	
+	/** Find test methods in current file, i.e. in
+	    file this class is inherited, and run each of
+	    them. A failing test does not prevent the 
+	    remaining tests from running.
+
+	    The class' setUpClass() and tearDownClass() are 
+	    called before and after all tests. Each test is 
+	    bracketed by setUp() and tearDown(), followed by
+	    any cleanups the test registered. Tests, fixtures
+	    and cleanups that return promises are awaited.
+
+	    Outcomes are accumulated in the given TestResult,
+	    or in a new one if none is provided. Returns a
+	    promise for the result.
+
+	    If a selector is given, only the test methods whose
+	    names it returns true for are run. If first is given,
+	    the test methods whose names it returns true for run
+	    before the others, each group in its usual order.
+	*/
+	async run_tests(test_case_subclass_inst, result=null, selector=null, first=null) {
+		if (result === null) {
+			result = new TestResult();
+		}
+		// A runner is importing or instantiating test classes
+		// to run them itself; ignore constructor-driven runs:
+		if (Unittest._deferRuns) {
+			return result;
+		}
+		const the_class = test_case_subclass_inst.constructor;
+		let test_funcs = Unittest.testMethods(test_case_subclass_inst, selector);
+		if (first !== null) {
+			test_funcs = [...test_funcs.filter(test => first(test.name)),
+						  ...test_funcs.filter(test => !first(test.name))];
+		}
+
+		result.startTestClass(the_class.name, test_funcs.length);
+		try {
+			await this._runClass(test_case_subclass_inst, test_funcs, result);
+		} finally {
+			result.stopTestClass(the_class.name);
+		}
+		return result;
+	}
+
+	/*------------------------------
+	| _runClass
+	--------------------*/
+
+	/**
+	 * Run the given tests of a class between its class
+	 * level fixtures.
+	 */
+	async _runClass(test_case_subclass_inst, test_funcs, result) {
+		const the_class = test_case_subclass_inst.constructor;
+		const class_timeout = the_class.timeout;
+
+		// Skipped classes get none of their fixtures run;
+		// _runOneTest() reports each test as skipped:
+		if (the_class.__unittest_skip__) {
+			for (const test of test_funcs) {
+				if (result.shouldStop) break;
+				await this._runOneTest(test_case_subclass_inst, test, result);
+			}
+			return;
+		}
+
+		// Class level fixture; if it fails, none
+		// of the tests can meaningfully run:
+		const class_setup_desc = this._fixtureDescriptor(the_class, 'setUpClass', result._file ?? null);
+		try {
+			await Unittest.callWithTimeout(
+				the_class.setUpClass, the_class, [], class_timeout, class_setup_desc.id);
+		} catch(e) {
+			if (e instanceof SkipTest) {
+				result.addSkip(class_setup_desc, e.message);
+			} else {
+				result.addError(class_setup_desc, e);
+			}
+			return;
+		}
+
+		for (const test of test_funcs) {
+			if (result.shouldStop) break;
+			await this._runOneTest(test_case_subclass_inst, test, result);
+		}
+
+		const class_teardown_desc = this._fixtureDescriptor(the_class, 'tearDownClass', result._file ?? null);
+		try {
+			await Unittest.callWithTimeout(
+				the_class.tearDownClass, the_class, [], class_timeout, class_teardown_desc.id);
+		} catch(e) {
+			result.addError(class_teardown_desc, e);
+		}
+	}
+
+	/*------------------------------
+	| _runOneTest
+	--------------------*/
+
+	/**
+	 * Run a single test method between setUp() and 
+	 * tearDown(), followed by cleanups. Every exception 
+	 * thrown along the way is recorded in result; the 
+	 * test counts as a success only if none was thrown.
+	 *
+	 * Tests declared skipped are reported as such without
+	 * running any fixtures. Tests that throw SkipTest are 
+	 * reported as skipped, though their tearDown() and 
+	 * cleanups still run. For tests declared as expected
+	 * failures, any exception from the test method is an
+	 * expected failure, and passing is an unexpected success.
+	 */
+	async _runOneTest(inst, test, result) {
+		const the_class = inst.constructor;
+		const test_desc = this._testDescriptor(the_class, test.name, result._file ?? null);
+		// Method level timeout wins over the class' timeout:
+		const timeout_ms = test.__unittest_timeout__ !== undefined
+			? test.__unittest_timeout__
+			: the_class.timeout;
+		const expecting_failure = test.__unittest_expecting_failure__ === true ||
+								  the_class.__unittest_expecting_failure__ === true;
+		const thrown = [];
+		// The SkipTest thrown by setUp() or the test, if any:
+		let skip_exc = null;
+		// Exception thrown by a test that is expected to fail:
+		let expected_exc = null;
+		// Whether failing subtests were already reported:
+		let subtests_failed = false;
+		// Runners may record errors that escape the test,
+		// such as a rejection nobody awaited, while it runs:
+		const errors_before = result.errors.length;
+
+		result.startTest(test_desc);
+		try {
+			const skip_why = Unittest._skipReason(the_class, test);
+			if (skip_why !== null) {
+				result.addSkip(test_desc, skip_why);
+				return;
+			}
+			let set_up_ok = false;
+			try {
+				await Unittest.callWithTimeout(
+					inst.setUp, inst, [], timeout_ms, `setUp of ${test_desc.id}`);
+				set_up_ok = true;
+			} catch(e) {
+				e instanceof SkipTest ? skip_exc = e : thrown.push(e);
+			}
+			if (set_up_ok) {
+				// State that subTest() calls within the test share:
+				inst._outcome = {result            : result,
+								 test              : test_desc,
+								 expecting_failure : expecting_failure,
+								 subtests_failed   : false,
+								 expected_exc      : null};
+				try {
+					// Call with inst to initialize 'this'
+					// to be the instance of the subclass:
+					await Unittest.callWithTimeout(
+						test, inst, [], timeout_ms, test_desc.id);
+				} catch(e) {
+					if (e instanceof SkipTest) {
+						skip_exc = e;
+					} else if (expecting_failure) {
+						expected_exc = e;
+					} else {
+						thrown.push(e);
+					}
+				} finally {
+					if (expected_exc === null) {
+						expected_exc = inst._outcome.expected_exc;
+					}
+					subtests_failed = inst._outcome.subtests_failed;
+					inst._outcome = null;
+				}
+				try {
+					await Unittest.callWithTimeout(
+						inst.tearDown, inst, [], timeout_ms, `tearDown of ${test_desc.id}`);
+				} catch(e) {
+					thrown.push(e);
+				}
+			}
+			thrown.push(...await inst.doCleanups(timeout_ms));
+
+			if (skip_exc !== null) {
+				result.addSkip(test_desc, skip_exc.message);
+			} else if (expected_exc !== null) {
+				result.addExpectedFailure(test_desc, expected_exc);
+			} else if (thrown.length == 0 && !subtests_failed &&
+					   result.errors.length == errors_before) {
+				expecting_failure 
+					? result.addUnexpectedSuccess(test_desc) 
+					: result.addSuccess(test_desc);
+			}
+			for (const e of thrown) {
+				if (this._isFailure(e)) {
+					result.addFailure(test_desc, e);
+				} else {
+					result.addError(test_desc, e);
+				}
+			}
+		} finally {
+			result.stopTest(test_desc);
+		}
+	}
+
+	/*------------------------------
+	| _testDescriptor
+	--------------------*/
+
+	/**
+	 * Returns the descriptor of a test method. If the test's
+	 * file is known, as when find_test_files runs it, its id
+	 * is the one that selects it on the command line:
+	 * 'tests/test_x.mjs::MyTester::test_a'. Otherwise, it is
+	 * 'MyTester.test_a'.
+	 *
+	 * @param {Function} the_class - the test's class
+	 * @param {string} method_name - name of the test method
+	 * @param {string} [file] - path of the test file, relative
+	 *     to the current directory
+	 */
+	_testDescriptor(the_class, method_name, file) {
+		return {id         : file === null ? `${the_class.name}.${method_name}`
+										   : TestSelector.testId(file, the_class.name, method_name),
+				file       : file,
+				className  : the_class.name,
+				methodName : method_name};
+	}
+
+	/*------------------------------
+	| _fixtureDescriptor
+	--------------------*/
+
+	/**
+	 * Returns a test descriptor under which errors in
+	 * class level fixtures are reported, named as in
+	 * Python: 'setUpClass (MyTester)'.
+	 */
+	_fixtureDescriptor(the_class, fixture_name, file) {
+		return {id         : `${fixture_name} (${the_class.name})`,
+				file       : file,
+				className  : the_class.name,
+				methodName : fixture_name};
+	}
+
+	/*------------------------------
+	| _isFailure
+	--------------------*/
+
+	/**
+	 * Returns true if err signals a failed assertion,
+	 * rather than an unexpected exception. Errors from
+	 * Node's own assert module count as failures as well.
+	 */
+	_isFailure(err) {
+		const failure_exc = this.constructor.failureException || AssertionError;
+		return err instanceof failure_exc ||
+			(err instanceof Error && err.name == 'AssertionError');
+	}
+}
+
+/* ------------------ Class Unittest ------------ */
+
+class Unittest {
+
+	// Glob for file names of test modules:
+	static DEFAULT_PATTERN = 'test_*.mjs';
+
+	// Directories that discovery does not descend into,
+	// unless told otherwise. '.*' covers .git, and all
+	// other hidden directories:
+	static DEFAULT_EXCLUDES = ['node_modules', '.*'];
+
+	// Set by runners while they import or instantiate test 
+	// classes, so that constructors that call run_tests() 
+	// do not run the tests a second time:
+	static _deferRuns = false;
+
+	/*------------------------------
+	| timeout
+	--------------------*/
+
+	/**
+	 * Returns a function that sets the timeout of a 
+	 * single test method, or of a whole TestCase subclass:
+	 *
+	 *     Unittest.timeout(500)(MyTester.prototype.test_slow);
+	 *     Unittest.timeout(2000)(MyTester);
+	 *
+	 * @param {(number | null)} timeout_ms - msecs the test may
+	 *     take before it fails; null for no limit
+	 * @returns {function} function that takes the method or class,
+	 *     and returns it
+	 */
+	static timeout(timeout_ms) {
+		if (timeout_ms !== null && (typeof(timeout_ms) != 'number' || timeout_ms < 0)) {
+			throw new TypeError(`Timeout must be null or a number of msecs, not '${timeout_ms}'`);
+		}
+		return (target) => {
+			if (target.prototype instanceof TestCase) {
+				target.timeout = timeout_ms;
+			} else {
+				target.__unittest_timeout__ = timeout_ms;
+			}
+			return target;
+		}
+	}
+
+	/*------------------------------
+	| skip
+	--------------------*/
+
+	/**
+	 * Returns a function that marks a test method, or a 
+	 * whole TestCase subclass as skipped, as does Python's 
+	 * @unittest.skip decorator:
+	 *
+	 *     Unittest.skip('Work in progress')(MyTester.prototype.test_new);
+	 *     Unittest.skip('Needs a server')(ServerTests);
+	 *
+	 * @param {string} reason - explanation shown in the results
+	 * @returns {function} function that takes the method or class,
+	 *     and returns it
+	 */
+	static skip(reason) {
+		return (target) => {
+			target.__unittest_skip__     = true;
+			target.__unittest_skip_why__ = reason;
+			return target;
+		}
+	}
+
+	/*------------------------------
+	| skipIf
+	--------------------*/
+
+	/**
+	 * Like skip(), but only skips if condition is truthy:
+	 *
+	 *     Unittest.skipIf(process.platform == 'win32', 'Needs symlinks')
+	 *         (MyTester.prototype.test_links);
+	 */
+	static skipIf(condition, reason) {
+		return condition ? Unittest.skip(reason) : (target) => target;
+	}
+
+	/*------------------------------
+	| skipUnless
+	--------------------*/
+
+	/**
+	 * Like skip(), but only skips if condition is falsy.
+	 */
+	static skipUnless(condition, reason) {
+		return condition ? (target) => target : Unittest.skip(reason);
+	}
+
+	/*------------------------------
+	| expectedFailure
+	--------------------*/
+
+	/**
+	 * Marks a test method, or all tests of a TestCase 
+	 * subclass as known to fail. Such tests are reported
+	 * as expected failures when they fail, and count
+	 * against the run if they pass:
+	 *
+	 *     Unittest.expectedFailure(MyTester.prototype.test_known_bug);
+	 *
+	 * @param {(function | Class)} target - test method or class
+	 * @returns {(function | Class)} target
+	 */
+	static expectedFailure(target) {
+		target.__unittest_expecting_failure__ = true;
+		return target;
+	}
+
+	/*------------------------------
+	| msg
+	--------------------*/
+
+	/**
+	 * Wraps a failure message for the last argument of
+	 * assertRaises(), assertRaisesRegex(), assertRejects(),
+	 * assertRejectsRegex(), and assertDoesNotThrow():
+	 *
+	 *     this.assertRaises(TypeError, parse, '}{', Unittest.msg('bad JSON accepted'));
+	 *
+	 * @param {string} text - the message
+	 * @returns {AssertMessage} the wrapped message
+	 */
+	static msg(text) {
+		return new AssertMessage(text);
+	}
+
+	/*------------------------------
+	| _skipReason
+	--------------------*/
+
+	/**
+	 * Returns the reason for which a test is declared 
+	 * skipped, or null if neither the test nor its 
+	 * class are.
+	 */
+	static _skipReason(the_class, test) {
+		for (const target of [the_class, test]) {
+			if (target.__unittest_skip__) {
+				return target.__unittest_skip_why__ || '';
+			}
+		}
+		return null;
+	}
+
+	/*------------------------------
+	| callWithTimeout
+	--------------------*/
+
+	/**
+	 * Calls fn with the given 'this' and arguments. If fn
+	 * returns a promise, it is awaited, and rejected with a
+	 * TestTimeoutError if it does not settle in time. Plain
+	 * synchronous functions cannot be interrupted, so the
+	 * timeout only applies to promises.
+	 *
+	 * @param {function} fn - function to call
+	 * @param {*} this_arg - value of 'this' inside fn
+	 * @param {Array} args - arguments to pass to fn
+	 * @param {(number | null)} timeout_ms - msecs to wait; null for no limit
+	 * @param {string} what - name of fn for the timeout message
+	 * @returns {Promise<*>} what fn returned or resolved to
+	 */
+	static async callWithTimeout(fn, this_arg, args, timeout_ms, what) {
+		const ret = fn.apply(this_arg, args);
+		if (ret === null || typeof(ret) != 'object' || typeof(ret.then) != 'function') {
+			return ret;
+		}
+		if (timeout_ms === null || timeout_ms === undefined) {
+			return await ret;
+		}
+		let timer;
+		const expiration = new Promise((resolve, reject) => {
+			timer = real_set_timeout(
+				() => reject(new TestTimeoutError(`${what} did not finish within ${timeout_ms}ms`)),
+				timeout_ms);
+		});
+		try {
+			return await Promise.race([ret, expiration]);
+		} finally {
+			real_clear_timeout(timer);
+		}
+	}
+
+	/*------------------------------
+	| getMethods
+	--------------------*/
+
+	/**
+	 * Given a class, or an instance of a class, return a list of methods
+	 * on the class, or the instance's class.
+	 * If filter is provided, only include props for which
+	 * filter returns true. To search only for methods
+	 * that start with 'test_':
+	 * 
+	 *     my_filter = (prop) => prop.startsWith('test_')
+	 * 	   Util.getMethods(Foo, meth_filter=my_filter)
+	 */
+
+	static getMethods(get_from, meth_filter=null) {
+		let the_class = null;
 		// Instance, or class?
 		if (typeof(get_from) == 'object')
 			// It's an instance; get its class object
@@ -290,51 +1949,415 @@ class Unittest {
 	    return method_objs
 	}
 
+	/*------------------------------
+	| testMethods
+	--------------------*/
+
+	/**
+	 * Returns the test methods of a class, or of an instance's
+	 * class: those whose names start with 'test', in the order
+	 * of their definition.
+	 *
+	 * @param {(Function | object)} get_from - class or instance
+	 * @param {function} [selector] - selector(method_name) => boolean;
+	 *     if given, only methods it returns true for are included
+	 * @returns {function[]} the test methods
+	 */
+	static testMethods(get_from, selector=null) {
+		const methods = Unittest.getMethods(get_from, (prop) => prop.startsWith('test'));
+		if (selector === null) return methods;
+		return methods.filter(method => selector(method.name));
+	}
+
 	/*------------------------------
 	| walkdir
 	--------------------*/
 	
-	static walkdir(location, filter_fn=null, ret_absolute=true) {
-		return Utils._walkdir_helper([], location, filter_fn, ret_absolute);
+	/**
+	 * Returns the paths of files under location for which 
+	 * filter_fn returns true; all files if no filter_fn is
+	 * provided. The filter is called with the file name, and
+	 * the file's path relative to location.
+	 * 
+	 * Entries of each directory are visited in sorted order,
+	 * so the result is the same on every call.
+	 *
+	 * Symbolic links to files are treated as files. Symbolic
+	 * links to directories are only followed if the 
+	 * follow_symlinks option is true. Directories reached
+	 * a second time through links are not walked again, 
+	 * which prevents cycles.
+	 *
+	 * @param {string} location - directory to walk
+	 * @param {function} [filter_fn] - filter_fn(entry, rel_path) => boolean
+	 * @param {boolean} [ret_absolute] - if false, return only file names
+	 * @param {object} [options]
+	 * @param {function} [options.dir_filter] - dir_filter(entry, rel_path) => 
+	 *     false for directories that are not to be walked
+	 * @param {boolean} [options.follow_symlinks] - whether to walk
+	 *     symlinked directories
+	 * @returns {string[]} the matching paths
+	 * @throws {NotFoundError} if location does not exist
+	 * @throws {TypeError} if location is not a directory
+	 */
+	static walkdir(location, filter_fn=null, ret_absolute=true, options={}) {
+		Unittest._checkWalkRoot(location);
+		const found = [];
+		const walker = Unittest._walkdir_helper(
+			location, '', filter_fn, options, new Set([Unittest._dirKey(fs.statSync(location))]));
+		for (const [entry, abs_path] of walker) {
+			found.push(ret_absolute ? abs_path : entry);
+		}
+		return found;
 	} 
 	
-	static _walkdir_helper(so_far, location, filter_fn=null, ret_absolute=true) {
-		
+	/**
+	 * Generator that yields [entry, abs_path] for each file
+	 * accepted by filter_fn below location. Directories whose
+	 * identities are in visited are skipped.
+	 */
+	static *_walkdir_helper(location, rel_dir, filter_fn, options, visited) {
+		let content;
+		try {
+			content = fs.readdirSync(location).sort();
+		} catch(e) {
+			// Unreadable directory: ignore
+			return;
+		}
+		for (const entry of content) {
+			const abs_path = `${location}/${entry}`;
+			const rel_path = rel_dir == '' ? entry : `${rel_dir}/${entry}`;
+			let stats;
+			try {
+				stats = Unittest._entryStats(abs_path, fs.lstatSync(abs_path), fs.statSync, options);
+			} catch(e) {
+				// Happens for unusual files, such as dangling 
+				// symlinks: ignore
+				continue;
+			}
+			if (stats === null) continue;
+			if (stats.isDirectory()) {
+				if (!Unittest._acceptDir(entry, rel_path, stats, options, visited)) continue;
+				yield* Unittest._walkdir_helper(abs_path, rel_path, filter_fn, options, visited);
+			} else if (stats.isFile() &&
+				(typeof(filter_fn) == 'function' ? filter_fn(entry, rel_path) : true)) {
+				yield [entry, abs_path];
+			}
+		}
+	}
+
+	/*------------------------------
+	| walkdirAsync
+	--------------------*/
+
+	/**
+	 * Asynchronous variant of walkdir() for large trees. 
+	 * Yields matching paths as they are found, in the 
+	 * same order as walkdir() returns them:
+	 *
+	 *     for await (const path of Unittest.walkdirAsync(dir, filter)) {
+	 *         ...
+	 *     }
+	 *
+	 * Arguments are as for walkdir().
+	 */
+	static async *walkdirAsync(location, filter_fn=null, ret_absolute=true, options={}) {
+		Unittest._checkWalkRoot(location);
+		const visited = new Set([Unittest._dirKey(await fs.promises.stat(location))]);
+		const walker = Unittest._walkdirAsyncHelper(location, '', filter_fn, options, visited);
+		for await (const [entry, abs_path] of walker) {
+			yield ret_absolute ? abs_path : entry;
+		}
+	}
+
+	static async *_walkdirAsyncHelper(location, rel_dir, filter_fn, options, visited) {
+		let content;
+		try {
+			content = (await fs.promises.readdir(location)).sort();
+		} catch(e) {
+			return;
+		}
+		for (const entry of content) {
+			const abs_path = `${location}/${entry}`;
+			const rel_path = rel_dir == '' ? entry : `${rel_dir}/${entry}`;
+			let stats;
+			try {
+				const link_stats = await fs.promises.lstat(abs_path);
+				stats = Unittest._entryStats(abs_path, link_stats, null, options);
+				if (stats === undefined) {
+					// A symlink whose target we have to stat:
+					stats = await fs.promises.stat(abs_path);
+					if (stats.isDirectory() && !options.follow_symlinks) continue;
+				}
+			} catch(e) {
+				continue;
+			}
+			if (stats === null) continue;
+			if (stats.isDirectory()) {
+				if (!Unittest._acceptDir(entry, rel_path, stats, options, visited)) continue;
+				yield* Unittest._walkdirAsyncHelper(abs_path, rel_path, filter_fn, options, visited);
+			} else if (stats.isFile() &&
+				(typeof(filter_fn) == 'function' ? filter_fn(entry, rel_path) : true)) {
+				yield [entry, abs_path];
+			}
+		}
+	}
+
+	/*------------------------------
+	| _checkWalkRoot
+	--------------------*/
+
+	static _checkWalkRoot(location) {
 		if (!fs.existsSync(location)) {
 			throw new NotFoundError(`Location '${location}' was not found`)
 		};
 	    if (!fs.statSync(location).isDirectory()) {
 	        throw new TypeError(`Arg 'location' must be a directory, not '${location}'`);
 	    }
-	    
-	    let content = fs.readdirSync(location);
-	    for (const entry of content) {
-			let abs_path = `${location}/${entry}`;
-			try {
-		        if(fs.statSync(abs_path).isFile() &&
-					(typeof(filter_fn) == 'function' ? filter_fn(entry) : true)) {
-					ret_absolute ? so_far.push(abs_path) : so_far.push(entry)
-					}
-		        else {
-		            so_far.push(...Utils._walkdir_helper(
-							so_far, 
-		                	abs_path, 
-		                	filter_fn, 
-		                	ret_absolute)
-		            	)
-		        }
-		    }
-		    catch(e) {
-				// Happens for unusual files, such as symlinks:
-				// ignore
-				continue;
+	}
+
+	/*------------------------------
+	| _entryStats
+	--------------------*/
+
+	/**
+	 * Applies the symlink policy to one directory entry. 
+	 * Returns the stats to use for the entry, or null if 
+	 * the entry is to be ignored. If stat_fn is null and
+	 * the entry is a symlink, returns undefined so that 
+	 * the caller can stat the link target itself.
+	 */
+	static _entryStats(abs_path, link_stats, stat_fn, options) {
+		if (!link_stats.isSymbolicLink()) {
+			return link_stats;
+		}
+		if (stat_fn === null) {
+			return undefined;
+		}
+		// Stat the link target; throws for dangling links:
+		const target_stats = stat_fn(abs_path);
+		if (target_stats.isDirectory() && !options.follow_symlinks) {
+			return null;
+		}
+		return target_stats;
+	}
+
+	/*------------------------------
+	| _acceptDir
+	--------------------*/
+
+	/**
+	 * Returns true if a directory is to be walked: it
+	 * must pass the caller's dir_filter, and must not
+	 * have been visited before. Marks it visited.
+	 */
+	static _acceptDir(entry, rel_path, stats, options, visited) {
+		if (typeof(options.dir_filter) == 'function' && !options.dir_filter(entry, rel_path)) {
+			return false;
+		}
+		const key = Unittest._dirKey(stats);
+		if (visited.has(key)) {
+			return false;
+		}
+		visited.add(key);
+		return true;
+	}
+
+	static _dirKey(stats) {
+		return `${stats.dev}:${stats.ino}`;
+	}
+
+	/*------------------------------
+	| discover
+	--------------------*/
+
+	/**
+	 * Returns the absolute paths of files under start_dir 
+	 * whose name matches the glob pattern, in walkdir() order.
+	 *
+	 * Globs in options.include and options.exclude are matched
+	 * against paths relative to start_dir. Globs without a '/'
+	 * match a file or directory name at any depth, as in 
+	 * .gitignore. If include globs are given, files must match
+	 * at least one of them. Excluded directories are not walked.
+	 * Unless options.default_excludes is false, directories 
+	 * matching Unittest.DEFAULT_EXCLUDES are skipped as well.
+	 *
+	 *     Unittest.discover('.', 'test_*.mjs', 
+	 *                       {exclude : ['fixtures', 'build/**']})
+	 *
+	 * @param {string} start_dir - directory to search
+	 * @param {string} [pattern] - glob for file names, such as 'test_*.mjs'
+	 * @param {object} [options]
+	 * @param {string[]} [options.include] - globs that files must match
+	 * @param {string[]} [options.exclude] - globs of files and directories to skip
+	 * @param {boolean} [options.default_excludes] - whether to skip
+	 *     node_modules and hidden directories; default true
+	 * @param {boolean} [options.follow_symlinks] - whether to walk 
+	 *     symlinked directories; default false
+	 * @returns {string[]} paths of the test modules
+	 */
+	static discover(start_dir, pattern=Unittest.DEFAULT_PATTERN, options={}) {
+		const [file_filter, walk_options] = Unittest._discoveryFilters(pattern, options);
+		return Unittest.walkdir(path.resolve(start_dir), file_filter, true, walk_options);
+	}
+
+	/*------------------------------
+	| discoverAsync
+	--------------------*/
+
+	/**
+	 * Streaming variant of discover(). Yields paths of test
+	 * modules as they are found, in the order that discover()
+	 * would return them.
+	 */
+	static async *discoverAsync(start_dir, pattern=Unittest.DEFAULT_PATTERN, options={}) {
+		const [file_filter, walk_options] = Unittest._discoveryFilters(pattern, options);
+		yield* Unittest.walkdirAsync(path.resolve(start_dir), file_filter, true, walk_options);
+	}
+
+	/*------------------------------
+	| _discoveryFilters
+	--------------------*/
+
+	/**
+	 * Build the file filter, and the walkdir() options
+	 * for discover() and discoverAsync().
+	 */
+	static _discoveryFilters(pattern, options) {
+		const pattern_re = Unittest.globToRegExp(pattern);
+		const include    = Unittest._globsMatcher(options.include || []);
+		const exclude    = Unittest._globsMatcher(options.exclude || []);
+		const defaults   = options.default_excludes === false
+			? Unittest._globsMatcher([])
+			: Unittest._globsMatcher(Unittest.DEFAULT_EXCLUDES);
+		const have_includes = (options.include || []).length > 0;
+
+		const file_filter = (entry, rel_path) => 
+			pattern_re.test(entry) &&
+			(!have_includes || include(rel_path)) &&
+			!exclude(rel_path);
+		const dir_filter = (entry, rel_path) =>
+			!defaults(rel_path) && !exclude(rel_path);
+
+		return [file_filter, {dir_filter      : dir_filter,
+							  follow_symlinks : options.follow_symlinks || false}];
+	}
+
+	/*------------------------------
+	| _globsMatcher
+	--------------------*/
+
+	/**
+	 * Returns a function that takes a relative path, and 
+	 * returns true if any of the globs matches it. Globs 
+	 * without a '/' are matched against the last path element.
+	 */
+	static _globsMatcher(globs) {
+		const matchers = globs.map(glob => {
+			const glob_re = Unittest.globToRegExp(glob);
+			if (glob.includes('/')) {
+				return (rel_path) => glob_re.test(rel_path);
+			}
+			return (rel_path) => glob_re.test(path.posix.basename(rel_path));
+		});
+		return (rel_path) => matchers.some(matcher => matcher(rel_path));
+	}
+
+	/*------------------------------
+	| globToRegExp
+	--------------------*/
+
+	/**
+	 * Turns a shell style glob into an anchored regular
+	 * expression. Supports '*', '?', character classes 
+	 * such as [abc] or [!abc], and '**', which matches 
+	 * across directory levels, as in 'build/**'.
+	 *
+	 * @param {string} glob - pattern such as 'test_*.mjs'
+	 * @param {object} [options]
+	 * @param {boolean} [options.match_slash] - let '*' and '?'
+	 *     match '/' as well, for globs over names other
+	 *     than paths; default false
+	 * @returns {RegExp} equivalent regular expression
+	 */
+	static globToRegExp(glob, {match_slash=false}={}) {
+		const any_char = match_slash ? '.' : '[^/]';
+		let re_str = '';
+		for (let i = 0; i < glob.length; i++) {
+			const ch = glob[i];
+			if (ch == '*' && glob[i + 1] == '*') {
+				i += 1;
+				if (glob[i + 1] == '/') {
+					// Zero or more directories:
+					i += 1;
+					re_str += '(?:.*/)?';
+				} else {
+					re_str += '.*';
+				}
+			} else if (ch == '*') {
+				re_str += `${any_char}*`;
+			} else if (ch == '?') {
+				re_str += any_char;
+			} else if (ch == '[' && glob.indexOf(']', i + 1) > i + 1) {
+				const close = glob.indexOf(']', i + 1);
+				let cls = glob.slice(i + 1, close).replace(/\\/g, '\\\\');
+				if (cls.startsWith('!')) cls = '^' + cls.slice(1);
+				re_str += `[${cls}]`;
+				i = close;
+			} else {
+				re_str += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+			}
+		}
+		return new RegExp(`^${re_str}$`);
+	}
+
+	/*------------------------------
+	| isTestCaseClass
+	--------------------*/
+
+	/**
+	 * Returns true if obj is a class that inherits from 
+	 * TestCase. Classes are also recognized if their module 
+	 * imported TestCase through a different path, and thus 
+	 * got a different copy of the TestCase class.
+	 */
+	static isTestCaseClass(obj) {
+		if (typeof(obj) != 'function' || obj.prototype === undefined) {
+			return false;
+		}
+		let ancestor = Object.getPrototypeOf(obj);
+		while (ancestor !== null && ancestor !== Function.prototype) {
+			if (ancestor === TestCase || ancestor.name == 'TestCase') {
+				return true;
 			}
-	    };
-	    return so_far;
+			ancestor = Object.getPrototypeOf(ancestor);
+		}
+		return false;
+	}
+
+	/*------------------------------
+	| instantiate
+	--------------------*/
+
+	/**
+	 * Create an instance of a TestCase subclass without 
+	 * letting its constructor run the tests, as constructors
+	 * written in the style of this module's header do.
+	 */
+	static instantiate(test_class) {
+		const prev_defer = Unittest._deferRuns;
+		Unittest._deferRuns = true;
+		try {
+			return new test_class();
+		} finally {
+			Unittest._deferRuns = prev_defer;
+		}
 	}
 }	
 
-export {Unittest, TestCase};
+export {Unittest, TestCase, TestResult, Reporter, SkipTest, TestTimeoutError, DeepEqual, Mock, Patch, FakeClock,
+		TestSuite, TestMethod, TestLoader, TextTestRunner};
  
  /* ---------- Testing this Module --------------------- */
  
@@ -10,8 +10,6 @@
  * 
  */
 
-import { MsgUUID } from "../msg_generator.mjs";
-
 /* ---------------- Class EventListenable --------------
 
 /**
@@ -0,0 +1,451 @@
+/**
+ * Watch mode of find_test_files: runs the tests, then
+ * watches the test and source trees, and reruns the tests
+ * that a change may affect.
+ *
+ * The ImportGraph follows the static imports of the test
+ * modules, and of the modules they import, through relative
+ * paths. A change to a file reruns the test modules that
+ * import it, directly or indirectly, and a change to a test
+ * module reruns that module. Changes that arrive within
+ * the batch delay, by default BATCH_DELAY msecs, of each
+ * other are run together.
+ *
+ * Watched are the directories that discovery walks, and
+ * the directories of all modules in the graph. Keys, read
+ * from a terminal:
+ *
+ *     a      run all tests
+ *     f      run the tests that failed last
+ *     k      filter tests by name, as with -k; empty to clear
+ *     Enter  rerun the last selection
+ *     q      quit
+ *
+ * Keys pressed during a run choose the run that follows it.
+ *
+ * Usage:
+ *     const watcher = new Watcher({start_dir : 'tests',
+ *                                  run       : async (test_files, mode) => {...}});
+ *     await watcher.watch();
+ */
+
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+
+import { Unittest } from "./unittest.mjs";
+
+// Msecs to wait for further changes before rerunning:
+const BATCH_DELAY = 200;
+
+// Files whose imports are followed, and whose changes count:
+const MODULE_RE = /\.[cm]?js$/;
+
+// Static imports and re-exports, and dynamic imports
+// of literal paths:
+const IMPORT_RE = /\b(?:import|export)\s*(?:[\w$*{}\s,]*?\bfrom\s*)?["']([^"']+)["']|\bimport\s*\(\s*["']([^"']+)["']\s*\)/g;
+
+/* ------------------ Class ImportGraph ------------ */
+
+class ImportGraph {
+
+   /*------------------------------
+    | Constructor
+    ----------------*/
+
+	/**
+	 * @param {string[]} test_files - absolute paths of test modules
+	 */
+	constructor(test_files) {
+		this.test_files = test_files;
+		// Module path to the set of module paths it imports:
+		this.imports    = new Map();
+		for (const file_path of test_files) {
+			this._add(file_path);
+		}
+	}
+
+   /*------------------------------
+    | files
+    ----------------*/
+
+	/**
+	 * Absolute paths of all modules in the graph.
+	 */
+	get files() {
+		return [...this.imports.keys()];
+	}
+
+   /*------------------------------
+    | affectedTests
+    ----------------*/
+
+	/**
+	 * Returns the test modules that are among the changed
+	 * files, or import one of them, directly or indirectly,
+	 * in the order of test_files.
+	 *
+	 * @param {Iterable<string>} changed - absolute paths of changed files
+	 * @returns {string[]} absolute paths of the affected test modules
+	 */
+	affectedTests(changed) {
+		const changed_set = new Set(changed);
+		return this.test_files.filter(file_path => this._reaches(file_path, changed_set, new Set()));
+	}
+
+	_reaches(file_path, changed_set, seen) {
+		if (changed_set.has(file_path)) return true;
+		if (seen.has(file_path)) return false;
+		seen.add(file_path);
+		for (const imported of this.imports.get(file_path) || []) {
+			if (this._reaches(imported, changed_set, seen)) return true;
+		}
+		return false;
+	}
+
+   /*------------------------------
+    | _add
+    ----------------*/
+
+	/**
+	 * Add a module, and the modules it imports through
+	 * relative or absolute paths. Packages are not followed.
+	 */
+	_add(file_path) {
+		if (this.imports.has(file_path)) return;
+		const imported = new Set();
+		this.imports.set(file_path, imported);
+		let source;
+		try {
+			source = fs.readFileSync(file_path, 'utf8');
+		} catch(e) {
+			return;
+		}
+		for (const match of source.matchAll(IMPORT_RE)) {
+			const resolved = ImportGraph.resolve(match[1] || match[2], file_path);
+			if (resolved === null) continue;
+			imported.add(resolved);
+			this._add(resolved);
+		}
+	}
+
+   /*------------------------------
+    | resolve
+    ----------------*/
+
+	/**
+	 * Returns the absolute path of a module specifier, as
+	 * used in importing_file, or null for packages, and for
+	 * files that do not exist.
+	 */
+	static resolve(specifier, importing_file) {
+		let resolved;
+		if (specifier.startsWith('file:')) {
+			resolved = new URL(specifier).pathname;
+		} else if (specifier.startsWith('.') || specifier.startsWith('/')) {
+			resolved = path.resolve(path.dirname(importing_file), specifier);
+		} else {
+			return null;
+		}
+		if (!MODULE_RE.test(resolved) || !fs.existsSync(resolved)) return null;
+		return resolved;
+	}
+}
+
+/* ------------------ Class Watcher ------------ */
+
+class Watcher {
+
+   /*------------------------------
+    | Constructor
+    ----------------*/
+
+	/**
+	 * @param {object} options
+	 * @param {function} options.run - async run(test_files, mode)
+	 *     runs the given test modules, and reports the outcome.
+	 *     mode is {failed_only, keyword}, as chosen from the menu
+	 * @param {string} [options.start_dir] - as for Unittest.discover()
+	 * @param {string} [options.pattern] - as for Unittest.discover()
+	 * @param {object} [options.discovery] - as for Unittest.discover()
+	 * @param {object} [options.mode] - initial mode
+	 * @param {stream.Writable} [options.stream] - where to write
+	 *     the menu
+	 * @param {stream.Readable} [options.input] - where keys come from
+	 * @param {number} [options.batch_delay] - msecs to wait for
+	 *     further changes before rerunning
+	 */
+	constructor({run, start_dir='.', pattern=Unittest.DEFAULT_PATTERN, discovery={},
+				 mode={}, stream=process.stderr, input=process.stdin, batch_delay=BATCH_DELAY}) {
+		this.run         = run;
+		this.start_dir   = path.resolve(start_dir);
+		this.pattern     = pattern;
+		this.discovery   = discovery;
+		this.stream      = stream;
+		this.input       = input;
+		this.batch_delay = batch_delay;
+		// Current choices from the menu:
+		this.mode        = {failed_only : false, keyword : null, ...mode};
+
+		this._graph       = null;
+		// Directory to its fs.FSWatcher:
+		this._watchers    = new Map();
+		// Changed files awaiting a rerun:
+		this._changed     = new Set();
+		this._timer       = null;
+		this._running     = null;
+		// Test modules chosen by a key during a run, or null:
+		this._queued      = null;
+		// What the last run was given, for Enter:
+		this._last_files  = [];
+		// Text typed after 'k', or null:
+		this._typed       = null;
+		this._quit        = null;
+		this._closed      = false;
+	}
+
+   /*------------------------------
+    | watch
+    ----------------*/
+
+	/**
+	 * Run all tests, then rerun tests as files change,
+	 * until 'q' is pressed, or the process is interrupted.
+	 *
+	 * @returns {Promise<void>} resolves when watching ended
+	 */
+	async watch() {
+		const done = new Promise(resolve => this._quit = resolve);
+		const on_sigint = () => this.close();
+		process.on('SIGINT', on_sigint);
+		this._listenToKeys();
+		await this._runChanged(null);
+		await done;
+		process.removeListener('SIGINT', on_sigint);
+		// Quitting does not cut a run short:
+		if (this._running !== null) await this._running;
+	}
+
+   /*------------------------------
+    | close
+    ----------------*/
+
+	close() {
+		this._closed = true;
+		this._queued = null;
+		clearTimeout(this._timer);
+		for (const watcher of this._watchers.values()) {
+			watcher.close();
+		}
+		this._watchers.clear();
+		if (this.input.isTTY) {
+			this.input.setRawMode(false);
+		}
+		this.input.removeAllListeners('keypress');
+		this.input.pause();
+		if (this._quit !== null) this._quit();
+	}
+
+   /*------------------------------
+    | _runChanged
+    ----------------*/
+
+	/**
+	 * Rediscover the test modules, rebuild the import graph,
+	 * and watch the directories of the new graph. Then run
+	 * the modules affected by the changed files; all of them
+	 * if changed is null.
+	 */
+	async _runChanged(changed) {
+		const test_files = Unittest.discover(this.start_dir, this.pattern, this.discovery);
+		this._graph = new ImportGraph(test_files);
+		this._updateWatches();
+		const to_run = changed === null ? test_files : this._graph.affectedTests(changed);
+		if (to_run.length == 0) {
+			this._write('No tests import the changed files\n');
+			this._writeMenu();
+			return;
+		}
+		await this._start(to_run);
+	}
+
+   /*------------------------------
+    | _start
+    ----------------*/
+
+	/**
+	 * Run the given test modules. If a run is under way,
+	 * they run after it, in the mode chosen by then.
+	 * Changes made during the run are run afterwards.
+	 */
+	_start(test_files) {
+		if (this._running !== null) {
+			this._queued = test_files;
+			this._write('\nA run is under way; the tests chosen run once it is done.\n');
+			return this._running;
+		}
+		this._last_files = test_files;
+		this._running = this.run(test_files, {...this.mode})
+			.catch(e => this._write(`${e.stack}\n`))
+			.finally(() => {
+				this._running = null;
+				if (this._closed) return;
+				if (this._queued !== null) {
+					const queued = this._queued;
+					this._queued = null;
+					this._start(queued);
+					return;
+				}
+				this._writeMenu();
+				if (this._changed.size > 0) this._schedule();
+			});
+		return this._running;
+	}
+
+   /*------------------------------
+    | _updateWatches
+    ----------------*/
+
+	/**
+	 * Watch the directories that discovery walks, and
+	 * those of the modules in the import graph.
+	 */
+	_updateWatches() {
+		const dirs = new Set([this.start_dir]);
+		// Walk the directories as discovery does,
+		// noting each it enters:
+		const [, walk_options] = Unittest._discoveryFilters(this.pattern, this.discovery);
+		const dir_filter = walk_options.dir_filter;
+		walk_options.dir_filter = (entry, rel_path) => {
+			const accept = dir_filter(entry, rel_path);
+			if (accept) dirs.add(path.resolve(this.start_dir, rel_path));
+			return accept;
+		};
+		Unittest.walkdir(this.start_dir, () => false, true, walk_options);
+		for (const file_path of this._graph.files) {
+			dirs.add(path.dirname(file_path));
+		}
+		for (const [dir, watcher] of this._watchers) {
+			if (dirs.has(dir)) continue;
+			watcher.close();
+			this._watchers.delete(dir);
+		}
+		for (const dir of dirs) {
+			if (this._watchers.has(dir)) continue;
+			try {
+				const watcher = fs.watch(dir, (event_type, file_name) => this._onChange(dir, file_name));
+				// Removed directories:
+				watcher.on('error', () => {
+					watcher.close();
+					this._watchers.delete(dir);
+				});
+				this._watchers.set(dir, watcher);
+			} catch(e) {
+				// Directory vanished since the walk
+			}
+		}
+	}
+
+	_onChange(dir, file_name) {
+		if (file_name === null || !MODULE_RE.test(file_name)) return;
+		this._changed.add(path.join(dir, file_name));
+		this._schedule();
+	}
+
+	/**
+	 * Run once no further change arrived for batch_delay
+	 * msecs, and the previous run is done.
+	 */
+	_schedule() {
+		if (this._closed) return;
+		clearTimeout(this._timer);
+		this._timer = setTimeout(() => {
+			if (this._running !== null || this._closed) return;
+			const changed = [...this._changed];
+			this._changed.clear();
+			// Such as errors of discovery, as when the start
+			// directory was removed; watching goes on:
+			this._runChanged(changed).catch(e => {
+				this._write(`${e.stack}\n`);
+				this._writeMenu();
+			});
+		}, this.batch_delay);
+	}
+
+   /*------------------------------
+    | _listenToKeys
+    ----------------*/
+
+	_listenToKeys() {
+		if (!this.input.isTTY) return;
+		readline.emitKeypressEvents(this.input);
+		this.input.setRawMode(true);
+		this.input.on('keypress', (str, key) => this._onKey(str, key || {}));
+		this.input.resume();
+	}
+
+	_onKey(str, key) {
+		if (key.ctrl && key.name == 'c') {
+			this.close();
+			return;
+		}
+		// Typing the filter of 'k':
+		if (this._typed !== null) {
+			if (key.name == 'return') {
+				this._write('\n');
+				this.mode.keyword = this._typed == '' ? null : this._typed;
+				this._typed = null;
+				this._start(this._graph.test_files);
+			} else if (key.name == 'backspace') {
+				this._typed = this._typed.slice(0, -1);
+				this._write('\b \b');
+			} else if (key.name == 'escape') {
+				this._typed = null;
+				this._writeMenu();
+			} else if (str !== undefined && !key.ctrl) {
+				this._typed += str;
+				this._write(str);
+			}
+			return;
+		}
+		switch (key.name) {
+		case 'q':
+			this.close();
+			break;
+		case 'a':
+			this.mode.failed_only = false;
+			this._start(this._graph.test_files);
+			break;
+		case 'f':
+			this.mode.failed_only = true;
+			this._start(this._graph.test_files);
+			break;
+		case 'k':
+			this._typed = '';
+			this._write('Only run tests whose ids contain, or match: ');
+			break;
+		case 'return':
+			this._start(this._last_files);
+			break;
+		}
+	}
+
+	_writeMenu() {
+		const filters = [];
+		if (this.mode.failed_only) filters.push('failed only');
+		if (this.mode.keyword !== null) filters.push(`-k ${this.mode.keyword}`);
+		const active = filters.length > 0 ? ` (${filters.join(', ')})` : '';
+		this._write(`\nWatching for changes${active}.`);
+		if (this.input.isTTY) {
+			this._write(' Press a to run all, f to run failed, k to filter by name, ' +
+						'Enter to rerun, q to quit.');
+		}
+		this._write('\n');
+	}
+
+	_write(text) {
+		this.stream.write(text);
+	}
+}
+
+export { ImportGraph, Watcher };
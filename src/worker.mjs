@@ -0,0 +1,41 @@
+/**
+ * Entry point of the worker threads that ParallelRunner
+ * starts: runs the tests of one file, forwarding the
+ * outcomes and output to the main thread. workerData
+ * holds the file_path, the specs of the selector and
+ * of the failed tests to run first (or null), whether
+ * to stop at the first failure, whether to collect
+ * coverage, and whether to update snapshots, or to
+ * leave missing ones unwritten, as in CI. Coverage,
+ * and what happened to snapshots, are sent before the
+ * tests are done.
+ */
+
+import { parentPort, workerData } from "worker_threads";
+
+import { runTestFile } from "./cli.mjs";
+import { TestCase } from "./unittest.mjs";
+import { RemoteTestResult } from "./parallel.mjs";
+import { TestSelector } from "./selection.mjs";
+import { CoverageCollector } from "./coverage.mjs";
+
+const result = new RemoteTestResult(parentPort);
+result.failfast = workerData.failfast;
+result.forwardOutput();
+TestCase.snapshots.update = workerData.update_snapshots;
+TestCase.snapshots.ci     = workerData.ci;
+result.addReporter(TestCase.snapshots);
+
+const collector = workerData.coverage ? new CoverageCollector() : null;
+if (collector !== null) await collector.start();
+await runTestFile(workerData.file_path, result, {
+	selector : workerData.selector === null ? null : TestSelector.fromSpec(workerData.selector),
+	failed   : workerData.failed === null ? null : TestSelector.fromSpec(workerData.failed),
+});
+if (collector !== null) {
+	parentPort.postMessage({type : 'coverage', entries : await collector.stop()});
+}
+parentPort.postMessage({
+	type    : 'snapshots',
+	summary : TestCase.snapshots.finish({complete : workerData.selector === null && !result.shouldStop})});
+parentPort.postMessage({type : 'done'});
@@ -0,0 +1,131 @@
+/**
+ * Helpers for the tests of the framework itself. Not a
+ * test module; its name does not match test_*.mjs.
+ *
+ * Test modules define the TestCase subclasses that their
+ * tests run, under a Fixtures banner, without exporting
+ * them; discovery runs only exported classes, so the
+ * fixtures, many of which fail on purpose, run only
+ * when a test runs them, as with runClass().
+ *
+ * Usage:
+ *     const result = await runClass(FailingTests);
+ *     const dir    = makeTree(this, {'tests/test_a.mjs' : TEST_MODULE});
+ *     const {status, stderr} = runCli(['-s', 'tests'], {cwd : dir});
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath, pathToFileURL } from "url";
+
+import { TestResult } from "../src/result.mjs";
+
+const ROOT_DIR = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+// For test modules written to temporary directories:
+const UNITTEST_URL = pathToFileURL(path.join(ROOT_DIR, 'src', 'unittest.mjs')).href;
+
+const CLI_PATH = path.join(ROOT_DIR, 'bin', 'find_test_files.mjs');
+
+/* ------------------ Class StringStream ------------ */
+
+/**
+ * Writable stand-in that keeps what is written to it.
+ */
+class StringStream {
+	constructor() {
+		this.text  = '';
+		this.isTTY = false;
+	}
+
+	write(chunk) {
+		this.text += chunk;
+		return true;
+	}
+}
+
+/*------------------------------
+| runClass
+--------------------*/
+
+/**
+ * Run the tests of a TestCase subclass with their own
+ * result, apart from the run of the calling test.
+ *
+ * @param {Function} test_class - TestCase subclass
+ * @param {TestResult} [result] - where outcomes go
+ * @param {function} [selector] - selects methods by name
+ * @returns {Promise<TestResult>} result
+ */
+async function runClass(test_class, result=new TestResult(), selector=null) {
+	const inst = new test_class();
+	return await inst.run_tests(inst, result, selector);
+}
+
+/*------------------------------
+| recordEvents
+--------------------*/
+
+/**
+ * Returns a list to which each outcome event of result
+ * is added as [event name, test id].
+ */
+function recordEvents(result) {
+	const events = [];
+	for (const name of ['testStart', 'testPass', 'testFail', 'testSkip']) {
+		result.addEventListener(name, ({test}) => events.push([name, test.id]));
+	}
+	return events;
+}
+
+/*------------------------------
+| makeTree
+--------------------*/
+
+/**
+ * Write files into a new temporary directory, which is
+ * removed when the calling test ends. In contents,
+ * UNITTEST is replaced by the URL of unittest.mjs.
+ *
+ * @param {TestCase} test - the test that needs the directory
+ * @param {object} files - relative path to contents
+ * @returns {string} absolute path of the directory
+ */
+function makeTree(test, files={}) {
+	const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'unittest-')));
+	test.addCleanup(fs.rmSync, dir, {recursive : true, force : true});
+	for (const [rel_path, contents] of Object.entries(files)) {
+		const file_path = path.join(dir, rel_path);
+		fs.mkdirSync(path.dirname(file_path), {recursive : true});
+		fs.writeFileSync(file_path, contents.replaceAll('UNITTEST', UNITTEST_URL));
+	}
+	return dir;
+}
+
+/*------------------------------
+| runCli
+--------------------*/
+
+/**
+ * Run find_test_files in a process of its own.
+ *
+ * @param {string[]} args - command line arguments
+ * @param {object} options
+ * @param {string} options.cwd - directory to run in
+ * @param {object} [options.env] - added to the environment,
+ *     in which CI and NO_COLOR are unset
+ * @returns {object} {status, stdout, stderr}
+ */
+function runCli(args, {cwd, env={}}) {
+	const {CI, NO_COLOR, ...base_env} = process.env;
+	const proc = spawnSync(process.execPath, [CLI_PATH, ...args],
+						   {cwd      : cwd,
+							env      : {...base_env, ...env},
+							encoding : 'utf8',
+							timeout  : 60000});
+	return {status : proc.status, stdout : proc.stdout, stderr : proc.stderr};
+}
+
+export { StringStream, runClass, recordEvents, makeTree, runCli, UNITTEST_URL };
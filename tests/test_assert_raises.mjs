@@ -0,0 +1,128 @@
+/**
+ * Tests of assertRaises(), assertRaisesRegex(), assertRejects(),
+ * assertRejectsRegex(), and assertDoesNotThrow().
+ */
+
+import { TestCase, Unittest } from "../src/unittest.mjs";
+
+const Failure = TestCase.failureException;
+
+function parse(text) {
+	if (typeof(text) != 'string') throw new TypeError(`Cannot parse ${typeof(text)}`);
+	return JSON.parse(text);
+}
+
+/* ------------------ Class AssertRaisesTests ------------ */
+
+class AssertRaisesTests extends TestCase {
+
+	test_returns_exception() {
+		const err = this.assertRaises(TypeError, parse, 42);
+		this.assertEqual(err.message, 'Cannot parse number');
+	}
+
+	test_either_argument_order() {
+		this.assertRaises(parse, TypeError, 42);
+	}
+
+	test_subclasses_and_lists() {
+		this.assertRaises(Error, parse, 42);
+		this.assertRaises([RangeError, SyntaxError], parse, '{');
+	}
+
+	test_wrong_exception() {
+		const err = this.assertRaises(Failure, () => this.assertRaises(RangeError, parse, 42));
+		this.assertEqual(err.message, "Expected RangeError, but TypeError ('Cannot parse number') was thrown");
+	}
+
+	test_nothing_thrown() {
+		const err = this.assertRaises(Failure, () => this.assertRaises(TypeError, parse, '1'));
+		this.assertEqual(err.message, 'Expected TypeError to be thrown, but nothing was thrown');
+	}
+
+	test_non_error_thrown() {
+		const err = this.assertRaises(Failure, () => this.assertRaises(Error, () => { throw 'oops'; }));
+		this.assertEqual(err.message, "Expected Error, but non-Error value 'oops' was thrown");
+	}
+
+	test_message() {
+		const err = this.assertRaises(Failure, () =>
+			this.assertRaises(TypeError, parse, '1', Unittest.msg('numbers parse')));
+		this.assertEqual(err.message, 'Expected TypeError to be thrown, but nothing was thrown : numbers parse');
+	}
+
+	test_misuse() {
+		this.assertRaisesRegex(TypeError, /expected an exception class/,
+							   () => this.assertRaises('TypeError', parse, 42));
+		this.assertRaisesRegex(TypeError, /use assertRejects\(\) instead/,
+							   () => this.assertRaises(Error, async () => { throw new Error('late'); }));
+	}
+
+	test_regex() {
+		const err = this.assertRaisesRegex(TypeError, /parse num/, parse, 42);
+		this.assertIsInstance(err, TypeError);
+		this.assertRaisesRegex(TypeError, 'Cannot', parse, 42);
+		const failure = this.assertRaises(Failure, () => this.assertRaisesRegex(TypeError, /^parse/, parse, 42));
+		this.assertEqual(failure.message, "TypeError message 'Cannot parse number' does not match /^parse/");
+	}
+}
+
+/* ------------------ Class AssertRejectsTests ------------ */
+
+class AssertRejectsTests extends TestCase {
+
+	async test_promise_and_function() {
+		const err = await this.assertRejects(RangeError, Promise.reject(new RangeError('too far')));
+		this.assertEqual(err.message, 'too far');
+		await this.assertRejects(TypeError, async (text) => parse(text), 42);
+	}
+
+	async test_synchronous_throw_counts() {
+		await this.assertRejects(TypeError, () => parse(42));
+	}
+
+	async test_resolved() {
+		const err = await this.assertRejects(Failure, this.assertRejects(Error, Promise.resolve(1)));
+		this.assertEqual(err.message, 'Expected rejection with Error, but the promise resolved');
+	}
+
+	async test_wrong_rejection() {
+		const err = await this.assertRejects(Failure,
+			this.assertRejects(TypeError, Promise.reject(new RangeError('too far'))));
+		this.assertEqual(err.message, "Expected TypeError, but the promise rejected with RangeError ('too far')");
+	}
+
+	async test_regex() {
+		await this.assertRejectsRegex(Error, /far/, Promise.reject(new Error('too far')));
+		const err = await this.assertRejects(Failure,
+			this.assertRejectsRegex(Error, /near/, Promise.reject(new Error('too far')), Unittest.msg('distance')));
+		this.assertEqual(err.message, "Error message 'too far' does not match /near/ : distance");
+	}
+
+	async test_not_a_promise() {
+		await this.assertRejectsRegex(TypeError, /expected a promise/, this.assertRejects(Error, () => 1));
+	}
+}
+
+/* ------------------ Class AssertDoesNotThrowTests ------------ */
+
+class AssertDoesNotThrowTests extends TestCase {
+
+	test_returns_value() {
+		this.assertDeepEqual(this.assertDoesNotThrow(parse, '[1]'), [1]);
+	}
+
+	test_throw() {
+		const err = this.assertRaises(Failure, () => this.assertDoesNotThrow(parse, 42));
+		this.assertEqual(err.message, "Expected no exception, but TypeError ('Cannot parse number') was thrown");
+	}
+
+	async test_rejection() {
+		this.assertEqual(await this.assertDoesNotThrow(async () => 'done'), 'done');
+		const err = await this.assertRejects(Failure,
+			this.assertDoesNotThrow(async () => { throw new Error('late'); }));
+		this.assertEqual(err.message, "Expected no rejection, but promise rejected with Error ('late')");
+	}
+}
+
+export { AssertRaisesTests, AssertRejectsTests, AssertDoesNotThrowTests };
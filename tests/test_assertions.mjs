@@ -0,0 +1,161 @@
+/**
+ * Tests of the assertions modeled on Python's: which values
+ * pass, and the failure messages of those that do not.
+ */
+
+import { TestCase } from "../src/unittest.mjs";
+
+/* ------------------ Class AssertionTests ------------ */
+
+class AssertionTests extends TestCase {
+
+	/**
+	 * Returns the message of the failure that fn throws.
+	 */
+	failureOf(fn) {
+		return this.assertRaises(TestCase.failureException, fn).message;
+	}
+
+	test_equal_and_not_equal() {
+		this.assertEqual(1, 1);
+		this.assertEqual(1, '1', false);
+		this.assertEqual(this.failureOf(() => this.assertEqual(1, '1')), "1 !== '1'");
+		this.assertNotEqual(1, '1');
+		this.assertEqual(this.failureOf(() => this.assertNotEqual(1, '1', false)), "1 == '1'");
+	}
+
+	test_almost_equal() {
+		this.assertAlmostEqual(0.1 + 0.2, 0.3);
+		this.assertAlmostEqual(1.004, 1.0, {places : 2});
+		this.assertAlmostEqual(10, 12, {delta : 2});
+		this.assertEqual(this.failureOf(() => this.assertAlmostEqual(10, 13, {delta : 2})),
+						 '10 != 13 within 2 delta (3 difference)');
+		this.assertEqual(this.failureOf(() => this.assertAlmostEqual(1.01, 1.0, {places : 2})),
+						 '1.01 != 1 within 2 places (0.010000000000000009 difference)');
+		this.assertNotAlmostEqual(1.1, 1.0, {places : 2});
+		this.assertEqual(this.failureOf(() => this.assertNotAlmostEqual(5, 5)), '5 == 5 within 7 places (0 difference)');
+		this.assertRaisesRegex(TypeError, /places or delta/,
+							   () => this.assertAlmostEqual(1, 2, {places : 1, delta : 1}));
+	}
+
+	test_in() {
+		this.assertIn('ell', 'hello');
+		this.assertIn(2, [1, 2]);
+		this.assertIn('k', new Map([['k', 1]]));
+		this.assertIn('a', new Set(['a']));
+		this.assertIn('key', {key : undefined});
+		this.assertNotIn(3, [1, 2]);
+		this.assertEqual(this.failureOf(() => this.assertIn(3, [1, 2])), '3 not found in [ 1, 2 ]');
+		this.assertEqual(this.failureOf(() => this.assertNotIn('a', 'abc')), "'a' unexpectedly found in 'abc'");
+		this.assertRaises(TypeError, () => this.assertIn(1, 42));
+	}
+
+	test_identity() {
+		const obj = {};
+		this.assertIs(obj, obj);
+		this.assertIs(NaN, NaN);
+		this.assertIsNot({}, {});
+		this.assertEqual(this.failureOf(() => this.assertIs({}, {})), '{} is not {}');
+		this.assertEqual(this.failureOf(() => this.assertIsNot(obj, obj)), 'unexpectedly identical: {}');
+	}
+
+	test_null_and_undefined() {
+		this.assertIsNull(null);
+		this.assertIsNotNull(undefined);
+		this.assertIsUndefined(undefined);
+		this.assertDefined(null);
+		this.assertEqual(this.failureOf(() => this.assertIsNull(undefined)), 'undefined is not null');
+		this.assertEqual(this.failureOf(() => this.assertIsNotNull(null)), 'unexpectedly null');
+		this.assertEqual(this.failureOf(() => this.assertIsUndefined(0)), '0 is not undefined');
+		this.assertEqual(this.failureOf(() => this.assertDefined(undefined)), 'Value is undefined');
+	}
+
+	test_instances() {
+		this.assertIsInstance([], Array);
+		this.assertIsInstance(3, Number);
+		this.assertIsInstance('s', [Number, String]);
+		this.assertNotIsInstance({}, Array);
+		this.assertEqual(this.failureOf(() => this.assertIsInstance('s', [Number, Array])),
+						 "'s' is not an instance of Number or Array");
+		this.assertEqual(this.failureOf(() => this.assertNotIsInstance([], Object)), '[] is an instance of Object');
+		this.assertRaises(TypeError, () => this.assertIsInstance(1, 'Number'));
+	}
+
+	test_comparisons() {
+		this.assertGreater(2, 1);
+		this.assertGreaterEqual(2, 2);
+		this.assertLess('a', 'b');
+		this.assertLessEqual(1, 1);
+		this.assertEqual(this.failureOf(() => this.assertGreater(1, 1)), '1 not greater than 1');
+		this.assertEqual(this.failureOf(() => this.assertGreaterEqual(1, 2)), '1 not greater than or equal to 2');
+		this.assertEqual(this.failureOf(() => this.assertLess(2, 1)), '2 not less than 1');
+		this.assertEqual(this.failureOf(() => this.assertLessEqual(2, 1)), '2 not less than or equal to 1');
+		// NaN compares false either way:
+		this.failureOf(() => this.assertGreaterEqual(NaN, 0));
+	}
+
+	test_count_equal() {
+		this.assertCountEqual([1, {a : 1}, 1], [{a : 1}, 1, 1]);
+		this.assertEqual(this.failureOf(() => this.assertCountEqual([1, 1, 2], [1, 3])),
+						 'Element counts were not equal:\n' +
+						 'Only in first, 1 time: 1\n' +
+						 'Only in first, 1 time: 2\n' +
+						 'Only in second, 1 time: 3');
+		this.assertEqual(this.failureOf(() => this.assertCountEqual(['a', 'a'], [])),
+						 "Element counts were not equal:\nOnly in first, 2 times: 'a'");
+	}
+
+	test_regex() {
+		this.assertRegex('error 42', /\d+/);
+		this.assertRegex('error 42', 'or \\d');
+		this.assertNotRegex('no digits', /\d/);
+		const global_re = /\d/g;
+		this.assertRegex('1', global_re);
+		// A global regex's lastIndex does not carry over:
+		this.assertRegex('1', global_re);
+		this.assertEqual(this.failureOf(() => this.assertRegex('abc', /\d/)),
+						 "Regex didn't match: /\\d/ not found in 'abc'");
+		this.assertEqual(this.failureOf(() => this.assertNotRegex('a1b', /\d/g)),
+						 "Regex matched: '1' matches /\\d/g in 'a1b'");
+	}
+
+	test_sets_equal() {
+		this.assertSetsEqual(new Set([1, 2]), new Set([2, 1]));
+		this.assertEqual(this.failureOf(() => this.assertSetsEqual(new Set([1, 2]), new Set([2, 3]))),
+						 'Set{1, 2} != Set{2, 3}\n' +
+						 'Items in the first set but not the second:\n1\n' +
+						 'Items in the second set but not the first:\n3');
+		this.assertEqual(this.failureOf(() => this.assertSetsEqual([1], new Set([1]))),
+						 'First argument is not a Set: [ 1 ]');
+	}
+
+	test_maps_equal() {
+		this.assertMapsEqual(new Map([['a', [1]]]), new Map([['a', [1]]]));
+		const message = this.failureOf(() =>
+			this.assertMapsEqual(new Map([['a', [1]], ['b', 2]]), new Map([['a', [2]], ['c', 3]])));
+		this.assertTrue(message.startsWith(
+			"Map{'a' => [ 1 ], 'b' => 2} != Map{'a' => [ 2 ], 'c' => 3}\n" +
+			"get('a')[0] has 1 vs 2\n" +
+			"Key 'b' only in the first map\n" +
+			"Key 'c' only in the second map\n\n--- first\n"));
+		this.assertEqual(this.failureOf(() => this.assertMapsEqual(new Map(), {})),
+						 'Second argument is not a Map: {}');
+	}
+
+	test_lists_equal() {
+		this.assertListsEqual([1, [2]], [1, [2]]);
+		this.assertIn('List1 argument is not a list',
+					  this.failureOf(() => this.assertListsEqual('ab', ['a', 'b'])));
+	}
+
+	test_true_false_and_fail() {
+		this.assertTrue(1);
+		this.assertFalse('');
+		this.assertEqual(this.failureOf(() => this.assertTrue(0)), '0 is False instead of True');
+		this.assertEqual(this.failureOf(() => this.assertFalse('x')), 'x is True instead of False');
+		this.assertEqual(this.failureOf(() => this.fail()), 'Test failed');
+		this.assertEqual(this.failureOf(() => this.fail('not yet')), 'not yet');
+	}
+}
+
+export { AssertionTests };
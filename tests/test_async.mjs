@@ -0,0 +1,167 @@
+/**
+ * Tests of async test methods, and of the timeouts of
+ * tests and fixtures.
+ */
+
+import fs from "fs";
+import path from "path";
+
+import { TestCase, Unittest, TestTimeoutError } from "../src/unittest.mjs";
+
+import { makeTree, runCli, runClass } from "./support.mjs";
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const STRAY = `
+import { TestCase } from 'UNITTEST';
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+export class StrayTests extends TestCase {
+	async test_rejects() {
+		Promise.reject(new Error('floating'));
+		await sleep(20);
+	}
+	async test_throws() {
+		setTimeout(() => { throw new RangeError('in a timer'); }, 0);
+		await sleep(20);
+	}
+	test_passes() {}
+}
+`;
+
+const LATER = `
+import { TestCase } from 'UNITTEST';
+export class LaterTests extends TestCase {
+	test_runs() {}
+}
+`;
+
+/* ------------------ Fixtures ------------ */
+
+class AsyncTests extends TestCase {
+	async test_awaited() {
+		await sleep(5);
+		AsyncTests.finished = true;
+	}
+
+	async test_fails_later() {
+		await sleep(1);
+		this.assertEqual('late', 'early');
+	}
+
+	async test_rejects() {
+		await sleep(1);
+		throw new TypeError('rejected');
+	}
+}
+
+class Timeouts extends TestCase {
+	static timeout = 1000;
+
+	test_hangs() {
+		return new Promise(() => {});
+	}
+
+	async test_quick() {
+		await sleep(1);
+	}
+
+	async test_slow_but_unlimited() {
+		await sleep(30);
+	}
+}
+Unittest.timeout(20)(Timeouts.prototype.test_hangs);
+Unittest.timeout(null)(Timeouts.prototype.test_slow_but_unlimited);
+
+class ClassTimeout extends TestCase {
+	test_hangs() {
+		return new Promise(() => {});
+	}
+}
+Unittest.timeout(20)(ClassTimeout);
+
+class HangingSetUp extends TestCase {
+	static timeout = 20;
+
+	setUp() {
+		return new Promise(() => {});
+	}
+
+	test_a() {}
+}
+
+/* ------------------ Class AsyncTestMethodTests ------------ */
+
+class AsyncTestMethodTests extends TestCase {
+
+	async test_async_tests_are_awaited() {
+		AsyncTests.finished = false;
+		const result = await runClass(AsyncTests);
+		this.assertTrue(AsyncTests.finished);
+		this.assertEqual(result.testsRun, 3);
+		this.assertDeepEqual(result.failures.map(entry => entry.test.id), ['AsyncTests.test_fails_later']);
+		this.assertDeepEqual(result.errors.map(entry => entry.error.message), ['rejected']);
+	}
+
+	async test_method_timeout() {
+		const result = await runClass(Timeouts);
+		this.assertDeepEqual(result.successes.map(test => test.methodName),
+							 ['test_quick', 'test_slow_but_unlimited']);
+		const [timeout_err] = result.errors;
+		this.assertIsInstance(timeout_err.error, TestTimeoutError);
+		this.assertEqual(timeout_err.error.message, 'Timeouts.test_hangs did not finish within 20ms');
+	}
+
+	async test_class_timeout() {
+		const result = await runClass(ClassTimeout);
+		this.assertEqual(ClassTimeout.timeout, 20);
+		this.assertDeepEqual(result.errors.map(entry => entry.error.message),
+							 ['ClassTimeout.test_hangs did not finish within 20ms']);
+	}
+
+	async test_fixture_timeout_names_fixture() {
+		const result = await runClass(HangingSetUp);
+		this.assertDeepEqual(result.errors.map(entry => entry.error.message),
+							 ['setUp of HangingSetUp.test_a did not finish within 20ms']);
+	}
+
+	async test_callWithTimeout() {
+		this.assertEqual(await Unittest.callWithTimeout(x => x + 1, null, [1], 10, 'inc'), 2);
+		this.assertEqual(await Unittest.callWithTimeout(async x => x * 2, null, [4], 10, 'double'), 8);
+		await this.assertRejectsRegex(TestTimeoutError, /^wait did not finish within 10ms$/,
+			() => Unittest.callWithTimeout(() => sleep(100), null, [], 10, 'wait'));
+	}
+
+	test_timeout_takes_msecs_or_null() {
+		this.assertRaises(TypeError, () => Unittest.timeout(-1));
+		this.assertRaises(TypeError, () => Unittest.timeout('10'));
+	}
+}
+
+/* ------------------ Class StrayErrorTests ------------ */
+
+class StrayErrorTests extends TestCase {
+
+	test_recorded_against_running_test() {
+		const dir = makeTree(this, {'tests/test_a_stray.mjs' : STRAY,
+									'tests/test_b_later.mjs' : LATER});
+		const {status, stderr} = runCli(['-s', 'tests', '-v', '--junit-xml', 'junit.xml'], {cwd : dir});
+		this.assertEqual(status, 1);
+		this.assertIn('ERROR: tests/test_a_stray.mjs::StrayTests::test_rejects\n', stderr);
+		this.assertIn('Error: floating', stderr);
+		this.assertIn('ERROR: tests/test_a_stray.mjs::StrayTests::test_throws\n', stderr);
+		this.assertIn('RangeError: in a timer', stderr);
+		// The tests with stray errors are not also successes:
+		this.assertNotRegex(stderr, /test_(rejects|throws) \(StrayTests\) \.\.\. ok/);
+		// The run goes on to the end:
+		this.assertRegex(stderr, /^test_runs \(LaterTests\) \.\.\. ok/m);
+		this.assertIn('Ran 4 tests', stderr);
+		this.assertIn('FAILED (errors=2)', stderr);
+		this.assertIn('errors="2"', fs.readFileSync(path.join(dir, 'junit.xml'), 'utf8'));
+		const cache = JSON.parse(fs.readFileSync(path.join(dir, '.unittest_cache', 'lastfailed.json'), 'utf8'));
+		this.assertDeepEqual(cache.sort(), ['tests/test_a_stray.mjs::StrayTests::test_rejects',
+											'tests/test_a_stray.mjs::StrayTests::test_throws']);
+	}
+
+}
+
+export { AsyncTestMethodTests, StrayErrorTests };
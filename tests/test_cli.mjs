@@ -0,0 +1,127 @@
+/**
+ * Tests of the find_test_files command: its options, its
+ * output, and its exit status. Runs the command in a
+ * process of its own, on test modules written to a
+ * temporary directory.
+ */
+
+import { TestCase } from "../src/unittest.mjs";
+import { parseCommandLine } from "../src/cli.mjs";
+
+import { makeTree, runCli } from "./support.mjs";
+
+const PASSING = `
+import { TestCase } from 'UNITTEST';
+export class PassingTests extends TestCase {
+	test_one() { this.assertEqual(1, 1); }
+	test_two() { this.assertTrue(true); }
+}
+`;
+
+const FAILING = `
+import { TestCase } from 'UNITTEST';
+export class FailingTests extends TestCase {
+	test_fails() { this.assertEqual('a', 'b'); }
+	test_errs()  { throw new RangeError('out of range'); }
+}
+`;
+
+/* ------------------ Class ParseCommandLineTests ------------ */
+
+class ParseCommandLineTests extends TestCase {
+
+	test_defaults() {
+		const opts = parseCommandLine([]);
+		this.assertEqual(opts.start_dir, '.');
+		this.assertEqual(opts.pattern, 'test_*.mjs');
+		this.assertEqual(opts.verbosity, 1);
+		this.assertEqual(opts.jobs, 1);
+		this.assertFalse(opts.selecting);
+	}
+
+	test_positional_start_dir_and_pattern() {
+		const opts = parseCommandLine(['lib', '*_test.mjs', 'test_a.mjs::ATests']);
+		this.assertEqual(opts.start_dir, 'lib');
+		this.assertEqual(opts.pattern, '*_test.mjs');
+		this.assertTrue(opts.selecting);
+	}
+
+	test_verbosity() {
+		this.assertEqual(parseCommandLine(['-v']).verbosity, 2);
+		this.assertEqual(parseCommandLine(['-q']).verbosity, 0);
+	}
+
+	test_bad_arguments() {
+		this.assertRaises(TypeError, () => parseCommandLine(['--no-such-option']));
+		this.assertRaisesRegex(TypeError, /Unexpected arguments: extra/,
+							   () => parseCommandLine(['a', 'b', 'extra']));
+		this.assertRaisesRegex(TypeError, /--jobs must be/, () => parseCommandLine(['-j', '0']));
+		this.assertRaisesRegex(TypeError, /Only one of/,
+							   () => parseCommandLine(['--last-failed', '--failed-first']));
+	}
+}
+
+/* ------------------ Class CliTests ------------ */
+
+class CliTests extends TestCase {
+
+	test_passing_run() {
+		const dir = makeTree(this, {'tests/test_passing.mjs' : PASSING});
+		const {status, stderr} = runCli(['-s', 'tests'], {cwd : dir});
+		this.assertEqual(status, 0);
+		this.assertRegex(stderr, /^\.\.\n-{70}\nRan 2 tests in \d+\.\d{3}s\n\nOK\n$/);
+	}
+
+	test_verbose_lines() {
+		const dir = makeTree(this, {'tests/test_passing.mjs' : PASSING});
+		const {stderr} = runCli(['-s', 'tests', '-v'], {cwd : dir});
+		this.assertRegex(stderr, /^test_one \(PassingTests\) \.\.\. ok \(\d+\.\d{3}s\)\n/m);
+		this.assertRegex(stderr, /^test_two \(PassingTests\) \.\.\. ok \(\d+\.\d{3}s\)\n/m);
+	}
+
+	test_failing_run() {
+		const dir = makeTree(this, {'tests/test_passing.mjs' : PASSING,
+									'tests/test_failing.mjs' : FAILING});
+		const {status, stderr} = runCli(['-s', 'tests'], {cwd : dir});
+		this.assertEqual(status, 1);
+		this.assertIn('FAIL: tests/test_failing.mjs::FailingTests::test_fails\n', stderr);
+		this.assertIn('ERROR: tests/test_failing.mjs::FailingTests::test_errs\n', stderr);
+		this.assertIn('RangeError: out of range', stderr);
+		this.assertIn('Ran 4 tests', stderr);
+		this.assertIn('FAILED (failures=1, errors=1)', stderr);
+	}
+
+	test_import_error_fails_the_run() {
+		const dir = makeTree(this, {'tests/test_passing.mjs' : PASSING,
+									'tests/test_broken.mjs'  : 'export const x = ;\n'});
+		const {status, stderr} = runCli(['-s', 'tests'], {cwd : dir});
+		this.assertEqual(status, 1);
+		this.assertIn('ERROR: import (tests/test_broken.mjs)', stderr);
+		this.assertIn('SyntaxError', stderr);
+	}
+
+	test_no_tests() {
+		const dir = makeTree(this, {'tests/helpers.mjs' : 'export const x = 1;\n'});
+		const {status, stderr} = runCli(['-s', 'tests'], {cwd : dir});
+		this.assertEqual(status, 5);
+		this.assertIn('Ran 0 tests', stderr);
+	}
+
+	test_usage_errors() {
+		const dir = makeTree(this, {});
+		const bad_option = runCli(['--no-such-option'], {cwd : dir});
+		this.assertEqual(bad_option.status, 2);
+		this.assertIn('Usage: find_test_files', bad_option.stderr);
+		const no_dir = runCli(['-s', 'missing'], {cwd : dir});
+		this.assertEqual(no_dir.status, 2);
+	}
+
+	test_help() {
+		const dir = makeTree(this, {});
+		const {status, stdout, stderr} = runCli(['-h'], {cwd : dir});
+		this.assertEqual(status, 0);
+		this.assertIn('Usage: find_test_files', stdout + stderr);
+	}
+}
+
+export { ParseCommandLineTests, CliTests };
@@ -0,0 +1,261 @@
+/**
+ * Tests of CoverageReport: the line, branch, and function
+ * counts it derives from V8 coverage, the files it reports,
+ * its table and lcov output, and thresholds; and of the
+ * --coverage options of find_test_files.
+ */
+
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+
+import { TestCase } from "../src/unittest.mjs";
+import { CoverageReport } from "../src/coverage.mjs";
+import { parseCommandLine } from "../src/cli.mjs";
+
+import { makeTree, runCli } from "./support.mjs";
+
+// Lines 4, 6, and 9 hold no code of their own:
+const SOURCE = [
+	'function used(x) {',
+	'  if (x) {',
+	'    return 1;',
+	'  }',
+	'  return 2;',
+	'}',
+	'function unused() {',
+	'  return 3;',
+	'}',
+	''].join('\n');
+
+const SHAPES = `export function area(shape) {
+	if (shape.kind == 'square') {
+		return shape.side ** 2;
+	}
+	return Math.PI * shape.r ** 2;
+}
+
+export function perimeter(shape) {
+	return 4 * shape.side;
+}
+`;
+
+const TEST_SHAPES = `
+import { TestCase } from 'UNITTEST';
+import { area } from '../lib/shapes.mjs';
+export class ShapeTests extends TestCase {
+	test_square() { this.assertEqual(area({kind : 'square', side : 2}), 4); }
+}
+`;
+
+/**
+ * Returns V8 coverage of SOURCE in file_path, as if used()
+ * had been called twice, never with a true x, and unused()
+ * never.
+ */
+function sourceCoverage(file_path) {
+	const at    = text => SOURCE.indexOf(text);
+	const range = (start, end, count) => ({startOffset : start, endOffset : end, count : count});
+	return [{url       : pathToFileURL(file_path).href,
+			 functions : [
+				 {functionName : '', ranges : [range(0, SOURCE.length, 1)]},
+				 {functionName : 'used',
+				  ranges       : [range(0, at('function unused'), 2),
+								  range(at('{\n    return 1'), at('\n  return 2'), 0)]},
+				 {functionName : 'unused',
+				  ranges       : [range(at('function unused'), SOURCE.length - 1, 0)]},
+			 ]}];
+}
+
+/* ------------------ Class CoverageReportTests ------------ */
+
+class CoverageReportTests extends TestCase {
+
+	setUp() {
+		this.dir    = makeTree(this, {'src/used.mjs'               : SOURCE,
+									  'src/other.mjs'              : SOURCE,
+									  'node_modules/pkg/index.mjs' : SOURCE,
+									  'test_used.mjs'              : SOURCE});
+		this.at     = rel_path => path.join(this.dir, rel_path);
+		this.report = new CoverageReport({root : this.dir});
+	}
+
+	test_counts() {
+		this.report.add(sourceCoverage(this.at('src/used.mjs')));
+		const data = this.report._files.get('src/used.mjs');
+		// A line belongs to the block that its last character is in:
+		this.assertDeepEqual(Object.fromEntries(data.lines), {1 : 2, 2 : 0, 3 : 0, 5 : 2, 7 : 0, 8 : 0});
+		this.assertDeepEqual([...data.functions.values()], [{name : 'used', line : 1, count : 2},
+															{name : 'unused', line : 7, count : 0}]);
+		this.assertDeepEqual([...data.branches.values()], [{line : 1, count : 2},
+														   {line : 2, count : 0},
+														   {line : 7, count : 0}]);
+	}
+
+	test_summary() {
+		this.report.add(sourceCoverage(this.at('src/used.mjs')));
+		this.assertDeepEqual(this.report.summary(), {
+			total : {lines     : {total : 6, covered : 2, pct : 33.33},
+					 branches  : {total : 3, covered : 1, pct : 33.33},
+					 functions : {total : 2, covered : 1, pct : 50}},
+			files : {'src/used.mjs' : {lines     : {total : 6, covered : 2, pct : 33.33},
+									   branches  : {total : 3, covered : 1, pct : 33.33},
+									   functions : {total : 2, covered : 1, pct : 50},
+									   uncovered : [2, 3, 7, 8]}}});
+	}
+
+	test_counts_are_summed() {
+		const entries = sourceCoverage(this.at('src/used.mjs'));
+		this.report.add(entries);
+		// As from a second thread that called unused():
+		const second = structuredClone(entries);
+		second[0].functions[2].ranges[0].count = 1;
+		this.report.add(second);
+		const data = this.report._files.get('src/used.mjs');
+		this.assertDeepEqual(Object.fromEntries(data.lines), {1 : 4, 2 : 0, 3 : 0, 5 : 4, 7 : 1, 8 : 1});
+		this.assertDeepEqual([...data.functions.values()].map(func => func.count), [4, 1]);
+		this.assertEqual(this.report.summary().total.functions.pct, 100);
+	}
+
+	test_files_reported() {
+		const entries = ['src/used.mjs', 'src/other.mjs', 'node_modules/pkg/index.mjs', 'test_used.mjs']
+			.flatMap(rel_path => sourceCoverage(this.at(rel_path)));
+		entries.push({url : 'node:fs', functions : []});
+		entries.push(...sourceCoverage(path.join(path.dirname(this.dir), 'elsewhere.mjs')));
+		entries.push(...sourceCoverage(this.at('src/deleted.mjs')));
+
+		this.report.add(entries);
+		this.assertDeepEqual(Object.keys(this.report.summary().files),
+							 ['src/other.mjs', 'src/used.mjs', 'test_used.mjs']);
+
+		const filtered = new CoverageReport({root : this.dir, include : ['src/**'], exclude : ['**/other.mjs']});
+		filtered.add(entries);
+		this.assertDeepEqual(Object.keys(filtered.summary().files), ['src/used.mjs']);
+	}
+
+	test_table() {
+		this.report.add(sourceCoverage(this.at('src/used.mjs')));
+		this.assertEqual(this.report.table(),
+						 '-------------|---------|------------|---------|----------------\n' +
+						 'File         | % Lines | % Branches | % Funcs | Uncovered lines\n' +
+						 '-------------|---------|------------|---------|----------------\n' +
+						 'src/used.mjs |   33.33 |      33.33 |   50.00 | 2-3, 7-8\n' +
+						 '-------------|---------|------------|---------|----------------\n' +
+						 'All files    |   33.33 |      33.33 |   50.00 |\n' +
+						 '-------------|---------|------------|---------|----------------\n');
+	}
+
+	test_nothing_covered_is_complete() {
+		this.assertDeepEqual(this.report.summary().total.lines, {total : 0, covered : 0, pct : 100});
+		this.assertDeepEqual(this.report.checkThresholds({lines : 100}), []);
+	}
+
+	test_lcov() {
+		this.report.add(sourceCoverage(this.at('src/used.mjs')));
+		const lcov_path = this.at('out/nested/lcov.info');
+		this.report.writeLcov(lcov_path);
+		this.assertEqual(fs.readFileSync(lcov_path, 'utf8'),
+						 ['TN:',
+						  `SF:${this.at('src/used.mjs')}`,
+						  'FN:1,used', 'FN:7,unused', 'FNDA:2,used', 'FNDA:0,unused', 'FNF:2', 'FNH:1',
+						  'BRDA:1,0,0,2', 'BRDA:2,1,0,0', 'BRDA:7,2,0,0', 'BRF:3', 'BRH:1',
+						  'DA:1,2', 'DA:2,0', 'DA:3,0', 'DA:5,2', 'DA:7,0', 'DA:8,0', 'LF:6', 'LH:2',
+						  'end_of_record', ''].join('\n'));
+	}
+
+	test_json_summary() {
+		this.report.add(sourceCoverage(this.at('src/used.mjs')));
+		const summary_path = this.at('out/coverage-summary.json');
+		this.report.writeSummary(summary_path);
+		this.assertDeepEqual(JSON.parse(fs.readFileSync(summary_path, 'utf8')), this.report.summary());
+	}
+
+	test_addDirectory() {
+		const v8_dir = this.at('v8');
+		fs.mkdirSync(v8_dir);
+		fs.writeFileSync(path.join(v8_dir, 'coverage-1.json'),
+						 JSON.stringify({result : sourceCoverage(this.at('src/used.mjs'))}));
+		fs.writeFileSync(path.join(v8_dir, 'coverage-2.json'),
+						 JSON.stringify({result : sourceCoverage(this.at('src/used.mjs'))}));
+		fs.writeFileSync(path.join(v8_dir, 'notes.txt'), 'not coverage');
+		this.report.addDirectory(v8_dir);
+		this.assertEqual(this.report._files.get('src/used.mjs').lines.get(1), 4);
+	}
+
+	test_checkThresholds() {
+		this.report.add(sourceCoverage(this.at('src/used.mjs')));
+		this.assertDeepEqual(this.report.checkThresholds({lines : 30, functions : 50}), []);
+		this.assertDeepEqual(this.report.checkThresholds({lines : 40, branches : 33.33, functions : 60}),
+							 ['Coverage of lines (33.33%) is below the threshold of 40%',
+							  'Coverage of functions (50.00%) is below the threshold of 60%']);
+	}
+
+	test_ranges() {
+		this.assertEqual(CoverageReport._ranges([1, 2, 3, 5, 7, 8]), '1-3, 5, 7-8');
+		this.assertEqual(CoverageReport._ranges([]), '');
+	}
+}
+
+/* ------------------ Class CoverageCliTests ------------ */
+
+class CoverageCliTests extends TestCase {
+
+	setUp() {
+		this.dir = makeTree(this, {'lib/shapes.mjs'        : SHAPES,
+								   'tests/test_shapes.mjs' : TEST_SHAPES});
+	}
+
+	test_thresholds_option() {
+		const thresholds = (arg) => parseCommandLine(['--coverage', '--coverage-threshold', arg]).coverage.thresholds;
+		this.assertDeepEqual(thresholds('80'), {lines : 80, branches : 80, functions : 80});
+		this.assertDeepEqual(thresholds('lines=80, branches=70'), {lines : 80, branches : 70});
+		this.assertRaisesRegex(TypeError, /metrics are lines, branches, functions, not 'statements'/,
+							   () => thresholds('statements=80'));
+		this.assertRaisesRegex(TypeError, /percentages from 0 to 100, not 'lines=120'/,
+							   () => thresholds('lines=120'));
+		this.assertRaisesRegex(TypeError, /percentages from 0 to 100/, () => thresholds('most'));
+	}
+
+	test_report_of_run() {
+		const {status, stderr} = runCli(['-s', 'tests', '--coverage', '--coverage-dir', 'out'], {cwd : this.dir});
+		this.assertEqual(status, 0);
+		// The test files themselves are not covered:
+		this.assertTrue(stderr.endsWith(
+			'\n---------------|---------|------------|---------|----------------\n' +
+			'File           | % Lines | % Branches | % Funcs | Uncovered lines\n' +
+			'---------------|---------|------------|---------|----------------\n' +
+			'lib/shapes.mjs |   50.00 |      33.33 |   50.00 | 5, 8-9\n' +
+			'---------------|---------|------------|---------|----------------\n' +
+			'All files      |   50.00 |      33.33 |   50.00 |\n' +
+			'---------------|---------|------------|---------|----------------\n'));
+		const lcov = fs.readFileSync(path.join(this.dir, 'out', 'lcov.info'), 'utf8');
+		this.assertIn('FNDA:1,area\nFNDA:0,perimeter\n', lcov);
+		this.assertIn('DA:1,1\nDA:2,1\nDA:3,1\nDA:5,0\nDA:8,0\nDA:9,0\nLF:6\nLH:3\n', lcov);
+		const summary = JSON.parse(fs.readFileSync(path.join(this.dir, 'out', 'coverage-summary.json'), 'utf8'));
+		this.assertDeepEqual(summary.total.lines, {total : 6, covered : 3, pct : 50});
+	}
+
+	test_threshold_fails_run() {
+		const {status, stderr} = runCli(['-s', 'tests', '--coverage', '--coverage-threshold', 'lines=50,functions=60'],
+										{cwd : this.dir});
+		this.assertEqual(status, 1);
+		this.assertTrue(stderr.endsWith('Coverage of functions (50.00%) is below the threshold of 60%\n'));
+		this.assertNotIn('Coverage of lines', stderr);
+	}
+
+	test_include_and_exclude() {
+		const excluded = runCli(['-s', 'tests', '--coverage', '--coverage-exclude', 'lib/**'], {cwd : this.dir});
+		this.assertIn('All files |  100.00 |     100.00 |  100.00 |', excluded.stderr);
+		const included = runCli(['-s', 'tests', '--coverage', '--coverage-include', 'tests/**'], {cwd : this.dir});
+		// The test pattern is excluded all the same:
+		this.assertNotIn('tests/test_shapes.mjs |', included.stderr);
+		this.assertNotIn('lib/shapes.mjs |', included.stderr);
+	}
+
+	test_with_jobs() {
+		const {stderr} = runCli(['-s', 'tests', '--coverage', '-j', '2'], {cwd : this.dir});
+		this.assertIn('lib/shapes.mjs |   50.00 |      33.33 |   50.00 | 5, 8-9\n', stderr);
+	}
+}
+
+export { CoverageReportTests, CoverageCliTests };
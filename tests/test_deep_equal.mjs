@@ -0,0 +1,246 @@
+/**
+ * Tests of DeepEqual: which values are equal, the path and
+ * message of the first difference, and cyclic structures.
+ */
+
+import { TestCase } from "../src/unittest.mjs";
+import { DeepEqual, MISSING } from "../src/deep_equal.mjs";
+
+/* ------------------ Class DifferencePathTests ------------ */
+
+class DifferencePathTests extends TestCase {
+
+	/**
+	 * Check the path and message of the difference
+	 * between actual and expected.
+	 */
+	assertDifference(actual, expected, path, message, options={}) {
+		const diff = DeepEqual.difference(actual, expected, options);
+		this.assertIsNotNull(diff, `no difference found at ${path}`);
+		this.assertEqual(diff.path, path);
+		this.assertEqual(diff.message, message);
+		return diff;
+	}
+
+	test_equal_values() {
+		this.assertIsNull(DeepEqual.difference({a : [1, {b : 'x'}], c : null},
+											   {a : [1, {b : 'x'}], c : null}));
+		this.assertTrue(DeepEqual.equal(NaN, NaN));
+		this.assertTrue(DeepEqual.equal([undefined], [undefined]));
+	}
+
+	test_nested_path() {
+		this.assertDifference({users : [{tags : new Set(['a'])}]},
+							  {users : [{tags : new Set(['a', 'b'])}]},
+							  'obj.users[0].tags',
+							  "obj.users[0].tags has Set{'a'} vs Set{'a', 'b'}");
+	}
+
+	test_differing_primitives() {
+		const diff = this.assertDifference({a : {b : 1}}, {a : {b : 2}}, 'obj.a.b', 'obj.a.b has 1 vs 2');
+		this.assertEqual(diff.actual, 1);
+		this.assertEqual(diff.expected, 2);
+	}
+
+	test_missing_properties() {
+		const diff = this.assertDifference({a : 1, b : 2}, {a : 1}, 'obj.b', 'obj.b has 2 vs <missing>');
+		this.assertIs(diff.expected, MISSING);
+		const extra = this.assertDifference({a : 1}, {a : 1, c : 3}, 'obj.c', 'obj.c has <missing> vs 3');
+		this.assertIs(extra.actual, MISSING);
+	}
+
+	test_odd_keys() {
+		this.assertDifference({'my key' : 1}, {'my key' : 2}, "obj['my key']", "obj['my key'] has 1 vs 2");
+		const sym = Symbol('id');
+		this.assertDifference({[sym] : 1}, {[sym] : 2}, 'obj[Symbol(id)]', 'obj[Symbol(id)] has 1 vs 2');
+	}
+
+	test_arrays() {
+		this.assertDifference({list : [1, 2]}, {list : [1, 2, 3]}, 'obj.list', 'obj.list has length 2 vs 3');
+		this.assertDifference([[1], [2, 3]], [[1], [2, 4]], 'obj[1][1]', 'obj[1][1] has 3 vs 4');
+		// Properties beyond the indexes count as well:
+		const tagged = Object.assign([1], {label : 'x'});
+		this.assertDifference(tagged, [1], 'obj.label', "obj.label has 'x' vs <missing>");
+	}
+
+	test_maps() {
+		this.assertDifference(new Map([['k', {v : 1}]]), new Map([['k', {v : 2}]]),
+							  "obj.get('k').v", "obj.get('k').v has 1 vs 2");
+		this.assertDifference(new Map([['a', 1]]), new Map([['a', 1], ['b', 2]]),
+							  "obj.get('b')", "obj.get('b') has <missing> vs 2");
+		// Object keys match by structure:
+		this.assertTrue(DeepEqual.equal(new Map([[{id : 1}, 'a']]), new Map([[{id : 1}, 'a']])));
+		this.assertFalse(DeepEqual.equal(new Map([[{id : 1}, 'a']]), new Map([[{id : 2}, 'a']])));
+	}
+
+	test_sets() {
+		this.assertTrue(DeepEqual.equal(new Set([{a : 1}, {b : 2}]), new Set([{b : 2}, {a : 1}])));
+		// Each member matches only once:
+		this.assertFalse(DeepEqual.equal(new Set([{a : 1}, {a : 1}]), new Set([{a : 1}, {a : 2}])));
+	}
+
+	test_root_name() {
+		this.assertDifference({a : 1}, {a : 2}, 'result.a', 'result.a has 1 vs 2', {root : 'result'});
+	}
+
+	test_differing_kinds() {
+		this.assertDifference({v : []}, {v : {}}, 'obj.v', 'obj.v has [] vs {}');
+		this.assertDifference({v : 1}, {v : '1'}, 'obj.v', "obj.v has 1 vs '1'");
+		this.assertFalse(DeepEqual.equal(new Uint8Array([1]), new Int8Array([1])));
+	}
+}
+
+/* ------------------ Class ValueKindTests ------------ */
+
+class ValueKindTests extends TestCase {
+
+	test_dates() {
+		this.assertTrue(DeepEqual.equal(new Date(1000), new Date(1000)));
+		this.assertFalse(DeepEqual.equal(new Date(1000), new Date(1001)));
+		this.assertTrue(DeepEqual.equal(new Date(NaN), new Date(NaN)));
+	}
+
+	test_regexps() {
+		this.assertTrue(DeepEqual.equal(/a+/g, /a+/g));
+		this.assertFalse(DeepEqual.equal(/a+/g, /a+/i));
+		this.assertFalse(DeepEqual.equal(/a+/, /a*/));
+	}
+
+	test_errors() {
+		this.assertTrue(DeepEqual.equal(new TypeError('bad'), new TypeError('bad')));
+		this.assertFalse(DeepEqual.equal(new TypeError('bad'), new RangeError('bad')));
+		this.assertFalse(DeepEqual.equal(new Error('bad'), new Error('worse')));
+	}
+
+	test_boxed_primitives() {
+		this.assertTrue(DeepEqual.equal(new String('a'), new String('a')));
+		this.assertFalse(DeepEqual.equal(new Number(1), new Number(2)));
+		this.assertFalse(DeepEqual.equal(new String('a'), 'a'));
+	}
+
+	test_binary_data() {
+		this.assertEqual(DeepEqual.difference(new Uint8Array([1, 2]), new Uint8Array([1, 3])).path, 'obj[1]');
+		this.assertTrue(DeepEqual.equal(new Uint8Array([1, 2]).buffer, new Uint8Array([1, 2]).buffer));
+		this.assertFalse(DeepEqual.equal(new DataView(new Uint8Array([1, 2]).buffer),
+										 new DataView(new Uint8Array([1, 3]).buffer)));
+	}
+
+	test_loose_mode() {
+		const loose = {strict : false};
+		this.assertTrue(DeepEqual.equal({a : 1, b : [null]}, {a : '1', b : [undefined]}, loose));
+		this.assertTrue(DeepEqual.equal(new Set([1]), new Set(['1']), loose));
+		// Objects do not equal strings through toString():
+		this.assertFalse(DeepEqual.equal([{}], ['[object Object]'], loose));
+		this.assertFalse(DeepEqual.equal({a : 1}, {a : '1'}));
+	}
+
+	test_prototypes() {
+		class Point {
+			constructor() { this.x = 1; }
+		}
+		this.assertTrue(DeepEqual.equal(new Point(), {x : 1}));
+		const diff = DeepEqual.difference({p : new Point()}, {p : {x : 1}}, {check_prototype : true});
+		this.assertEqual(diff.message, 'obj.p has prototype Point vs Object');
+	}
+}
+
+/* ------------------ Class CycleTests ------------ */
+
+class CycleTests extends TestCase {
+
+	test_equal_cycles() {
+		const a = {v : 1};
+		a.self = a;
+		const b = {v : 1};
+		b.self = b;
+		this.assertTrue(DeepEqual.equal(a, b));
+	}
+
+	test_cycles_of_different_length() {
+		// Unrolled, both are endless chains of {self : ...}:
+		const a = {};
+		a.self = a;
+		const b = {};
+		const c = {};
+		b.self = c;
+		c.self = b;
+		this.assertTrue(DeepEqual.equal(a, b));
+	}
+
+	test_difference_within_cycle() {
+		const a = {v : 1};
+		a.self = a;
+		const b  = {v : 1};
+		const b2 = {v : 2, self : b};
+		b.self = b2;
+		const diff = DeepEqual.difference(a, b);
+		this.assertEqual(diff.path, 'obj.self.v');
+		this.assertEqual(diff.message, 'obj.self.v has 1 vs 2');
+	}
+
+	test_cyclic_arrays_and_maps() {
+		const arr1 = [1];
+		arr1.push(arr1);
+		const arr2 = [1];
+		arr2.push(arr2);
+		this.assertTrue(DeepEqual.equal(arr1, arr2));
+
+		const map1 = new Map();
+		map1.set('me', map1);
+		const map2 = new Map();
+		map2.set('me', map2);
+		this.assertTrue(DeepEqual.equal(map1, map2));
+		map2.set('other', 1);
+		this.assertEqual(DeepEqual.difference(map1, map2).path, "obj.get('other')");
+	}
+
+	test_shared_objects_are_not_cycles() {
+		// The same object in two places is compared each time:
+		const shared = {v : 1};
+		this.assertFalse(DeepEqual.equal({a : shared, b : shared}, {a : {v : 1}, b : {v : 2}}));
+	}
+}
+
+/* ------------------ Class AssertDeepEqualTests ------------ */
+
+class AssertDeepEqualTests extends TestCase {
+
+	test_message_names_path() {
+		const err = this.assertRaises(TestCase.failureException, () =>
+			this.assertDeepEqual({users : [{name : 'Ann', age : 30}]},
+								 {users : [{name : 'Ann', age : 31}]}));
+		this.assertTrue(err.message.startsWith('obj.users[0].age has 30 vs 31\n\n'));
+		this.assertDeepEqual(err.actual, {users : [{name : 'Ann', age : 30}]});
+	}
+
+	test_differing_strings_are_diffed_alone() {
+		const err = this.assertRaises(TestCase.failureException, () =>
+			this.assertDeepEqual({title : 'hello world'}, {title : 'hello there'}));
+		this.assertEqual(err.message,
+			"obj.title has 'hello world' vs 'hello there'\n\n" +
+			'- hello world\n' +
+			'?       ^^ ^^\n' +
+			'+ hello there\n' +
+			'?       ^^^ ^');
+	}
+
+	test_options_and_message() {
+		this.assertDeepEqual({a : 1}, {a : '1'}, {strict : false});
+		this.assertObjsEqual({a : 1}, {a : '1'});
+		const err = this.assertRaises(TestCase.failureException,
+			() => this.assertDeepEqual({a : 1}, {a : 2}, 'after update'));
+		this.assertIn('obj.a has 1 vs 2', err.message);
+		this.assertTrue(err.message.endsWith(' : after update'));
+	}
+
+	test_cyclic_failure_terminates() {
+		const a = {name : 'a'};
+		a.self = a;
+		const b = {name : 'b'};
+		b.self = b;
+		const err = this.assertRaises(TestCase.failureException, () => this.assertDeepEqual(a, b));
+		this.assertTrue(err.message.startsWith("obj.name has 'a' vs 'b'"));
+	}
+}
+
+export { DifferencePathTests, ValueKindTests, CycleTests, AssertDeepEqualTests };
@@ -0,0 +1,232 @@
+/**
+ * Tests of the diffs in the failure messages of equality
+ * assertions; see src/diff.mjs.
+ */
+
+import { TestCase } from "../src/unittest.mjs";
+import { Diff } from "../src/diff.mjs";
+
+const LETTERS = 'abcdefghijklm'.split('');
+
+/**
+ * Deterministic pseudo random numbers in [0, 1), so
+ * that failures can be reproduced.
+ */
+function seededRandom(seed) {
+	return () => {
+		seed = (seed * 1103515245 + 12345) % 2147483648;
+		return seed / 2147483648;
+	};
+}
+
+/**
+ * Length of the longest common subsequence, by
+ * dynamic programming; the number of changes in the
+ * shortest edit script follows from it.
+ */
+function lcsLength(seq1, seq2) {
+	let prev = new Array(seq2.length + 1).fill(0);
+	for (const item of seq1) {
+		const row = [0];
+		for (let j = 0; j < seq2.length; j++) {
+			row.push(item === seq2[j] ? prev[j] + 1 : Math.max(prev[j + 1], row[j]));
+		}
+		prev = row;
+	}
+	return prev[seq2.length];
+}
+
+/* ------------------ Class OpsTests ------------ */
+
+class OpsTests extends TestCase {
+
+	/**
+	 * Check that ops turn seq1 into seq2, with as few
+	 * changes as possible.
+	 */
+	assertShortestScript(seq1, seq2, ops) {
+		this.assertDeepEqual(ops.filter(([kind]) => kind != '+').map(([, item]) => item), seq1);
+		this.assertDeepEqual(ops.filter(([kind]) => kind != '-').map(([, item]) => item), seq2);
+		const changes = ops.filter(([kind]) => kind != '=').length;
+		this.assertEqual(changes, seq1.length + seq2.length - 2 * lcsLength(seq1, seq2));
+	}
+
+	test_simple_script() {
+		this.assertDeepEqual(Diff.ops(['a', 'b', 'c'], ['a', 'c', 'd']),
+							 [['=', 'a'], ['-', 'b'], ['=', 'c'], ['+', 'd']]);
+		this.assertDeepEqual(Diff.ops([], ['x']), [['+', 'x']]);
+		this.assertDeepEqual(Diff.ops(['x'], []), [['-', 'x']]);
+		this.assertDeepEqual(Diff.ops([], []), []);
+	}
+
+	async test_random_scripts_are_shortest() {
+		const random = seededRandom(42);
+		const randomSeq = () => Array.from({length : Math.floor(random() * 12)},
+										   () => LETTERS[Math.floor(random() * 4)]);
+		for (let trial = 0; trial < 200; trial++) {
+			const [seq1, seq2] = [randomSeq(), randomSeq()];
+			await this.subTest({trial : trial}, () =>
+				this.assertShortestScript(seq1, seq2, Diff.ops(seq1, seq2)));
+		}
+	}
+
+	test_max_edits() {
+		const seq1 = ['a', 'b', 'c', 'd'];
+		const seq2 = ['a', 'x', 'c', 'y'];
+		this.assertEqual(Diff.ops(seq1, seq2, 4).length, 6);
+		this.assertIsNull(Diff.ops(seq1, seq2, 3));
+		// Lengths alone may rule out a short script:
+		this.assertIsNull(Diff.ops([], ['a', 'b', 'c'], 2));
+	}
+
+	test_large_inputs_are_replaced_wholesale() {
+		const seq1 = ['same', ...Array.from({length : 1500}, (_, i) => `old ${i}`), 'end'];
+		const seq2 = ['same', ...Array.from({length : 1500}, (_, i) => `new ${i}`), 'end'];
+		const ops  = Diff.ops(seq1, seq2);
+		this.assertDeepEqual(ops[0], ['=', 'same']);
+		this.assertDeepEqual(ops.at(-1), ['=', 'end']);
+		this.assertDeepEqual(ops.slice(1, 1501).map(([kind]) => kind), new Array(1500).fill('-'));
+		this.assertDeepEqual(ops.slice(1501, 3001).map(([kind]) => kind), new Array(1500).fill('+'));
+		this.assertIsNull(Diff.ops(seq1, seq2, 100));
+	}
+
+	test_many_differing_lines() {
+		// Nothing in common, yet within the searched size:
+		const seq1 = Array.from({length : 1000}, (_, i) => `a${i}`);
+		const seq2 = Array.from({length : 1000}, (_, i) => `b${i}`);
+		const ops  = Diff.ops(seq1, seq2);
+		this.assertEqual(ops.length, 2000);
+		this.assertIsNull(Diff.ops(seq1, seq2, 1999));
+	}
+}
+
+/* ------------------ Class UnifiedTests ------------ */
+
+class UnifiedTests extends TestCase {
+
+	setUp() {
+		this.text1 = LETTERS.join('\n');
+		this.text2 = LETTERS.map(letter => ['b', 'l'].includes(letter) ? letter.toUpperCase() : letter)
+							.join('\n');
+	}
+
+	test_hunks() {
+		this.assertEqual(Diff.unified(this.text1, this.text2),
+			'--- first\n+++ second\n' +
+			'@@ -1,5 +1,5 @@\n a\n-b\n+B\n c\n d\n e\n' +
+			'@@ -9,5 +9,5 @@\n i\n j\n k\n-l\n+L\n m');
+	}
+
+	test_context_and_labels() {
+		this.assertEqual(Diff.unified(this.text1, this.text2, {context : 1, from_label : 'old', to_label : 'new'}),
+			'--- old\n+++ new\n' +
+			'@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n' +
+			'@@ -11,3 +11,3 @@\n k\n-l\n+L\n m');
+		// Hunks whose context would overlap are merged:
+		this.assertEqual(Diff.unified(this.text1, this.text2, {context : 5}).match(/^@@/gm).length, 1);
+	}
+
+	test_trailing_newline() {
+		this.assertEqual(Diff.unified('x\ny\nz', 'x\nz\n'),
+						 '--- first\n+++ second\n@@ -1,3 +1,3 @@\n x\n-y\n z\n+');
+	}
+
+	test_equal_texts() {
+		this.assertEqual(Diff.unified('a\nb', 'a\nb'), '');
+	}
+
+	test_max_length() {
+		this.assertIsNull(Diff.unified(this.text1, this.text2, {max_length : 7}));
+		this.assertIsNotNull(Diff.unified(this.text1, this.text2, {max_length : 1000}));
+	}
+}
+
+/* ------------------ Class MarkCharsTests ------------ */
+
+class MarkCharsTests extends TestCase {
+
+	test_markers() {
+		this.assertEqual(Diff.markChars('hello world', 'hello there'),
+						 '- hello world\n?       ^^ ^^\n+ hello there\n?       ^^^ ^');
+	}
+
+	test_only_one_side_changed() {
+		this.assertEqual(Diff.markChars('abc', 'abxc'), '- abc\n+ abxc\n?   ^');
+	}
+
+	test_markers_align_under_wide_characters() {
+		this.assertEqual(Diff.markChars('café 😀 ok', 'cafe 😀 OK'),
+						 '- café 😀 ok\n?    ^    ^^\n+ cafe 😀 OK\n?    ^    ^^');
+	}
+
+	test_max_length() {
+		this.assertIsNull(Diff.markChars('abc', 'abd', {max_length : 10}));
+		this.assertIsNotNull(Diff.markChars('abc', 'abd', {max_length : 11}));
+	}
+}
+
+/* ------------------ Class ExplainTests ------------ */
+
+class ExplainTests extends TestCase {
+
+	test_by_kind_of_value() {
+		this.assertEqual(Diff.explain(1, 2), '');
+		this.assertEqual(Diff.explain('abc', 'abd'), '- abc\n?   ^\n+ abd\n?   ^');
+		this.assertTrue(Diff.explain('a\nb', 'a\nc').startsWith('--- first\n+++ second\n'));
+	}
+
+	test_objects_are_rendered() {
+		this.assertEqual(Diff.explain({a : 1, b : [1, 2]}, {b : [1, 3], a : 1}),
+			'--- first\n+++ second\n@@ -2,6 +2,6 @@\n' +
+			'   a: 1,\n   b: [\n     1,\n-    2\n+    3\n   ]\n }');
+		// Key order alone is no difference:
+		this.assertEqual(Diff.explain({a : 1, b : 2}, {b : 2, a : 1}), '');
+	}
+
+	test_labels() {
+		this.assertEqual(Diff.explain('abc', 'abd', {from_label : 'Snapshot', to_label : 'Received'}),
+						 '--- Snapshot\n+++ Received\n- abc\n?   ^\n+ abd\n?   ^');
+		this.assertTrue(Diff.explain('a\nb', 'a\nc', {from_label : 'Snapshot', to_label : 'Received'})
+							.startsWith('--- Snapshot\n+++ Received\n@@'));
+	}
+
+	test_max_length() {
+		this.assertIsNull(Diff.explain('a\nb', 'a\nc', {max_length : 5}));
+		const diff = Diff.explain('a\nb', 'a\nc', {max_length : 100});
+		this.assertLessEqual(diff.length, 100);
+	}
+}
+
+/* ------------------ Class AssertEqualDiffTests ------------ */
+
+class AssertEqualDiffTests extends TestCase {
+
+	test_multi_line_strings() {
+		const err = this.assertRaises(TestCase.failureException,
+									  () => this.assertEqual('one\ntwo\n', 'one\n2\n'));
+		this.assertEqual(err.message,
+			"'one\\ntwo\\n' !== 'one\\n2\\n'\n\n" +
+			'--- first\n+++ second\n@@ -1,3 +1,3 @@\n one\n-two\n+2\n ');
+	}
+
+	test_distinct_equal_objects() {
+		const err = this.assertRaises(TestCase.failureException, () => this.assertEqual({a : 1}, {a : 1}));
+		this.assertEqual(err.message,
+			'{ a: 1 } !== { a: 1 } (distinct objects with equal contents; see assertDeepEqual())');
+	}
+
+	test_maxDiff() {
+		const long1 = Array.from({length : 100}, (_, i) => `line ${i}`).join('\n');
+		const long2 = long1.replaceAll('line', 'LINE');
+		this.maxDiff = 200;
+		let err = this.assertRaises(TestCase.failureException, () => this.assertEqual(long1, long2));
+		this.assertTrue(err.message.endsWith(
+			'\n\nDiff is longer than 200 characters. Set maxDiff to null to see it.'));
+		this.maxDiff = null;
+		err = this.assertRaises(TestCase.failureException, () => this.assertEqual(long1, long2));
+		this.assertIn('-line 99\n', err.message);
+		this.assertIn('+LINE 99', err.message);
+	}
+}
+
+export { OpsTests, UnifiedTests, MarkCharsTests, ExplainTests, AssertEqualDiffTests };
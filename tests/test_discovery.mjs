@@ -0,0 +1,119 @@
+/**
+ * Tests of the discovery of test modules: file name
+ * patterns, include and exclude globs, the directories
+ * skipped by default, and symlinks.
+ */
+
+import fs from "fs";
+import path from "path";
+
+import { TestCase, Unittest } from "../src/unittest.mjs";
+
+import { makeTree } from "./support.mjs";
+
+const TREE = {
+	'test_top.mjs'                   : '',
+	'helpers.mjs'                    : '',
+	'test_script.js'                 : '',
+	'unit/test_parse.mjs'            : '',
+	'unit/deep/test_lex.mjs'         : '',
+	'fixtures/test_fixture.mjs'      : '',
+	'node_modules/pkg/test_pkg.mjs'  : '',
+	'.cache/test_cached.mjs'         : '',
+};
+
+/* ------------------ Class DiscoveryTests ------------ */
+
+class DiscoveryTests extends TestCase {
+
+	setUp() {
+		this.dir = makeTree(this, TREE);
+	}
+
+	/**
+	 * Paths discovered below this.dir, relative to it.
+	 */
+	discovered(pattern=Unittest.DEFAULT_PATTERN, options={}) {
+		return Unittest.discover(this.dir, pattern, options)
+			.map(file_path => path.relative(this.dir, file_path))
+			.sort();
+	}
+
+	test_pattern_and_default_excludes() {
+		this.assertDeepEqual(this.discovered(),
+			['fixtures/test_fixture.mjs', 'test_top.mjs', 'unit/deep/test_lex.mjs', 'unit/test_parse.mjs']);
+	}
+
+	test_all_dirs() {
+		this.assertDeepEqual(this.discovered(Unittest.DEFAULT_PATTERN, {default_excludes : false}),
+			['.cache/test_cached.mjs', 'fixtures/test_fixture.mjs', 'node_modules/pkg/test_pkg.mjs',
+			 'test_top.mjs', 'unit/deep/test_lex.mjs', 'unit/test_parse.mjs']);
+	}
+
+	test_other_pattern() {
+		this.assertDeepEqual(this.discovered('*.js'), ['test_script.js']);
+		this.assertDeepEqual(this.discovered('test_[pl]*.mjs'), ['unit/deep/test_lex.mjs', 'unit/test_parse.mjs']);
+	}
+
+	test_exclude() {
+		this.assertDeepEqual(this.discovered(Unittest.DEFAULT_PATTERN, {exclude : ['fixtures', 'unit/deep/**']}),
+							 ['test_top.mjs', 'unit/test_parse.mjs']);
+		this.assertDeepEqual(this.discovered(Unittest.DEFAULT_PATTERN, {exclude : ['test_p*.mjs']}),
+			['fixtures/test_fixture.mjs', 'test_top.mjs', 'unit/deep/test_lex.mjs']);
+	}
+
+	test_include() {
+		this.assertDeepEqual(this.discovered(Unittest.DEFAULT_PATTERN, {include : ['unit/**']}),
+							 ['unit/deep/test_lex.mjs', 'unit/test_parse.mjs']);
+	}
+
+	test_symlinked_dirs() {
+		fs.symlinkSync(path.join(this.dir, 'unit'), path.join(this.dir, 'linked'));
+		// A link back up would loop forever if followed blindly:
+		fs.symlinkSync(this.dir, path.join(this.dir, 'unit', 'loop'));
+		this.assertNotIn('linked/test_parse.mjs', this.discovered());
+		const followed = this.discovered(Unittest.DEFAULT_PATTERN, {follow_symlinks : true});
+		this.assertEqual(followed.filter(rel_path => rel_path.endsWith('test_parse.mjs')).length, 1);
+	}
+
+	async test_discoverAsync_agrees() {
+		const found = [];
+		for await (const file_path of Unittest.discoverAsync(this.dir)) {
+			found.push(file_path);
+		}
+		this.assertDeepEqual(found, Unittest.discover(this.dir));
+	}
+
+	test_missing_start_dir() {
+		this.assertRaises(Error, () => Unittest.discover(path.join(this.dir, 'missing')));
+	}
+}
+
+/* ------------------ Class GlobTests ------------ */
+
+class GlobTests extends TestCase {
+
+	test_star_stays_within_directory() {
+		const glob_re = Unittest.globToRegExp('test_*.mjs');
+		this.assertTrue(glob_re.test('test_a.mjs'));
+		this.assertFalse(glob_re.test('dir/test_a.mjs'));
+		this.assertFalse(glob_re.test('test_a.mjs.bak'));
+		this.assertTrue(Unittest.globToRegExp('*a', {match_slash : true}).test('x/a'));
+	}
+
+	test_double_star() {
+		const glob_re = Unittest.globToRegExp('build/**/out.js');
+		this.assertTrue(glob_re.test('build/out.js'));
+		this.assertTrue(glob_re.test('build/a/b/out.js'));
+		this.assertFalse(glob_re.test('src/out.js'));
+	}
+
+	test_classes_and_special_chars() {
+		this.assertTrue(Unittest.globToRegExp('file[0-9].txt').test('file7.txt'));
+		this.assertFalse(Unittest.globToRegExp('file[!0-9].txt').test('file7.txt'));
+		this.assertTrue(Unittest.globToRegExp('a+b(c).?s').test('a+b(c).js'));
+		this.assertFalse(Unittest.globToRegExp('a.b').test('axb'));
+	}
+}
+
+export { DiscoveryTests, GlobTests };
@@ -0,0 +1,137 @@
+/**
+ * Tests of FakeClock, and of fake timers within tests.
+ */
+
+import { TestCase, Unittest, TestTimeoutError } from "../src/unittest.mjs";
+import { FakeClock } from "../src/fake_timers.mjs";
+
+import { runClass } from "./support.mjs";
+
+const real_set_timeout = setTimeout;
+
+/* ------------------ Fixtures ------------ */
+
+class HangsWithFakeTimers extends TestCase {
+	test_hangs() {
+		this.useFakeTimers();
+		return new Promise(resolve => setTimeout(resolve, 10));
+	}
+}
+Unittest.timeout(20)(HangsWithFakeTimers);
+
+/* ------------------ Class FakeClockTests ------------ */
+
+class FakeClockTests extends TestCase {
+
+	setUp() {
+		this.clock = this.useFakeTimers({now : new Date(Date.UTC(2024, 0, 1))});
+		this.fired = [];
+	}
+
+	test_tick_runs_due_timers_in_order() {
+		setTimeout(() => this.fired.push('b'), 200);
+		setTimeout(() => this.fired.push('a'), 100);
+		setTimeout((x) => this.fired.push(x), 100, 'a2');
+		this.assertEqual(this.clock.tick(99), 0);
+		this.assertDeepEqual(this.fired, []);
+		this.assertEqual(this.clock.tick(1), 2);
+		this.assertDeepEqual(this.fired, ['a', 'a2']);
+		this.clock.tick(100);
+		this.assertDeepEqual(this.fired, ['a', 'a2', 'b']);
+		this.assertEqual(this.clock.pendingCount, 0);
+	}
+
+	test_clocks_follow_fake_time() {
+		const perf_start = performance.now();
+		this.assertEqual(Date.now(), Date.UTC(2024, 0, 1));
+		this.clock.tick(1500);
+		this.assertEqual(Date.now(), Date.UTC(2024, 0, 1) + 1500);
+		this.assertAlmostEqual(performance.now() - perf_start, 1500);
+		setTimeout(() => this.fired.push(Date.now() - Date.UTC(2024, 0, 1)), 250);
+		this.clock.tick(1000);
+		this.assertDeepEqual(this.fired, [1750]);
+	}
+
+	test_clear_and_refresh() {
+		const timer = setTimeout(() => this.fired.push('cleared'), 10);
+		clearTimeout(timer);
+		const refreshed = setTimeout(() => this.fired.push('refreshed'), 10);
+		this.clock.tick(8);
+		refreshed.refresh();
+		this.clock.tick(8);
+		this.assertDeepEqual(this.fired, []);
+		this.clock.tick(2);
+		this.assertDeepEqual(this.fired, ['refreshed']);
+		this.assertTrue(refreshed.unref() === refreshed && !refreshed.hasRef());
+	}
+
+	test_intervals() {
+		const interval = setInterval(() => {
+			this.fired.push(this.clock.now - Date.UTC(2024, 0, 1));
+			if (this.fired.length == 3) clearInterval(interval);
+		}, 100);
+		this.assertEqual(this.clock.tick(1000), 3);
+		this.assertDeepEqual(this.fired, [100, 200, 300]);
+	}
+
+	test_timers_scheduled_by_callbacks() {
+		setTimeout(() => {
+			this.fired.push('outer');
+			setTimeout(() => this.fired.push('inner'), 50);
+		}, 50);
+		this.clock.tick(99);
+		this.assertDeepEqual(this.fired, ['outer']);
+		this.clock.tick(1);
+		this.assertDeepEqual(this.fired, ['outer', 'inner']);
+	}
+
+	test_runAll_and_runOnlyPending() {
+		setTimeout(() => {
+			this.fired.push('first');
+			setTimeout(() => this.fired.push('later'), 1000);
+		}, 10);
+		this.assertEqual(this.clock.runOnlyPending(), 1);
+		this.assertDeepEqual(this.fired, ['first']);
+		this.assertEqual(this.clock.runAll(), 1);
+		this.assertDeepEqual(this.fired, ['first', 'later']);
+		setInterval(() => {}, 1);
+		this.assertRaisesRegex(Error, /infinite loop of timers/, () => this.clock.runAll());
+	}
+
+	test_throwing_callback_stops_clock() {
+		setTimeout(() => { throw new Error('boom'); }, 100);
+		setTimeout(() => this.fired.push('after'), 200);
+		this.assertRaisesRegex(Error, /boom/, () => this.clock.tick(500));
+		this.assertEqual(this.clock.now, Date.UTC(2024, 0, 1) + 100);
+		this.clock.tick(100);
+		this.assertDeepEqual(this.fired, ['after']);
+	}
+
+	test_bad_arguments() {
+		this.assertRaises(TypeError, () => this.clock.tick(-1));
+		this.assertRaises(TypeError, () => setTimeout('code', 10));
+	}
+}
+
+/* ------------------ Class FakeTimersInTestsTests ------------ */
+
+class FakeTimersInTestsTests extends TestCase {
+
+	test_uninstall_restores_timers() {
+		const clock = new FakeClock().install();
+		this.assertIsNot(globalThis.setTimeout, real_set_timeout);
+		setTimeout(() => {}, 10);
+		clock.uninstall();
+		this.assertIs(globalThis.setTimeout, real_set_timeout);
+		this.assertEqual(clock.pendingCount, 0);
+	}
+
+	async test_test_timeouts_use_real_time() {
+		const result = await runClass(HangsWithFakeTimers);
+		this.assertIs(globalThis.setTimeout, real_set_timeout);
+		this.assertEqual(result.errors.length, 1);
+		this.assertIsInstance(result.errors[0].error, TestTimeoutError);
+	}
+}
+
+export { FakeClockTests, FakeTimersInTestsTests };
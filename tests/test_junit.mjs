@@ -0,0 +1,162 @@
+/**
+ * Tests of JUnitXmlReporter: the suites and cases of a
+ * report, their outcomes, and the escaping of text; and of
+ * the --junit-xml option of find_test_files.
+ */
+
+import fs from "fs";
+import path from "path";
+
+import { TestCase, Unittest } from "../src/unittest.mjs";
+import { TestResult } from "../src/result.mjs";
+import { JUnitXmlReporter } from "../src/junit.mjs";
+
+import { runClass, makeTree, runCli } from "./support.mjs";
+
+const SAME_NAME = (label) => `
+import { TestCase } from 'UNITTEST';
+export class SharedTests extends TestCase {
+	test_${label}() { console.log('in ${label}'); }
+	test_same() { this.assertEqual('${label}', 'a'); }
+}
+`;
+
+/* ------------------ Fixtures ------------ */
+
+class Reported extends TestCase {
+	test_passes() {}
+	test_fails()  { this.assertEqual(1, 2); }
+	test_errs()   { throw new RangeError('a < b & "c"'); }
+	test_skips()  { this.skipTest('not today'); }
+
+	async test_subtests() {
+		for (const n of [1, 2]) {
+			await this.subTest({n : n}, () => this.assertEqual(n, 1));
+		}
+	}
+
+	test_expected() { this.fail('known'); }
+	test_unexpected() {}
+}
+Unittest.expectedFailure(Reported.prototype.test_expected);
+Unittest.expectedFailure(Reported.prototype.test_unexpected);
+
+class Other extends TestCase {
+	test_other() {}
+}
+
+/* ------------------ Class JUnitXmlReporterTests ------------ */
+
+class JUnitXmlReporterTests extends TestCase {
+
+	/**
+	 * Returns the report of a run of Reported, with
+	 * the times blanked out.
+	 */
+	async renderReported() {
+		const result = await runClass(Reported);
+		return JUnitXmlReporter.render(result).replace(/time="\d+\.\d{3}"/g, 'time="T"');
+	}
+
+	async test_suite_and_totals() {
+		const xml = await this.renderReported();
+		this.assertTrue(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n' +
+									   '<testsuites name="find_test_files" tests="7" failures="3" errors="1" ' +
+									   'skipped="2" time="T">\n' +
+									   '  <testsuite name="Reported" tests="7" failures="3" errors="1" ' +
+									   'skipped="2" time="T">\n'));
+		this.assertTrue(xml.endsWith('  </testsuite>\n</testsuites>\n'));
+	}
+
+	async test_cases() {
+		const xml = await this.renderReported();
+		this.assertIn('    <testcase classname="Reported" name="test_passes" time="T"/>\n', xml);
+		this.assertRegex(xml, new RegExp(
+			'    <testcase classname="Reported" name="test_fails" time="T">\n' +
+			'      <failure message="1 !== 2" type="AssertionError">AssertionError: 1 !== 2\n' +
+			'[^]*?</failure>\n' +
+			'    </testcase>\n'));
+		this.assertIn('<error message="a &lt; b &amp; &quot;c&quot;" type="RangeError">' +
+					  'RangeError: a &lt; b &amp; "c"\n', xml);
+		this.assertIn('<testcase classname="Reported" name="test_skips" time="T">\n' +
+					  '      <skipped message="not today"/>\n', xml);
+		this.assertIn('<skipped message="expected failure"/>', xml);
+		this.assertIn('<failure message="Test was expected to fail, but passed" type="UnexpectedSuccess">' +
+					  'Test was expected to fail, but passed</failure>', xml);
+	}
+
+	async test_subtests_are_cases() {
+		const xml = await this.renderReported();
+		this.assertIn('<testcase classname="Reported" name="test_subtests [n=2]" time="T">\n' +
+					  '      <failure message="2 !== 1"', xml);
+		// Neither passing subtests nor the method itself are cases:
+		this.assertNotIn('name="test_subtests [n=1]"', xml);
+		this.assertNotIn('name="test_subtests"', xml);
+	}
+
+	async test_elapsed_and_name() {
+		const result = await runClass(Other);
+		const xml    = JUnitXmlReporter.render(result, {name : 'nightly', elapsed : 1500});
+		this.assertIn('<testsuites name="nightly" tests="1" failures="0" errors="0" skipped="0" time="1.500">', xml);
+	}
+
+	async test_classes_in_different_files() {
+		const result = new TestResult();
+		result.startTestFile('tests/test_a.mjs');
+		await runClass(Reported, result, name => name == 'test_fails');
+		result.startTestFile('tests/test_b.mjs');
+		await runClass(Reported, result, name => name == 'test_fails');
+		await runClass(Other, result);
+		const suites = [...JUnitXmlReporter._collect(result).values()];
+		this.assertDeepEqual(suites.map(suite => [suite.className, suite.file, suite.cases.length]),
+							 [['Reported', 'tests/test_a.mjs', 1],
+							  ['Reported', 'tests/test_b.mjs', 1],
+							  ['Other', 'tests/test_b.mjs', 1]]);
+		const xml = JUnitXmlReporter.render(result);
+		this.assertIn('<testsuite name="Reported" file="tests/test_a.mjs" tests="1" failures="1"', xml);
+		this.assertIn('<testcase classname="Reported" name="test_fails" file="tests/test_b.mjs"', xml);
+	}
+
+	test_escape() {
+		this.assertEqual(JUnitXmlReporter.escape('<a & "b">\n'), '&lt;a &amp; "b"&gt;\n');
+		this.assertEqual(JUnitXmlReporter.escape('"x"\n\ty', true), '&quot;x&quot;&#10;&#9;y');
+		this.assertEqual(JUnitXmlReporter.escape('\u001b[31mred\u001b[0m'), '\\u001b[31mred\\u001b[0m');
+	}
+
+	async test_write_creates_directory() {
+		const dir  = makeTree(this);
+		const file = path.join(dir, 'reports', 'nested', 'junit.xml');
+		JUnitXmlReporter.write(await runClass(Other), file);
+		this.assertIn('<testcase classname="Other" name="test_other"', fs.readFileSync(file, 'utf8'));
+	}
+}
+
+/* ------------------ Class JUnitXmlCliTests ------------ */
+
+class JUnitXmlCliTests extends TestCase {
+
+	test_report_of_run() {
+		const dir = makeTree(this, {'tests/test_a.mjs' : SAME_NAME('a'),
+									'tests/test_b.mjs' : SAME_NAME('b')});
+		const {status, stdout} = runCli(['-s', 'tests', '--junit-xml', 'out/junit.xml'], {cwd : dir});
+		this.assertEqual(status, 1);
+		// Output is still shown while it is captured:
+		this.assertIn('in a\n', stdout);
+		const xml = fs.readFileSync(path.join(dir, 'out', 'junit.xml'), 'utf8');
+		this.assertIn('<testsuites name="find_test_files" tests="4" failures="1" errors="0" skipped="0"', xml);
+		this.assertIn('<testsuite name="SharedTests" file="tests/test_a.mjs" tests="2" failures="0"', xml);
+		this.assertIn('<testsuite name="SharedTests" file="tests/test_b.mjs" tests="2" failures="1"', xml);
+		this.assertRegex(xml, /name="test_a" file="tests\/test_a.mjs" time="[\d.]+">\n\s*<system-out>in a\n<\/system-out>/);
+		this.assertRegex(xml, /name="test_b" file="tests\/test_b.mjs" time="[\d.]+">\n\s*<system-out>in b\n<\/system-out>/);
+	}
+
+	test_unwritable_path() {
+		const dir = makeTree(this, {'tests/test_a.mjs' : SAME_NAME('a'),
+									'blocker'          : ''});
+		const {status, stderr} = runCli(['-s', 'tests', '--junit-xml', 'blocker/junit.xml'], {cwd : dir});
+		this.assertIn('Could not write the JUnit XML report', stderr);
+		this.assertNotEqual(status, 0);
+	}
+}
+
+export { JUnitXmlReporterTests, JUnitXmlCliTests };
@@ -0,0 +1,233 @@
+/**
+ * Tests of failfast, and of LastFailed, the cache of failed
+ * tests: what it records, how it drops ids of renamed tests,
+ * and the --last-failed and --failed-first options that it
+ * backs.
+ */
+
+import fs from "fs";
+import path from "path";
+
+import { TestCase } from "../src/unittest.mjs";
+import { TestResult } from "../src/result.mjs";
+import { LastFailed } from "../src/last_failed.mjs";
+
+import { runClass, makeTree, runCli } from "./support.mjs";
+
+const FIRST = `
+import { TestCase } from 'UNITTEST';
+export class FirstTests extends TestCase {
+	test_passes() {}
+	test_fails()  { this.assertEqual(1, 2); }
+}
+`;
+
+const SECOND = `
+import { TestCase } from 'UNITTEST';
+export class SecondTests extends TestCase {
+	test_passes() {}
+}
+export class FlakyTests extends TestCase {
+	test_fails() { this.fail('flaky'); }
+}
+`;
+
+const CACHE = '.unittest_cache/lastfailed.json';
+
+/* ------------------ Fixtures ------------ */
+
+class Failing extends TestCase {
+	test_passes() {}
+	test_fails()  { this.assertEqual(1, 2); }
+
+	async test_subtest() {
+		await this.subTest({n : 1}, () => this.fail('in subtest'));
+	}
+}
+
+class BrokenFixture extends TestCase {
+	static setUpClass() { throw new Error('no database'); }
+	test_never() {}
+}
+
+class Renamed extends TestCase {
+	test_still_here() {}
+}
+
+/* ------------------ Class LastFailedTests ------------ */
+
+class LastFailedTests extends TestCase {
+
+	setUp() {
+		this.dir   = makeTree(this, {'tests/test_x.mjs' : ''});
+		this.file  = path.join(this.dir, 'tests', 'test_x.mjs');
+		this.cache = path.join(this.dir, 'cache');
+	}
+
+	/**
+	 * Returns a LastFailed that followed a run of the given
+	 * classes, as if they were in this.file.
+	 */
+	async record(...test_classes) {
+		const last_failed = new LastFailed(this.cache);
+		const result      = new TestResult();
+		result.addReporter(last_failed);
+		result.startTestFile(this.file);
+		for (const test_class of test_classes) {
+			await runClass(test_class, result);
+		}
+		return last_failed;
+	}
+
+	readCache() {
+		return JSON.parse(fs.readFileSync(path.join(this.cache, 'lastfailed.json'), 'utf8'));
+	}
+
+	async test_records_failed_tests() {
+		const last_failed = await this.record(Failing, BrokenFixture);
+		await last_failed.save();
+		// Subtests under their method, class fixtures under their class:
+		this.assertDeepEqual(this.readCache(), [`${this.file}::BrokenFixture`,
+												`${this.file}::Failing::test_fails`,
+												`${this.file}::Failing::test_subtest`]);
+		this.assertDeepEqual(new LastFailed(this.cache).ids, this.readCache());
+	}
+
+	async test_keeps_earlier_failures_that_did_not_run() {
+		fs.mkdirSync(this.cache);
+		fs.writeFileSync(path.join(this.cache, 'lastfailed.json'),
+						 JSON.stringify([`${this.file}::Renamed::test_still_here`,
+										 `${this.file}::Failing::test_passes`]));
+		const last_failed = await this.record(Failing);
+		this.assertDeepEqual(last_failed.ids.length, 2);
+		await last_failed.save();
+		// test_passes ran and passed; Renamed did not run:
+		this.assertDeepEqual(this.readCache(), [`${this.file}::Failing::test_fails`,
+												`${this.file}::Failing::test_subtest`,
+												`${this.file}::Renamed::test_still_here`]);
+	}
+
+	async test_prune_drops_missing_tests() {
+		const load_classes = async (file_path) => {
+			this.assertEqual(file_path, this.file);
+			return [Renamed];
+		};
+		const ids = [`${this.file}::Renamed::test_still_here`,
+					 `${this.file}::Renamed::test_renamed`,
+					 `${this.file}::Gone`,
+					 `${this.file}::Renamed`,
+					 this.file,
+					 path.join(this.dir, 'tests', 'test_gone.mjs')];
+		this.assertDeepEqual(await new LastFailed(this.cache).prune(ids, load_classes),
+							 [`${this.file}::Renamed::test_still_here`, `${this.file}::Renamed`, this.file]);
+		// Without a loader, only missing files are dropped:
+		this.assertDeepEqual(await new LastFailed(this.cache).prune(ids), ids.slice(0, 5));
+		// Nor are ids in files that fail to import:
+		const unloadable = async () => { throw new SyntaxError('bad'); };
+		this.assertDeepEqual(await new LastFailed(this.cache).prune([`${this.file}::Gone`], unloadable),
+							 [`${this.file}::Gone`]);
+	}
+
+	test_unreadable_cache() {
+		fs.mkdirSync(this.cache);
+		const cache_file = path.join(this.cache, 'lastfailed.json');
+		fs.writeFileSync(cache_file, '{not json');
+		this.assertDeepEqual(new LastFailed(this.cache).ids, []);
+		fs.writeFileSync(cache_file, JSON.stringify({ids : []}));
+		this.assertDeepEqual(new LastFailed(this.cache).ids, []);
+		fs.writeFileSync(cache_file, JSON.stringify(['a::B::c', 7, 'a::b::c::d']));
+		this.assertDeepEqual(new LastFailed(this.cache).ids, ['a::B::c']);
+	}
+}
+
+/* ------------------ Class FailfastTests ------------ */
+
+class FailfastTests extends TestCase {
+
+	async test_stops_at_first_failure() {
+		const result = new TestResult();
+		result.failfast = true;
+		await runClass(Failing, result);
+		await runClass(Renamed, result);
+		this.assertTrue(result.shouldStop);
+		this.assertEqual(result.testsRun, 2);
+	}
+
+	test_failfast_across_files() {
+		const dir = makeTree(this, {'tests/test_a.mjs' : FIRST,
+									'tests/test_b.mjs' : SECOND});
+		const {status, stderr} = runCli(['-s', 'tests', '-f'], {cwd : dir});
+		this.assertEqual(status, 1);
+		this.assertRegex(stderr, /^\.F\n/);
+		this.assertIn('Ran 2 tests', stderr);
+	}
+}
+
+/* ------------------ Class LastFailedCliTests ------------ */
+
+class LastFailedCliTests extends TestCase {
+
+	setUp() {
+		this.dir = makeTree(this, {'tests/test_a.mjs' : FIRST,
+								   'tests/test_b.mjs' : SECOND});
+	}
+
+	runTree(...args) {
+		return runCli(['-s', 'tests', '-v', ...args], {cwd : this.dir});
+	}
+
+	/**
+	 * Returns the names of the tests that ran, in order,
+	 * as 'method (Class)'.
+	 */
+	namesRun(stderr) {
+		return [...stderr.matchAll(/^(test_\w+ \(\w+\)) \.\.\. /gm)].map(match => match[1]);
+	}
+
+	test_cache_written() {
+		this.runTree();
+		this.assertDeepEqual(JSON.parse(fs.readFileSync(path.join(this.dir, CACHE), 'utf8')),
+							 ['tests/test_a.mjs::FirstTests::test_fails',
+							  'tests/test_b.mjs::FlakyTests::test_fails']);
+	}
+
+	test_last_failed() {
+		const none = this.runTree('--last-failed');
+		this.assertIn('No failed tests recorded by the last run; running all tests', none.stderr);
+		this.assertEqual(this.namesRun(none.stderr).length, 4);
+
+		const {status, stderr} = this.runTree('--last-failed');
+		this.assertEqual(status, 1);
+		this.assertDeepEqual(this.namesRun(stderr), ['test_fails (FirstTests)', 'test_fails (FlakyTests)']);
+	}
+
+	test_failed_first() {
+		this.runTree('tests/test_b.mjs::FlakyTests');
+		const {stderr} = this.runTree('--failed-first');
+		this.assertDeepEqual(this.namesRun(stderr), ['test_fails (FlakyTests)',
+													 'test_passes (SecondTests)',
+													 'test_passes (FirstTests)',
+													 'test_fails (FirstTests)']);
+	}
+
+	test_failed_first_within_class() {
+		this.runTree();
+		const {stderr} = this.runTree('--failed-first');
+		this.assertDeepEqual(this.namesRun(stderr), ['test_fails (FirstTests)',
+													 'test_passes (FirstTests)',
+													 'test_fails (FlakyTests)',
+													 'test_passes (SecondTests)']);
+	}
+
+	test_renamed_tests_are_forgotten() {
+		this.runTree();
+		const test_a = path.join(this.dir, 'tests', 'test_a.mjs');
+		fs.writeFileSync(test_a, fs.readFileSync(test_a, 'utf8').replace('test_fails()', 'test_renamed()'));
+		const {stderr} = this.runTree('--last-failed');
+		this.assertDeepEqual(this.namesRun(stderr), ['test_fails (FlakyTests)']);
+		this.assertDeepEqual(JSON.parse(fs.readFileSync(path.join(this.dir, CACHE), 'utf8')),
+							 ['tests/test_b.mjs::FlakyTests::test_fails']);
+	}
+}
+
+export { LastFailedTests, FailfastTests, LastFailedCliTests };
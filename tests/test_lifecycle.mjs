@@ -0,0 +1,171 @@
+/**
+ * Tests of the order in which fixtures and cleanups run
+ * around tests, and of how their errors are reported.
+ */
+
+import { TestCase } from "../src/unittest.mjs";
+
+import { runClass } from "./support.mjs";
+
+/* ------------------ Fixtures ------------ */
+
+// Each records its calls in its own static log:
+
+class Lifecycle extends TestCase {
+	static log = [];
+
+	static setUpClass()    { this.log.push('setUpClass'); }
+	static tearDownClass() { this.log.push('tearDownClass'); }
+
+	setUp() {
+		Lifecycle.log.push('setUp');
+		this.addCleanup(name => Lifecycle.log.push(name), 'cleanup 1');
+		this.addCleanup(name => Lifecycle.log.push(name), 'cleanup 2');
+	}
+
+	tearDown() { Lifecycle.log.push('tearDown'); }
+
+	test_a() { Lifecycle.log.push('test_a'); }
+
+	test_b() {
+		Lifecycle.log.push('test_b');
+		this.fail('fails');
+	}
+}
+
+class FailingSetUp extends TestCase {
+	static log = [];
+
+	setUp() {
+		this.addCleanup(() => FailingSetUp.log.push('cleanup'));
+		throw new Error('setUp broke');
+	}
+
+	tearDown() { FailingSetUp.log.push('tearDown'); }
+
+	test_a() { FailingSetUp.log.push('test_a'); }
+}
+
+class FailingTearDown extends TestCase {
+	tearDown() { throw new Error('tearDown broke'); }
+
+	test_a() {}
+}
+
+class FailingCleanups extends TestCase {
+	static log = [];
+
+	test_a() {
+		this.addCleanup(() => FailingCleanups.log.push('first'));
+		this.addCleanup(() => { throw new Error('cleanup broke'); });
+	}
+}
+
+class FailingSetUpClass extends TestCase {
+	static log = [];
+
+	static setUpClass()    { throw new Error('setUpClass broke'); }
+	static tearDownClass() { this.log.push('tearDownClass'); }
+
+	test_a() { FailingSetUpClass.log.push('test_a'); }
+}
+
+class FailingTearDownClass extends TestCase {
+	static tearDownClass() { throw new Error('tearDownClass broke'); }
+
+	test_a() {}
+}
+
+class AsyncFixtures extends TestCase {
+	static log = [];
+
+	static async setUpClass() {
+		await new Promise(resolve => setTimeout(resolve, 1));
+		this.log.push('setUpClass');
+	}
+
+	async setUp() {
+		await new Promise(resolve => setTimeout(resolve, 1));
+		AsyncFixtures.log.push('setUp');
+		this.addCleanup(async () => {
+			await new Promise(resolve => setTimeout(resolve, 1));
+			AsyncFixtures.log.push('cleanup');
+		});
+	}
+
+	async tearDown() {
+		await new Promise(resolve => setTimeout(resolve, 1));
+		AsyncFixtures.log.push('tearDown');
+	}
+
+	test_a() { AsyncFixtures.log.push('test_a'); }
+}
+
+/* ------------------ Class LifecycleTests ------------ */
+
+class LifecycleTests extends TestCase {
+
+	setUp() {
+		for (const cls of [Lifecycle, FailingSetUp, FailingCleanups, FailingSetUpClass, AsyncFixtures]) {
+			cls.log = [];
+		}
+	}
+
+	async test_order() {
+		const result = await runClass(Lifecycle);
+		this.assertDeepEqual(Lifecycle.log,
+			['setUpClass',
+			 'setUp', 'test_a', 'tearDown', 'cleanup 2', 'cleanup 1',
+			 'setUp', 'test_b', 'tearDown', 'cleanup 2', 'cleanup 1',
+			 'tearDownClass']);
+		this.assertEqual(result.testsRun, 2);
+		this.assertEqual(result.failures.length, 1);
+	}
+
+	async test_failing_setUp_skips_test_but_runs_cleanups() {
+		const result = await runClass(FailingSetUp);
+		this.assertDeepEqual(FailingSetUp.log, ['cleanup']);
+		this.assertDeepEqual(result.errors.map(entry => [entry.test.id, entry.error.message]),
+							 [['FailingSetUp.test_a', 'setUp broke']]);
+	}
+
+	async test_failing_tearDown_is_an_error() {
+		const result = await runClass(FailingTearDown);
+		this.assertEqual(result.testsRun, 1);
+		this.assertEqual(result.successes.length, 0);
+		this.assertDeepEqual(result.errors.map(entry => entry.error.message), ['tearDown broke']);
+	}
+
+	async test_failing_cleanup_does_not_stop_others() {
+		const result = await runClass(FailingCleanups);
+		this.assertDeepEqual(FailingCleanups.log, ['first']);
+		this.assertDeepEqual(result.errors.map(entry => entry.error.message), ['cleanup broke']);
+	}
+
+	async test_failing_setUpClass_runs_no_tests() {
+		const result = await runClass(FailingSetUpClass);
+		this.assertDeepEqual(FailingSetUpClass.log, []);
+		this.assertEqual(result.testsRun, 0);
+		this.assertDeepEqual(result.errors.map(entry => entry.test.id), ['setUpClass (FailingSetUpClass)']);
+		this.assertFalse(result.wasSuccessful());
+	}
+
+	async test_failing_tearDownClass_is_an_error() {
+		const result = await runClass(FailingTearDownClass);
+		this.assertEqual(result.successes.length, 1);
+		this.assertDeepEqual(result.errors.map(entry => [entry.test.id, entry.error.message]),
+							 [['tearDownClass (FailingTearDownClass)', 'tearDownClass broke']]);
+	}
+
+	async test_async_fixtures_are_awaited() {
+		const result = await runClass(AsyncFixtures);
+		this.assertTrue(result.wasSuccessful());
+		this.assertDeepEqual(AsyncFixtures.log, ['setUpClass', 'setUp', 'test_a', 'tearDown', 'cleanup']);
+	}
+
+	test_addCleanup_takes_functions() {
+		this.assertRaisesRegex(TypeError, /Cleanup must be a function/, () => this.addCleanup('rm -rf'));
+	}
+}
+
+export { LifecycleTests };
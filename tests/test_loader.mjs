@@ -0,0 +1,362 @@
+/**
+ * Tests of composing runs: TestSuites and TestMethods, how
+ * suites group tests under their class fixtures, and
+ * TestLoader's loading of classes, modules, names, and
+ * discovered files, including modules that fail to import,
+ * define load_tests(), or hold classes that run themselves.
+ */
+
+import path from "path";
+
+import { TestCase, Unittest, TestSuite, TestMethod, TestLoader, TextTestRunner } from "../src/unittest.mjs";
+import { TestResult } from "../src/result.mjs";
+import { FailedTest } from "../src/loader.mjs";
+
+import { StringStream, recordEvents, makeTree } from "./support.mjs";
+
+// Each test module below notes its runs in the list
+// that the tests set up as globalThis.loaderRuns:
+const ALPHA = `
+import { TestCase } from 'UNITTEST';
+export class AlphaTests extends TestCase {
+	test_one() { globalThis.loaderRuns.push('AlphaTests.test_one'); }
+	test_two() { globalThis.loaderRuns.push('AlphaTests.test_two'); }
+}
+export class SelfRunningTests extends TestCase {
+	constructor() {
+		super();
+		super.run_tests(this);
+	}
+	test_self() { globalThis.loaderRuns.push('SelfRunningTests.test_self'); }
+}
+new SelfRunningTests();
+export const notATest = 1;
+`;
+
+const BETA = `
+import { TestCase } from 'UNITTEST';
+export { AlphaTests } from './test_alpha.mjs';
+export class BetaTests extends TestCase {
+	test_beta() { globalThis.loaderRuns.push('BetaTests.test_beta'); }
+}
+`;
+
+const CUSTOM = `
+import { TestCase, TestSuite } from 'UNITTEST';
+export class CustomTests extends TestCase {
+	test_kept()    { globalThis.loaderRuns.push('CustomTests.test_kept'); }
+	test_dropped() { globalThis.loaderRuns.push('CustomTests.test_dropped'); }
+}
+export function load_tests(loader, tests, pattern) {
+	globalThis.loaderRuns.push(\`load_tests \${tests.countTestCases()} \${pattern}\`);
+	return new TestSuite([...tests].flatMap(suite => [...suite]).filter(test => test.methodName != 'test_dropped'));
+}
+`;
+
+const BROKEN = `
+export class {
+`;
+
+/* ------------------ Fixtures ------------ */
+
+class Fixtured extends TestCase {
+	static log = [];
+	static setUpClass()    { Fixtured.log.push('setUpClass'); }
+	static tearDownClass() { Fixtured.log.push('tearDownClass'); }
+
+	test_b() { Fixtured.log.push('test_b'); }
+	test_a() { Fixtured.log.push('test_a'); }
+	test_fails() { Fixtured.log.push('test_fails'); this.fail('on purpose'); }
+	helper() {}
+}
+
+class Other extends TestCase {
+	test_other() { Fixtured.log.push('test_other'); }
+}
+
+class SelfRunning extends TestCase {
+	constructor() {
+		super();
+		this.done = super.run_tests(this);
+	}
+	test_self() { Fixtured.log.push('test_self'); }
+}
+
+class NotATestCase {
+	test_x() {}
+}
+
+/* ------------------ Class TestSuiteTests ------------ */
+
+class TestSuiteTests extends TestCase {
+
+	setUp() {
+		Fixtured.log = [];
+	}
+
+	suiteOf(...tests) {
+		return new TestSuite(tests.map(([test_class, method_name]) => new TestMethod(test_class, method_name)));
+	}
+
+	test_countTestCases() {
+		const inner = this.suiteOf([Fixtured, 'test_a'], [Fixtured, 'test_b']);
+		const suite = new TestSuite([inner, new TestSuite([new TestSuite()]), new TestMethod(Other, 'test_other')]);
+		this.assertEqual(suite.countTestCases(), 3);
+		this.assertEqual(new TestSuite().countTestCases(), 0);
+		// Iteration does not descend into suites:
+		this.assertDeepEqual([...suite].map(test => test.constructor.name), ['TestSuite', 'TestSuite', 'TestMethod']);
+	}
+
+	test_addTest_rejects_non_tests() {
+		const suite = new TestSuite();
+		this.assertRaisesRegex(TypeError, /loadTestsFromTestCase\(\), not the class itself/,
+							   () => suite.addTest(Fixtured));
+		this.assertRaisesRegex(TypeError, /not 'null'/, () => suite.addTest(null));
+		this.assertRaisesRegex(TypeError, /not '\[object Object\]'/, () => suite.addTest({run() {}}));
+		this.assertRaisesRegex(TypeError, /takes an iterable of tests, not 'test_a'/,
+							   () => suite.addTests('test_a'));
+		this.assertEqual(suite.countTestCases(), 0);
+	}
+
+	test_TestMethod() {
+		this.assertRaisesRegex(TypeError, /Fixtured has no test method 'helper'/,
+							   () => new TestMethod(Fixtured, 'helper'));
+		this.assertRaisesRegex(TypeError, /methods of TestCase subclasses, not of 'NotATestCase'/,
+							   () => new TestMethod(NotATestCase, 'test_x'));
+		this.assertEqual(new TestMethod(Fixtured, 'test_a').id, 'Fixtured.test_a');
+		const file = path.join(process.cwd(), 'tests', 'test_f.mjs');
+		this.assertEqual(String(new TestMethod(Fixtured, 'test_a', file)),
+						 `${path.join('tests', 'test_f.mjs')}::Fixtured::test_a`);
+		this.assertEqual(String(this.suiteOf([Fixtured, 'test_a'], [Other, 'test_other'])),
+						 'TestSuite(Fixtured.test_a, Other.test_other)');
+	}
+
+	async test_TestMethod_runs_alone() {
+		const result = await new TestMethod(Fixtured, 'test_a').run();
+		this.assertEqual(result.testsRun, 1);
+		this.assertDeepEqual(Fixtured.log, ['setUpClass', 'test_a', 'tearDownClass']);
+	}
+
+	async test_class_fixtures_shared() {
+		const result = new TestResult();
+		const events = recordEvents(result);
+		await new TestSuite([this.suiteOf([Fixtured, 'test_b']),
+							 this.suiteOf([Fixtured, 'test_a'], [Other, 'test_other'], [Fixtured, 'test_fails'])])
+			.run(result);
+		// Neighbouring tests of a class run together, in the
+		// order the class defines them, even across suites:
+		this.assertDeepEqual(Fixtured.log, ['setUpClass', 'test_b', 'test_a', 'tearDownClass',
+											'test_other',
+											'setUpClass', 'test_fails', 'tearDownClass']);
+		this.assertEqual(result.testsRun, 4);
+		this.assertDeepEqual(events.filter(([name]) => name == 'testFail'), [['testFail', 'Fixtured.test_fails']]);
+	}
+
+	async test_duplicates_run_again() {
+		const result = await this.suiteOf([Fixtured, 'test_a'], [Fixtured, 'test_b'], [Fixtured, 'test_a']).run();
+		this.assertEqual(result.testsRun, 3);
+		this.assertDeepEqual(Fixtured.log, ['setUpClass', 'test_b', 'test_a', 'tearDownClass',
+											'setUpClass', 'test_a', 'tearDownClass']);
+	}
+
+	async test_failfast() {
+		const result = new TestResult();
+		result.failfast = true;
+		await this.suiteOf([Fixtured, 'test_fails'], [Other, 'test_other']).run(result);
+		this.assertEqual(result.testsRun, 1);
+		this.assertNotIn('test_other', Fixtured.log);
+	}
+
+	async test_other_runnable_tests() {
+		const ran   = [];
+		const suite = new TestSuite([{run            : async result => ran.push(result),
+									  countTestCases : () => 2},
+									 new TestMethod(Other, 'test_other')]);
+		this.assertEqual(suite.countTestCases(), 3);
+		const result = await suite.run();
+		this.assertDeepEqual(ran, [result]);
+		this.assertEqual(result.testsRun, 1);
+	}
+
+	async test_files_announced() {
+		const result = new TestResult();
+		const files  = [];
+		result.addReporter({fileStart : ({file}) => files.push(file)});
+		const file_a = path.join(process.cwd(), 'test_a.mjs');
+		const file_b = path.join(process.cwd(), 'test_b.mjs');
+		await new TestSuite([new TestMethod(Fixtured, 'test_a', file_a),
+							 new TestMethod(Fixtured, 'test_b', file_a),
+							 new TestMethod(Fixtured, 'test_a', file_b)]).run(result);
+		this.assertDeepEqual(files, ['test_a.mjs', 'test_b.mjs']);
+		this.assertDeepEqual(result.successes.map(test => test.id),
+							 ['test_a.mjs::Fixtured::test_b', 'test_a.mjs::Fixtured::test_a',
+							  'test_b.mjs::Fixtured::test_a']);
+		// Tests of one class from different files do not share fixtures:
+		this.assertEqual(Fixtured.log.filter(entry => entry == 'setUpClass').length, 2);
+	}
+
+	async test_tests_without_file_follow_file() {
+		const result = new TestResult();
+		const files  = [];
+		result.addReporter({fileStart : ({file}) => files.push(file)});
+		const file_a = path.join(process.cwd(), 'test_a.mjs');
+		await new TestSuite([new TestMethod(Fixtured, 'test_a', file_a),
+							 new TestMethod(Other, 'test_other'),
+							 new TestMethod(Fixtured, 'test_b', file_a)]).run(result);
+		this.assertDeepEqual(files, ['test_a.mjs', null, 'test_a.mjs']);
+		this.assertDeepEqual(result.successes.map(test => test.id),
+							 ['test_a.mjs::Fixtured::test_a', 'Other.test_other', 'test_a.mjs::Fixtured::test_b']);
+	}
+
+	async test_constructor_driven_classes() {
+		// Instantiating still runs the tests:
+		const inst = new SelfRunning();
+		this.assertEqual((await inst.done).testsRun, 1);
+		this.assertDeepEqual(Fixtured.log, ['test_self']);
+		// Unless a runner does:
+		Unittest.instantiate(SelfRunning);
+		const result = await new TestLoader().loadTestsFromTestCase(SelfRunning).run();
+		this.assertEqual(result.testsRun, 1);
+		this.assertDeepEqual(Fixtured.log, ['test_self', 'test_self']);
+	}
+
+	async test_TextTestRunner_runs_suite() {
+		const stream = new StringStream();
+		const suite  = this.suiteOf([Fixtured, 'test_a'], [Fixtured, 'test_fails'], [Other, 'test_other']);
+		const result = await new TextTestRunner({stream : stream, verbosity : 2, color : false}).run(suite);
+		this.assertEqual(result.testsRun, 3);
+		this.assertRegex(stream.text, /^test_a \(Fixtured\) \.\.\. ok \(\d+\.\d{3}s\)\n/);
+		this.assertIn('\nFAIL: Fixtured.test_fails\n', stream.text);
+		this.assertRegex(stream.text, /\nRan 3 tests in \d+\.\d{3}s\n\nFAILED \(failures=1\)\n$/);
+	}
+}
+
+/* ------------------ Class TestLoaderTests ------------ */
+
+class TestLoaderTests extends TestCase {
+
+	setUp() {
+		Fixtured.log = [];
+		globalThis.loaderRuns = [];
+		this.addCleanup(() => delete globalThis.loaderRuns);
+		this.loader = new TestLoader();
+	}
+
+	/**
+	 * Write the test modules into tests/ of a new directory,
+	 * and return the path of that directory.
+	 */
+	writeTests(files) {
+		return makeTree(this, Object.fromEntries(Object.entries(files).map(
+			([name, contents]) => [`tests/${name}`, contents])));
+	}
+
+	idsOf(suite) {
+		return [...suite._flatten()].map(test => String(test));
+	}
+
+	test_loadTestsFromTestCase() {
+		const suite = this.loader.loadTestsFromTestCase(Fixtured);
+		this.assertDeepEqual(this.idsOf(suite), ['Fixtured.test_b', 'Fixtured.test_a', 'Fixtured.test_fails']);
+		this.assertRaisesRegex(TypeError, /from TestCase subclasses, not from 'NotATestCase'/,
+							   () => this.loader.loadTestsFromTestCase(NotATestCase));
+	}
+
+	test_loadTestsFromModule() {
+		const module = {Other : Other, Fixtured : Fixtured, NotATestCase : NotATestCase, version : 2};
+		const suite  = this.loader.loadTestsFromModule(module);
+		this.assertEqual(suite.countTestCases(), 4);
+		this.assertDeepEqual([...suite].map(class_suite => class_suite.countTestCases()), [1, 3]);
+
+		const custom = {Other     : Other,
+						load_tests : (loader, tests, pattern) => {
+							this.assertIs(loader, this.loader);
+							this.assertEqual(pattern, 'test_*.mjs');
+							return new TestSuite([tests, loader.loadTestsFromTestCase(Fixtured)]);
+						}};
+		this.assertEqual(this.loader.loadTestsFromModule(custom, {pattern : 'test_*.mjs'}).countTestCases(), 4);
+	}
+
+	async test_loadTestsFromName_in_module() {
+		const module = {Fixtured : Fixtured, Other : Other};
+		this.assertEqual((await this.loader.loadTestsFromName('Fixtured', module)).countTestCases(), 3);
+		this.assertDeepEqual(this.idsOf(await this.loader.loadTestsFromName('Fixtured.test_a', module)),
+							 ['Fixtured.test_a']);
+		await this.assertRejectsRegex(TypeError, /No exported TestCase subclass named 'Missing'/,
+									  () => this.loader.loadTestsFromName('Missing', module));
+		await this.assertRejectsRegex(TypeError, /Fixtured has no test method 'helper'/,
+									  () => this.loader.loadTestsFromName('Fixtured.helper', module));
+		const both = await this.loader.loadTestsFromNames(['Other', 'Fixtured.test_b'], module);
+		this.assertDeepEqual(this.idsOf(both), ['Other.test_other', 'Fixtured.test_b']);
+	}
+
+	async test_loadTestsFromName_by_id() {
+		const dir  = this.writeTests({'test_alpha.mjs' : ALPHA});
+		const file = path.relative(process.cwd(), path.join(dir, 'tests', 'test_alpha.mjs'));
+		this.assertDeepEqual(this.idsOf(await this.loader.loadTestsFromName(file)),
+							 [`${file}::AlphaTests::test_one`,
+							  `${file}::AlphaTests::test_two`,
+							  `${file}::SelfRunningTests::test_self`]);
+		this.assertDeepEqual(this.idsOf(await this.loader.loadTestsFromName(`${file}::AlphaTests`)),
+							 [`${file}::AlphaTests::test_one`, `${file}::AlphaTests::test_two`]);
+		const one = await this.loader.loadTestsFromName(`${file}::AlphaTests::test_two`);
+		await one.run();
+		this.assertDeepEqual(globalThis.loaderRuns, ['AlphaTests.test_two']);
+		await this.assertRejectsRegex(TypeError, /Test ids start with the path of a module, unlike '::AlphaTests'/,
+									  () => this.loader.loadTestsFromName('::AlphaTests'));
+	}
+
+	async test_imports_do_not_run_tests() {
+		const dir   = this.writeTests({'test_alpha.mjs' : ALPHA});
+		const suite = await this.loader.discover(path.join(dir, 'tests'));
+		// Neither the module's own instance nor loading ran SelfRunningTests:
+		this.assertDeepEqual(globalThis.loaderRuns, []);
+		this.assertEqual(suite.countTestCases(), 3);
+		await suite.run();
+		this.assertDeepEqual(globalThis.loaderRuns, ['AlphaTests.test_one', 'AlphaTests.test_two',
+													 'SelfRunningTests.test_self']);
+	}
+
+	async test_discover() {
+		const dir   = this.writeTests({'test_alpha.mjs'  : ALPHA,
+									   'test_beta.mjs'   : BETA,
+									   'test_custom.mjs' : CUSTOM,
+									   'helpers.mjs'     : BETA});
+		const suite = await this.loader.discover(path.join(dir, 'tests'));
+		// One suite per module; the class re-exported by
+		// test_beta.mjs is only loaded from test_alpha.mjs:
+		this.assertDeepEqual([...suite].map(module_suite => module_suite.countTestCases()), [3, 1, 1]);
+		this.assertDeepEqual(globalThis.loaderRuns, ['load_tests 2 test_*.mjs']);
+		const result = await suite.run();
+		this.assertEqual(result.testsRun, 5);
+		this.assertDeepEqual(globalThis.loaderRuns.slice(1), ['AlphaTests.test_one', 'AlphaTests.test_two',
+															  'SelfRunningTests.test_self', 'BetaTests.test_beta',
+															  'CustomTests.test_kept']);
+		this.assertDeepEqual(this.loader.errors, []);
+	}
+
+	async test_modules_that_fail_to_import() {
+		const dir    = this.writeTests({'test_alpha.mjs' : ALPHA, 'test_broken.mjs' : BROKEN});
+		const broken = path.relative(process.cwd(), path.join(dir, 'tests', 'test_broken.mjs'));
+		const suite  = await this.loader.discover(path.join(dir, 'tests'));
+		this.assertEqual(this.loader.errors.length, 1);
+		this.assertIsInstance(this.loader.errors[0], SyntaxError);
+		this.assertEqual(suite.countTestCases(), 4);
+		this.assertIsInstance([...suite].at(-1), FailedTest);
+
+		const result = await suite.run();
+		// The import error counts as a test run:
+		this.assertEqual(result.testsRun, 4);
+		const [{test, error}] = result.errors;
+		this.assertEqual(test.id, `import (${broken})`);
+		this.assertEqual(test.file, broken);
+		this.assertIs(error, this.loader.errors[0]);
+
+		const by_name = await this.loader.loadTestsFromName(`${broken}::AnyTests`);
+		this.assertIsInstance([...by_name][0], FailedTest);
+		this.assertEqual(String(by_name), `TestSuite(import (${broken}))`);
+		this.assertEqual(this.loader.errors.length, 2);
+	}
+}
+
+export { TestSuiteTests, TestLoaderTests };
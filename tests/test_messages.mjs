@@ -0,0 +1,95 @@
+/**
+ * Tests of the messages that callers pass to assertions,
+ * of longMessage, and of failureException.
+ */
+
+import { TestCase, Unittest } from "../src/unittest.mjs";
+
+import { runClass } from "./support.mjs";
+
+/* ------------------ Fixtures ------------ */
+
+class ShortMessages extends TestCase {
+	static longMessage = false;
+}
+
+class CheckFailed extends Error {}
+
+class OwnFailures extends TestCase {
+	static failureException = CheckFailed;
+
+	test_assertion()   { this.assertEqual(1, 2); }
+	test_own_failure() { throw new CheckFailed('by hand'); }
+	test_plain_error() { throw new Error('unexpected'); }
+}
+
+/* ------------------ Class MessageTests ------------ */
+
+class MessageTests extends TestCase {
+
+	/**
+	 * Returns the message of the failure that fn throws.
+	 */
+	failureOf(fn, failure_exc=TestCase.failureException) {
+		return this.assertRaises(failure_exc, fn).message;
+	}
+
+	test_appended_to_standard_message() {
+		this.assertEqual(this.failureOf(() => this.assertTrue(false, 'flag unset')),
+						 'false is False instead of True : flag unset');
+		this.assertEqual(this.failureOf(() => this.assertIn(3, [1], 'no 3')), '3 not found in [ 1 ] : no 3');
+		this.assertEqual(this.failureOf(() => this.assertIsNull(1, 'cleared')), '1 is not null : cleared');
+	}
+
+	test_message_in_place_of_options() {
+		this.assertEqual(this.failureOf(() => this.assertEqual(1, 2, 'counts')), '1 !== 2 : counts');
+		this.assertEqual(this.failureOf(() => this.assertNotEqual(1, 1, 'ids')), '1 === 1 : ids');
+		// The message follows the diff, as in Python:
+		const deep_msg = this.failureOf(() => this.assertDeepEqual({a : 1}, {a : 2}, 'config'));
+		this.assertTrue(deep_msg.startsWith('obj.a has 1 vs 2\n\n--- first\n'));
+		this.assertTrue(deep_msg.endsWith('\n } : config'));
+		this.assertEqual(this.failureOf(() => this.assertAlmostEqual(1, 2, 'ratio')),
+						 '1 != 2 within 7 places (1 difference) : ratio');
+	}
+
+	test_wrapped_message_for_variable_arguments() {
+		const parse = (text) => JSON.parse(text);
+		this.assertEqual(this.failureOf(() => this.assertRaises(SyntaxError, parse, '1', Unittest.msg('lenient'))),
+						 'Expected SyntaxError to be thrown, but nothing was thrown : lenient');
+		// A plain string is passed on to the function:
+		this.assertRaises(SyntaxError, parse, '{');
+		this.assertEqual(this.failureOf(() => this.assertDoesNotThrow(parse, '{', Unittest.msg('config'))),
+						 this.failureOf(() => this.assertDoesNotThrow(parse, '{')) + ' : config');
+	}
+
+	test_longMessage_off_for_instance() {
+		this.longMessage = false;
+		this.assertEqual(this.failureOf(() => this.assertEqual(1, 2, 'counts differ')), 'counts differ');
+		// Without a msg, the standard message stays:
+		this.assertEqual(this.failureOf(() => this.assertEqual(1, 2)), '1 !== 2');
+	}
+
+	test_longMessage_off_for_class() {
+		const short = new ShortMessages();
+		this.assertEqual(this.failureOf(() => short.assertIn(3, [1], 'no 3')), 'no 3');
+		short.longMessage = true;
+		this.assertEqual(this.failureOf(() => short.assertIn(3, [1], 'no 3')), '3 not found in [ 1 ] : no 3');
+	}
+
+	test_compared_values_on_failure() {
+		const err = this.assertRaises(TestCase.failureException, () => this.assertEqual('a', 'b'));
+		this.assertEqual(err.actual, 'a');
+		this.assertEqual(err.expected, 'b');
+	}
+
+	async test_failureException() {
+		const own = new OwnFailures();
+		this.assertEqual(this.failureOf(() => own.assertEqual(1, 2, 'mine'), CheckFailed), '1 !== 2 : mine');
+		const result = await runClass(OwnFailures);
+		this.assertDeepEqual(result.failures.map(entry => entry.test.methodName),
+							 ['test_assertion', 'test_own_failure']);
+		this.assertDeepEqual(result.errors.map(entry => entry.test.methodName), ['test_plain_error']);
+	}
+}
+
+export { MessageTests };
@@ -0,0 +1,188 @@
+/**
+ * Tests of Mock, Patch, and of patching within tests.
+ */
+
+import { TestCase, Mock, Patch } from "../src/unittest.mjs";
+
+import { runClass } from "./support.mjs";
+
+const Failure = TestCase.failureException;
+
+const server = {
+	send(msg) { return `sent ${msg}`; },
+};
+
+class Greeter {
+	greet(name) { return `Hello ${name}`; }
+}
+
+/* ------------------ Fixtures ------------ */
+
+class Patching extends TestCase {
+	static seen = [];
+
+	setUp() {
+		this.send = this.patch(server, 'send');
+	}
+
+	test_patched() {
+		server.send('x');
+		Patching.seen.push(server.send === this.send, this.send.callCount);
+	}
+
+	test_fails_while_patched() {
+		this.patchDict(process.env, {UNITTEST_PATCHED : '1'});
+		this.fail('patched state must still be undone');
+	}
+}
+
+/* ------------------ Class MockTests ------------ */
+
+class MockTests extends TestCase {
+
+	test_records_calls() {
+		const mock = new Mock({returnValue : 7, name : 'lookup'});
+		this.assertFalse(mock.called);
+		this.assertIsNull(mock.callArgs);
+		this.assertEqual(mock('a', 1), 7);
+		mock({deep : [1]});
+		this.assertEqual(mock.callCount, 2);
+		this.assertDeepEqual(mock.callArgsList, [['a', 1], [{deep : [1]}]]);
+		this.assertDeepEqual(mock.callArgs, [{deep : [1]}]);
+		this.assertEqual(mock.name, 'lookup');
+		this.assertIsInstance(mock, Mock);
+		this.assertEqual(typeof(mock), 'function');
+	}
+
+	test_side_effects() {
+		const fn_mock = new Mock({sideEffect : (a, b) => a + b});
+		this.assertEqual(fn_mock(2, 3), 5);
+
+		const throwing = new Mock({sideEffect : RangeError});
+		this.assertRaises(RangeError, throwing);
+		this.assertEqual(throwing.callCount, 1);
+
+		const sequence = new Mock({sideEffect : ['first', new TypeError('second'), 'third'], name : 'next'});
+		this.assertEqual(sequence(), 'first');
+		this.assertRaisesRegex(TypeError, /second/, sequence);
+		this.assertEqual(sequence(), 'third');
+		this.assertRaisesRegex(Error, /Side effect values of 'next' are exhausted/, sequence);
+
+		sequence.sideEffect = null;
+		sequence.returnValue = 'plain';
+		this.assertEqual(sequence(), 'plain');
+	}
+
+	test_side_effect_sees_this() {
+		const obj  = {factor : 3};
+		obj.scale  = new Mock({sideEffect : function(x) { return this.factor * x; }});
+		this.assertEqual(obj.scale(2), 6);
+	}
+
+	test_resetMock() {
+		const mock = new Mock({returnValue : 1});
+		mock();
+		mock.resetMock();
+		this.assertEqual(mock.callCount, 0);
+		this.assertEqual(mock(), 1);
+	}
+
+	test_call_assertions() {
+		const send = new Mock({name : 'send'});
+		send.assertNotCalled();
+		this.assertEqual(this.assertRaises(Failure, () => send.assertCalled()).message,
+						 "Expected 'send' to have been called");
+		this.assertEqual(this.assertRaises(Failure, () => send.assertCalledWith(1)).message,
+						 'Expected call: send(1)\nNot called');
+		send({req : 'login'});
+		send.assertCalled();
+		send.assertCalledOnceWith({req : 'login'});
+		send('bye');
+		send.assertAnyCall({req : 'login'});
+		this.assertEqual(this.assertRaises(Failure, () => send.assertCalledOnce()).message,
+						 "Expected 'send' to have been called once. " +
+						 "Called 2 times: send({ req: 'login' }), send('bye').");
+		this.assertEqual(this.assertRaises(Failure, () => send.assertCalledWith('hi')).message,
+						 "Expected call: send('hi')\nActual call: send('bye')");
+		this.assertEqual(this.assertRaises(Failure, () => send.assertAnyCall(3)).message,
+						 "send(3) call not found. Called 2 times: send({ req: 'login' }), send('bye').");
+		this.assertRaisesRegex(Failure, /not to have been called/, () => send.assertNotCalled());
+	}
+}
+
+/* ------------------ Class PatchTests ------------ */
+
+class PatchTests extends TestCase {
+
+	tearDown() {
+		Patch.stopAll();
+	}
+
+	test_object_patch() {
+		const patcher = Patch.object(server, 'send');
+		this.assertIsInstance(server.send, Mock);
+		server.send('x');
+		patcher.replacement.assertCalledOnceWith('x');
+		patcher.stop();
+		this.assertEqual(server.send('x'), 'sent x');
+		// Stopping again does no harm:
+		patcher.stop();
+		this.assertEqual(server.send('x'), 'sent x');
+	}
+
+	test_inherited_method() {
+		const greeter = new Greeter();
+		const patcher = Patch.object(greeter, 'greet', () => 'Hi');
+		this.assertEqual(greeter.greet('Ann'), 'Hi');
+		this.assertDeepEqual(Object.keys(greeter), []);
+		patcher.stop();
+		this.assertFalse(Object.hasOwn(greeter, 'greet'));
+		this.assertEqual(greeter.greet('Ann'), 'Hello Ann');
+	}
+
+	test_missing_attribute() {
+		this.assertRaisesRegex(TypeError, /has no attribute 'sned'/, () => Patch.object(server, 'sned'));
+		const patcher = Patch.object(server, 'extra', 1, {create : true});
+		this.assertEqual(server.extra, 1);
+		patcher.stop();
+		this.assertFalse('extra' in server);
+	}
+
+	test_read_only_attribute() {
+		const frozen = Object.freeze({value : 1});
+		this.assertRaisesRegex(TypeError, /Cannot patch read-only attribute 'value'/,
+							   () => Patch.object(frozen, 'value', 2));
+	}
+
+	test_dict_patch() {
+		const config = {a : 1, b : 2};
+		const patcher = Patch.dict(config, {b : 3, c : 4});
+		this.assertDeepEqual(config, {a : 1, b : 3, c : 4});
+		patcher.stop();
+		this.assertDeepEqual(config, {a : 1, b : 2});
+		Patch.dict(config, {z : 0}, {clear : true});
+		this.assertDeepEqual(config, {z : 0});
+		Patch.stopAll();
+		this.assertDeepEqual(config, {a : 1, b : 2});
+	}
+
+	test_stopAll_undoes_in_reverse() {
+		const original = server.send;
+		Patch.object(server, 'send', 'first');
+		Patch.object(server, 'send', 'second');
+		Patch.stopAll();
+		this.assertIs(server.send, original);
+	}
+
+	async test_patches_end_with_the_test() {
+		Patching.seen = [];
+		const original = server.send;
+		const result   = await runClass(Patching);
+		this.assertDeepEqual(Patching.seen, [true, 1]);
+		this.assertEqual(result.failures.length, 1);
+		this.assertIs(server.send, original);
+		this.assertNotIn('UNITTEST_PATCHED', process.env);
+	}
+}
+
+export { MockTests, PatchTests };
@@ -0,0 +1,283 @@
+/**
+ * Tests of ParallelRunner: outcomes of files run in worker
+ * threads, replayed in file order as in a serial run; crashes
+ * and timeouts reported against the file or test that was
+ * running; and the --jobs and --file-timeout options.
+ */
+
+import path from "path";
+
+import { TestCase, TestTimeoutError } from "../src/unittest.mjs";
+import { TestResult } from "../src/result.mjs";
+import { ParallelRunner, RemoteTestResult } from "../src/parallel.mjs";
+import { runTestFile } from "../src/cli.mjs";
+
+import { recordEvents, makeTree, runCli } from "./support.mjs";
+
+const SLOW = `
+import { TestCase } from 'UNITTEST';
+export class SlowTests extends TestCase {
+	async test_slow() {
+		await new Promise(resolve => setTimeout(resolve, 200));
+		console.log('slow done');
+	}
+	test_fails() { this.assertDeepEqual({a : [1]}, {a : [2]}); }
+}
+`;
+
+const FAST = `
+import { TestCase } from 'UNITTEST';
+export class FastTests extends TestCase {
+	test_fast() { console.log('fast done'); }
+	test_errs() { throw new RangeError('out of range'); }
+	test_skips() { this.skipTest('not today'); }
+}
+`;
+
+const EXITS = `
+import { TestCase } from 'UNITTEST';
+export class ExitingTests extends TestCase {
+	test_before() {}
+	test_exits() { process.exit(3); }
+	test_after() {}
+}
+`;
+
+const HANGS = `
+import { TestCase } from 'UNITTEST';
+export class HangingTests extends TestCase {
+	test_before() {}
+	test_hangs() { while (true) {} }
+}
+`;
+
+const CRASHES_IN_FIXTURE = `
+import { TestCase } from 'UNITTEST';
+export class FixtureCrashTests extends TestCase {
+	static async setUpClass() {
+		setTimeout(() => { throw new Error('crashed outside any test'); }, 0);
+		await new Promise(resolve => setTimeout(resolve, 1000));
+	}
+	test_never() {}
+}
+`;
+
+const HANGS_ON_IMPORT = `
+while (true) {}
+`;
+
+/* ------------------ Class ParallelRunnerTests ------------ */
+
+class ParallelRunnerTests extends TestCase {
+
+	setUp() {
+		// What the tests print, replayed in this process:
+		this.printed = [];
+		this.patch(process.stdout, 'write', chunk => {
+			this.printed.push(chunk);
+			return true;
+		});
+	}
+
+	/**
+	 * Write the given test files, and return their
+	 * absolute paths, in order.
+	 */
+	writeFiles(files) {
+		const dir = makeTree(this, files);
+		return Object.keys(files).map(rel_path => path.join(dir, rel_path));
+	}
+
+	/**
+	 * Returns a summary of the outcomes in result that
+	 * does not depend on timing.
+	 */
+	outcomes(result) {
+		return {run      : result.testsRun,
+				passed   : result.successes.map(test => test.id),
+				failures : result.failures.map(({test, error}) => [test.id, error.message]),
+				errors   : result.errors.map(({test, error}) => [test.id, error.message]),
+				skipped  : result.skipped.map(({test, reason}) => [test.id, reason])};
+	}
+
+	async test_same_outcomes_as_serial_run() {
+		const test_files = this.writeFiles({'tests/test_slow.mjs' : SLOW,
+											'tests/test_fast.mjs' : FAST});
+		const serial        = new TestResult();
+		const serial_events = recordEvents(serial);
+		for (const file_path of test_files) {
+			await runTestFile(file_path, serial, {});
+		}
+		const serial_printed  = this.printed.splice(0);
+		const parallel        = new TestResult();
+		const parallel_events = recordEvents(parallel);
+		await new ParallelRunner({jobs : 2}).run(test_files, parallel);
+
+		this.assertDeepEqual(this.outcomes(parallel), this.outcomes(serial));
+		// Though the fast file finishes first, its events
+		// and output follow those of the slow one:
+		this.assertDeepEqual(parallel_events, serial_events);
+		this.assertDeepEqual(this.printed, serial_printed);
+		this.assertDeepEqual(this.printed, ['slow done\n', 'fast done\n']);
+		this.assertEqual(parallel.testsRun, 5);
+	}
+
+	async test_failed_comparisons_keep_their_values() {
+		const test_files = this.writeFiles({'tests/test_slow.mjs' : SLOW});
+		const result = new TestResult();
+		await new ParallelRunner().run(test_files, result);
+		const [{error, traceback}] = result.failures;
+		this.assertIsInstance(error, Error);
+		this.assertDeepEqual(error.actual, {a : [1]});
+		this.assertDeepEqual(error.expected, {a : [2]});
+		this.assertIn('AssertionError', traceback);
+	}
+
+	async test_exit_is_attributed_to_running_test() {
+		const test_files = this.writeFiles({'tests/test_exits.mjs' : EXITS,
+											'tests/test_fast.mjs'  : FAST});
+		const result = new TestResult();
+		await new ParallelRunner({jobs : 2}).run(test_files, result);
+		const [exited, other] = result.errors;
+		this.assertTrue(exited.test.id.endsWith('test_exits.mjs::ExitingTests::test_exits'));
+		this.assertRegex(exited.error.message, /^Worker running .*test_exits\.mjs exited with code 3$/);
+		// The rest of the crashed file does not run; other files do:
+		this.assertTrue(other.test.id.endsWith('test_fast.mjs::FastTests::test_errs'));
+		this.assertDeepEqual(result.successes.map(test => test.methodName), ['test_before', 'test_fast']);
+	}
+
+	async test_timeout_is_attributed_to_running_test() {
+		const test_files = this.writeFiles({'tests/test_hangs.mjs' : HANGS,
+											'tests/test_fast.mjs'  : FAST});
+		const result = new TestResult();
+		const events = recordEvents(result);
+		await new ParallelRunner({jobs : 2, file_timeout : 500}).run(test_files, result);
+		const [timed_out] = result.errors;
+		this.assertTrue(timed_out.test.id.endsWith('test_hangs.mjs::HangingTests::test_hangs'));
+		this.assertIsInstance(timed_out.error, TestTimeoutError);
+		this.assertRegex(timed_out.error.message, /test_hangs\.mjs did not finish within 0\.5s$/);
+		this.assertEqual(result.errors.length, 2);
+		// The test that timed out still ends before the next file:
+		const hang_fail  = events.findIndex(([name, id]) => name == 'testFail' && id.endsWith('test_hangs'));
+		const fast_start = events.findIndex(([name, id]) => name == 'testStart' && id.endsWith('test_fast'));
+		this.assertLess(hang_fail, fast_start);
+	}
+
+	async test_timeout_outside_any_test() {
+		const test_files = this.writeFiles({'tests/test_import.mjs' : HANGS_ON_IMPORT});
+		const result = new TestResult();
+		await new ParallelRunner({file_timeout : 300}).run(test_files, result);
+		const [{test, error}] = result.errors;
+		const rel_path = path.relative(process.cwd(), test_files[0]);
+		this.assertEqual(test.id, `worker (${rel_path})`);
+		this.assertEqual(test.className, rel_path);
+		this.assertIsInstance(error, TestTimeoutError);
+		this.assertEqual(result.testsRun, 0);
+	}
+
+	async test_crash_in_class_fixture() {
+		const test_files = this.writeFiles({'tests/test_fixture.mjs' : CRASHES_IN_FIXTURE});
+		const result = new TestResult();
+		const classes = [];
+		result.addReporter({classStart : ({className}) => classes.push(['start', className]),
+							classEnd   : ({className}) => classes.push(['end', className])});
+		await new ParallelRunner().run(test_files, result);
+		const [{test, error}] = result.errors;
+		this.assertEqual(test.className, 'FixtureCrashTests');
+		this.assertEqual(test.methodName, 'worker');
+		this.assertEqual(error.message, 'crashed outside any test');
+		// The class is closed for reporters:
+		this.assertDeepEqual(classes, [['start', 'FixtureCrashTests'], ['end', 'FixtureCrashTests']]);
+	}
+
+	async test_failfast_abandons_later_files() {
+		const test_files = this.writeFiles({'tests/test_fast.mjs' : FAST,
+											'tests/test_slow.mjs' : SLOW});
+		const result = new TestResult();
+		result.failfast = true;
+		await new ParallelRunner({jobs : 2}).run(test_files, result);
+		this.assertEqual(result.errors.length, 1);
+		this.assertEqual(result.failures.length, 0);
+		this.assertTrue(result.testsRun <= 2);
+	}
+
+	async test_no_files() {
+		const result = await new ParallelRunner().run([], new TestResult());
+		this.assertEqual(result.testsRun, 0);
+	}
+}
+
+/* ------------------ Class RemoteTestResultTests ------------ */
+
+class RemoteTestResultTests extends TestCase {
+
+	test_portable_errors() {
+		const err = new RangeError('too far');
+		err.actual   = {fn : () => 1, n : 1};
+		err.expected = [2];
+		const revived = RemoteTestResult.revive(structuredClone(RemoteTestResult.portable(err)));
+		this.assertIsInstance(revived, Error);
+		this.assertEqual(revived.name, 'RangeError');
+		this.assertEqual(revived.message, 'too far');
+		this.assertEqual(revived.stack, err.stack);
+		this.assertDeepEqual(revived.actual, {fn : '() => 1', n : 1});
+		this.assertDeepEqual(revived.expected, [2]);
+	}
+
+	test_portable_values() {
+		const test = {id : 'A.test_x', params : {check : () => true, n : [1]}};
+		this.assertDeepEqual(RemoteTestResult.portable(test),
+							 {id : 'A.test_x', params : {check : '() => true', n : [1]}});
+		this.assertEqual(RemoteTestResult.portable('plain'), 'plain');
+		this.assertEqual(RemoteTestResult.revive('plain'), 'plain');
+		this.assertIsNull(RemoteTestResult.revive(null));
+	}
+}
+
+/* ------------------ Class ParallelCliTests ------------ */
+
+class ParallelCliTests extends TestCase {
+
+	test_jobs_match_serial_run() {
+		const dir = makeTree(this, {'tests/test_slow.mjs' : SLOW,
+									'tests/test_fast.mjs' : FAST});
+		const serial   = runCli(['-s', 'tests', '-v'], {cwd : dir});
+		const parallel = runCli(['-s', 'tests', '-v', '-j', '2'], {cwd : dir});
+		// Stacks end in the worker rather than in main():
+		const strip    = text => text.replace(/\d+\.\d{3}s/g, 'T').replace(/^ +at .*\n/gm, '');
+		this.assertEqual(parallel.status, 1);
+		this.assertEqual(strip(parallel.stderr), strip(serial.stderr));
+		// Output is in file order too:
+		this.assertEqual(parallel.stdout, serial.stdout);
+		this.assertEqual(parallel.stdout, 'fast done\nslow done\n');
+	}
+
+	test_file_timeout() {
+		const dir = makeTree(this, {'tests/test_hangs.mjs' : HANGS,
+									'tests/test_fast.mjs'  : FAST});
+		const {status, stderr} = runCli(['-s', 'tests', '-j', '2', '--file-timeout', '0.5'], {cwd : dir});
+		this.assertEqual(status, 1);
+		this.assertIn('ERROR: tests/test_hangs.mjs::HangingTests::test_hangs\n', stderr);
+		this.assertIn('TestTimeoutError: tests/test_hangs.mjs did not finish within 0.5s', stderr);
+		this.assertIn('ERROR: tests/test_fast.mjs::FastTests::test_errs\n', stderr);
+		this.assertIn('Ran 5 tests', stderr);
+	}
+
+	test_crash() {
+		const dir = makeTree(this, {'tests/test_exits.mjs' : EXITS});
+		const {status, stderr} = runCli(['-s', 'tests', '-j', '2'], {cwd : dir});
+		this.assertEqual(status, 1);
+		this.assertIn('ERROR: tests/test_exits.mjs::ExitingTests::test_exits\n', stderr);
+		this.assertIn('Worker running tests/test_exits.mjs exited with code 3', stderr);
+	}
+
+	test_bad_options() {
+		const dir = makeTree(this);
+		this.assertIn("--jobs must be a positive integer or 'auto', not 'two'",
+					  runCli(['-j', 'two'], {cwd : dir}).stderr);
+		this.assertIn("--file-timeout must be a positive number of seconds, not '0'",
+					  runCli(['--file-timeout', '0'], {cwd : dir}).stderr);
+	}
+}
+
+export { ParallelRunnerTests, RemoteTestResultTests, ParallelCliTests };
@@ -0,0 +1,229 @@
+/**
+ * Tests of the lifecycle events that a TestResult dispatches,
+ * of the dot, spec, and json reporters, and of custom
+ * reporters loaded with --reporter.
+ */
+
+import { TestCase, Unittest } from "../src/unittest.mjs";
+import { TestResult } from "../src/result.mjs";
+import { Reporter, DotReporter, SpecReporter, JsonReporter } from "../src/reporters.mjs";
+
+import { StringStream, runClass, makeTree, runCli } from "./support.mjs";
+
+const MIXED = `
+import { TestCase } from 'UNITTEST';
+export class MixedTests extends TestCase {
+	test_passes() {}
+	test_fails()  { this.assertEqual(1, 2); }
+}
+`;
+
+const COUNTING_REPORTER = `
+import { Reporter } from 'UNITTEST';
+export default class CountingReporter extends Reporter {
+	constructor(options) {
+		super(options);
+		this.counts = {};
+	}
+	testPass({test}) { this._bump('pass'); }
+	testFail({test}) { this._bump('fail'); }
+	runEnd({successful}) {
+		this._write(\`verbosity \${this.verbosity}: \${JSON.stringify(this.counts)} \${successful}\\n\`);
+	}
+	_bump(key) { this.counts[key] = (this.counts[key] || 0) + 1; }
+}
+`;
+
+/* ------------------ Fixtures ------------ */
+
+class Mixed extends TestCase {
+	test_passes() {}
+	test_fails()  { this.assertEqual(1, 2); }
+	test_errs()   { throw new RangeError('out of range'); }
+	test_skips()  { this.skipTest('not today'); }
+	test_known()  { this.fail('known bug'); }
+	test_lucky()  {}
+}
+Unittest.expectedFailure(Mixed.prototype.test_known);
+Unittest.expectedFailure(Mixed.prototype.test_lucky);
+
+class Small extends TestCase {
+	test_only() {}
+}
+
+/* ------------------ Class LifecycleEventTests ------------ */
+
+class LifecycleEventTests extends TestCase {
+
+	async test_event_order_and_payloads() {
+		const result = new TestResult();
+		const events = [];
+		result.addReporter({
+			runStart   : ({files}) => events.push(['runStart', files]),
+			fileStart  : ({file}) => events.push(['fileStart', file]),
+			classStart : ({className, file, testCount}) => events.push(['classStart', className, file, testCount]),
+			testStart  : ({test, file}) => events.push(['testStart', test.methodName, file]),
+			testPass   : ({test, elapsed}) => events.push(['testPass', test.methodName, typeof(elapsed)]),
+			classEnd   : ({className, file}) => events.push(['classEnd', className, file]),
+			runEnd     : ({result : res, successful}) => events.push(['runEnd', res === result, successful]),
+		});
+		result.startTestRun({files : ['tests/test_small.mjs']});
+		result.startTestFile('tests/test_small.mjs');
+		await runClass(Small, result);
+		result.stopTestRun();
+		this.assertDeepEqual(events, [['runStart', ['tests/test_small.mjs']],
+									  ['fileStart', 'tests/test_small.mjs'],
+									  ['classStart', 'Small', 'tests/test_small.mjs', 1],
+									  ['testStart', 'test_only', 'tests/test_small.mjs'],
+									  ['testPass', 'test_only', 'number'],
+									  ['classEnd', 'Small', 'tests/test_small.mjs'],
+									  ['runEnd', true, true]]);
+	}
+
+	async test_outcome_kinds() {
+		const result = new TestResult();
+		const kinds  = [];
+		result.addReporter({
+			testFail : ({test, kind, traceback}) => kinds.push([test.methodName, kind, traceback !== null]),
+			testSkip : ({test, kind, reason}) => kinds.push([test.methodName, kind, reason]),
+		});
+		await runClass(Mixed, result);
+		this.assertDeepEqual(kinds, [['test_fails', 'failure', true],
+									 ['test_errs', 'error', true],
+									 ['test_skips', 'skip', 'not today'],
+									 ['test_known', 'expectedFailure', 'expected failure'],
+									 ['test_lucky', 'unexpectedSuccess', false]]);
+	}
+
+	async test_reporters_called_in_order() {
+		const result = new TestResult();
+		const calls  = [];
+		// Callbacks of the same source text are kept apart:
+		for (const name of ['first', 'second']) {
+			result.addReporter({testPass() { calls.push(name); }});
+		}
+		await runClass(Small, result);
+		this.assertDeepEqual(calls, ['first', 'second']);
+	}
+
+	async test_removeEventListener() {
+		const result   = new TestResult();
+		const calls    = [];
+		const listener = ({test}) => calls.push(test.methodName);
+		result.addEventListener('testPass', listener);
+		result.addEventListener('testPass', listener);
+		await runClass(Small, result);
+		result.removeEventListener('testPass', listener);
+		await runClass(Small, result);
+		this.assertDeepEqual(calls, ['test_only']);
+	}
+}
+
+/* ------------------ Class BuiltinReporterTests ------------ */
+
+class BuiltinReporterTests extends TestCase {
+
+	/**
+	 * Returns what a reporter of the given class
+	 * writes for a run of Mixed.
+	 */
+	async report(reporter_class) {
+		const stream = new StringStream();
+		const result = new TestResult();
+		result.addReporter(new reporter_class({stream : stream}));
+		result.startTestRun();
+		result.startTestFile('tests/test_mixed.mjs');
+		await runClass(Mixed, result);
+		result.stopTestRun();
+		return stream.text;
+	}
+
+	async test_dot() {
+		const text = await this.report(DotReporter);
+		this.assertRegex(text, /^\.FEsxu\n\n  1 passing \(\d+ms\)\n  3 failing\n  2 skipped\n/);
+		this.assertIn('\n  1) tests/test_mixed.mjs::Mixed::test_fails (failure)\n     AssertionError: 1 !== 2\n', text);
+		this.assertIn('\n  2) tests/test_mixed.mjs::Mixed::test_errs (error)\n     RangeError: out of range\n', text);
+		this.assertIn('\n  3) tests/test_mixed.mjs::Mixed::test_lucky (unexpected success)\n', text);
+	}
+
+	async test_spec() {
+		const text = await this.report(SpecReporter);
+		this.assertRegex(text, new RegExp('^\\nMixed\\n' +
+										  '  ✓ test_passes \\(\\d+ms\\)\\n' +
+										  '  1\\) test_fails\\n' +
+										  '  2\\) test_errs\\n' +
+										  '  - test_skips \\(skipped: not today\\)\\n' +
+										  '  - test_known \\(expected failure\\)\\n' +
+										  '  3\\) test_lucky \\(unexpected success\\)\\n' +
+										  '\\n  1 passing'));
+	}
+
+	async test_json() {
+		const doc = JSON.parse(await this.report(JsonReporter));
+		const {duration, ...stats} = doc.stats;
+		this.assertEqual(typeof(duration), 'number');
+		this.assertDeepEqual(stats, {tests               : 6,
+									 passes              : 1,
+									 failures            : 1,
+									 errors              : 1,
+									 skipped             : 1,
+									 expectedFailures    : 1,
+									 unexpectedSuccesses : 1,
+									 successful          : false});
+		this.assertDeepEqual(doc.tests.map(test => [test.methodName, test.outcome]),
+							 [['test_passes', 'pass'],
+							  ['test_fails', 'failure'],
+							  ['test_errs', 'error'],
+							  ['test_skips', 'skip'],
+							  ['test_known', 'expectedFailure'],
+							  ['test_lucky', 'unexpectedSuccess']]);
+		const failed = doc.tests[1];
+		this.assertEqual(failed.id, 'tests/test_mixed.mjs::Mixed::test_fails');
+		this.assertEqual(failed.file, 'tests/test_mixed.mjs');
+		this.assertEqual(failed.message, '1 !== 2');
+		this.assertTrue(failed.stack.startsWith('AssertionError: 1 !== 2\n'));
+		this.assertEqual(doc.tests[3].reason, 'not today');
+	}
+
+	test_describe() {
+		this.assertEqual(Reporter.describe({id : 'A.test_x', methodName : 'test_x'}), 'test_x');
+		this.assertEqual(Reporter.describe({id : 'A.test_x [i=1]', methodName : 'test_x', parent : 'A.test_x'}),
+						 'test_x [i=1]');
+	}
+}
+
+/* ------------------ Class ReporterCliTests ------------ */
+
+class ReporterCliTests extends TestCase {
+
+	test_custom_reporter_module() {
+		const dir = makeTree(this, {'tests/test_mixed.mjs' : MIXED,
+									'counting.mjs'         : COUNTING_REPORTER});
+		const {status, stdout, stderr} = runCli(['-s', 'tests', '-v', '--reporter', './counting.mjs'], {cwd : dir});
+		this.assertEqual(status, 1);
+		this.assertEqual(stdout, 'verbosity 2: {"pass":1,"fail":1} false\n');
+		// Reporters replace the default output:
+		this.assertNotIn('Ran 2 tests', stderr);
+	}
+
+	test_several_reporters() {
+		const dir = makeTree(this, {'tests/test_mixed.mjs' : MIXED});
+		const {stdout} = runCli(['-s', 'tests', '--reporter', 'dot', '--reporter', 'json'], {cwd : dir});
+		this.assertTrue(stdout.startsWith('.F\n'));
+		const json_start = stdout.indexOf('{');
+		this.assertEqual(JSON.parse(stdout.slice(json_start)).stats.tests, 2);
+	}
+
+	test_unloadable_reporter() {
+		const dir = makeTree(this, {'tests/test_mixed.mjs' : MIXED,
+									'empty.mjs'            : 'export const x = 1;\n'});
+		const missing = runCli(['-s', 'tests', '--reporter', './missing.mjs'], {cwd : dir});
+		this.assertEqual(missing.status, 2);
+		this.assertIn("Cannot load reporter './missing.mjs'", missing.stderr);
+		const empty = runCli(['-s', 'tests', '--reporter', './empty.mjs'], {cwd : dir});
+		this.assertEqual(empty.status, 2);
+		this.assertIn("Reporter module './empty.mjs' has no default export of a reporter", empty.stderr);
+	}
+}
+
+export { LifecycleEventTests, BuiltinReporterTests, ReporterCliTests };
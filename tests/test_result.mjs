@@ -0,0 +1,133 @@
+/**
+ * Tests of the outcomes that run_tests() records in a
+ * TestResult, and of the ids under which it records them;
+ * see src/result.mjs.
+ */
+
+import { TestCase } from "../src/unittest.mjs";
+import { TestResult } from "../src/result.mjs";
+import { TestSelector } from "../src/selection.mjs";
+
+import { runClass, recordEvents } from "./support.mjs";
+
+/* ------------------ Fixtures ------------ */
+
+class Outcomes extends TestCase {
+	test_fails() {
+		this.assertEqual(1, 2);
+		throw new Error('not reached');
+	}
+
+	test_errs() {
+		throw new RangeError('out of range');
+	}
+
+	test_throws_string() {
+		throw 'oops';
+	}
+
+	test_passes() {
+		this.assertTrue(true);
+	}
+}
+
+class Passing extends TestCase {
+	test_a() {}
+	test_b() {}
+}
+
+/* ------------------ Class TestResultTests ------------ */
+
+class TestResultTests extends TestCase {
+
+	async test_failures_do_not_stop_the_run() {
+		const result = await runClass(Outcomes);
+		this.assertEqual(result.testsRun, 4);
+		this.assertDeepEqual(result.successes.map(test => test.id), ['Outcomes.test_passes']);
+		this.assertDeepEqual(result.failures.map(entry => entry.test.id), ['Outcomes.test_fails']);
+		this.assertDeepEqual(result.errors.map(entry => entry.test.id),
+							 ['Outcomes.test_errs', 'Outcomes.test_throws_string']);
+		this.assertFalse(result.wasSuccessful());
+	}
+
+	async test_entries_keep_error_and_traceback() {
+		const result = await runClass(Outcomes);
+		const [range_err, string_err] = result.errors;
+		this.assertIsInstance(range_err.error, RangeError);
+		this.assertIn('RangeError: out of range', range_err.traceback);
+		this.assertIn('test_result.mjs', range_err.traceback);
+		this.assertEqual(string_err.error, 'oops');
+		this.assertEqual(string_err.traceback, 'Thrown non-Error value: oops');
+	}
+
+	async test_successful_run() {
+		const result = await runClass(Passing);
+		this.assertEqual(result.testsRun, 2);
+		this.assertTrue(result.wasSuccessful());
+		this.assertDeepEqual(result.durations.map(entry => entry.test.id),
+							 ['Passing.test_a', 'Passing.test_b']);
+		for (const {elapsed} of result.durations) {
+			this.assertGreaterEqual(elapsed, 0);
+		}
+	}
+
+	async test_events_in_order() {
+		const result = new TestResult();
+		const events = recordEvents(result);
+		await runClass(Outcomes, result);
+		this.assertDeepEqual(events,
+			[['testStart', 'Outcomes.test_fails'],
+			 ['testFail',  'Outcomes.test_fails'],
+			 ['testStart', 'Outcomes.test_errs'],
+			 ['testFail',  'Outcomes.test_errs'],
+			 ['testStart', 'Outcomes.test_throws_string'],
+			 ['testFail',  'Outcomes.test_throws_string'],
+			 ['testStart', 'Outcomes.test_passes'],
+			 ['testPass',  'Outcomes.test_passes']]);
+	}
+
+	async test_ids_name_the_file() {
+		const result = new TestResult();
+		result.startTestFile('tests/test_outcomes.mjs');
+		await runClass(Passing, result);
+		const [test] = result.successes;
+		this.assertDeepEqual(test, {id         : 'tests/test_outcomes.mjs::Passing::test_a',
+									file       : 'tests/test_outcomes.mjs',
+									className  : 'Passing',
+									methodName : 'test_a'});
+		// The id selects the test it names:
+		const selector = new TestSelector({ids : [test.id]}).forClass(test.file, 'Passing');
+		this.assertTrue(selector('test_a'));
+		this.assertFalse(selector('test_b'));
+	}
+
+	async test_failfast_stops_the_run() {
+		const result = new TestResult();
+		result.failfast = true;
+		await runClass(Outcomes, result);
+		this.assertEqual(result.testsRun, 1);
+		this.assertTrue(result.shouldStop);
+	}
+
+	async test_capture_output() {
+		class Printing extends TestCase {
+			test_prints() {
+				process.stdout.write('to stdout\n');
+			}
+		}
+		const result = new TestResult();
+		result.captureOutput = true;
+		// Keep the text off the console:
+		const write = process.stdout.write;
+		process.stdout.write = () => true;
+		try {
+			await runClass(Printing, result);
+		} finally {
+			process.stdout.write = write;
+		}
+		this.assertDeepEqual(result.output.get('Printing.test_prints'),
+							 {stdout : 'to stdout\n', stderr : ''});
+	}
+}
+
+export { TestResultTests };
@@ -0,0 +1,88 @@
+/**
+ * Tests of the progress lines and closing summary that
+ * TextTestResult writes; see src/runner.mjs.
+ */
+
+import { TestCase } from "../src/unittest.mjs";
+import { TextTestResult } from "../src/runner.mjs";
+
+import { StringStream } from "./support.mjs";
+
+/* ------------------ Fixtures ------------ */
+
+class SubTests extends TestCase {
+	async test_parse() {
+		for (let i = 0; i < 3; i++) {
+			await this.subTest({i : i}, () => this.assertTrue(i != 1));
+		}
+	}
+
+	async test_all_pass() {
+		for (let i = 0; i < 2; i++) {
+			await this.subTest({i : i}, () => this.assertTrue(true));
+		}
+	}
+
+	test_plain() {
+		this.assertEqual(1, 1);
+	}
+}
+
+/**
+ * Run the tests of a class with a TextTestResult, returning
+ * the result, and its output with durations left out.
+ */
+async function runVerbose(test_class, verbosity=2) {
+	const stream = new StringStream();
+	const result = new TextTestResult(stream, verbosity, {color : false});
+	const events = [];
+	result.addReporter({testPass : ({test}) => events.push(['pass', test.id]),
+						testFail : ({test}) => events.push(['fail', test.id])});
+	const inst = new test_class();
+	await inst.run_tests(inst, result);
+	return {result : result,
+			events : events,
+			output : stream.text.replace(/ \(\d+\.\d{3}s\)/g, '')};
+}
+
+/* ------------------ Class VerboseOutputTests ------------ */
+
+class VerboseOutputTests extends TestCase {
+
+	async test_subtest_lines_follow_their_test() {
+		const {output} = await runVerbose(SubTests);
+		this.assertEqual(output,
+			'test_parse (SubTests) ... \n' +
+			'  test_parse (SubTests) [i=1] ... FAIL\n' +
+			'test_all_pass (SubTests) ... ok\n' +
+			'test_plain (SubTests) ... ok\n');
+	}
+
+	async test_dots() {
+		const {output} = await runVerbose(SubTests, 1);
+		this.assertEqual(output, 'F..');
+	}
+
+	async test_failed_subtests_stand_for_their_test() {
+		const {result, events} = await runVerbose(SubTests);
+		this.assertEqual(result.testsRun, 3);
+		this.assertFalse(result.wasSuccessful());
+		// As in Python, the test has no outcome of its own:
+		this.assertDeepEqual(result.failures.map(entry => entry.test.id), ['SubTests.test_parse [i=1]']);
+		this.assertDeepEqual(events, [['fail', 'SubTests.test_parse [i=1]'],
+									  ['pass', 'SubTests.test_all_pass'],
+									  ['pass', 'SubTests.test_plain']]);
+	}
+
+	async test_summary() {
+		const stream = new StringStream();
+		const result = new TextTestResult(stream, 1, {color : false});
+		const inst   = new SubTests();
+		await inst.run_tests(inst, result);
+		stream.text = '';
+		result.printSummary(1500);
+		this.assertEqual(stream.text, `${'-'.repeat(70)}\nRan 3 tests in 1.500s\n\nFAILED (failures=1)\n`);
+	}
+}
+
+export { VerboseOutputTests };
@@ -0,0 +1,190 @@
+/**
+ * Tests of TestSelector: test ids, keywords and globs, and
+ * selectors narrowed by ids; and of selecting and listing
+ * tests on the find_test_files command line.
+ */
+
+import { TestCase } from "../src/unittest.mjs";
+import { TestResult } from "../src/result.mjs";
+import { TestSelector } from "../src/selection.mjs";
+
+import { runClass, makeTree, runCli } from "./support.mjs";
+
+const WAITLIST = `
+import { TestCase } from 'UNITTEST';
+export class WaitlistTests extends TestCase {
+	test_timeout() {}
+	test_order()   {}
+}
+export class QueueTests extends TestCase {
+	test_timeout() {}
+}
+`;
+
+const OTHER = `
+import { TestCase } from 'UNITTEST';
+export class OtherTests extends TestCase {
+	test_other() {}
+}
+`;
+
+const FILE = 'tests/test_waitlist.mjs';
+
+/* ------------------ Fixtures ------------ */
+
+class Selectable extends TestCase {
+	test_parse() {}
+	test_parse_empty() {}
+	test_render() {}
+	helper() {}
+}
+
+/* ------------------ Class TestSelectorTests ------------ */
+
+class TestSelectorTests extends TestCase {
+
+	test_testId() {
+		this.assertEqual(TestSelector.testId(FILE, 'WaitlistTests', 'test_order'),
+						 'tests/test_waitlist.mjs::WaitlistTests::test_order');
+	}
+
+	test_parseId() {
+		this.assertDeepEqual(TestSelector.parseId('tests/./test_a.mjs::ATests::test_x'),
+							 {file : 'tests/test_a.mjs', className : 'ATests', methodName : 'test_x'});
+		this.assertDeepEqual(TestSelector.parseId('test_a.mjs::ATests'),
+							 {file : 'test_a.mjs', className : 'ATests', methodName : null});
+		this.assertDeepEqual(TestSelector.parseId('::ATests::test_x'),
+							 {file : null, className : 'ATests', methodName : 'test_x'});
+		this.assertRaisesRegex(TypeError, /form 'file::Class::method'/,
+							   () => TestSelector.parseId('a::b::c::d'));
+		this.assertTrue(TestSelector.isId('test_a.mjs::A'));
+		this.assertFalse(TestSelector.isId('tests/test_a.mjs'));
+	}
+
+	test_ids() {
+		const by_file = new TestSelector({ids : ['test_waitlist.mjs']});
+		this.assertTrue(by_file.matches(`${FILE}::QueueTests::test_timeout`));
+		this.assertFalse(by_file.matches('tests/my_test_waitlist.mjs::QueueTests::test_timeout'));
+
+		const by_class = new TestSelector({ids : ['test_waitlist.mjs::WaitlistTests']});
+		this.assertTrue(by_class.matches(`${FILE}::WaitlistTests::test_order`));
+		this.assertFalse(by_class.matches(`${FILE}::QueueTests::test_timeout`));
+
+		const by_method = new TestSelector({ids : [`${FILE}::WaitlistTests::test_timeout`,
+												   'test_other.mjs::OtherTests']});
+		this.assertTrue(by_method.matches(`${FILE}::WaitlistTests::test_timeout`));
+		this.assertFalse(by_method.matches(`${FILE}::WaitlistTests::test_order`));
+		this.assertTrue(by_method.matches('tests/test_other.mjs::OtherTests::test_other'));
+	}
+
+	test_keywords() {
+		const substring = new TestSelector({keywords : ['timeout']});
+		this.assertTrue(substring.matches(`${FILE}::QueueTests::test_timeout`));
+		this.assertFalse(substring.matches(`${FILE}::WaitlistTests::test_order`));
+
+		// Globs match the whole id, '*' across '/' and '::':
+		const glob = new TestSelector({keywords : ['*Queue*']});
+		this.assertTrue(glob.matches(`${FILE}::QueueTests::test_timeout`));
+		this.assertFalse(new TestSelector({keywords : ['Queue*']}).matches(`${FILE}::QueueTests::test_timeout`));
+		this.assertTrue(new TestSelector({keywords : ['tests/*::test_?rder']})
+			.matches(`${FILE}::WaitlistTests::test_order`));
+
+		const either = new TestSelector({keywords : ['order', 'Queue']});
+		this.assertTrue(either.matches(`${FILE}::WaitlistTests::test_order`));
+		this.assertTrue(either.matches(`${FILE}::QueueTests::test_timeout`));
+		this.assertFalse(either.matches(`${FILE}::WaitlistTests::test_timeout`));
+	}
+
+	test_keywords_and_ids_together() {
+		const selector = new TestSelector({keywords : ['timeout'], ids : ['test_waitlist.mjs::WaitlistTests']});
+		this.assertTrue(selector.matches(`${FILE}::WaitlistTests::test_timeout`));
+		this.assertFalse(selector.matches(`${FILE}::WaitlistTests::test_order`));
+		this.assertFalse(selector.matches(`${FILE}::QueueTests::test_timeout`));
+	}
+
+	test_withIds_narrows() {
+		const narrowed = new TestSelector({ids : ['test_waitlist.mjs']}).withIds(['::QueueTests']);
+		this.assertTrue(narrowed.matches(`${FILE}::QueueTests::test_timeout`));
+		this.assertFalse(narrowed.matches(`${FILE}::WaitlistTests::test_timeout`));
+		this.assertFalse(narrowed.matchesFile('tests/test_other.mjs'));
+		// The spec recreates an equal selector:
+		const copy = TestSelector.fromSpec(JSON.parse(JSON.stringify(narrowed.spec)));
+		this.assertTrue(copy.matches(`${FILE}::QueueTests::test_timeout`));
+		this.assertFalse(copy.matches(`${FILE}::WaitlistTests::test_timeout`));
+	}
+
+	test_matchesFile() {
+		const selector = new TestSelector({ids : ['test_waitlist.mjs::WaitlistTests'], keywords : ['zzz']});
+		this.assertTrue(selector.matchesFile(FILE));
+		this.assertFalse(selector.matchesFile('tests/test_other.mjs'));
+		this.assertTrue(new TestSelector().matchesFile('anything.mjs'));
+	}
+
+	async test_forClass_selects_methods() {
+		const selector = new TestSelector({keywords : ['parse']}).forClass('tests/test_s.mjs', 'Selectable');
+		const result   = new TestResult();
+		await runClass(Selectable, result, selector);
+		this.assertDeepEqual(result.successes.map(test => test.methodName), ['test_parse', 'test_parse_empty']);
+	}
+}
+
+/* ------------------ Class SelectionCliTests ------------ */
+
+class SelectionCliTests extends TestCase {
+
+	setUp() {
+		this.dir = makeTree(this, {'tests/test_waitlist.mjs' : WAITLIST,
+								   'tests/test_other.mjs'    : OTHER});
+	}
+
+	/**
+	 * Returns the ids that --list prints for the
+	 * given arguments, and the exit status.
+	 */
+	list(...args) {
+		const {status, stdout} = runCli(['-s', 'tests', '--list', ...args], {cwd : this.dir});
+		return {status : status, ids : stdout.split('\n').filter(line => line != '').sort()};
+	}
+
+	test_list_all() {
+		const {status, ids} = this.list();
+		this.assertEqual(status, 0);
+		this.assertDeepEqual(ids, ['tests/test_other.mjs::OtherTests::test_other',
+								   'tests/test_waitlist.mjs::QueueTests::test_timeout',
+								   'tests/test_waitlist.mjs::WaitlistTests::test_order',
+								   'tests/test_waitlist.mjs::WaitlistTests::test_timeout']);
+	}
+
+	test_list_selected() {
+		this.assertDeepEqual(this.list('-k', 'timeout').ids,
+							 ['tests/test_waitlist.mjs::QueueTests::test_timeout',
+							  'tests/test_waitlist.mjs::WaitlistTests::test_timeout']);
+		this.assertDeepEqual(this.list('test_waitlist.mjs::WaitlistTests::test_timeout').ids,
+							 ['tests/test_waitlist.mjs::WaitlistTests::test_timeout']);
+		this.assertDeepEqual(this.list('-k', '*Other*', 'test_other.mjs').ids,
+							 ['tests/test_other.mjs::OtherTests::test_other']);
+	}
+
+	test_nothing_selected() {
+		this.assertDeepEqual(this.list('-k', 'no_such_test'), {status : 5, ids : []});
+		const {status, stderr} = runCli(['-s', 'tests', '-k', 'no_such_test'], {cwd : this.dir});
+		this.assertEqual(status, 5);
+		this.assertIn('Ran 0 tests', stderr);
+	}
+
+	test_run_one_test() {
+		const {status, stderr} = runCli(['-s', 'tests', '-v', 'test_waitlist.mjs::QueueTests::test_timeout'],
+										{cwd : this.dir});
+		this.assertEqual(status, 0);
+		this.assertIn('test_timeout (QueueTests) ... ok', stderr);
+		this.assertIn('Ran 1 test in', stderr);
+	}
+
+	test_malformed_id() {
+		const {status, stderr} = runCli(['-s', 'tests', 'a::b::c::d'], {cwd : this.dir});
+		this.assertEqual(status, 2);
+		this.assertIn("Test ids have the form 'file::Class::method'", stderr);
+	}
+}
+
+export { TestSelectorTests, SelectionCliTests };
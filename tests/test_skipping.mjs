@@ -0,0 +1,125 @@
+/**
+ * Tests of skipped tests and classes, and of expected
+ * failures.
+ */
+
+import { TestCase, Unittest, SkipTest } from "../src/unittest.mjs";
+import { TextTestResult } from "../src/runner.mjs";
+
+import { StringStream, runClass } from "./support.mjs";
+
+/* ------------------ Fixtures ------------ */
+
+class Skips extends TestCase {
+	static log = [];
+
+	setUp()    { Skips.log.push('setUp'); }
+	tearDown() { Skips.log.push('tearDown'); }
+
+	test_declared()    { Skips.log.push('test_declared'); }
+	test_skip_if()     { Skips.log.push('test_skip_if'); }
+	test_skip_unless() { Skips.log.push('test_skip_unless'); }
+
+	test_skips_itself() {
+		this.skipTest('not today');
+		Skips.log.push('not reached');
+	}
+
+	test_runs() { Skips.log.push('test_runs'); }
+}
+Unittest.skip('declared')(Skips.prototype.test_declared);
+Unittest.skipIf(true, 'condition held')(Skips.prototype.test_skip_if);
+Unittest.skipUnless(false, 'condition failed')(Skips.prototype.test_skip_unless);
+Unittest.skipIf(false, 'never')(Skips.prototype.test_runs);
+
+class SkippedClass extends TestCase {
+	static log = [];
+
+	static setUpClass() { this.log.push('setUpClass'); }
+
+	test_a() { SkippedClass.log.push('test_a'); }
+	test_b() { SkippedClass.log.push('test_b'); }
+}
+Unittest.skip('whole class')(SkippedClass);
+
+class SkipFromSetUpClass extends TestCase {
+	static setUpClass() { throw new SkipTest('no server'); }
+
+	test_a() {}
+}
+
+class ExpectedFailures extends TestCase {
+	test_known_bug()    { this.assertEqual(1, 2); }
+	test_fixed_bug()    { this.assertEqual(1, 1); }
+	test_known_error()  { throw new TypeError('broken'); }
+
+	async test_known_subtest_bug() {
+		await this.subTest({i : 1}, () => this.fail('known'));
+	}
+}
+Unittest.expectedFailure(ExpectedFailures.prototype.test_known_bug);
+Unittest.expectedFailure(ExpectedFailures.prototype.test_fixed_bug);
+Unittest.expectedFailure(ExpectedFailures.prototype.test_known_error);
+Unittest.expectedFailure(ExpectedFailures.prototype.test_known_subtest_bug);
+
+/* ------------------ Class SkippingTests ------------ */
+
+class SkippingTests extends TestCase {
+
+	setUp() {
+		Skips.log = [];
+		SkippedClass.log = [];
+	}
+
+	async test_skipped_methods() {
+		const result = await runClass(Skips);
+		this.assertDeepEqual(result.skipped.map(({test, reason}) => [test.methodName, reason]),
+			[['test_declared', 'declared'],
+			 ['test_skip_if', 'condition held'],
+			 ['test_skip_unless', 'condition failed'],
+			 ['test_skips_itself', 'not today']]);
+		this.assertEqual(result.testsRun, 5);
+		this.assertTrue(result.wasSuccessful());
+		// Declared skips run no fixtures; skipTest() runs tearDown():
+		this.assertDeepEqual(Skips.log, ['setUp', 'tearDown', 'setUp', 'test_runs', 'tearDown']);
+	}
+
+	async test_skipped_class() {
+		const result = await runClass(SkippedClass);
+		this.assertDeepEqual(SkippedClass.log, []);
+		this.assertDeepEqual(result.skipped.map(({test, reason}) => [test.id, reason]),
+							 [['SkippedClass.test_a', 'whole class'], ['SkippedClass.test_b', 'whole class']]);
+	}
+
+	async test_skip_from_setUpClass() {
+		const result = await runClass(SkipFromSetUpClass);
+		this.assertEqual(result.testsRun, 0);
+		this.assertDeepEqual(result.skipped.map(({test, reason}) => [test.id, reason]),
+							 [['setUpClass (SkipFromSetUpClass)', 'no server']]);
+		this.assertTrue(result.wasSuccessful());
+	}
+
+	async test_expected_failures() {
+		const result = await runClass(ExpectedFailures);
+		this.assertDeepEqual(result.expectedFailures.map(entry => entry.test.methodName),
+							 ['test_known_bug', 'test_known_error', 'test_known_subtest_bug']);
+		this.assertDeepEqual(result.unexpectedSuccesses.map(test => test.methodName), ['test_fixed_bug']);
+		this.assertDeepEqual(result.failures, []);
+		this.assertDeepEqual(result.errors, []);
+		// Unexpected successes count against the run:
+		this.assertFalse(result.wasSuccessful());
+	}
+
+	async test_summary_counts() {
+		const stream = new StringStream();
+		const result = new TextTestResult(stream, 1, {color : false});
+		await runClass(Skips, result);
+		await runClass(ExpectedFailures, result);
+		this.assertEqual(stream.text, 'ssss.xuxx');
+		stream.text = '';
+		result.printSummary(0);
+		this.assertIn('FAILED (skipped=4, expected failures=3, unexpected successes=1)', stream.text);
+	}
+}
+
+export { SkippingTests };
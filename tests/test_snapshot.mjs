@@ -0,0 +1,338 @@
+/**
+ * Tests of snapshots: how SnapshotStore serializes values,
+ * writes and reads back .snap files, and finds stale entries;
+ * and of assertMatchesSnapshot() in runs of find_test_files,
+ * with --update-snapshots, --ci, and the CI variable.
+ */
+
+import fs from "fs";
+import path from "path";
+
+import { TestCase } from "../src/unittest.mjs";
+import { SnapshotStore } from "../src/snapshot.mjs";
+
+import { makeTree, runCli } from "./support.mjs";
+
+const MESSAGES = `
+import { TestCase } from 'UNITTEST';
+export class MessageTests extends TestCase {
+	test_login() {
+		this.assertMatchesSnapshot({req : 'login', id : 1});
+		this.assertMatchesSnapshot('welcome', 'greeting');
+	}
+	test_logout() {
+		this.assertMatchesSnapshot([{req : 'logout'}]);
+	}
+}
+`;
+
+const SNAP_FILE = 'tests/__snapshots__/test_messages.mjs.snap';
+
+const SNAP_TEXT = `// Snapshots of assertMatchesSnapshot(); review changes as you would code.
+// Rewrite with find_test_files --update-snapshots.
+
+exports[\`MessageTests.test_login 1\`] = \`
+{
+  id: 1,
+  req: 'login'
+}
+\`;
+
+exports[\`MessageTests.test_login greeting\`] = \`
+"welcome"
+\`;
+
+exports[\`MessageTests.test_logout 1\`] = \`
+[
+  {
+    req: 'logout'
+  }
+]
+\`;
+`;
+
+/* ------------------ Class SnapshotStoreTests ------------ */
+
+class SnapshotStoreTests extends TestCase {
+
+	setUp() {
+		this.dir    = makeTree(this);
+		this.module = path.join(this.dir, 'tests', 'test_m.mjs');
+		this.snap   = path.join(this.dir, 'tests', '__snapshots__', 'test_m.mjs.snap');
+		this.rel    = path.relative(process.cwd(), this.snap);
+	}
+
+	/**
+	 * Tell store that the given tests of this.module
+	 * started, and, for those in passed, passed.
+	 */
+	ran(store, started, passed=started) {
+		const test = name => ({className : name.split('.')[0], methodName : name.split('.')[1]});
+		store.fileStart({file : this.module});
+		for (const name of started) store.testStart({test : test(name)});
+		for (const name of passed) store.testPass({test : test(name)});
+	}
+
+	test_serialize() {
+		this.assertEqual(SnapshotStore.serialize('say "hi" \\o/'), '"say \\"hi\\" \\\\o/"');
+		this.assertEqual(SnapshotStore.serialize({b : [1, 2], a : new Map([['k', null]])}),
+						 '{\n' +
+						 '  a: Map(1) {\n' +
+						 "    'k' => null\n" +
+						 '  },\n' +
+						 '  b: [\n' +
+						 '    1,\n' +
+						 '    2\n' +
+						 '  ]\n' +
+						 '}');
+		// Nothing is cut short:
+		const long = Array.from({length : 200}, (_, i) => i);
+		this.assertEqual(SnapshotStore.serialize(long).split('\n').length, 202);
+	}
+
+	test_pathFor() {
+		this.assertEqual(SnapshotStore.pathFor(this.module), this.snap);
+	}
+
+	test_round_trip() {
+		const store  = new SnapshotStore({ci : false});
+		// Characters that the file format has to escape:
+		const key    = 'T.test_x `quoted` ${x}';
+		const value  = {text : 'back\\slash `tick` ${not} $ {spaced}', list : ['\n']};
+		const first  = store.match(this.module, key, value);
+		this.assertTrue(first.matched);
+		this.assertIsNull(first.expected);
+		this.assertTrue(fs.existsSync(this.snap));
+
+		const reread = new SnapshotStore({ci : false});
+		const second = reread.match(this.module, key, value);
+		this.assertTrue(second.matched);
+		this.assertEqual(second.expected, SnapshotStore.serialize(value));
+		this.assertEqual(second.snapPath, this.snap);
+		this.assertDeepEqual(reread.finish(), SnapshotStore.emptySummary());
+	}
+
+	test_entries_sorted() {
+		const store = new SnapshotStore({ci : false});
+		for (const key of ['T.test_b 10', 'T.test_b 2', 'T.test_a 1']) {
+			store.match(this.module, key, key);
+		}
+		const keys = [...fs.readFileSync(this.snap, 'utf8').matchAll(/^exports\[`(.*)`\]/gm)]
+			.map(match => match[1]);
+		this.assertDeepEqual(keys, ['T.test_a 1', 'T.test_b 2', 'T.test_b 10']);
+	}
+
+	test_mismatch() {
+		new SnapshotStore({ci : false}).match(this.module, 'T.test_x 1', {n : 1});
+		const before = fs.readFileSync(this.snap, 'utf8');
+		const store  = new SnapshotStore({ci : false});
+		this.assertDeepEqual(store.match(this.module, 'T.test_x 1', {n : 2}),
+							 {matched  : false,
+							  actual   : '{\n  n: 2\n}',
+							  expected : '{\n  n: 1\n}',
+							  snapPath : this.snap});
+		this.assertEqual(fs.readFileSync(this.snap, 'utf8'), before);
+		this.assertDeepEqual(store.finish(), SnapshotStore.emptySummary());
+	}
+
+	test_update() {
+		new SnapshotStore({ci : false}).match(this.module, 'T.test_x 1', {n : 1});
+		const store = new SnapshotStore({update : true, ci : false});
+		this.assertTrue(store.match(this.module, 'T.test_x 1', {n : 2}).matched);
+		store.match(this.module, 'T.test_x 2', 'new');
+		this.assertDeepEqual(store.finish(), {written : [{file : this.rel, key : 'T.test_x 2'}],
+											  updated : [{file : this.rel, key : 'T.test_x 1'}],
+											  removed : [],
+											  stale   : []});
+		this.assertTrue(new SnapshotStore({ci : false}).match(this.module, 'T.test_x 1', {n : 2}).matched);
+	}
+
+	test_ci_does_not_write() {
+		const store = new SnapshotStore({ci : true});
+		this.assertDeepEqual(store.match(this.module, 'T.test_x 1', 1),
+							 {matched : false, actual : '1', expected : null, snapPath : this.snap});
+		this.assertFalse(fs.existsSync(this.snap));
+		// Unless updating:
+		const updating = new SnapshotStore({ci : true, update : true});
+		this.assertTrue(updating.match(this.module, 'T.test_x 1', 1).matched);
+		this.assertTrue(fs.existsSync(this.snap));
+	}
+
+	test_isCI() {
+		for (const [value, expected] of [['1', true], ['true', true], ['', false], ['0', false], ['FALSE', false]]) {
+			this.patchDict(process.env, {CI : value});
+			this.assertEqual(SnapshotStore.isCI(), expected, value);
+		}
+		delete process.env.CI;
+		this.assertFalse(SnapshotStore.isCI());
+	}
+
+	test_stale_entries() {
+		const writer = new SnapshotStore({ci : false});
+		for (const key of ['T.test_a 1', 'T.test_a 2', 'T.test_b 1', 'T.test_c 1', 'Gone.test_x 1']) {
+			writer.match(this.module, key, key);
+		}
+		const store = new SnapshotStore({ci : false});
+		// test_a passed without its second snapshot, test_b
+		// failed before its first, and test_c was not selected:
+		this.ran(store, ['T.test_a', 'T.test_b'], ['T.test_a']);
+		store.match(this.module, 'T.test_a 1', 'T.test_a 1');
+		this.assertDeepEqual(store.finish().stale, [{file : this.rel, key : 'T.test_a 2'}]);
+
+		this.ran(store, ['T.test_a', 'T.test_b'], ['T.test_a']);
+		store.match(this.module, 'T.test_a 1', 'T.test_a 1');
+		this.assertDeepEqual(store.finish({complete : true}).stale.map(({key}) => key),
+							 ['Gone.test_x 1', 'T.test_a 2', 'T.test_c 1']);
+	}
+
+	test_update_removes_stale_entries() {
+		const writer = new SnapshotStore({ci : false});
+		writer.match(this.module, 'T.test_a 1', 'a');
+		writer.match(this.module, 'Gone.test_x 1', 'x');
+		const store = new SnapshotStore({update : true, ci : false});
+		this.ran(store, ['T.test_a']);
+		store.match(this.module, 'T.test_a 1', 'a');
+		this.assertDeepEqual(store.finish({complete : true}),
+							 {written : [], updated : [], removed : [{file : this.rel, key : 'Gone.test_x 1'}], stale : []});
+		this.assertDeepEqual(SnapshotStore._read(this.snap), new Map([['T.test_a 1', '"a"']]));
+
+		// A file left with no entries is removed:
+		this.ran(store, []);
+		store.finish({complete : true});
+		this.assertFalse(fs.existsSync(this.snap));
+	}
+
+	test_merge() {
+		const store = new SnapshotStore({ci : false});
+		store.merge({written : [{file : 'a.snap', key : 'A.test 1'}], updated : [], removed : [],
+					 stale   : [{file : 'b.snap', key : 'B.test 1'}]});
+		store.match(this.module, 'T.test_x 1', 1);
+		this.assertDeepEqual(store.finish(), {written : [{file : 'a.snap', key : 'A.test 1'},
+														 {file : this.rel, key : 'T.test_x 1'}],
+											  updated : [],
+											  removed : [],
+											  stale   : [{file : 'b.snap', key : 'B.test 1'}]});
+		this.assertDeepEqual(store.finish(), SnapshotStore.emptySummary());
+	}
+
+	test_outside_a_test() {
+		this.assertRaisesRegex(TypeError, /must be called from a test method of a test module/,
+							   () => new TestCase().assertMatchesSnapshot(1));
+	}
+}
+
+/* ------------------ Class SnapshotCliTests ------------ */
+
+class SnapshotCliTests extends TestCase {
+
+	setUp() {
+		this.dir  = makeTree(this, {'tests/test_messages.mjs' : MESSAGES});
+		this.test = path.join(this.dir, 'tests', 'test_messages.mjs');
+		this.snap = path.join(this.dir, SNAP_FILE);
+	}
+
+	runTree(args=[], env={}) {
+		return runCli(['-s', 'tests', ...args], {cwd : this.dir, env : env});
+	}
+
+	/**
+	 * Replace text in the test module.
+	 */
+	edit(from, to) {
+		fs.writeFileSync(this.test, fs.readFileSync(this.test, 'utf8').replace(from, to));
+	}
+
+	test_written_then_matched() {
+		const first = this.runTree();
+		this.assertEqual(first.status, 0);
+		this.assertIn('\nSnapshots: 3 written\n', first.stderr);
+		this.assertEqual(fs.readFileSync(this.snap, 'utf8'), SNAP_TEXT);
+
+		const second = this.runTree();
+		this.assertEqual(second.status, 0);
+		this.assertNotIn('Snapshots:', second.stderr);
+		this.assertEqual(fs.readFileSync(this.snap, 'utf8'), SNAP_TEXT);
+	}
+
+	test_changed_value_fails_with_diff() {
+		this.runTree();
+		this.edit('id : 1', 'id : 2');
+		const {status, stderr} = this.runTree();
+		this.assertEqual(status, 1);
+		this.assertIn('FAIL: tests/test_messages.mjs::MessageTests::test_login\n', stderr);
+		this.assertIn(`AssertionError: Snapshot 'MessageTests.test_login 1' in ${SNAP_FILE} does not match; ` +
+					  'rerun with --update-snapshots if the change is intended\n' +
+					  '\n' +
+					  '--- Snapshot\n' +
+					  '+++ Received\n' +
+					  '@@ -1,4 +1,4 @@\n' +
+					  ' {\n' +
+					  '-  id: 1,\n' +
+					  '+  id: 2,\n' +
+					  "   req: 'login'\n" +
+					  ' }\n', stderr);
+		this.assertIn('FAILED (failures=1)', stderr);
+		this.assertEqual(fs.readFileSync(this.snap, 'utf8'), SNAP_TEXT);
+	}
+
+	test_update_snapshots() {
+		this.runTree();
+		this.edit('id : 1', 'id : 2');
+		const {status, stderr} = this.runTree(['--update-snapshots']);
+		this.assertEqual(status, 0);
+		this.assertIn('\nSnapshots: 1 updated\n', stderr);
+		this.assertEqual(fs.readFileSync(this.snap, 'utf8'), SNAP_TEXT.replace('id: 1', 'id: 2'));
+		this.assertEqual(this.runTree().status, 0);
+	}
+
+	test_missing_in_ci() {
+		for (const [args, env] of [[['--ci'], {}], [[], {CI : 'true'}]]) {
+			const {status, stderr} = this.runTree(args, env);
+			this.assertEqual(status, 1);
+			this.assertIn(`AssertionError: Snapshot 'MessageTests.test_login 1' is missing from ${SNAP_FILE}, ` +
+						  'and is not written in CI; write it with --update-snapshots, and commit it\n', stderr);
+			this.assertIn('FAILED (failures=2)', stderr);
+			this.assertFalse(fs.existsSync(this.snap));
+		}
+		const updated = this.runTree(['--ci', '--update-snapshots']);
+		this.assertEqual(updated.status, 0);
+		this.assertEqual(fs.readFileSync(this.snap, 'utf8'), SNAP_TEXT);
+	}
+
+	test_stale_snapshots() {
+		this.runTree();
+		this.edit("this.assertMatchesSnapshot('welcome', 'greeting');", '');
+		this.edit('test_logout()', 'test_renamed()');
+		const {status, stderr} = this.runTree();
+		this.assertEqual(status, 0);
+		this.assertIn('\nSnapshots: 1 written, 2 stale\n' +
+					  'Stale snapshots, which no test takes any more; remove them with --update-snapshots:\n' +
+					  `  ${SNAP_FILE}: MessageTests.test_login greeting\n` +
+					  `  ${SNAP_FILE}: MessageTests.test_logout 1\n`, stderr);
+
+		const updated = this.runTree(['--update-snapshots']);
+		this.assertIn('\nSnapshots: 2 removed\n', updated.stderr);
+		this.assertDeepEqual([...SnapshotStore._read(this.snap).keys()],
+							 ['MessageTests.test_login 1', 'MessageTests.test_renamed 1']);
+	}
+
+	test_unselected_tests_are_not_stale() {
+		this.runTree();
+		const {status, stderr} = this.runTree(['test_messages.mjs::MessageTests::test_login', '--update-snapshots']);
+		this.assertEqual(status, 0);
+		this.assertNotIn('Snapshots:', stderr);
+		this.assertEqual(fs.readFileSync(this.snap, 'utf8'), SNAP_TEXT);
+	}
+
+	test_parallel_run() {
+		const {status, stderr} = this.runTree(['-j', '2']);
+		this.assertEqual(status, 0);
+		this.assertIn('\nSnapshots: 3 written\n', stderr);
+		this.assertEqual(fs.readFileSync(this.snap, 'utf8'), SNAP_TEXT);
+		this.edit('id : 1', 'id : 2');
+		this.assertEqual(this.runTree(['-j', '2']).status, 1);
+		this.assertIn('\nSnapshots: 1 updated\n', this.runTree(['-j', '2', '--update-snapshots']).stderr);
+	}
+}
+
+export { SnapshotStoreTests, SnapshotCliTests };
@@ -0,0 +1,113 @@
+/**
+ * Tests of subTest(): the ids of failed subtests, and
+ * the outcome of the tests they are part of.
+ */
+
+import { TestCase } from "../src/unittest.mjs";
+import { TestResult } from "../src/result.mjs";
+
+import { runClass } from "./support.mjs";
+
+/* ------------------ Fixtures ------------ */
+
+class Loops extends TestCase {
+	static checked = [];
+	static returned = [];
+
+	async test_loop() {
+		for (const [i, input] of ['1', 'x', '3', 'y'].entries()) {
+			const passed = await this.subTest({i : i, input : input}, () => {
+				Loops.checked.push(i);
+				this.assertFalse(Number.isNaN(Number(input)));
+			});
+			Loops.returned.push(passed);
+		}
+	}
+
+	async test_error_in_subtest() {
+		await this.subTest('parsing', () => JSON.parse('{'));
+	}
+
+	async test_skip_in_subtest() {
+		await this.subTest({case : 'slow'}, () => this.skipTest('too slow'));
+	}
+
+	async test_async_subtest() {
+		await this.subTest({n : 1}, async () => {
+			await new Promise(resolve => setTimeout(resolve, 1));
+			this.assertEqual(1, 2);
+		});
+	}
+}
+
+/* ------------------ Class SubTestTests ------------ */
+
+class SubTestTests extends TestCase {
+
+	setUp() {
+		Loops.checked  = [];
+		Loops.returned = [];
+	}
+
+	async test_loop_continues_past_failures() {
+		const result = await runClass(Loops);
+		this.assertDeepEqual(Loops.checked, [0, 1, 2, 3]);
+		this.assertDeepEqual(Loops.returned, [true, false, true, false]);
+		this.assertDeepEqual(result.failures.filter(entry => entry.test.methodName == 'test_loop')
+											.map(entry => entry.test.id),
+							 ["Loops.test_loop [i=1, input='x']",
+							  "Loops.test_loop [i=3, input='y']"]);
+		// The subtests stand for the test, which is no success:
+		this.assertNotIn('Loops.test_loop', result.successes.map(test => test.id));
+		this.assertFalse(result.wasSuccessful());
+	}
+
+	async test_subtest_descriptor() {
+		const result = new TestResult();
+		result.startTestFile('tests/test_loops.mjs');
+		await runClass(Loops, result);
+		const [first] = result.failures;
+		this.assertDeepEqual(first.test, {id         : "tests/test_loops.mjs::Loops::test_loop [i=1, input='x']",
+										  file       : 'tests/test_loops.mjs',
+										  className  : 'Loops',
+										  methodName : 'test_loop',
+										  params     : {i : 1, input : 'x'},
+										  parent     : 'tests/test_loops.mjs::Loops::test_loop'});
+	}
+
+	async test_errors_and_string_params() {
+		const result = await runClass(Loops);
+		this.assertDeepEqual(result.errors.map(entry => entry.test.id), ['Loops.test_error_in_subtest [parsing]']);
+		this.assertIsInstance(result.errors[0].error, SyntaxError);
+		this.assertNotIn('Loops.test_error_in_subtest', result.successes.map(test => test.id));
+		this.assertNotIn('Loops.test_error_in_subtest', result.failures.map(entry => entry.test.id));
+	}
+
+	async test_skipped_subtest() {
+		const result = await runClass(Loops);
+		this.assertDeepEqual(result.skipped.map(({test, reason}) => [test.id, reason]),
+							 [["Loops.test_skip_in_subtest [case='slow']", 'too slow']]);
+		this.assertIn('Loops.test_skip_in_subtest', result.successes.map(test => test.id));
+	}
+
+	async test_async_subtest() {
+		const result = await runClass(Loops);
+		this.assertIn('Loops.test_async_subtest [n=1]', result.failures.map(entry => entry.test.id));
+	}
+
+	async test_outside_a_run() {
+		const loops  = new Loops();
+		let called   = false;
+		this.assertTrue(await loops.subTest({i : 0}, () => { called = true; }));
+		this.assertTrue(called);
+		await this.assertRejects(TypeError, loops.subTest({i : 0}, () => { throw new TypeError('bad'); }));
+	}
+
+	test_description() {
+		this.assertEqual(TestCase._subTestDescription({i : 3, name : 'a', list : [1, 2]}),
+						 "[i=3, name='a', list=[ 1, 2 ]]");
+		this.assertEqual(TestCase._subTestDescription('empty input'), '[empty input]');
+	}
+}
+
+export { SubTestTests };
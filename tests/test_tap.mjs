@@ -0,0 +1,157 @@
+/**
+ * Tests of TapReporter: test points and their subtests,
+ * directives, YAML diagnostics, and other output turned
+ * into comments; and of the --tap option of find_test_files.
+ */
+
+import { TestCase, Unittest } from "../src/unittest.mjs";
+import { TestResult } from "../src/result.mjs";
+import { TapReporter } from "../src/tap.mjs";
+
+import { StringStream, runClass, makeTree, runCli } from "./support.mjs";
+
+const PRINTING = `
+import { TestCase } from 'UNITTEST';
+export class PrintingTests extends TestCase {
+	test_prints() { console.log('connecting\\nconnected'); }
+	test_fails()  { this.assertEqual([1], [2]); }
+}
+`;
+
+/* ------------------ Fixtures ------------ */
+
+class Points extends TestCase {
+	// Set by the tests, for fixtures to write to:
+	static stream = null;
+
+	test_passes() {}
+	test_fails()  { this.assertEqual(1, 2); }
+	test_errs()   { throw new RangeError('out of range'); }
+	test_skips()  { this.skipTest('not # here'); }
+	test_known()  { this.fail('known bug'); }
+	test_lucky()  {}
+
+	test_writes() {
+		Points.stream.write('first line\nhalf ');
+		Points.stream.write('a line\n');
+	}
+}
+Unittest.expectedFailure(Points.prototype.test_known);
+Unittest.expectedFailure(Points.prototype.test_lucky);
+
+class Streaming extends TestCase {
+	static seen = null;
+
+	test_a() {}
+	test_b() { Streaming.seen = Points.stream.text; }
+}
+
+class AllPass extends TestCase {
+	test_only() {}
+}
+
+/* ------------------ Class TapReporterTests ------------ */
+
+class TapReporterTests extends TestCase {
+
+	/**
+	 * Returns the TAP of a run of the given classes, with
+	 * stack traces cut down to their first line.
+	 */
+	async runTap(...test_classes) {
+		const stream = Points.stream = new StringStream();
+		const result = new TestResult();
+		result.addReporter(new TapReporter({stream : stream}));
+		result.startTestRun();
+		for (const test_class of test_classes) {
+			await runClass(test_class, result);
+		}
+		result.stopTestRun();
+		return stream.text.replace(/^( +)(\w*Error: .*)\n(?:\1 +at .*\n)+/gm, '$1$2\n');
+	}
+
+	async test_document() {
+		const tap = await this.runTap(Points, AllPass);
+		this.assertTrue(tap.startsWith('TAP version 14\n    # Subtest: Points\n    ok 1 - test_passes\n'));
+		this.assertTrue(tap.endsWith('    # Subtest: AllPass\n    ok 1 - test_only\n    1..1\n' +
+									 'ok 2 - AllPass\n1..2\n'));
+		this.assertIn('    1..7\nnot ok 1 - Points\n', tap);
+	}
+
+	async test_failure_diagnostics() {
+		const tap = await this.runTap(Points);
+		this.assertIn('    not ok 2 - test_fails\n' +
+					  '      ---\n' +
+					  '      message: "1 !== 2"\n' +
+					  '      severity: "fail"\n' +
+					  '      expected: "2"\n' +
+					  '      actual: "1"\n' +
+					  '      stack: |-\n' +
+					  '        AssertionError: 1 !== 2\n' +
+					  '      ...\n', tap);
+		this.assertIn('    not ok 3 - test_errs\n' +
+					  '      ---\n' +
+					  '      message: "out of range"\n' +
+					  '      severity: "error"\n' +
+					  '      stack: |-\n' +
+					  '        RangeError: out of range\n' +
+					  '      ...\n', tap);
+	}
+
+	async test_directives() {
+		const tap = await this.runTap(Points);
+		this.assertIn('    ok 4 - test_skips # SKIP not \\# here\n', tap);
+		this.assertIn('    not ok 5 - test_known # TODO expected failure\n      ---\n' +
+					  '      message: "known bug"\n      severity: "todo"\n', tap);
+		this.assertIn('    not ok 6 - test_lucky\n      ---\n' +
+					  '      message: "Test was expected to fail, but passed"\n' +
+					  '      severity: "fail"\n      ...\n', tap);
+	}
+
+	async test_todo_does_not_fail_class() {
+		class OnlyKnown extends TestCase {
+			test_known() { this.fail('known bug'); }
+		}
+		Unittest.expectedFailure(OnlyKnown.prototype.test_known);
+		const tap = await this.runTap(OnlyKnown);
+		this.assertIn('    1..1\nok 1 - OnlyKnown\n', tap);
+	}
+
+	async test_other_output_becomes_comments() {
+		const tap = await this.runTap(Points);
+		this.assertIn('    # first line\n    # half a line\n    ok 7 - test_writes\n', tap);
+	}
+
+	async test_results_stream_as_tests_finish() {
+		await this.runTap(Streaming);
+		this.assertEqual(Streaming.seen, 'TAP version 14\n    # Subtest: Streaming\n    ok 1 - test_a\n');
+	}
+
+	test_yaml() {
+		this.assertEqual(TapReporter._yaml([['message', 'say "hi"'], ['stack', 'line 1\n\nline 3']], '  '),
+						 '  ---\n  message: "say \\"hi\\""\n  stack: |-\n    line 1\n\n    line 3\n  ...\n');
+		// Block scalars cannot start with blanks:
+		this.assertEqual(TapReporter._yaml([['actual', ' x\ny']], ''), '---\nactual: " x\\ny"\n...\n');
+	}
+}
+
+/* ------------------ Class TapCliTests ------------ */
+
+class TapCliTests extends TestCase {
+
+	test_tap_on_stdout() {
+		const dir = makeTree(this, {'tests/test_printing.mjs' : PRINTING});
+		const {status, stdout} = runCli(['-s', 'tests', '--tap'], {cwd : dir});
+		this.assertEqual(status, 1);
+		this.assertTrue(stdout.startsWith('TAP version 14\n    # Subtest: PrintingTests\n' +
+										  '    # connecting\n    # connected\n    ok 1 - test_prints\n' +
+										  '    not ok 2 - test_fails\n'));
+		this.assertTrue(stdout.endsWith('    1..2\nnot ok 1 - PrintingTests\n1..1\n'));
+		// Every line is TAP, or part of a YAML block:
+		for (const line of stdout.trimEnd().split('\n')) {
+			this.assertRegex(line, /^(TAP version 14|( {4})?(# |ok |not ok |1\.\.)| {6}(---|\.\.\.|\w+: )| {8}|$)/);
+		}
+	}
+}
+
+export { TapReporterTests, TapCliTests };
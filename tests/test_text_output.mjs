@@ -0,0 +1,158 @@
+/**
+ * Tests of TextTestResult and TextTestRunner: progress at
+ * each verbosity, the listing of failures, the summary
+ * line, and color.
+ */
+
+import { TestCase, Unittest, TextTestRunner } from "../src/unittest.mjs";
+import { TextTestResult } from "../src/runner.mjs";
+
+import { StringStream, runClass } from "./support.mjs";
+
+const SEPARATOR1 = '='.repeat(70);
+const SEPARATOR2 = '-'.repeat(70);
+
+/* ------------------ Fixtures ------------ */
+
+class Mixed extends TestCase {
+	test_passes() {}
+	test_fails()  { this.assertEqual(1, 2); }
+	test_errs()   { throw new RangeError('out of range'); }
+	test_skips()  { this.skipTest('not today'); }
+	test_known()  { this.fail('known bug'); }
+	test_lucky()  {}
+}
+Unittest.expectedFailure(Mixed.prototype.test_known);
+Unittest.expectedFailure(Mixed.prototype.test_lucky);
+
+class WithSubtests extends TestCase {
+	async test_loop() {
+		for (const n of [1, 2]) {
+			await this.subTest({n : n}, () => this.assertEqual(n, 1));
+		}
+	}
+
+	test_after() {}
+}
+
+class Passing extends TestCase {
+	test_one() {}
+	test_two() {}
+}
+
+/* ------------------ Class TextTestResultTests ------------ */
+
+class TextTestResultTests extends TestCase {
+
+	/**
+	 * Returns the progress output of a run of test_class,
+	 * with durations blanked out, and the result.
+	 */
+	async progress(test_class, verbosity, options={color : false}) {
+		const stream = new StringStream();
+		const result = new TextTestResult(stream, verbosity, options);
+		await runClass(test_class, result);
+		return {text : stream.text.replace(/\(\d+\.\d{3}s\)/g, '(T)'), result : result};
+	}
+
+	async test_quiet() {
+		const {text} = await this.progress(Mixed, 0);
+		this.assertEqual(text, '');
+	}
+
+	async test_dots() {
+		const {text} = await this.progress(Mixed, 1);
+		this.assertEqual(text, '.FEsxu');
+	}
+
+	async test_verbose_lines() {
+		const {text} = await this.progress(Mixed, 2);
+		this.assertEqual(text, 'test_passes (Mixed) ... ok (T)\n' +
+							   'test_fails (Mixed) ... FAIL (T)\n' +
+							   'test_errs (Mixed) ... ERROR (T)\n' +
+							   "test_skips (Mixed) ... skipped 'not today' (T)\n" +
+							   'test_known (Mixed) ... expected failure (T)\n' +
+							   'test_lucky (Mixed) ... unexpected success (T)\n');
+	}
+
+	async test_subtests_follow_their_test() {
+		const {text} = await this.progress(WithSubtests, 2);
+		this.assertEqual(text, 'test_loop (WithSubtests) ... \n' +
+							   '  test_loop (WithSubtests) [n=2] ... FAIL (T)\n' +
+							   'test_after (WithSubtests) ... ok (T)\n');
+	}
+
+	async test_printErrors() {
+		const {result} = await this.progress(Mixed, 1);
+		const stream = result.stream;
+		stream.text = '';
+		result.printErrors();
+		const text = stream.text;
+		this.assertTrue(text.startsWith(`\n${SEPARATOR1}\nERROR: Mixed.test_errs\n${SEPARATOR2}\n` +
+										'RangeError: out of range\n'));
+		this.assertIn(`${SEPARATOR1}\nFAIL: Mixed.test_fails\n${SEPARATOR2}\nAssertionError: 1 !== 2\n`, text);
+		this.assertTrue(text.endsWith(`\n\n${SEPARATOR1}\nUNEXPECTED SUCCESS: Mixed.test_lucky\n`));
+		// Errors are listed before failures, as in Python:
+		this.assertLess(text.indexOf('ERROR:'), text.indexOf('FAIL:'));
+	}
+
+	async test_printSummary() {
+		const {result} = await this.progress(Mixed, 0);
+		result.printSummary(1234.5);
+		this.assertEqual(result.stream.text,
+						 `${SEPARATOR2}\nRan 6 tests in 1.234s\n\n` +
+						 'FAILED (failures=1, errors=1, skipped=1, expected failures=1, unexpected successes=1)\n');
+
+		const passed = (await this.progress(Passing, 0)).result;
+		passed.printSummary(5);
+		this.assertEqual(passed.stream.text, `${SEPARATOR2}\nRan 2 tests in 0.005s\n\nOK\n`);
+
+		const empty = new TextTestResult(new StringStream(), 0, {color : false});
+		empty.printSummary(0);
+		this.assertEqual(empty.stream.text, `${SEPARATOR2}\nRan 0 tests in 0.000s\n\nNO TESTS RAN\n`);
+	}
+
+	async test_color() {
+		const {text} = await this.progress(Mixed, 1, {color : true});
+		this.assertEqual(text, '\x1b[32m.\x1b[0m\x1b[31mF\x1b[0m\x1b[31mE\x1b[0m' +
+							   '\x1b[33ms\x1b[0m\x1b[33mx\x1b[0m\x1b[31mu\x1b[0m');
+		const {result} = await this.progress(Passing, 0, {color : true});
+		result.printSummary(0);
+		this.assertTrue(result.stream.text.endsWith('\n\x1b[32mOK\x1b[0m\n'));
+	}
+
+	test_useColor() {
+		const terminal = new StringStream();
+		terminal.isTTY = true;
+		this.patchDict(process.env, {NO_COLOR : ''});
+		this.assertTrue(TextTestResult.useColor(terminal));
+		this.assertFalse(TextTestResult.useColor(new StringStream()));
+		this.patchDict(process.env, {NO_COLOR : '1'});
+		this.assertFalse(TextTestResult.useColor(terminal));
+		this.assertFalse(new TextTestResult(terminal).color);
+	}
+}
+
+/* ------------------ Class TextTestRunnerTests ------------ */
+
+class TextTestRunnerTests extends TestCase {
+
+	async test_run() {
+		const stream = new StringStream();
+		const runner = new TextTestRunner({stream : stream, verbosity : 1, color : false});
+		const result = await runner.run({run : result => runClass(Mixed, result)});
+		this.assertIsInstance(result, TextTestResult);
+		this.assertTrue(stream.text.startsWith('.FEsxu\n' + SEPARATOR1));
+		this.assertRegex(stream.text, /\nRan 6 tests in \d+\.\d{3}s\n\nFAILED \(failures=1, errors=1, /);
+	}
+
+	async test_failfast() {
+		const stream = new StringStream();
+		const runner = new TextTestRunner({stream : stream, failfast : true, color : false});
+		const result = await runner.run({run : result => runClass(Mixed, result)});
+		this.assertEqual(result.testsRun, 2);
+		this.assertTrue(stream.text.startsWith('.F\n'));
+	}
+}
+
+export { TextTestResultTests, TextTestRunnerTests };
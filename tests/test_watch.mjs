@@ -0,0 +1,279 @@
+/**
+ * Tests of watch mode: the ImportGraph of test modules, and
+ * a Watcher's reruns of affected tests, batching of changes,
+ * runs queued behind a run under way, keys, and closing.
+ * Watchers run in this process, with the run of tests and
+ * the terminal replaced, and are told of most changes
+ * directly rather than through the file system.
+ */
+
+import fs from "fs";
+import path from "path";
+import { PassThrough } from "stream";
+import { pathToFileURL } from "url";
+
+import { TestCase } from "../src/unittest.mjs";
+import { ImportGraph, Watcher } from "../src/watch.mjs";
+
+import { StringStream, makeTree } from "./support.mjs";
+
+const TREE = {
+	'tests/test_shapes.mjs' : "import { area } from '../lib/shapes.mjs';\n",
+	'tests/test_util.mjs'   : "export * from '../lib/util.mjs';\nimport fs from 'fs';\n",
+	'tests/test_lazy.mjs'   : "const m = await import('../lib/lazy.mjs');\n",
+	'tests/test_alone.mjs'  : 'export const x = 1;\n',
+	'lib/shapes.mjs'        : "import { round } from './util.mjs';\nimport './missing.mjs';\n",
+	'lib/util.mjs'          : "import { area } from './shapes.mjs';\n",
+	'lib/lazy.mjs'          : '',
+	'lib/notes.txt'         : '',
+};
+
+/**
+ * Resolves once predicate returns true, checking every
+ * 20 msecs; rejects after timeout msecs.
+ */
+async function waitFor(predicate, timeout=5000) {
+	const give_up = Date.now() + timeout;
+	while (!predicate()) {
+		if (Date.now() > give_up) throw new Error('Timed out waiting for the watcher');
+		await new Promise(resolve => setTimeout(resolve, 20));
+	}
+}
+
+/* ------------------ Class ImportGraphTests ------------ */
+
+class ImportGraphTests extends TestCase {
+
+	setUp() {
+		this.dir   = makeTree(this, TREE);
+		this.at    = rel_path => path.join(this.dir, rel_path);
+		this.tests = ['test_shapes', 'test_util', 'test_lazy', 'test_alone']
+			.map(name => this.at(`tests/${name}.mjs`));
+		this.graph = new ImportGraph(this.tests);
+	}
+
+	test_follows_relative_imports() {
+		this.assertDeepEqual([...this.graph.imports.get(this.at('tests/test_shapes.mjs'))],
+							 [this.at('lib/shapes.mjs')]);
+		// Re-exports and dynamic imports, but not packages, nor missing files:
+		this.assertDeepEqual([...this.graph.imports.get(this.at('tests/test_util.mjs'))],
+							 [this.at('lib/util.mjs')]);
+		this.assertDeepEqual([...this.graph.imports.get(this.at('tests/test_lazy.mjs'))],
+							 [this.at('lib/lazy.mjs')]);
+		this.assertDeepEqual([...this.graph.imports.get(this.at('lib/shapes.mjs'))],
+							 [this.at('lib/util.mjs')]);
+		this.assertEqual(this.graph.files.length, 7);
+	}
+
+	test_affectedTests() {
+		// Directly and indirectly, in spite of the import cycle:
+		this.assertDeepEqual(this.graph.affectedTests([this.at('lib/util.mjs')]), this.tests.slice(0, 2));
+		this.assertDeepEqual(this.graph.affectedTests([this.at('lib/lazy.mjs'), this.at('tests/test_alone.mjs')]),
+							 this.tests.slice(2));
+		this.assertDeepEqual(this.graph.affectedTests([this.at('lib/notes.txt')]), []);
+	}
+
+	test_resolve() {
+		const importer = this.at('tests/test_shapes.mjs');
+		this.assertEqual(ImportGraph.resolve('../lib/util.mjs', importer), this.at('lib/util.mjs'));
+		this.assertEqual(ImportGraph.resolve(pathToFileURL(this.at('lib/util.mjs')).href, importer),
+						 this.at('lib/util.mjs'));
+		this.assertEqual(ImportGraph.resolve(this.at('lib/lazy.mjs'), importer), this.at('lib/lazy.mjs'));
+		this.assertIsNull(ImportGraph.resolve('fs', importer));
+		this.assertIsNull(ImportGraph.resolve('../lib/notes.txt', importer));
+		this.assertIsNull(ImportGraph.resolve('./nowhere.mjs', importer));
+	}
+}
+
+/* ------------------ Class WatcherTests ------------ */
+
+class WatcherTests extends TestCase {
+
+	setUp() {
+		this.dir    = makeTree(this, TREE);
+		this.at     = rel_path => path.join(this.dir, rel_path);
+		this.stream = new StringStream();
+		// Stands in for a terminal:
+		this.input  = new PassThrough();
+		this.input.isTTY = true;
+		this.input.setRawMode = () => this.input;
+		// Each run is [names of the test files, mode], and
+		// ends when its entry in this.finish is called:
+		this.runs   = [];
+		this.finish = [];
+		this.watcher = new Watcher({
+			start_dir   : this.at('tests'),
+			stream      : this.stream,
+			input       : this.input,
+			batch_delay : 20,
+			run         : (test_files, mode) => {
+				this.runs.push([test_files.map(file_path => path.basename(file_path, '.mjs')), mode]);
+				return new Promise(resolve => this.finish.push(resolve));
+			},
+		});
+		this.watching = this.watcher.watch();
+		this.addCleanup(async () => {
+			this.watcher.close();
+			for (const finish of this.finish) finish();
+			await this.watching;
+		});
+	}
+
+	/**
+	 * Finish the latest run, and wait until the watcher
+	 * has shown its menu again.
+	 */
+	async finishRun() {
+		const menus = this.menuCount();
+		this.finish.at(-1)();
+		await waitFor(() => this.menuCount() > menus);
+	}
+
+	menuCount() {
+		return this.stream.text.split('Watching for changes').length - 1;
+	}
+
+	/**
+	 * Report a change to a file, as its directory's
+	 * watcher would.
+	 */
+	change(rel_path) {
+		this.watcher._onChange(path.dirname(this.at(rel_path)), path.basename(rel_path));
+	}
+
+	/**
+	 * Resolves after the batch delay of changes reported
+	 * so far has passed.
+	 */
+	batchDelay() {
+		return new Promise(resolve => setTimeout(resolve, this.watcher.batch_delay));
+	}
+
+	key(name, str=name) {
+		this.input.emit('keypress', str, {name : name});
+	}
+
+	async test_runs_all_then_affected() {
+		await waitFor(() => this.runs.length == 1);
+		this.assertDeepEqual(this.runs[0], [['test_alone', 'test_lazy', 'test_shapes', 'test_util'],
+											{failed_only : false, keyword : null}]);
+		await this.finishRun();
+		this.assertIn('Watching for changes. Press a to run all', this.stream.text);
+
+		this.change('lib/shapes.mjs');
+		await waitFor(() => this.runs.length == 2);
+		this.assertDeepEqual(this.runs[1][0], ['test_shapes', 'test_util']);
+	}
+
+	async test_file_changes_are_watched() {
+		await waitFor(() => this.runs.length == 1);
+		await this.finishRun();
+		fs.appendFileSync(this.at('lib/shapes.mjs'), '\n');
+		await waitFor(() => this.runs.length == 2);
+		this.assertDeepEqual(this.runs[1][0], ['test_shapes', 'test_util']);
+	}
+
+	async test_changes_are_batched() {
+		await waitFor(() => this.runs.length == 1);
+		await this.finishRun();
+		this.change('lib/lazy.mjs');
+		this.change('tests/test_alone.mjs');
+		await waitFor(() => this.runs.length == 2);
+		this.assertDeepEqual(this.runs[1][0], ['test_alone', 'test_lazy']);
+		await this.finishRun();
+		await this.batchDelay();
+		this.assertEqual(this.runs.length, 2);
+	}
+
+	async test_changes_during_run_wait_for_it() {
+		await waitFor(() => this.runs.length == 1);
+		this.change('lib/lazy.mjs');
+		await this.batchDelay();
+		this.assertEqual(this.runs.length, 1);
+		await this.finishRun();
+		await waitFor(() => this.runs.length == 2);
+		this.assertDeepEqual(this.runs[1][0], ['test_lazy']);
+	}
+
+	async test_unaffecting_change() {
+		await waitFor(() => this.runs.length == 1);
+		await this.finishRun();
+		this.change('lib/unused.mjs');
+		await waitFor(() => this.stream.text.includes('No tests import the changed files\n'));
+		this.assertEqual(this.runs.length, 1);
+	}
+
+	async test_keys() {
+		await waitFor(() => this.runs.length == 1);
+		await this.finishRun();
+		this.key('f');
+		await waitFor(() => this.runs.length == 2);
+		this.assertDeepEqual(this.runs[1][1], {failed_only : true, keyword : null});
+		await this.finishRun();
+		this.assertIn('Watching for changes (failed only).', this.stream.text);
+
+		for (const ch of ['k', 'x', 'p', 'backspace', 'a', 'return']) {
+			this.key(ch, ch == 'backspace' ? undefined : ch);
+		}
+		await waitFor(() => this.runs.length == 3);
+		this.assertDeepEqual(this.runs[2][1], {failed_only : true, keyword : 'xa'});
+		this.assertIn('Only run tests whose ids contain, or match: xp\b \ba\n', this.stream.text);
+		await this.finishRun();
+
+		this.key('a');
+		await waitFor(() => this.runs.length == 4);
+		this.assertDeepEqual(this.runs[3][1], {failed_only : false, keyword : 'xa'});
+		await this.finishRun();
+
+		this.change('lib/lazy.mjs');
+		await waitFor(() => this.runs.length == 5);
+		await this.finishRun();
+		// Enter reruns the last selection:
+		this.key('return');
+		await waitFor(() => this.runs.length == 6);
+		this.assertDeepEqual(this.runs[5][0], ['test_lazy']);
+	}
+
+	async test_key_during_run_is_queued() {
+		await waitFor(() => this.runs.length == 1);
+		this.key('f');
+		this.assertIn('A run is under way; the tests chosen run once it is done.', this.stream.text);
+		this.assertEqual(this.runs.length, 1);
+		this.finish[0]();
+		await waitFor(() => this.runs.length == 2);
+		this.assertDeepEqual(this.runs[1][1], {failed_only : true, keyword : null});
+	}
+
+	async test_quit_waits_for_run() {
+		await waitFor(() => this.runs.length == 1);
+		let watching_done = false;
+		this.watching.then(() => watching_done = true);
+		this.key('q');
+		// Changes after closing are ignored:
+		this.change('lib/lazy.mjs');
+		await this.batchDelay();
+		this.assertFalse(watching_done);
+		this.finish[0]();
+		await this.watching;
+		this.assertEqual(this.runs.length, 1);
+	}
+
+	async test_failed_run_is_reported() {
+		await waitFor(() => this.runs.length == 1);
+		this.watcher.close();
+		this.finish[0]();
+		await this.watching;
+		const watcher = new Watcher({start_dir : this.at('tests'),
+									 stream    : this.stream,
+									 input     : this.input,
+									 run       : async () => { throw new Error('run broke'); }});
+		this.addCleanup(() => watcher.close());
+		const watching = watcher.watch();
+		await waitFor(() => this.stream.text.includes('Error: run broke\n'));
+		await waitFor(() => this.stream.text.endsWith('Enter to rerun, q to quit.\n'));
+		watcher.close();
+		await watching;
+	}
+}
+
+export { ImportGraphTests, WatcherTests };